@@ -0,0 +1,308 @@
+/**
+ * Analysis Bundle
+ * Saves a complete analysis as a versioned .larun.json file: the input light curve at full
+ * resolution, the preprocessing steps, BLS search settings and output, transit fit, model
+ * id/version and classification, vetting results, stellar parameters and notes, sealed
+ * with a checksum. Loading a bundle verifies the checksum, re-derives the cleaned light
+ * curve from the recorded steps and returns the analysis in the shape the tools render.
+ */
+
+const AnalysisBundle = {
+    config: {
+        format: 'larun-analysis',
+        version: 1,
+        extension: '.larun.json',
+        mimeType: 'application/json',
+        generator: 'Larun.'
+    },
+
+    /**
+     * Build a bundle
+     * @param {object} parts - {target, toi, lightCurve, preprocessing, search, bls, prediction,
+     *                         fit, vetting, stellar, notes, analysisId, createdAt}
+     *                         lightCurve is the raw input; preprocessing the PreprocessService step
+     *                         records; search the BLS options used ({periodMin, periodMax})
+     * @returns {Promise<object>} Bundle with checksum
+     */
+    async create(parts) {
+        const { lightCurve, prediction = null } = parts;
+        if (!lightCurve || !lightCurve.time) throw new Error('Bundle needs a light curve');
+        const bls = parts.bls || prediction?.bls || null;
+        const preprocessing = parts.preprocessing || prediction?.preprocessing || null;
+
+        const analysis = {
+            target: parts.target || lightCurve.metadata?.ticId || 'Unknown target',
+            toi: parts.toi || null,
+            analysisId: parts.analysisId || null,
+            createdAt: parts.createdAt || new Date().toISOString(),
+            source: typeof MASTService !== 'undefined' ? MASTService.describeSource(lightCurve) : null,
+            provenance: {
+                provenance: lightCurve.provenance || (lightCurve.metadata?.synthetic ? 'synthetic' : null),
+                endpoint: lightCurve.endpoint || null,
+                fetchedAt: lightCurve.fetchedAt || null
+            },
+            lightCurve: {
+                time: Array.from(lightCurve.time),
+                flux: Array.from(lightCurve.flux),
+                error: lightCurve.error ? Array.from(lightCurve.error) : null,
+                quality: lightCurve.quality ? Array.from(lightCurve.quality) : null,
+                metadata: lightCurve.metadata || {}
+            },
+            preprocessing,
+            search: bls ? { method: 'bls', ...(parts.search || {}) } : null,
+            bls,
+            classification: prediction ? {
+                topClass: prediction.topClass,
+                topProbability: prediction.topProbability,
+                predictions: prediction.predictions,
+                snr: prediction.snr,
+                inputMode: prediction.inputMode || null,
+                inferenceTime: prediction.inferenceTime ?? null,
+                transitDetected: prediction.transitDetected || null
+            } : null,
+            model: prediction?.model || null,
+            fit: parts.fit || null,
+            vetting: parts.vetting || null,
+            stellar: parts.stellar || null,
+            notes: parts.notes || ''
+        };
+
+        // Checksum the analysis exactly as it will read back (NaN becomes null, typed arrays plain)
+        const plain = JSON.parse(JSON.stringify(analysis));
+        return {
+            format: this.config.format,
+            version: this.config.version,
+            generator: this.config.generator,
+            savedAt: new Date().toISOString(),
+            checksum: await this.checksum(plain),
+            analysis: plain
+        };
+    },
+
+    serialize(bundle) {
+        return JSON.stringify(bundle);
+    },
+
+    filename(bundle) {
+        const slug = String(bundle.analysis.target).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'analysis';
+        return `${slug}${this.config.extension}`;
+    },
+
+    download(bundle) {
+        const blob = new Blob([this.serialize(bundle)], { type: this.config.mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.filename(bundle);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /**
+     * Whether a file name looks like a bundle
+     */
+    isBundleFile(name) {
+        return String(name).toLowerCase().endsWith(this.config.extension);
+    },
+
+    /**
+     * Parse and verify a bundle
+     * @param {string} text - File contents
+     * @returns {Promise<object>} The bundle (checksum verified, migrated to the current version)
+     */
+    async parse(text) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Not a valid .larun.json file (JSON parse failed)');
+        }
+        if (bundle?.format !== this.config.format || !bundle.analysis) {
+            throw new Error('Not a Larun. analysis bundle');
+        }
+        if (!(bundle.version >= 1)) throw new Error(`Unknown bundle version: ${bundle.version}`);
+        if (bundle.version > this.config.version) {
+            throw new Error(`Bundle version ${bundle.version} is newer than this app supports (${this.config.version})`);
+        }
+
+        const expected = bundle.checksum || {};
+        const actual = await this.checksum(bundle.analysis, expected.algorithm);
+        if (actual.value !== expected.value) {
+            throw new Error('Checksum mismatch: the bundle was modified or corrupted');
+        }
+
+        return this.migrate(bundle);
+    },
+
+    /**
+     * Read a bundle from a File
+     */
+    async readFile(file) {
+        return this.parse(await file.text());
+    },
+
+    /**
+     * Upgrade older bundle versions in place (version 1 is current)
+     */
+    migrate(bundle) {
+        return bundle;
+    },
+
+    /**
+     * Turn a bundle back into an analysis: the stored outputs as saved, plus the cleaned
+     * light curve re-derived from the raw input and the recorded preprocessing steps
+     * @returns {object} {target, toi, lightCurve, cleaned, preprocessing, search, bls, prediction,
+     *                   fit, vetting, stellar, notes, analysisId, createdAt, reproduced, bundle}
+     */
+    restore(bundle) {
+        const a = bundle.analysis;
+        const lightCurve = {
+            time: this.numbers(a.lightCurve.time),
+            flux: this.numbers(a.lightCurve.flux),
+            error: a.lightCurve.error ? this.numbers(a.lightCurve.error) : null,
+            quality: a.lightCurve.quality ? this.numbers(a.lightCurve.quality) : null,
+            metadata: a.lightCurve.metadata || {},
+            provenance: a.provenance?.provenance || undefined,
+            endpoint: a.provenance?.endpoint || undefined,
+            fetchedAt: a.provenance?.fetchedAt || undefined
+        };
+
+        const reproduction = this.reproduce(lightCurve, a.preprocessing);
+        const prediction = a.classification ? {
+            ...a.classification,
+            model: a.model,
+            bls: a.bls,
+            preprocessing: a.preprocessing
+        } : null;
+
+        return {
+            target: a.target,
+            toi: a.toi,
+            sectors: a.lightCurve.metadata?.sectors || null,
+            lightCurve,
+            cleaned: reproduction.cleaned,
+            preprocessing: a.preprocessing,
+            search: a.search,
+            bls: a.bls,
+            prediction,
+            fit: a.fit,
+            vetting: a.vetting,
+            stellar: a.stellar,
+            notes: a.notes,
+            analysisId: a.analysisId,
+            createdAt: a.createdAt,
+            reproduced: reproduction.reproduced,
+            mismatches: reproduction.mismatches,
+            bundle: { version: bundle.version, savedAt: bundle.savedAt, checksum: bundle.checksum }
+        };
+    },
+
+    /**
+     * Re-run the recorded preprocessing steps and check each step keeps the recorded
+     * number of points
+     * @returns {object} {cleaned, reproduced, mismatches}
+     */
+    reproduce(lightCurve, preprocessing) {
+        if (!preprocessing || preprocessing.length === 0 || typeof PreprocessService === 'undefined') {
+            return { cleaned: lightCurve, reproduced: !preprocessing || preprocessing.length === 0, mismatches: [] };
+        }
+
+        const steps = preprocessing.map(step => {
+            const { pointsIn, pointsOut, elapsed, removed, segments, bins, median, ...options } = step;
+            return options;
+        });
+        const cleaned = PreprocessService.run(lightCurve, steps);
+        const rerun = cleaned.metadata.preprocessing.slice(-steps.length);
+        const mismatches = preprocessing
+            .map((step, i) => ({ step: step.type, recorded: step.pointsOut, reproduced: rerun[i]?.pointsOut }))
+            .filter(m => m.recorded !== undefined && m.recorded !== m.reproduced);
+
+        // Keep the recorded step metrics (timings) rather than this run's
+        cleaned.metadata.preprocessing = preprocessing;
+        return { cleaned, reproduced: mismatches.length === 0, mismatches };
+    },
+
+    /**
+     * Re-run the BLS search with the saved settings and compare it with the saved result
+     * @param {object} restored - restore() output
+     * @returns {object} {matches, period, sde, rerun}
+     */
+    verify(restored) {
+        if (!restored.bls || typeof BLSService === 'undefined') {
+            return { matches: null, rerun: null };
+        }
+        const { method, ...options } = restored.search || {};
+        const rerun = BLSService.search(restored.cleaned, options);
+        const saved = restored.bls;
+        const periodDiff = Math.abs(rerun.period - saved.period) / saved.period;
+        return {
+            matches: periodDiff < 1e-9 && Math.abs(rerun.sde - saved.sde) < 1e-6,
+            period: { saved: saved.period, rerun: rerun.period },
+            sde: { saved: saved.sde, rerun: rerun.sde },
+            rerun
+        };
+    },
+
+    // ============================================
+    // Checksum
+    // ============================================
+
+    /**
+     * Checksum of the canonical JSON of a value: SHA-256 where Web Crypto is available
+     * (secure contexts), FNV-1a otherwise
+     * @param {*} value
+     * @param {string} algorithm - Force an algorithm (when verifying)
+     */
+    async checksum(value, algorithm = null) {
+        const text = this.canonicalJSON(value);
+        const subtle = typeof crypto !== 'undefined' ? crypto.subtle : null;
+        const useSHA = algorithm ? algorithm === 'SHA-256' : !!subtle;
+
+        if (useSHA) {
+            if (!subtle) throw new Error('SHA-256 checksums need a secure context (https or localhost)');
+            const digest = await subtle.digest('SHA-256', new TextEncoder().encode(text));
+            return {
+                algorithm: 'SHA-256',
+                value: Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('')
+            };
+        }
+        return { algorithm: 'FNV-1a', value: this.fnv1a(text) };
+    },
+
+    /**
+     * JSON with object keys sorted, so equal content always hashes the same
+     */
+    canonicalJSON(value) {
+        if (Array.isArray(value)) return `[${value.map(v => this.canonicalJSON(v)).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${this.canonicalJSON(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value ?? null);
+    },
+
+    fnv1a(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    },
+
+    /**
+     * Numeric array with JSON nulls (saved NaN) back to NaN
+     */
+    numbers(values) {
+        return values.map(v => v === null ? NaN : v);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisBundle;
+}
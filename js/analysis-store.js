@@ -0,0 +1,358 @@
+/**
+ * Analysis Store
+ * Saves completed analyses (light curve, preprocessing record, BLS periodogram, fold,
+ * classification, transit fit, vetting, stellar parameters, transit timing and stellar
+ * variability) in
+ * localStorage so reports can be built from them later. Arrays are downsampled to keep
+ * each record small.
+ */
+
+const AnalysisStore = {
+    config: {
+        storageKey: 'larun-analyses',
+        maxAnalyses: 20,
+        // Plot-resolution caps
+        maxLightCurvePoints: 3000,
+        maxSpectrumPoints: 1500,
+        foldBins: 200,
+        globalBins: 400,
+        // Local fold spans this many transit durations around mid-transit
+        foldDurations: 3
+    },
+
+    /**
+     * Build an analysis record from pipeline outputs
+     * @param {object} parts - {target, toi, lightCurve, prediction, bls, fit, vetting, stellar, ttv, variability,
+     *                         notes, cleaned}
+     *                         lightCurve is the raw light curve as fetched; cleaned is the preprocessed
+     *                         one (re-derived from the preprocessing record when omitted)
+     * @returns {object} Analysis record (not yet saved)
+     */
+    create(parts) {
+        const { target, lightCurve, prediction = null, fit = null, vetting = null, stellar = null } = parts;
+        if (!lightCurve || !lightCurve.time) throw new Error('Analysis needs a light curve');
+
+        const bls = parts.bls || prediction?.bls || null;
+        let preprocessing = prediction?.preprocessing || parts.cleaned?.metadata?.preprocessing || null;
+        const meta = lightCurve.metadata || {};
+        const now = new Date().toISOString();
+
+        // Fold on the best ephemeris available: fit, then BLS, then the vetted one
+        const ephemeris = fit || bls || (vetting?.period > 0 ? vetting : null);
+        let fold = null;
+        if (ephemeris && ephemeris.period > 0 && typeof PreprocessService !== 'undefined') {
+            const cleaned = parts.cleaned || this.reprocess(lightCurve, preprocessing);
+            preprocessing = preprocessing || cleaned.metadata?.preprocessing || null;
+            fold = this.buildFold(cleaned, ephemeris, bls?.duration ?? vetting?.duration);
+        }
+
+        return {
+            id: `an-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            target: target || meta.ticId || 'Unknown target',
+            toi: parts.toi || null,
+            createdAt: now,
+            updatedAt: now,
+            source: typeof MASTService !== 'undefined' ? MASTService.describeSource(lightCurve) : (meta.source || 'Unknown'),
+            provenance: {
+                provenance: lightCurve.provenance || (meta.synthetic ? 'synthetic' : null),
+                endpoint: lightCurve.endpoint || null,
+                fetchedAt: lightCurve.fetchedAt || null
+            },
+            lightCurve: {
+                ...this.downsample(lightCurve.time, lightCurve.flux, this.config.maxLightCurvePoints),
+                numPoints: lightCurve.time.length,
+                metadata: {
+                    ticId: meta.ticId || null,
+                    mission: meta.mission || null,
+                    sectors: meta.sectors || [],
+                    fluxColumn: meta.fluxColumn || null,
+                    timeReference: meta.timeReference || null,
+                    synthetic: !!meta.synthetic
+                }
+            },
+            preprocessing,
+            bls: bls ? this.compactBLS(bls) : null,
+            fold,
+            classification: prediction ? {
+                topClass: prediction.topClass,
+                topProbability: prediction.topProbability,
+                predictions: prediction.predictions,
+                snr: prediction.snr,
+                inputMode: prediction.inputMode || null,
+                model: prediction.model || null,
+                inferenceTime: prediction.inferenceTime
+            } : null,
+            fit,
+            vetting: vetting ? this.compactVetting(vetting) : null,
+            stellar: stellar ? this.compactStellar(stellar) : null,
+            ttv: parts.ttv ? this.compactTTV(parts.ttv) : null,
+            variability: parts.variability ? this.compactVariability(parts.variability) : null,
+            notes: parts.notes || ''
+        };
+    },
+
+    /**
+     * Create and save an analysis in one step
+     */
+    record(parts) {
+        const analysis = this.create(parts);
+        this.save(analysis);
+        return analysis;
+    },
+
+    /**
+     * Attach a vetting verdict to the target's latest analysis of the same signal,
+     * or save a new analysis when there is none
+     * @param {object} parts - create() parts with vetting set
+     */
+    recordVetting(parts) {
+        const existing = this.findByTarget(parts.target);
+        const period = existing?.fit?.period ?? existing?.bls?.period;
+        if (existing && period > 0 && Math.abs(period - parts.vetting.period) / parts.vetting.period < 0.01) {
+            return this.update(existing.id, { vetting: parts.vetting, ...(parts.stellar ? { stellar: parts.stellar } : {}) });
+        }
+        return this.record(parts);
+    },
+
+    /**
+     * Save (or replace) an analysis, keeping the newest config.maxAnalyses
+     */
+    save(analysis) {
+        let analyses = this.loadAll().filter(a => a.id !== analysis.id);
+        analyses.unshift(analysis);
+        analyses = analyses.slice(0, this.config.maxAnalyses);
+
+        // Drop the oldest records until the set fits in the storage quota
+        while (analyses.length > 0) {
+            try {
+                localStorage.setItem(this.config.storageKey, JSON.stringify(analyses));
+                return analysis;
+            } catch (e) {
+                if (analyses.length === 1) {
+                    console.warn('Failed to save analysis:', e);
+                    return analysis;
+                }
+                analyses.pop();
+            }
+        }
+        return analysis;
+    },
+
+    /**
+     * Merge fields into a stored analysis (e.g. vetting added after detection)
+     */
+    update(id, patch) {
+        const analysis = this.get(id);
+        if (!analysis) throw new Error(`Unknown analysis: ${id}`);
+
+        const updated = { ...analysis, ...patch, id, updatedAt: new Date().toISOString() };
+        if (patch.vetting) updated.vetting = this.compactVetting(patch.vetting);
+        if (patch.stellar) updated.stellar = this.compactStellar(patch.stellar);
+        if (patch.ttv) updated.ttv = this.compactTTV(patch.ttv);
+        if (patch.variability) updated.variability = this.compactVariability(patch.variability);
+        return this.save(updated);
+    },
+
+    get(id) {
+        return this.loadAll().find(a => a.id === id) || null;
+    },
+
+    /**
+     * Summaries of the stored analyses, newest first
+     */
+    list() {
+        return this.loadAll().map(a => ({
+            id: a.id,
+            target: a.target,
+            createdAt: a.createdAt,
+            updatedAt: a.updatedAt,
+            period: a.fit?.period ?? a.bls?.period ?? null,
+            detected: !!a.bls?.detected,
+            disposition: a.vetting?.disposition || null,
+            source: a.source
+        }));
+    },
+
+    /**
+     * Latest analysis of a target ("TIC 123", "tic123" and "123" all match)
+     */
+    findByTarget(target) {
+        const key = this.targetKey(target);
+        return this.loadAll().find(a => this.targetKey(a.target) === key) || null;
+    },
+
+    remove(id) {
+        const analyses = this.loadAll().filter(a => a.id !== id);
+        localStorage.setItem(this.config.storageKey, JSON.stringify(analyses));
+    },
+
+    loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.storageKey)) || [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    targetKey(target) {
+        return String(target || '').replace(/^\s*TIC[\s-]*/i, '').trim().toLowerCase();
+    },
+
+    /**
+     * Re-run the recorded preprocessing steps on the raw light curve
+     * (the default pipeline when nothing was recorded)
+     */
+    reprocess(lightCurve, preprocessing) {
+        const steps = preprocessing && preprocessing.length > 0
+            ? preprocessing.map(step => {
+                const { pointsIn, pointsOut, elapsed, removed, segments, bins, median, ...options } = step;
+                return options;
+            })
+            : undefined;
+        try {
+            return PreprocessService.run(lightCurve, steps);
+        } catch (e) {
+            console.warn('Could not reproduce preprocessing:', e.message);
+            return lightCurve;
+        }
+    },
+
+    /**
+     * Binned local (around transit) and global (full orbit) folds
+     * @param {object} lightCurve - Preprocessed light curve
+     * @param {object} ephemeris - {period, t0} from the fit or BLS
+     * @param {number} duration - Transit duration in days
+     */
+    buildFold(lightCurve, ephemeris, duration) {
+        const { period, t0 } = ephemeris;
+        const folded = PreprocessService.fold(lightCurve, period, t0);
+        const halfLocal = Math.min(this.config.foldDurations * (duration || period * 0.04), period / 2);
+        const local = PreprocessService.binFolded(folded, this.config.foldBins, -halfLocal, halfLocal);
+        const global = PreprocessService.binFolded(folded, this.config.globalBins, -period / 2, period / 2);
+
+        return {
+            period,
+            t0,
+            duration: duration || null,
+            local: { phase: local.phase.map(v => this.round(v, 7)), flux: local.flux.map(v => this.round(v, 7)) },
+            global: { phase: global.phase.map(v => this.round(v, 7)), flux: global.flux.map(v => this.round(v, 7)) }
+        };
+    },
+
+    /**
+     * BLS result with the periodogram max-pooled so peaks survive
+     */
+    compactBLS(bls) {
+        const { spectrum, ...rest } = bls;
+        if (!spectrum) return { ...rest, spectrum: null };
+
+        const n = spectrum.periods.length;
+        const bins = Math.min(n, this.config.maxSpectrumPoints);
+        const periods = [];
+        const power = [];
+        for (let b = 0; b < bins; b++) {
+            const start = Math.floor(b * n / bins);
+            const end = Math.floor((b + 1) * n / bins);
+            let best = start;
+            for (let i = start + 1; i < end; i++) {
+                if (spectrum.power[i] > spectrum.power[best]) best = i;
+            }
+            periods.push(this.round(spectrum.periods[best], 7));
+            power.push(this.round(spectrum.power[best], 5));
+        }
+        return { ...rest, spectrum: { periods, power, originalLength: n } };
+    },
+
+    /**
+     * Vetting verdict with per-test status and metrics (alias lists dropped)
+     */
+    compactVetting(verdict) {
+        if (typeof StatsService !== 'undefined') return StatsService.summarizeVetting(verdict);
+        const tests = Object.fromEntries(Object.entries(verdict.tests || {}).map(([key, test]) => {
+            const { aliases, ...metrics } = test;
+            return [key, metrics];
+        }));
+        return { ...verdict, tests };
+    },
+
+    /**
+     * Stellar parameters from a TIC row (or any object carrying the same fields)
+     * Synthetic placeholder rows are dropped rather than reported as catalogue values.
+     */
+    compactStellar(stellar) {
+        if (stellar.provenance === 'synthetic') return null;
+        const pick = (...keys) => {
+            for (const key of keys) {
+                if (stellar[key] !== undefined && stellar[key] !== null && stellar[key] !== '') return stellar[key];
+            }
+            return null;
+        };
+        return {
+            ticId: pick('ticId', 'ID', 'id'),
+            teff: pick('teff', 'Teff'),
+            radius: pick('radius', 'rad'),
+            mass: pick('mass'),
+            logg: pick('logg'),
+            density: pick('density', 'rho'),
+            tmag: pick('tmag', 'Tmag'),
+            distance: pick('distance', 'd'),
+            ra: pick('ra'),
+            dec: pick('dec'),
+            provenance: stellar.provenance || null,
+            endpoint: stellar.endpoint || null,
+            fetchedAt: stellar.fetchedAt || null
+        };
+    },
+
+    /**
+     * TTVService result without the periodogram arrays (kept: best peak and its FAP)
+     */
+    compactTTV(ttv) {
+        const { periodogram, ...rest } = ttv;
+        if (!periodogram) return { ...rest, periodogram: null };
+        const { periods, power, ...peak } = periodogram;
+        return { ...rest, periodogram: peak };
+    },
+
+    /**
+     * VariabilityService result without the periodogram and ACF arrays
+     */
+    compactVariability(variability) {
+        const { periodogram, rotation, ...rest } = variability;
+        const { periods, power, sinusoid, ...peak } = periodogram;
+        return {
+            ...rest,
+            periodogram: peak,
+            rotation: rotation ? { period: rotation.period, peakHeight: rotation.peakHeight } : null
+        };
+    },
+
+    /**
+     * Mean-bin consecutive samples down to at most maxPoints
+     */
+    downsample(time, flux, maxPoints) {
+        const points = [];
+        for (let i = 0; i < time.length; i++) {
+            if (Number.isFinite(time[i]) && Number.isFinite(flux[i])) points.push(i);
+        }
+
+        const step = Math.max(1, Math.ceil(points.length / maxPoints));
+        const t = [];
+        const f = [];
+        for (let start = 0; start < points.length; start += step) {
+            const chunk = points.slice(start, start + step);
+            t.push(this.round(chunk.reduce((sum, i) => sum + time[i], 0) / chunk.length, 10));
+            f.push(this.round(chunk.reduce((sum, i) => sum + flux[i], 0) / chunk.length, 7));
+        }
+        return { time: t, flux: f, binning: step };
+    },
+
+    round(value, digits) {
+        return Number.isFinite(value) ? Number(value.toPrecision(digits)) : null;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisStore;
+}
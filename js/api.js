@@ -69,12 +69,22 @@ const LarunAPI = {
    * @param {object} options - Additional options
    */
   async analyzeBLS(ticId, options = {}) {
-    return this.request('POST', '/analyze/bls', {
-      tic_id: ticId,
-      period_min: options.periodMin || 0.5,
-      period_max: options.periodMax || 15.0,
-      ...options
-    });
+    try {
+      return await this.request('POST', '/analyze/bls', {
+        tic_id: ticId,
+        period_min: options.periodMin || 0.5,
+        period_max: options.periodMax || 15.0,
+        ...options
+      });
+    } catch (error) {
+      // Backend unavailable - run the same search in the browser
+      if (typeof BLSService === 'undefined' || typeof MASTService === 'undefined') throw error;
+      const lightCurve = await MASTService.getLightCurve(ticId);
+      return BLSService.search(lightCurve, {
+        periodMin: options.periodMin || 0.5,
+        periodMax: options.periodMax || 15.0
+      });
+    }
   },
 
   /**
@@ -84,12 +94,28 @@ const LarunAPI = {
    * @param {number} t0 - Transit mid-time (BJD)
    */
   async fitTransit(ticId, period, t0, options = {}) {
-    return this.request('POST', '/analyze/fit', {
-      tic_id: ticId,
-      period,
-      t0,
-      ...options
-    });
+    try {
+      return await this.request('POST', '/analyze/fit', {
+        tic_id: ticId,
+        period,
+        t0,
+        ...options
+      });
+    } catch (error) {
+      // Backend unavailable - fit the Mandel-Agol model in the browser
+      if (typeof TransitFitService === 'undefined' || typeof BLSService === 'undefined' ||
+          typeof MASTService === 'undefined') throw error;
+
+      const lightCurve = await MASTService.getLightCurve(ticId);
+      // Light curve times are relative to the mission reference (e.g. BTJD = BJD - 2457000)
+      const reference = lightCurve.metadata?.timeReference || 0;
+      const localT0 = reference && t0 > reference ? t0 - reference : t0;
+
+      // BLS at the requested period supplies the depth and duration seed
+      const bls = BLSService.search(lightCurve, { periods: [period] });
+      const result = TransitFitService.fit(lightCurve, { ...bls, period, t0: localT0 }, { ...options, ticId });
+      return { ...result, t0: result.t0 + (localT0 !== t0 ? reference : 0) };
+    }
   },
 
   /**
@@ -111,9 +137,15 @@ const LarunAPI = {
    * @param {string} ticId - TIC identifier
    */
   async classifyStar(ticId) {
-    return this.request('POST', '/stellar/classify', {
-      tic_id: ticId
-    });
+    try {
+      return await this.request('POST', '/stellar/classify', {
+        tic_id: ticId
+      });
+    } catch (error) {
+      // Backend unavailable - classify from TIC parameters in the browser
+      if (typeof StellarService === 'undefined') throw error;
+      return StellarService.classifyStar(ticId);
+    }
   },
 
   /**
@@ -121,7 +153,13 @@ const LarunAPI = {
    * @param {string} ticId - TIC identifier
    */
   async getStellarParams(ticId) {
-    return this.request('GET', `/stellar/${ticId}`);
+    try {
+      return await this.request('GET', `/stellar/${ticId}`);
+    } catch (error) {
+      // Backend unavailable - query the TIC and fill gaps in the browser
+      if (typeof StellarService === 'undefined') throw error;
+      return StellarService.getParams(ticId);
+    }
   },
 
   // ============================================
@@ -133,7 +171,13 @@ const LarunAPI = {
    * @param {object} params - Transit and stellar parameters
    */
   async estimatePlanetRadius(params) {
-    return this.request('POST', '/planet/radius', params);
+    try {
+      return await this.request('POST', '/planet/radius', params);
+    } catch (error) {
+      // Backend unavailable - compute from the transit and stellar parameters in the browser
+      if (typeof PlanetCharacterization === 'undefined') throw error;
+      return PlanetCharacterization.estimateRadius(params);
+    }
   },
 
   /**
@@ -141,7 +185,13 @@ const LarunAPI = {
    * @param {object} params - Stellar and orbital parameters
    */
   async checkHabitableZone(params) {
-    return this.request('POST', '/planet/hz', params);
+    try {
+      return await this.request('POST', '/planet/hz', params);
+    } catch (error) {
+      // Backend unavailable - Kopparapu limits and irradiation computed in the browser
+      if (typeof PlanetCharacterization === 'undefined') throw error;
+      return PlanetCharacterization.checkHabitableZone(params);
+    }
   },
 
   // ============================================
@@ -163,12 +213,22 @@ const LarunAPI = {
 
   /**
    * Generate analysis report
-   * @param {string} analysisId - Previous analysis ID
+   * @param {string} analysisId - Previous analysis ID (AnalysisStore id in the browser)
+   * @param {object} options - {format: 'html'|'pdf'|'latex'|'json', title, notes, sections}
    */
-  async generateReport(analysisId) {
-    return this.request('POST', '/pipeline/report', {
-      analysis_id: analysisId
-    });
+  async generateReport(analysisId, options = {}) {
+    try {
+      return await this.request('POST', '/pipeline/report', {
+        analysis_id: analysisId,
+        ...options
+      });
+    } catch (error) {
+      // Backend unavailable - build the report in the browser from the stored analysis
+      if (typeof ReportService === 'undefined' || typeof AnalysisStore === 'undefined') throw error;
+      const analysis = AnalysisStore.get(analysisId);
+      if (!analysis) throw new Error(`Unknown analysis: ${analysisId}`);
+      return ReportService.build(analysis, options);
+    }
   },
 
   // ============================================
@@ -187,7 +187,8 @@ const App = {
       chatStreaming: false, // Enable when API supports streaming
       fileUpload: true,
       reports: true,
-      ttv: false // Coming soon
+      // Transit timing runs in the browser (TTVService) for tiers that include it
+      ttv: typeof TTVService !== 'undefined' && typeof Auth !== 'undefined' && Auth.canUseFeature('ttv')
     };
 
     return enabledFeatures[feature] ?? false;
@@ -0,0 +1,261 @@
+/**
+ * Batch Runner
+ * Runs a list of items through an async worker with bounded concurrency, and can pause,
+ * resume and cancel. Also parses the target lists and scripts the web terminal accepts.
+ */
+
+const BatchRunner = {
+    config: {
+        concurrency: 1,
+        maxConcurrency: 8
+    },
+
+    nextJobId: 1,
+
+    /**
+     * Start a batch job
+     * @param {Array} items - Work items (targets, script lines, ...)
+     * @param {function} worker - async (item, index, job) => result; a throw marks the item failed
+     * @param {object} options - {concurrency, continueOnError, onStart(entry, job), onItem(entry, job), onDone(job)}
+     * @returns {object} Job with entries, counts(), pause(), resume(), cancel() and a done promise
+     */
+    start(items, worker, options = {}) {
+        const concurrency = Math.min(Math.max(parseInt(options.concurrency, 10) || this.config.concurrency, 1), this.config.maxConcurrency);
+        const continueOnError = !!options.continueOnError;
+        let next = 0;
+        let active = 0;
+        let finished = false;
+        let resolveDone;
+
+        const job = {
+            id: this.nextJobId++,
+            state: 'running',
+            concurrency,
+            continueOnError,
+            startedAt: Date.now(),
+            finishedAt: null,
+            entries: items.map((item, index) => ({
+                index,
+                item,
+                status: 'pending',
+                result: null,
+                error: null,
+                elapsed: null
+            })),
+            done: new Promise(resolve => { resolveDone = resolve; }),
+
+            // Stop launching items; running ones finish
+            pause() {
+                if (job.state !== 'running') return false;
+                job.state = 'paused';
+                return true;
+            },
+
+            resume() {
+                if (job.state !== 'paused') return false;
+                job.state = 'running';
+                pump();
+                return true;
+            },
+
+            // Drop every item not yet started; running ones finish and keep their results
+            cancel() {
+                if (job.state !== 'running' && job.state !== 'paused') return false;
+                job.state = 'cancelled';
+                skipPending('cancelled');
+                pump();
+                return true;
+            },
+
+            counts() {
+                const counts = { total: job.entries.length, pending: 0, running: 0, ok: 0, error: 0, cancelled: 0, skipped: 0 };
+                job.entries.forEach(entry => { counts[entry.status]++; });
+                return counts;
+            }
+        };
+
+        const skipPending = (status) => {
+            job.entries.forEach(entry => {
+                if (entry.status === 'pending') entry.status = status;
+            });
+            next = job.entries.length;
+        };
+
+        const finish = () => {
+            if (finished) return;
+            finished = true;
+            if (job.state === 'running' || job.state === 'paused') job.state = 'completed';
+            job.finishedAt = Date.now();
+            if (options.onDone) options.onDone(job);
+            resolveDone(job);
+        };
+
+        const launch = (entry) => {
+            entry.status = 'running';
+            active++;
+            const started = performance.now();
+            if (options.onStart) options.onStart(entry, job);
+
+            Promise.resolve()
+                .then(() => worker(entry.item, entry.index, job))
+                .then(result => {
+                    entry.status = 'ok';
+                    entry.result = result;
+                }, error => {
+                    entry.status = 'error';
+                    entry.error = error?.message || String(error);
+                    // Without --continue-on-error the first failure stops the batch
+                    if (!continueOnError && (job.state === 'running' || job.state === 'paused')) {
+                        job.state = 'failed';
+                        skipPending('skipped');
+                    }
+                })
+                .then(() => {
+                    entry.elapsed = performance.now() - started;
+                    active--;
+                    if (options.onItem) options.onItem(entry, job);
+                    pump();
+                });
+        };
+
+        const pump = () => {
+            while (job.state === 'running' && active < concurrency && next < job.entries.length) {
+                launch(job.entries[next++]);
+            }
+            if (active === 0 && next >= job.entries.length) finish();
+        };
+
+        // Start on the next tick so callers can attach to the job first
+        setTimeout(pump, 0);
+        return job;
+    },
+
+    /**
+     * Whether pasted text is a script (lines of commands) rather than a target list
+     * @param {string} text
+     * @param {string[]} commandNames - Known command names
+     */
+    isScript(text, commandNames) {
+        return this.splitLines(text).some(line => {
+            const words = line.split(/\s+/);
+            const command = words[0] === 'larun' ? words[1] : words[0];
+            return commandNames.includes(command);
+        });
+    },
+
+    /**
+     * Script lines with blank lines and # comments removed
+     */
+    parseScript(text) {
+        return this.splitLines(text);
+    },
+
+    /**
+     * Parse a target list: one target per line ("TIC 307210830", "307210830", "TOI-1234.01"),
+     * comma-separated targets, or a CSV/TSV with a TIC ID column (ExoFOP TOI exports)
+     * @returns {object[]} [{tic, toi}] in list order, duplicates removed; tic is null when
+     *                     only a TOI was given
+     */
+    parseTargetList(text) {
+        const lines = this.splitLines(text);
+        if (lines.length === 0) return [];
+
+        const targets = [];
+        const seen = new Set();
+        const add = (tic, toi) => {
+            const key = tic || toi;
+            if (!key || seen.has(key)) return;
+            seen.add(key);
+            targets.push({ tic, toi });
+        };
+
+        // Delimited file with a header row: a TIC or TOI column name whose cell in the next row
+        // is an identifier (ExoFOP TOI headers also have digits, e.g. "SG1A" and "log(g) (cm/s^2)")
+        const delimiter = lines[0].includes('\t') ? '\t' : ',';
+        const header = this.splitRow(lines[0], delimiter).map(h => h.toLowerCase().replace(/[^a-z0-9]/g, ''));
+        const ticColumn = header.findIndex(h => ['tic', 'ticid', 'tid'].includes(h));
+        const toiColumn = header.findIndex(h => h === 'toi');
+        const firstRow = lines.length > 1 ? this.splitRow(lines[1], delimiter) : [];
+        const hasHeader = ticColumn !== -1
+            ? lines.length === 1 || this.normalizeTic(firstRow[ticColumn]) !== null
+            : toiColumn !== -1 && (lines.length === 1 || this.normalizeToi(firstRow[toiColumn]) !== null);
+        if (hasHeader) {
+            lines.slice(1).forEach(line => {
+                const row = this.splitRow(line, delimiter);
+                const tic = ticColumn !== -1 ? this.normalizeTic(row[ticColumn]) : null;
+                const toi = toiColumn !== -1 ? this.normalizeToi(row[toiColumn]) : null;
+                add(tic, toi);
+            });
+            return targets;
+        }
+
+        // Free-form list
+        lines.forEach(line => {
+            line.split(/[,;\t]/).map(s => s.trim()).filter(Boolean).forEach(token => {
+                const toi = token.match(/^TOI[\s-]*(\d+(?:\.\d+)?)$/i);
+                if (toi) {
+                    add(null, `TOI-${toi[1]}`);
+                    return;
+                }
+                const tic = this.normalizeTic(token);
+                if (tic) add(tic, null);
+            });
+        });
+        return targets;
+    },
+
+    /**
+     * "TIC 307210830", "TIC-307210830" and "307210830" become "TIC 307210830"; anything else null
+     */
+    normalizeTic(value) {
+        const match = String(value || '').trim().match(/^(?:TIC[\s-]*)?(\d+)$/i);
+        return match ? `TIC ${match[1]}` : null;
+    },
+
+    /**
+     * "TOI-1234.01", "TOI 1234.01" and "1234.01" become "TOI-1234.01"; anything else null
+     */
+    normalizeToi(value) {
+        const match = String(value || '').trim().match(/^(?:TOI[\s-]*)?(\d+(?:\.\d+)?)$/i);
+        return match ? `TOI-${match[1]}` : null;
+    },
+
+    splitLines(text) {
+        return String(text || '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+    },
+
+    /**
+     * Split one delimited row, honouring double-quoted fields
+     */
+    splitRow(line, delimiter) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            if (c === '"') {
+                if (quoted && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    quoted = !quoted;
+                }
+            } else if (c === delimiter && !quoted) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += c;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchRunner;
+}
@@ -0,0 +1,434 @@
+/**
+ * BLS Periodogram Service
+ * Box Least Squares transit search (Kovács, Zucker & Mazeh 2002) that runs
+ * on the {time, flux, error} arrays returned by MASTService.getLightCurve
+ */
+
+const BLSService = {
+    // Search configuration (period limits match LarunAPI.analyzeBLS defaults)
+    config: {
+        periodMin: 0.5,
+        periodMax: 15.0,
+        // Trial transit durations in days (~30 min to ~8 h)
+        durations: [0.02, 0.03, 0.04, 0.05, 0.0625, 0.08, 0.1, 0.125, 0.16, 0.2, 0.25, 0.33],
+        oversample: 3,
+        maxPeriods: 20000,
+        maxDutyCycle: 0.12,
+        minTransits: 2,
+        sdeThreshold: 7.0,
+        // Iterative (multi-planet) search
+        maxSignals: 5,
+        // Masked window around each found transit, in transit durations (wide enough that the
+        // ingress and egress left by an underestimated BLS duration are masked too)
+        maskFactor: 3,
+        // Fractional distance from an integer period ratio (including 1) for an alias
+        aliasTolerance: 0.005,
+        maxAliasHarmonic: 4,
+        // Fractional distance from a p:q ratio for a near-resonance
+        resonanceTolerance: 0.02,
+        resonances: [[2, 1], [3, 2], [4, 3], [5, 4], [3, 1], [5, 3], [7, 5]]
+    },
+
+    /**
+     * Run a BLS search on a light curve
+     * @param {object} lightCurve - {time, flux, error} arrays (error optional)
+     * @param {object} options - Overrides for config (periodMin, periodMax, durations, ...)
+     */
+    search(lightCurve, options = {}) {
+        const opts = { ...this.config, ...options };
+        const startTime = typeof performance !== 'undefined' ? performance.now() : Date.now();
+
+        const data = this.prepare(lightCurve);
+        if (data.time.length < 10) {
+            throw new Error('Not enough valid data points for BLS search');
+        }
+
+        const baseline = data.time[data.time.length - 1] - data.time[0];
+        const periods = options.periods || this.buildPeriodGrid(baseline, opts);
+        if (periods.length === 0) {
+            throw new Error(`Light curve baseline (${baseline.toFixed(2)} d) too short for period range`);
+        }
+
+        const durations = [...opts.durations].sort((a, b) => a - b);
+        const power = new Array(periods.length);
+        let best = null;
+
+        for (let i = 0; i < periods.length; i++) {
+            const trial = this.evaluatePeriod(data, periods[i], durations, opts.maxDutyCycle);
+            power[i] = trial ? trial.power : 0;
+
+            if (trial && (!best || trial.power > best.power)) {
+                best = { ...trial, period: periods[i], index: i };
+            }
+        }
+
+        if (!best) {
+            throw new Error('BLS search found no transit-like signal');
+        }
+
+        const sde = this.computeSDE(power, best.power);
+        const t0 = data.time[0] + best.phase;
+        const transitCount = this.countTransits(data.time, best.period, t0, best.duration);
+        const endTime = typeof performance !== 'undefined' ? performance.now() : Date.now();
+
+        return {
+            period: best.period,
+            t0,
+            depth: best.depth,
+            depthError: best.depthError,
+            duration: best.duration,
+            snr: best.depthError > 0 ? best.depth / best.depthError : 0,
+            sde,
+            power: best.power,
+            transitCount,
+            detected: sde >= opts.sdeThreshold && transitCount >= opts.minTransits,
+            spectrum: {
+                periods,
+                power
+            },
+            stats: {
+                numPoints: data.time.length,
+                timeStart: data.time[0],
+                baseline,
+                periodsTested: periods.length,
+                durationsTested: durations.length,
+                searchTime: endTime - startTime
+            }
+        };
+    },
+
+    /**
+     * Iterative search for multiple signals: find the strongest signal, mask its
+     * transits, search the rest and repeat until a search falls below the detection
+     * threshold (or options.maxSignals signals are found)
+     * @param {object} lightCurve - {time, flux, error} arrays (error optional)
+     * @param {object} options - search() overrides plus maxSignals, maskFactor and
+     *                           initial (an already computed search() result to start from)
+     * @returns {object} {candidates, final, stopReason, iterations, maskedPoints, searchTime}
+     *                   candidates are the detected signals in order, each with index,
+     *                   relations to earlier signals, alias and resonance;
+     *                   final is the search that ended the loop (null when maxSignals stopped it);
+     *                   stopReason is 'threshold', 'max-signals' or 'exhausted'
+     */
+    searchIterative(lightCurve, options = {}) {
+        const { initial = null, ...overrides } = options;
+        const opts = { ...this.config, ...overrides };
+        const startTime = typeof performance !== 'undefined' ? performance.now() : Date.now();
+
+        const candidates = [];
+        let current = lightCurve;
+        let final = null;
+        let stopReason = 'max-signals';
+        let iterations = 0;
+
+        while (candidates.length < opts.maxSignals) {
+            let result;
+            try {
+                result = iterations === 0 && initial ? initial : this.search(current, overrides);
+            } catch (error) {
+                // Masking can leave too few points (or no dip) for another search
+                if (iterations === 0) throw error;
+                stopReason = 'exhausted';
+                break;
+            }
+            iterations++;
+
+            if (!result.detected) {
+                final = result;
+                stopReason = 'threshold';
+                break;
+            }
+
+            const relations = candidates.map(earlier => this.compareSignals(result, earlier, opts));
+            const alias = relations.find(r => r.alias);
+            const resonance = relations.find(r => r.resonance && !r.alias);
+            candidates.push({
+                ...result,
+                index: candidates.length + 1,
+                relations,
+                alias: alias ? alias.index : null,
+                resonance: resonance ? { index: resonance.index, ...resonance.resonance } : null
+            });
+
+            current = this.maskSignal(current, result, opts.maskFactor);
+        }
+
+        const endTime = typeof performance !== 'undefined' ? performance.now() : Date.now();
+        return {
+            candidates,
+            final,
+            stopReason,
+            iterations,
+            sdeThreshold: opts.sdeThreshold,
+            maskedPoints: lightCurve.time.length - current.time.length,
+            searchTime: endTime - startTime
+        };
+    },
+
+    /**
+     * Copy of a light curve without the in-transit points of a signal
+     * (window of maskFactor transit durations)
+     */
+    maskSignal(lightCurve, signal, maskFactor = this.config.maskFactor) {
+        const mask = this.transitMask(lightCurve.time, signal.period, signal.t0, signal.duration * maskFactor);
+        const keep = (values) => values ? Array.from(values).filter((_, i) => !mask[i]) : values;
+        return {
+            ...lightCurve,
+            time: keep(lightCurve.time),
+            flux: keep(lightCurve.flux),
+            error: keep(lightCurve.error),
+            quality: keep(lightCurve.quality)
+        };
+    },
+
+    /**
+     * Relation of a signal to an earlier one: period ratio (longer over shorter), whether
+     * the signal has the longer period, alias (integer ratio, whatever the transit times),
+     * whether the transits coincide, and the nearest p:q resonance
+     */
+    compareSignals(signal, earlier, opts = this.config) {
+        const [short, long] = signal.period < earlier.period ? [signal, earlier] : [earlier, signal];
+        const ratio = long.period / short.period;
+
+        // An integer ratio is an alias even when the transits are offset: the same period at
+        // another phase is left-over power (or a secondary eclipse), not a separate planet
+        const harmonic = Math.round(ratio);
+        const alias = harmonic <= opts.maxAliasHarmonic && Math.abs(ratio / harmonic - 1) <= opts.aliasTolerance;
+        // Coinciding: every transit of the longer period falls on a transit of the shorter one
+        const cycles = (long.t0 - short.t0) / short.period;
+        const offset = Math.abs(cycles - Math.round(cycles)) * short.period;
+        const coincident = offset <= (short.duration + long.duration) / 2;
+
+        let resonance = null;
+        for (const [p, q] of opts.resonances) {
+            const delta = ratio / (p / q) - 1;
+            if (Math.abs(delta) <= opts.resonanceTolerance && (!resonance || Math.abs(delta) < Math.abs(resonance.delta))) {
+                resonance = { ratio: `${p}:${q}`, order: p - q, delta };
+            }
+        }
+
+        return { index: earlier.index, ratio, longer: signal.period > earlier.period, alias, harmonic: alias ? harmonic : null, coincident, resonance };
+    },
+
+    /**
+     * Short labels for a searchIterative candidate's alias and resonance flags
+     */
+    describeSignal(candidate) {
+        const labels = [];
+        if (candidate.alias !== null) {
+            const relation = candidate.relations.find(r => r.index === candidate.alias);
+            const label = relation.harmonic === 1
+                ? (relation.coincident ? `residual of #${candidate.alias}` : `same period as #${candidate.alias}`)
+                : `alias of #${candidate.alias} (${relation.longer ? `${relation.harmonic}P` : `P/${relation.harmonic}`})`;
+            labels.push(relation.coincident ? label : `${label}, offset transits`);
+        }
+        if (candidate.resonance) {
+            const { index, ratio, delta } = candidate.resonance;
+            labels.push(`near ${ratio} with #${index} (${delta >= 0 ? '+' : ''}${(delta * 100).toFixed(1)}%)`);
+        }
+        return labels;
+    },
+
+    /**
+     * Drop non-finite samples, sort by time, normalize flux to unit median and
+     * compute normalized inverse-variance weights
+     */
+    prepare(lightCurve) {
+        const { time = [], flux = [], error = null } = lightCurve;
+        const points = [];
+
+        for (let i = 0; i < time.length; i++) {
+            const t = time[i];
+            const f = flux[i];
+            const e = error ? error[i] : null;
+            if (!Number.isFinite(t) || !Number.isFinite(f)) continue;
+            points.push({ t, f, e: Number.isFinite(e) && e > 0 ? e : null });
+        }
+
+        points.sort((a, b) => a.t - b.t);
+
+        const sortedFlux = points.map(p => p.f).sort((a, b) => a - b);
+        const median = sortedFlux.length > 0 ? sortedFlux[Math.floor(sortedFlux.length / 2)] : 1;
+        const scale = median !== 0 ? Math.abs(median) : 1;
+
+        const n = points.length;
+        const time_ = new Float64Array(n);
+        const flux_ = new Float64Array(n);
+        const weight = new Float64Array(n);
+
+        // Without per-point errors every sample gets equal weight
+        let totalWeight = 0;
+        for (let i = 0; i < n; i++) {
+            time_[i] = points[i].t;
+            flux_[i] = points[i].f / scale;
+            const sigma = points[i].e !== null ? points[i].e / scale : 1;
+            weight[i] = 1 / (sigma * sigma);
+            totalWeight += weight[i];
+        }
+
+        let mean = 0;
+        for (let i = 0; i < n; i++) {
+            weight[i] /= totalWeight;
+            mean += weight[i] * flux_[i];
+        }
+
+        const residual = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            residual[i] = flux_[i] - mean;
+        }
+
+        return {
+            time: time_,
+            flux: flux_,
+            residual,
+            weight,
+            totalWeight: points.some(p => p.e !== null) ? totalWeight : n / this.estimateVariance(flux_, mean)
+        };
+    },
+
+    /**
+     * Sample variance, used to scale equal weights when no errors are given
+     */
+    estimateVariance(values, mean) {
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += (values[i] - mean) * (values[i] - mean);
+        }
+        return Math.max(sum / Math.max(values.length - 1, 1), 1e-12);
+    },
+
+    /**
+     * Build a trial period grid, uniform in log-frequency so the accumulated
+     * phase drift across the baseline stays below the shortest duration
+     */
+    buildPeriodGrid(baseline, opts = this.config) {
+        const minDuration = Math.min(...opts.durations);
+        const periodMax = Math.min(opts.periodMax, baseline / Math.max(opts.minTransits - 1, 1));
+        const periodMin = Math.max(opts.periodMin, minDuration / opts.maxDutyCycle);
+        if (!(periodMax > periodMin)) return [];
+
+        const fMin = 1 / periodMax;
+        const fMax = 1 / periodMin;
+        let step = minDuration / (opts.oversample * baseline);
+        const count = Math.log(fMax / fMin) / step;
+
+        // Coarsen the grid rather than exceed the period budget
+        if (count > opts.maxPeriods) {
+            step = Math.log(fMax / fMin) / opts.maxPeriods;
+        }
+
+        const periods = [];
+        for (let f = fMax; f >= fMin; f *= (1 - step)) {
+            periods.push(1 / f);
+        }
+        return periods;
+    },
+
+    /**
+     * Evaluate the best box for one trial period
+     * Returns the maximum signal residue over all phases and durations
+     */
+    evaluatePeriod(data, period, durations, maxDutyCycle) {
+        const usable = durations.filter(d => d <= period * maxDutyCycle);
+        if (usable.length === 0) return null;
+
+        // Bins of half the shortest duration keep the phase resolution honest
+        const nBins = Math.max(Math.ceil(period / (usable[0] / 2)), 8);
+        const binWidth = period / nBins;
+        const binWeight = new Float64Array(nBins);
+        const binSignal = new Float64Array(nBins);
+        const t0 = data.time[0];
+
+        for (let i = 0; i < data.time.length; i++) {
+            let phase = (data.time[i] - t0) % period;
+            if (phase < 0) phase += period;
+            const bin = Math.min(Math.floor(phase / binWidth), nBins - 1);
+            binWeight[bin] += data.weight[i];
+            binSignal[bin] += data.weight[i] * data.residual[i];
+        }
+
+        // Cumulative sums over two cycles so windows can wrap around phase 0
+        const cumWeight = new Float64Array(2 * nBins + 1);
+        const cumSignal = new Float64Array(2 * nBins + 1);
+        for (let i = 0; i < 2 * nBins; i++) {
+            cumWeight[i + 1] = cumWeight[i] + binWeight[i % nBins];
+            cumSignal[i + 1] = cumSignal[i] + binSignal[i % nBins];
+        }
+
+        let best = null;
+        for (const duration of usable) {
+            const width = Math.max(1, Math.round(duration / binWidth));
+
+            for (let start = 0; start < nBins; start++) {
+                const r = cumWeight[start + width] - cumWeight[start];
+                if (r <= 0 || r >= 1) continue;
+
+                const s = cumSignal[start + width] - cumSignal[start];
+                // Only dips count as transits
+                if (s >= 0) continue;
+
+                const power = (s * s) / (r * (1 - r));
+                if (!best || power > best.power) {
+                    best = { power, r, s, start, width };
+                }
+            }
+        }
+
+        if (!best) return null;
+
+        const duration = best.width * binWidth;
+        const depth = -best.s / (best.r * (1 - best.r));
+        const inWeight = best.r * data.totalWeight;
+        const outWeight = (1 - best.r) * data.totalWeight;
+        const depthError = Math.sqrt(1 / inWeight + 1 / outWeight);
+
+        return {
+            power: best.power,
+            depth,
+            depthError,
+            duration,
+            phase: ((best.start + best.width / 2) * binWidth) % period
+        };
+    },
+
+    /**
+     * Signal Detection Efficiency of a peak relative to the whole spectrum
+     */
+    computeSDE(power, peak) {
+        const n = power.length;
+        if (n < 2) return 0;
+
+        const mean = power.reduce((a, b) => a + b, 0) / n;
+        const std = Math.sqrt(power.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / n);
+        return std > 0 ? (peak - mean) / std : 0;
+    },
+
+    /**
+     * Count distinct epochs that have at least one in-transit sample
+     */
+    countTransits(time, period, t0, duration) {
+        const epochs = new Set();
+        for (let i = 0; i < time.length; i++) {
+            const epoch = Math.round((time[i] - t0) / period);
+            if (Math.abs(time[i] - t0 - epoch * period) <= duration / 2) {
+                epochs.add(epoch);
+            }
+        }
+        return epochs.size;
+    },
+
+    /**
+     * Boolean in-transit mask for a given ephemeris
+     */
+    transitMask(time, period, t0, duration) {
+        return Array.from(time, t => {
+            const offset = ((t - t0) % period + period * 1.5) % period - period / 2;
+            return Math.abs(offset) <= duration / 2;
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BLSService;
+}
@@ -0,0 +1,322 @@
+/**
+ * Calibration Service
+ * Injection-recovery calibration of the detection pipeline: injects synthetic transits over a
+ * grid of depths, periods and noise levels, runs clean → BLS → classify on every light curve
+ * and measures the recovery rate, false alarm rate and per-class confusion matrix of the
+ * active ModelService model. Null trials (no injection) measure the false alarm rate.
+ */
+
+const CalibrationService = {
+    config: {
+        // Injection grid (depth in ppm, period in days, white noise in ppm per cadence)
+        presets: {
+            quick: { depths: [300, 1000, 5000], periods: [1.7, 6.3], noise: [300, 1000], nullTrials: 2 },
+            full: { depths: [100, 300, 1000, 3000, 10000], periods: [1.3, 3.7, 8.2, 12.5], noise: [200, 600, 1500], nullTrials: 4 }
+        },
+        // Synthetic base light curve: one TESS sector at 10-minute cadence
+        baseline: 27.0,
+        cadence: 10 / 1440,
+        // Slow stellar variability so the detrending is exercised (fractional amplitude, period in days)
+        variability: { amplitude: 0.002, period: 4.1 },
+        search: { periodMin: 0.5, periodMax: 15 },
+        // Recovered: detected with the period within this fraction of the injected one and
+        // mid-transit within half a duration of an injected transit
+        periodTolerance: 0.01,
+        // Period ratios counted as aliases (recovered at the wrong harmonic)
+        aliasRatios: [0.5, 2, 1 / 3, 3],
+        stellarRadius: 1.0,
+        seed: 'larun-calibration',
+        // Planet classes the injected radius and period map to (model class names)
+        classes: ['Hot Jupiter', 'Warm Neptune', 'Super-Earth', 'Mini-Neptune', 'Terrestrial', 'Gas Giant'],
+        earthRadiiPerSolar: 109.076
+    },
+
+    /**
+     * Build the trial list for a grid
+     * @param {object} grid - {depths, periods, noise, nullTrials}; a null noise level means the
+     *                        base light curve's own noise
+     * @returns {object[]} [{index, depth, period, noise, injected}]
+     */
+    buildTrials(grid) {
+        const trials = [];
+        grid.noise.forEach(ppm => {
+            const noise = ppm === null ? null : ppm * 1e-6;
+            grid.depths.forEach(depth => {
+                grid.periods.forEach(period => {
+                    trials.push({ index: trials.length, depth: depth * 1e-6, period, noise, injected: true });
+                });
+            });
+            for (let i = 0; i < grid.nullTrials; i++) {
+                trials.push({ index: trials.length, depth: 0, period: null, noise, injected: false });
+            }
+        });
+        return trials;
+    },
+
+    /**
+     * Run a calibration
+     * @param {object} options - {preset, grid, lightCurve (inject into a real light curve instead of
+     *                         synthetic noise; the noise grid is then ignored), onProgress(done, total, trial),
+     *                         shouldStop() => true to stop early}
+     * @returns {Promise<object>} Metrics and per-trial results (see summarize)
+     */
+    async run(options = {}) {
+        const grid = options.grid || this.config.presets[options.preset || 'quick'];
+        if (!grid) throw new Error(`Unknown calibration preset: ${options.preset}`);
+        if (typeof PreprocessService === 'undefined' || typeof BLSService === 'undefined') {
+            throw new Error('Calibration needs PreprocessService and BLSService');
+        }
+
+        const startTime = performance.now();
+        const base = options.lightCurve || null;
+        // A real light curve without injection is the same every time: one null trial is enough
+        const trials = this.buildTrials(base ? { ...grid, noise: [null], nullTrials: Math.min(grid.nullTrials, 1) } : grid);
+        const random = this.seededRandom(this.config.seed);
+        const results = [];
+        let stopped = false;
+
+        for (const trial of trials) {
+            if (options.shouldStop && options.shouldStop()) {
+                stopped = true;
+                break;
+            }
+
+            // Random phase per trial, so transits do not always land on the same cadences
+            trial.t0 = trial.injected ? (base ? base.time[0] : 0) + random() * trial.period : null;
+            trial.duration = trial.injected ? this.transitDuration(trial.period) : null;
+            trial.trueClass = trial.injected ? this.trueClass(trial.depth, trial.period) : null;
+
+            const lightCurve = base ? this.inject(base, trial) : this.inject(this.synthesize(trial.noise, random), trial);
+            results.push(await this.runTrial(lightCurve, trial));
+
+            if (options.onProgress) options.onProgress(results.length, trials.length, results[results.length - 1]);
+            // Let the page repaint between trials
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        const model = typeof ModelService !== 'undefined' ? ModelService.getInfo() : null;
+        return {
+            ...this.summarize(results),
+            grid: base ? { ...grid, noise: [] } : grid,
+            base: base ? (base.metadata?.ticId ? `TIC ${base.metadata.ticId}` : 'light curve') : 'synthetic',
+            model: model ? { id: model.id, version: model.version, mode: model.mode } : null,
+            stopped,
+            elapsed: performance.now() - startTime,
+            timestamp: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Run the detection pipeline on one light curve and score it against the injection
+     */
+    async runTrial(lightCurve, trial) {
+        const cleaned = PreprocessService.run(lightCurve);
+        const bls = BLSService.search(cleaned, this.config.search);
+
+        // The algorithmic baseline derives classes from the same radius boundaries as the
+        // injected labels, so only a trained model's classes are scored
+        let predictedClass = null;
+        if (bls.detected && typeof ModelService !== 'undefined' && ModelService.getInfo().mode === 'model') {
+            const prediction = await ModelService.predict(cleaned.flux, {
+                time: cleaned.time,
+                error: cleaned.error,
+                preprocess: false,
+                blsResult: bls,
+                stellar: { radius: this.config.stellarRadius }
+            });
+            predictedClass = prediction.topClass;
+        }
+
+        let outcome;
+        if (!trial.injected) {
+            outcome = bls.detected ? 'false-alarm' : 'quiet';
+        } else if (!bls.detected) {
+            outcome = 'missed';
+        } else if (this.matchesEphemeris(bls, trial)) {
+            outcome = 'recovered';
+        } else if (this.config.aliasRatios.some(r => Math.abs(bls.period / trial.period - r) / r < this.config.periodTolerance)) {
+            outcome = 'alias';
+        } else {
+            outcome = 'wrong-period';
+        }
+
+        return {
+            ...trial,
+            outcome,
+            recoveredPeriod: bls.period,
+            recoveredDepth: bls.depth,
+            sde: bls.sde,
+            predictedClass
+        };
+    },
+
+    /**
+     * Whether a BLS result matches the injected period and transit times
+     */
+    matchesEphemeris(bls, trial) {
+        if (Math.abs(bls.period - trial.period) / trial.period > this.config.periodTolerance) return false;
+        const offset = Math.abs(((bls.t0 - trial.t0) % trial.period + trial.period * 1.5) % trial.period - trial.period / 2);
+        return offset < Math.max(trial.duration / 2, bls.duration / 2);
+    },
+
+    /**
+     * Recovery rate, false alarm rate, detection precision/recall/F1, class confusion matrix
+     * and recovery broken down by depth, period and noise
+     */
+    summarize(results) {
+        const injected = results.filter(r => r.injected);
+        const nulls = results.filter(r => !r.injected);
+        const recovered = injected.filter(r => r.outcome === 'recovered');
+        // Detections that are not the injected signal (null-trial detections, wrong periods, aliases)
+        const spurious = results.filter(r => ['false-alarm', 'wrong-period', 'alias'].includes(r.outcome));
+        const falseAlarms = nulls.filter(r => r.outcome === 'false-alarm');
+
+        const recall = injected.length ? recovered.length / injected.length : 0;
+        const precision = recovered.length + spurious.length ? recovered.length / (recovered.length + spurious.length) : 0;
+        // Without a trained model (no classes predicted) only the detection is scored
+        const classified = recovered.some(r => r.predictedClass !== null);
+        const classCorrect = recovered.filter(r => r.predictedClass === r.trueClass).length;
+        // End to end: injections recovered (with the right class), null trials left quiet
+        const correct = (classified ? classCorrect : recovered.length) + nulls.filter(r => r.outcome === 'quiet').length;
+
+        return {
+            trials: results.length,
+            injections: injected.length,
+            nullTrials: nulls.length,
+            recoveryRate: recall * 100,
+            falseAlarmRate: nulls.length ? falseAlarms.length / nulls.length * 100 : 0,
+            precision: precision * 100,
+            recall: recall * 100,
+            f1Score: precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0,
+            classAccuracy: classified ? classCorrect / recovered.length * 100 : null,
+            accuracy: results.length ? correct / results.length * 100 : 0,
+            outcomes: results.reduce((counts, r) => ({ ...counts, [r.outcome]: (counts[r.outcome] || 0) + 1 }), {}),
+            confusion: classified ? this.confusionMatrix(injected) : null,
+            byDepth: this.recoveryBy(injected, r => Math.round(r.depth * 1e6)),
+            byPeriod: this.recoveryBy(injected, r => r.period),
+            byNoise: this.recoveryBy(injected, r => r.noise === null ? null : Math.round(r.noise * 1e6)),
+            results
+        };
+    },
+
+    /**
+     * Rows: injected class; columns: predicted class, plus "Missed" for injections that were
+     * not recovered
+     */
+    confusionMatrix(injected) {
+        const classes = this.config.classes;
+        const columns = [...classes, 'Missed'];
+        const matrix = classes.map(() => columns.map(() => 0));
+        injected.forEach(r => {
+            const row = classes.indexOf(r.trueClass);
+            if (row === -1) return;
+            const column = r.outcome === 'recovered' ? classes.indexOf(r.predictedClass) : columns.length - 1;
+            if (column !== -1) matrix[row][column]++;
+        });
+        return { rows: classes, columns, matrix };
+    },
+
+    recoveryBy(injected, key) {
+        const groups = new Map();
+        injected.forEach(r => {
+            const k = key(r);
+            if (!groups.has(k)) groups.set(k, { value: k, total: 0, recovered: 0 });
+            const group = groups.get(k);
+            group.total++;
+            if (r.outcome === 'recovered') group.recovered++;
+        });
+        return [...groups.values()].map(g => ({ ...g, rate: g.recovered / g.total * 100 }));
+    },
+
+    // ============================================
+    // Light curves
+    // ============================================
+
+    /**
+     * Synthetic sector: white noise plus slow sinusoidal variability
+     */
+    synthesize(noise, random) {
+        const { baseline, cadence, variability } = this.config;
+        const count = Math.round(baseline / cadence);
+        const phase = random() * 2 * Math.PI;
+        const time = new Array(count);
+        const flux = new Array(count);
+        const error = new Array(count).fill(noise);
+
+        for (let i = 0; i < count; i++) {
+            time[i] = i * cadence;
+            flux[i] = 1 + variability.amplitude * Math.sin(2 * Math.PI * time[i] / variability.period + phase) + noise * this.gaussian(random);
+        }
+        return { time, flux, error, quality: null, metadata: { synthetic: true, source: 'calibration' } };
+    },
+
+    /**
+     * Multiply a trapezoidal transit (ingress/egress 10% of the duration each) into a copy
+     * of the light curve
+     */
+    inject(lightCurve, trial) {
+        const flux = Array.from(lightCurve.flux);
+        if (trial.injected) {
+            const half = trial.duration / 2;
+            const ramp = trial.duration * 0.1;
+            for (let i = 0; i < flux.length; i++) {
+                const dt = Math.abs(((lightCurve.time[i] - trial.t0) % trial.period + trial.period * 1.5) % trial.period - trial.period / 2);
+                if (dt >= half) continue;
+                const shape = dt > half - ramp ? (half - dt) / ramp : 1;
+                flux[i] *= 1 - trial.depth * shape;
+            }
+        }
+        return { ...lightCurve, flux };
+    },
+
+    /**
+     * Central-transit duration (days) around a Sun-like star: 13 h × (P / 1 yr)^(1/3)
+     */
+    transitDuration(period) {
+        return 13 / 24 * Math.pow(period / 365.25, 1 / 3);
+    },
+
+    /**
+     * Class of an injected planet from its radius (depth and stellar radius) and period,
+     * using the boundaries listed in the detect tool
+     */
+    trueClass(depth, period) {
+        return this.classFromRadius(Math.sqrt(depth) * this.config.stellarRadius * this.config.earthRadiiPerSolar, period);
+    },
+
+    /**
+     * Class of a planet from its radius (Earth radii) and period (days)
+     */
+    classFromRadius(radius, period) {
+        return PlanetCharacterization.classLabel(radius, period);
+    },
+
+    /**
+     * Deterministic uniform generator (mulberry32 seeded with an FNV-1a hash of the key)
+     */
+    seededRandom(key) {
+        let state = 2166136261;
+        for (const char of String(key)) {
+            state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+        }
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), state | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Standard normal deviate (Box-Muller)
+     */
+    gaussian(random) {
+        const u = 1 - random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalibrationService;
+}
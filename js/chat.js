@@ -9,6 +9,11 @@ const Chat = {
   currentConversation: null,
   messages: [],
   isLoading: false,
+  lightCurve: null,
+  // Most recent stored analysis (AnalysisStore record), for report requests
+  lastAnalysis: null,
+  // Most recent full analysis (raw light curve, cleaned, BLS), for saving as a .larun.json bundle
+  lastResult: null,
 
   // DOM Elements
   elements: {
@@ -168,6 +173,11 @@ const Chat = {
 
   // Process message (AI response via Supabase Edge Function)
   async processMessage(message) {
+    // Saving an analysis bundle is a local action
+    if (/\bsave\b/i.test(message) && /analysis|bundle|larun\.json/i.test(message)) {
+      return this.saveAnalysis();
+    }
+
     // Try to use API if available
     if (typeof LarunAPI !== 'undefined') {
       try {
@@ -189,11 +199,31 @@ const Chat = {
   getSimulatedResponse(message) {
     const lowerMessage = message.toLowerCase();
 
+    // Habitable zone, computed from the target's transit and host star
+    if (lowerMessage.includes('habitable') || /\bhz\b/.test(lowerMessage)) {
+      return this.habitableZone(message);
+    }
+
+    // Transit timing variations of the TIC in the message, or the latest analysis
+    if (/\bttvs?\b|timing variation/.test(lowerMessage)) {
+      return this.transitTiming(message);
+    }
+
+    // Iterative search for more signals in the TIC in the message, or the latest analysis
+    if (/multi-?planet|additional (planet|signal|candidate)|other (planet|signal)|more planets|\bkepler\b/.test(lowerMessage)) {
+      return this.multiPlanetSearch(message);
+    }
+
     // TIC/Target search
     if (lowerMessage.includes('tic') || lowerMessage.includes('search') || lowerMessage.includes('transit')) {
       const ticMatch = message.match(/TIC\s*(\d+)/i) || message.match(/(\d{6,})/);
       const ticId = ticMatch ? ticMatch[1] : '307210830';
 
+      // Run the search for real when the data services are loaded
+      if (ticMatch && typeof MASTService !== 'undefined' && typeof BLSService !== 'undefined') {
+        return this.analyzeTarget(`TIC ${ticId}`);
+      }
+
       return `I'll analyze TIC ${ticId} for transit signals.
 
 **Fetching Data**
@@ -218,90 +248,392 @@ The light curve shows a clear periodic signal consistent with a planetary transi
 3. Generate a full analysis report?`;
     }
 
-    // Habitable zone
-    if (lowerMessage.includes('habitable') || lowerMessage.includes('hz')) {
+    // Report generation
+    if (lowerMessage.includes('report') || lowerMessage.includes('generate')) {
+      const analysis = this.lastAnalysis || (typeof AnalysisStore !== 'undefined' ? AnalysisStore.list()[0] : null);
+      if (!analysis) {
+        return `**Analysis Report**
+
+Reports are built from an analysis, so let's run one first. Ask me to search a target, e.g. "Search TIC 307210830 for transits", or open the [report builder](tools/reports.html) and enter the targets there.`;
+      }
+
+      return `**${analysis.target} Analysis Report**
+
+The report is built in your browser from your latest analysis and includes:
+
+1. **Summary** - detection status, period, depth and duration
+2. **Detection Results** - BLS periodogram with aliases marked
+3. **Light Curves** - full light curve and the phase-folded transit
+4. **Provenance** - data source, preprocessing steps and search grid
+
+📄 [Download Report (PDF)](${this.reportLink(analysis, 'pdf')})
+🌐 [HTML report](${this.reportLink(analysis, 'html')}) · [AASTeX table](${this.reportLink(analysis, 'latex')})
+
+Vet the candidate in Larun. Vetting to add the vetting section to the report.`;
+    }
+
+    // Default response
+    return `I understand you're asking about: "${message}"
+
+I can help you with:
+- **Transit Search**: "Search for transits in TIC 307210830"
+- **Multi-planet Search**: "Search TIC 307210830 for additional planets"
+- **Habitability Check**: "Is TIC 307210830 in the habitable zone?"
+- **Report Generation**: "Generate a report for my candidate"
+
+What would you like to explore?`;
+  },
+
+  // ============================================
+  // Light Curve Files
+  // ============================================
+
+  // Parse an uploaded light curve in the browser; returns null for unsupported formats
+  async loadLightCurveFile(file) {
+    const name = file.name.toLowerCase();
+
+    if (typeof FITSReader !== 'undefined' && /\.(fits?|fts)$/.test(name)) {
+      return FITSReader.readFile(file);
+    }
+
+    if (typeof CSVReader !== 'undefined' && /\.(csv|txt|dat|tsv|tbl)$/.test(name)) {
+      return CSVReader.readFile(file);
+    }
+
+    return null;
+  },
+
+  // Fetch a target's light curve and run a BLS search, reporting where the data came from
+  async analyzeTarget(ticId) {
+    const lightCurve = await MASTService.getLightCurve(ticId);
+    const cleaned = typeof PreprocessService !== 'undefined' ? PreprocessService.run(lightCurve) : lightCurve;
+    const bls = BLSService.search(cleaned);
+    const warning = lightCurve.provenance === 'synthetic'
+      ? '\n\n> **Synthetic data:** MAST was unavailable, so these numbers come from generated stand-in data and are not a real detection.'
+      : '';
+
+    // Keep the analysis so a report can be built from it
+    let report = '';
+    if (typeof AnalysisStore !== 'undefined') {
+      this.lastAnalysis = AnalysisStore.record({ target: ticId, lightCurve, cleaned, bls });
+      report = `\n\n📄 [Download Report (PDF)](${this.reportLink(this.lastAnalysis, 'pdf')})`;
+    }
+    this.lastResult = { target: ticId, lightCurve, cleaned, bls, analysisId: this.lastAnalysis?.id || null };
+
+    return `**${ticId} Analysis**
+
+| Parameter | Value |
+|-----------|-------|
+| Data | ${MASTService.describeSource(lightCurve)} |
+| Provenance | ${MASTService.describeProvenance(lightCurve)} |
+| Data Points | ${lightCurve.time.length.toLocaleString()} |
+| Period | ${bls.period.toFixed(4)} days |
+| T₀ | ${bls.t0.toFixed(4)} |
+| Depth | ${Math.round(bls.depth * 1e6).toLocaleString()} ppm |
+| Duration | ${(bls.duration * 24).toFixed(2)} hours |
+| SDE | ${bls.sde.toFixed(1)} |
+
+${bls.detected ? '✓ Significant periodic transit-like signal found.' : 'No significant transit signal above the detection threshold.'}${warning}${report}`;
+  },
+
+  // Habitable zone answer for the TIC in the message, or the latest analysis
+  async habitableZone(message) {
+    const ticMatch = message.match(/TIC\s*(\d+)/i);
+    const target = ticMatch ? `TIC ${ticMatch[1]}` : this.lastResult?.target;
+
+    if (!target || typeof PlanetCharacterization === 'undefined' || typeof StellarService === 'undefined') {
       return `**Habitable Zone Analysis**
 
-Based on the stellar parameters:
-- Stellar Teff: 3,480 K (M dwarf)
-- Stellar Luminosity: 0.023 L☉
-- Planet Semi-major axis: 0.163 AU
+The habitable zone check works from a transit signal and its host star. Name a TESS target by its TIC number, e.g. "Is the planet around TIC 307210830 in the habitable zone?", or search a target first and then ask about its habitable zone.`;
+    }
+
+    if (this.lastResult?.target !== target) {
+      await this.analyzeTarget(target);
+    }
+    const { bls, fit } = this.lastResult;
+
+    let stellar;
+    try {
+      stellar = await StellarService.getParams(target);
+    } catch (error) {
+      return `**${target} Habitable Zone**\n\nI couldn't get the host star's parameters: ${error.message}`;
+    }
+
+    const planet = PlanetCharacterization.characterize(fit || bls, stellar);
+    const hz = planet.habitableZone;
+    const pm = (value, error, digits) => `${value.toFixed(digits)}${error !== null ? ` ± ${error.toFixed(digits)}` : ''}`;
+    const verdict = !hz ? 'Unknown: the host star has no effective temperature'
+      : !hz.zone ? 'Unknown: the orbital distance needs the stellar mass'
+      : hz.zone === 'conservative' ? '✓ Within the conservative habitable zone'
+      : hz.zone === 'optimistic' ? '✓ Within the optimistic habitable zone only'
+      : hz.zone === 'too hot' ? '✗ Inside the inner edge (too hot)'
+      : '✗ Beyond the outer edge (too cold)';
+    const caveats = [
+      bls.detected ? '' : `> **Weak signal:** the BLS detection (SDE ${bls.sde.toFixed(1)}) is below the threshold, so these numbers describe an unconfirmed signal.`,
+      this.lastResult.lightCurve?.provenance === 'synthetic' ? '> **Synthetic data:** MAST was unavailable, so the transit comes from generated stand-in data.' : '',
+      hz?.extrapolated ? '> The star\'s Teff is outside the 2,600-7,200 K range of the Kopparapu fits; the limits are extrapolated.' : ''
+    ].filter(Boolean).join('\n\n');
+
+    return `**${target} Habitable Zone**
+
+| Parameter | Value |
+|-----------|-------|
+| Host Star | ${stellar.spectralType || 'Unknown type'}, Teff ${stellar.teff ? Math.round(stellar.teff).toLocaleString() + ' K' : '-'} (${stellar.source}) |
+| Stellar Luminosity | ${stellar.luminosity !== null ? pm(stellar.luminosity, stellar.luminosityError, 3) + ' L☉' : '-'} |
+| Period | ${planet.period.toFixed(4)} days |
+| Planet Radius | ${pm(planet.radius, planet.radiusError, 2)} R⊕ (${planet.class}) |
+| Semi-major Axis | ${planet.semiMajorAxis !== null ? pm(planet.semiMajorAxis, planet.semiMajorAxisError, 4) + ' AU' : '-'} |
+| Insolation | ${planet.insolation !== null ? pm(planet.insolation, planet.insolationError, 2) + ' S⊕' : '-'} |
+${planet.equilibriumTemperature.map(t => `| Teq (albedo ${t.albedo}) | ${t.value !== null ? pm(t.value, t.error, 0) + ' K' : '-'} |`).join('\n')}
+${hz ? `| Conservative HZ | ${hz.conservative.inner.distance.toFixed(3)} - ${hz.conservative.outer.distance.toFixed(3)} AU |
+| Optimistic HZ | ${hz.optimistic.inner.distance.toFixed(3)} - ${hz.optimistic.outer.distance.toFixed(3)} AU |` : ''}
+
+**Result: ${verdict}**
+
+Limits from Kopparapu et al. (2014) for an Earth-mass planet; equilibrium temperatures assume full heat redistribution and no greenhouse effect.${caveats ? `\n\n${caveats}` : ''}`;
+  },
+
+  // Iterative BLS search: mask each detected signal and search again until nothing
+  // clears the threshold, with period ratios, near-resonances and aliases
+  async multiPlanetSearch(message) {
+    const ticMatch = message.match(/TIC\s*(\d+)/i);
+    // A Kepler name without a TIC is not a target we can fetch
+    const target = ticMatch ? `TIC ${ticMatch[1]}` : /\bkepler\b/i.test(message) ? null : this.lastResult?.target;
+
+    if (!target || typeof MASTService === 'undefined' || typeof BLSService === 'undefined') {
+      return `**Multi-planet Search**
+
+I search TESS light curves by TIC number; Kepler light curves aren't fetched here yet. Ask e.g. "Search TIC 307210830 for additional planets" and I'll find the strongest transit signal, mask its transits and search again until nothing clears the detection threshold.`;
+    }
+
+    if (this.lastResult?.target !== target) {
+      await this.analyzeTarget(target);
+    }
+    const { lightCurve, cleaned, bls } = this.lastResult;
+    if (!bls.detected) {
+      return `**${target} Multi-planet Search**
 
-**Result: ✓ Within the Habitable Zone**
+No signal clears the detection threshold (best SDE ${bls.sde.toFixed(1)} at ${bls.period.toFixed(4)} days), so there is nothing to mask and search past.`;
+    }
 
-The planet receives approximately 86% of Earth's insolation, placing it in the conservative habitable zone where liquid water could exist on the surface.
+    const multi = BLSService.searchIterative(cleaned, { initial: bls });
+    this.lastResult.multi = multi;
+
+    const rows = multi.candidates.map(c => {
+      const ratios = c.relations.map(r => `P${r.index}: ${(r.longer ? r.ratio : 1 / r.ratio).toFixed(3)}`).join(', ') || '-';
+      const flags = BLSService.describeSignal(c).join('; ') || '-';
+      return `| ${c.index} | ${c.period.toFixed(4)} d | ${Math.round(c.depth * 1e6).toLocaleString()} ppm | ${(c.duration * 24).toFixed(2)} h | ${c.sde.toFixed(1)} | ${ratios} | ${flags} |`;
+    });
+    const stop = multi.stopReason === 'threshold'
+      ? `The next search peaked at SDE ${multi.final.sde.toFixed(1)}, below the ${multi.sdeThreshold} threshold.`
+      : multi.stopReason === 'exhausted'
+        ? 'Too little data was left after masking for another search.'
+        : `Stopped after ${multi.candidates.length} signals.`;
+    const notes = [
+      multi.candidates.some(c => c.alias !== null) ? '> Signals flagged as aliases repeat an earlier signal at the same period or a multiple of it and are unlikely to be separate planets.' : '',
+      lightCurve.provenance === 'synthetic' ? '> **Synthetic data:** MAST was unavailable, so these signals come from generated stand-in data and are not real detections.' : ''
+    ].filter(Boolean).join('\n\n');
+
+    return `**${target} Multi-planet Search**
+
+Found ${multi.candidates.length} signal${multi.candidates.length === 1 ? '' : 's'}, masking each one's transits before searching again.
+
+| # | Period | Depth | Duration | SDE | Period Ratio | Flags |
+|---|--------|-------|----------|-----|--------------|-------|
+${rows.join('\n')}
+
+${stop}${notes ? `\n\n${notes}` : ''}`;
+  },
 
-**Equilibrium Temperature**
-- Assuming Earth-like albedo (0.3): 255 K (-18°C)
-- With greenhouse effect: ~288 K (15°C)
+  // O-C analysis of the target's transits, with links to the diagram and the mid-times
+  async transitTiming(message) {
+    if (typeof TTVService === 'undefined') {
+      return 'Transit timing analysis is not available on this page.';
+    }
+    if (typeof Auth !== 'undefined' && !Auth.canUseFeature('ttv')) {
+      return `**Transit Timing Variations**
 
-This is an excellent candidate for atmospheric characterization with JWST.`;
+TTV analysis is included in the Scientist plan. [Upgrade your plan](pricing.html) to measure transit mid-times and O-C residuals.`;
     }
 
-    // Kepler
-    if (lowerMessage.includes('kepler')) {
-      const keplerMatch = message.match(/Kepler-(\d+)/i);
-      const keplerId = keplerMatch ? keplerMatch[1] : '11';
+    const ticMatch = message.match(/TIC\s*(\d+)/i);
+    const target = ticMatch ? `TIC ${ticMatch[1]}` : this.lastResult?.target;
+    if (!target) {
+      return `**Transit Timing Variations**
 
-      return `**Kepler-${keplerId} System Analysis**
+Name a TESS target by its TIC number, e.g. "Look for TTVs in TIC 307210830", or search a target first and then ask about its transit timing.`;
+    }
 
-Kepler-${keplerId} is a fascinating multi-planet system. Here's what we know:
+    if (this.lastResult?.target !== target) {
+      await this.analyzeTarget(target);
+    }
+    const { lightCurve, cleaned, bls, fit } = this.lastResult;
+    if (!bls.detected) {
+      return `**${target} Transit Timing**\n\nThere is no significant transit signal to time (BLS SDE ${bls.sde.toFixed(1)}).`;
+    }
+
+    let ttv;
+    try {
+      ttv = TTVService.analyze(cleaned || lightCurve, bls, { fit: fit || undefined });
+    } catch (error) {
+      return `**${target} Transit Timing**\n\nThe transits could not be timed: ${error.message}`;
+    }
+    this.lastResult.ttv = ttv;
+    if (this.lastAnalysis && typeof AnalysisStore !== 'undefined') {
+      this.lastAnalysis = AnalysisStore.update(this.lastAnalysis.id, { ttv });
+    }
+
+    const minutes = TTVService.config.minutesPerDay;
+    const { ephemeris, periodogram } = ttv;
+    const timeSystem = typeof ExportService !== 'undefined' ? ExportService.timeSystem({ lightCurve }) : 'BJD';
+    const links = [];
+    if (typeof ReportService !== 'undefined') {
+      links.push(`[O-C diagram (SVG)](${this.blobLink(TTVService.plotOC(ttv), 'image/svg+xml')})`);
+    }
+    links.push(`[Mid-times (CSV)](${this.blobLink(TTVService.toCSV(ttv, target, timeSystem), 'text/csv')})`);
+    const warning = lightCurve.provenance === 'synthetic'
+      ? '\n\n> **Synthetic data:** MAST was unavailable, so these timings come from generated stand-in data.'
+      : '';
+
+    return `**${target} Transit Timing**
 
 | Parameter | Value |
 |-----------|-------|
-| Host Star | G-type (solar-like) |
-| Distance | 2,000 light years |
-| Planets | 6 confirmed |
+| Transits Timed | ${ttv.transits.length}${ttv.rejected.length ? ` (${ttv.rejected.length} skipped for gaps)` : ''} |
+| Linear Ephemeris | T₀ ${ephemeris.t0.toFixed(5)} ± ${ephemeris.t0Error.toFixed(5)}, P ${ephemeris.period.toFixed(6)} ± ${ephemeris.periodError.toFixed(6)} d |
+| O-C rms | ${(ttv.rms * minutes).toFixed(2)} min |
+| χ²/dof | ${ttv.reducedChi2 !== null ? ttv.reducedChi2.toFixed(2) : '-'} (p = ${ttv.pValue !== null ? ttv.pValue.toExponential(1) : '-'}) |
+| Strongest TTV Period | ${periodogram ? `${periodogram.bestPeriodDays.toFixed(2)} d, ${(periodogram.amplitude * minutes).toFixed(1)} min amplitude (FAP ${periodogram.fap.toExponential(1)})` : 'Too few transits for a periodogram'} |
 
-**Light Curve**
-The system shows complex transit patterns due to multiple planets. I can:
-1. Analyze individual planet transits
-2. Search for Transit Timing Variations (TTVs)
-3. Look for additional candidates
+**Result: ${ttv.significant ? '⚠ ' : ''}${ttv.summary}**
 
-What would you like to explore?`;
+${links.join(' · ')}${warning}`;
+  },
+
+  // Object URL for generated content, used as a link target in a chat message
+  blobLink(content, type) {
+    return URL.createObjectURL(new Blob([content], { type }));
+  },
+
+  // ============================================
+  // Analysis Bundles
+  // ============================================
+
+  // Download the latest analysis as a .larun.json bundle
+  async saveAnalysis() {
+    const result = this.lastResult;
+    if (!result || typeof AnalysisBundle === 'undefined') {
+      return 'There is no analysis to save yet. Ask me to search a target first, e.g. "Search TIC 307210830 for transits".';
     }
 
-    // Report generation
-    if (lowerMessage.includes('report') || lowerMessage.includes('generate')) {
-      return `**Generating Analysis Report**
+    const bundle = await AnalysisBundle.create({
+      ...result,
+      preprocessing: result.preprocessing || result.cleaned?.metadata?.preprocessing,
+      search: result.search || { periodMin: BLSService.config.periodMin, periodMax: BLSService.config.periodMax }
+    });
+    AnalysisBundle.download(bundle);
 
-I'm preparing a comprehensive report including:
+    return `**Saved ${AnalysisBundle.filename(bundle)}**
 
-1. **Target Summary**
-   - Stellar parameters
-   - Observation metadata
+The bundle holds the full light curve (${bundle.analysis.lightCurve.time.length.toLocaleString()} points), the preprocessing steps, the BLS result${bundle.analysis.fit ? ', the transit fit' : ''}${bundle.analysis.vetting ? ', the vetting results' : ''} and a ${bundle.checksum.algorithm} checksum. Upload it here, or open it in the detect tool or with \`larun load\`, to reproduce this analysis.`;
+  },
 
-2. **Detection Results**
-   - BLS periodogram
-   - TinyML classification
-   - Signal-to-noise analysis
+  // Verify and restore an uploaded .larun.json bundle, and describe it as the original analysis
+  async loadBundleFile(file) {
+    const bundle = await AnalysisBundle.readFile(file);
+    const result = AnalysisBundle.restore(bundle);
 
-3. **Planet Characterization**
-   - Orbital parameters
-   - Radius estimate
-   - Habitability assessment
+    if (typeof AnalysisStore !== 'undefined') {
+      this.lastAnalysis = AnalysisStore.get(result.analysisId) || AnalysisStore.record(result);
+      result.analysisId = this.lastAnalysis.id;
+    }
+    this.lastResult = result;
+    this.lightCurve = result.lightCurve;
+
+    return this.describeBundle(file.name, bundle, result);
+  },
+
+  describeBundle(fileName, bundle, result) {
+    const { lightCurve, bls, prediction, fit, vetting } = result;
+    const rows = [
+      ['Target', result.target],
+      ['Data', MASTService.describeSource(lightCurve)],
+      ['Provenance', MASTService.describeProvenance(lightCurve)],
+      ['Data Points', lightCurve.time.length.toLocaleString()],
+      ['Preprocessing', (result.preprocessing || []).map(step => step.method || step.type).join(' → ') || 'None']
+    ];
+    if (bls) {
+      rows.push(
+        ['Period', `${bls.period.toFixed(4)} days`],
+        ['T₀', bls.t0.toFixed(4)],
+        ['Depth', `${Math.round(bls.depth * 1e6).toLocaleString()} ppm`],
+        ['Duration', `${(bls.duration * 24).toFixed(2)} hours`],
+        ['SDE', bls.sde.toFixed(1)]
+      );
+    }
+    if (fit) rows.push(['Rp/R★', `${fit.rp_rs.toFixed(4)} ± ${fit.rp_rs_err.toFixed(4)}`]);
+    if (prediction) {
+      rows.push(['Classification', `${prediction.topClass} (${(prediction.topProbability * 100).toFixed(1)}%)`]);
+      if (prediction.model) rows.push(['Model', `${prediction.model.id} v${prediction.model.version}`]);
+    }
+    if (vetting) rows.push(['Vetting', `${vetting.disposition || 'Inconclusive'} (${vetting.passed}/${vetting.conclusive} passed)`]);
+    rows.push(['Saved', new Date(bundle.savedAt).toLocaleString()]);
 
-4. **Figures**
-   - Light curve with transits marked
-   - Folded light curve
-   - Periodogram
+    const checks = [`✓ ${bundle.checksum.algorithm} checksum verified.`];
+    checks.push(result.reproduced
+      ? '✓ Preprocessing reproduced from the raw light curve.'
+      : `⚠ Preprocessing did not reproduce exactly (${result.mismatches.map(m => m.step).join(', ')}).`);
+    const report = this.lastAnalysis ? `\n\n📄 [Download Report (PDF)](${this.reportLink(this.lastAnalysis, 'pdf')})` : '';
 
-📄 [Download Report (PDF)](#)
+    return `**Loaded ${fileName}**
 
-The report follows TESS Follow-up Observing Program (TFOP) guidelines and can be used for publication or follow-up proposals.`;
+| Parameter | Value |
+|-----------|-------|
+${rows.map(([k, v]) => `| ${k} | ${v} |`).join('\n')}
+
+${checks.join('\n')}${result.notes ? `\n\n**Notes:** ${result.notes}` : ''}${report}`;
+  },
+
+  // Report builder link for a stored analysis
+  reportLink(analysis, format) {
+    return `tools/reports.html?analysis=${encodeURIComponent(analysis.id)}&format=${format}`;
+  },
+
+  // Summarize a parsed light curve for the conversation
+  describeLightCurve(fileName, lightCurve) {
+    const meta = lightCurve.metadata;
+    const span = lightCurve.time[lightCurve.time.length - 1] - lightCurve.time[0];
+    const target = meta.ticId ? `TIC ${meta.ticId}` : (meta.keplerId ? `KIC ${meta.keplerId}` : (meta.object || 'Unknown'));
+    const rows = [
+      ['Target', target],
+      ['Mission', meta.mission || 'Unknown'],
+      ['Sector/Quarter', meta.sector ?? meta.quarter ?? meta.campaign ?? 'N/A'],
+      ['Magnitude', meta.tessmag ?? meta.kepmag ?? 'N/A'],
+      ['Flux Column', meta.fluxColumn || 'flux'],
+      ['Data Points', lightCurve.time.length.toLocaleString()],
+      ['Time Span', `${span.toFixed(2)} days`]
+    ];
+
+    if (meta.timeColumn) {
+      rows.push(['Columns', `${meta.timeColumn} / ${meta.fluxColumn} / ${meta.errorColumn || 'no errors'}`]);
+      rows.push(['Time System', meta.timeSystemLabel]);
     }
 
-    // Default response
-    return `I understand you're asking about: "${message}"
+    if (meta.flaggedCadences) {
+      rows.push(['Flagged Cadences Removed', meta.flaggedCadences.toLocaleString()]);
+    }
 
-I can help you with:
-- **Transit Search**: "Search for transits in TIC 307210830"
-- **Light Curve Analysis**: "Analyze light curve for Kepler-11"
-- **Habitability Check**: "Is TOI-700 d in the habitable zone?"
-- **Report Generation**: "Generate a report for my candidate"
+    if (lightCurve.provenance && typeof MASTService !== 'undefined') {
+      rows.push(['Provenance', MASTService.describeProvenance(lightCurve)]);
+    }
 
-What would you like to explore?`;
+    return `**Loaded ${fileName}**
+
+| Parameter | Value |
+|-----------|-------|
+${rows.map(([k, v]) => `| ${k} | ${v} |`).join('\n')}
+
+The light curve was parsed in your browser. Would you like me to search it for transit signals?`;
   },
 
   // Add a message to the conversation
@@ -615,7 +947,17 @@ async function handleFileUpload(event) {
   Chat.setLoading(true);
 
   try {
-    if (typeof LarunAPI !== 'undefined') {
+    if (typeof AnalysisBundle !== 'undefined' && AnalysisBundle.isBundleFile(file.name)) {
+      Chat.addMessage('assistant', await Chat.loadBundleFile(file));
+      return;
+    }
+
+    const lightCurve = await Chat.loadLightCurveFile(file);
+
+    if (lightCurve) {
+      Chat.lightCurve = lightCurve;
+      Chat.addMessage('assistant', Chat.describeLightCurve(file.name, lightCurve));
+    } else if (typeof LarunAPI !== 'undefined') {
       const result = await LarunAPI.uploadLightCurve(file);
       Chat.addMessage('assistant', `File uploaded successfully. I found ${result.points || 'many'} data points. What would you like me to analyze?`);
     } else {
@@ -0,0 +1,379 @@
+/**
+ * CSV/TXT Light Curve Reader
+ * Imports delimited photometry with delimiter, header and column auto-detection
+ * and returns the MASTService light curve shape
+ */
+
+const CSVReader = {
+    commentPrefixes: ['#', '%', '!', '//', '\\'],
+    delimiters: [',', '\t', ';', '|', ' '],
+    // Missing-value tokens (numpy, astropy, pandas); numeric like NaN, so they never mark a header
+    missingValues: ['nan', 'inf', 'infinity', 'null', 'none', 'na', 'n/a', '--'],
+
+    // Column names matched after lowercasing and stripping punctuation, best first
+    columnNames: {
+        time: ['time', 'btjd', 'bjd', 'bjdtdb', 'bkjd', 'bjd2457000', 'mjd', 'hjd', 'jd', 'timebjd', 'timebtjd', 'date', 't'],
+        flux: ['pdcsapflux', 'flux', 'kspsapflux', 'sapflux', 'detflux', 'relflux', 'relativeflux', 'normflux', 'normalizedflux', 'f'],
+        error: ['pdcsapfluxerr', 'fluxerr', 'fluxerror', 'kspsapfluxerr', 'sapfluxerr', 'relfluxerr', 'efluxerr', 'eflux', 'dflux', 'sigma', 'err', 'error', 'unc', 'uncertainty'],
+        magnitude: ['mag', 'magnitude', 'tessmag', 'vmag', 'rmag', 'deltamag', 'diffmag'],
+        magnitudeError: ['magerr', 'emag', 'magerror', 'dmag', 'sigmamag']
+    },
+
+    // Offsets that turn each time system into BJD/JD
+    timeSystems: {
+        BJD: { reference: 0, label: 'BJD' },
+        JD: { reference: 0, label: 'JD' },
+        HJD: { reference: 0, label: 'HJD' },
+        BTJD: { reference: 2457000, label: 'BJD - 2457000 (BTJD)' },
+        BKJD: { reference: 2454833, label: 'BJD - 2454833 (BKJD)' },
+        MJD: { reference: 2400000.5, label: 'JD - 2400000.5 (MJD)' },
+        RELATIVE: { reference: null, label: 'Relative (unknown zero point)' }
+    },
+
+    /**
+     * Read a File/Blob and return a light curve
+     * @param {File|Blob} file - CSV/TXT file selected by the user
+     * @param {object} options - See parse
+     */
+    async readFile(file, options = {}) {
+        const text = await file.text();
+        const mission = options.mission || this.missionFromFileName(file.name);
+        const lightCurve = this.parse(text, { ...options, mission });
+        lightCurve.metadata.fileName = file.name || null;
+        return lightCurve;
+    },
+
+    /**
+     * Parse delimited text into {time, flux, error, metadata}
+     * @param {string} text - File contents
+     * @param {object} options - {delimiter, timeColumn, fluxColumn, errorColumn, timeSystem, mission, normalize}
+     */
+    parse(text, options = {}) {
+        const lines = text.split(/\r\n|\r|\n/);
+        const comments = [];
+        const rows = [];
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed) continue;
+            if (this.commentPrefixes.some(p => trimmed.startsWith(p))) {
+                comments.push(trimmed);
+            } else {
+                rows.push(trimmed);
+            }
+        }
+
+        if (rows.length === 0) {
+            throw new Error('File contains no data rows');
+        }
+
+        const delimiter = options.delimiter || this.sniffDelimiter(rows.slice(0, 50));
+        const split = (line) => this.splitLine(line, delimiter);
+
+        // Header is either the first data row (when non-numeric) or the last comment line
+        let header = null;
+        let dataRows = rows;
+        const firstCells = split(rows[0]);
+        if (firstCells.some(c => c !== '' && !this.isNumeric(c))) {
+            header = firstCells;
+            dataRows = rows.slice(1);
+        } else {
+            header = this.headerFromComments(comments, firstCells.length, delimiter);
+        }
+
+        const table = dataRows.map(split);
+        const width = Math.max(...table.slice(0, 50).map(r => r.length));
+        if (width < 2) {
+            throw new Error('Could not find at least two columns (time and flux)');
+        }
+
+        const names = header && header.length >= width
+            ? header.slice(0, width)
+            : Array.from({ length: width }, (_, i) => `col${i + 1}`);
+
+        const mapping = this.detectColumns(names, options);
+        const columnIndex = (name) => name === null ? -1 : names.indexOf(name);
+        const timeIdx = columnIndex(mapping.time);
+        const fluxIdx = columnIndex(mapping.flux);
+        const errorIdx = columnIndex(mapping.error);
+
+        const points = [];
+        let skipped = 0;
+        for (const cells of table) {
+            const t = parseFloat(cells[timeIdx]);
+            const f = parseFloat(cells[fluxIdx]);
+            const e = errorIdx >= 0 ? parseFloat(cells[errorIdx]) : NaN;
+            if (!Number.isFinite(t) || !Number.isFinite(f)) {
+                skipped++;
+                continue;
+            }
+            points.push({ t, f, e });
+        }
+
+        if (points.length === 0) {
+            throw new Error(`No numeric rows found in columns ${mapping.time}/${mapping.flux}`);
+        }
+
+        points.sort((a, b) => a.t - b.t);
+
+        const time = points.map(p => p.t);
+        let flux = points.map(p => p.f);
+        let error = points.map(p => p.e);
+
+        // Magnitudes become relative flux: f = 10^(-0.4 (m - median m))
+        if (mapping.isMagnitude) {
+            const medianMag = this.median(flux);
+            error = error.map((e, i) => e * 0.4 * Math.LN10 * Math.pow(10, -0.4 * (flux[i] - medianMag)));
+            flux = flux.map(m => Math.pow(10, -0.4 * (m - medianMag)));
+        }
+
+        const median = this.median(flux);
+        const normalize = options.normalize !== false && median > 0;
+        if (normalize) {
+            flux = flux.map(f => f / median);
+            error = error.map(e => e / median);
+        }
+
+        const timeSystem = options.timeSystem || this.detectTimeSystem(mapping.time, time, comments, options.mission);
+
+        return {
+            time,
+            flux,
+            error,
+            metadata: {
+                delimiter: delimiter === ' ' ? 'whitespace' : delimiter,
+                hasHeader: header !== null,
+                columns: names,
+                timeColumn: mapping.time,
+                fluxColumn: mapping.flux,
+                errorColumn: mapping.error,
+                fluxType: mapping.isMagnitude ? 'magnitude' : 'flux',
+                timeSystem,
+                timeSystemLabel: this.timeSystems[timeSystem].label,
+                timeReference: this.timeSystems[timeSystem].reference,
+                normalized: normalize,
+                medianFlux: median,
+                skippedRows: skipped,
+                commentLines: comments.length,
+                numPoints: time.length,
+                source: 'csv_upload'
+            }
+        };
+    },
+
+    /**
+     * Pick the delimiter that splits the sample into a consistent number (>1) of columns
+     */
+    sniffDelimiter(sample) {
+        let best = { delimiter: ',', score: -1 };
+
+        for (const delimiter of this.delimiters) {
+            const counts = sample.map(line => this.splitLine(line, delimiter).length);
+            const first = counts[0];
+            if (first < 2) continue;
+
+            const consistent = counts.filter(c => c === first).length / counts.length;
+            // Prefer consistency, then more columns; whitespace only wins when nothing else splits
+            const score = consistent * 100 + first - (delimiter === ' ' ? 0.5 : 0);
+            if (score > best.score) {
+                best = { delimiter, score };
+            }
+        }
+
+        return best.delimiter;
+    },
+
+    /**
+     * Split a line on a delimiter, honoring double quotes
+     */
+    splitLine(line, delimiter) {
+        if (delimiter === ' ') {
+            return line.trim().split(/\s+/);
+        }
+
+        const cells = [];
+        let current = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (ch === '"') {
+                if (quoted && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    quoted = !quoted;
+                }
+            } else if (ch === delimiter && !quoted) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    },
+
+    /**
+     * Look for a commented header line (e.g. "# time flux flux_err") matching the column count
+     */
+    headerFromComments(comments, width, delimiter) {
+        for (let i = comments.length - 1; i >= 0; i--) {
+            const body = comments[i].replace(/^(#|%|!|\/\/|\\)+/, '').trim();
+            if (!body) continue;
+
+            for (const d of [delimiter, ' ']) {
+                const cells = this.splitLine(body, d).filter(c => c !== '');
+                if (cells.length === width && cells.every(c => !this.isNumeric(c))) {
+                    return cells;
+                }
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Map header names to time/flux/error columns
+     */
+    detectColumns(names, options = {}) {
+        const normalized = names.map(n => this.normalizeName(n));
+        const find = (candidates, exclude = []) => {
+            for (const candidate of candidates) {
+                const idx = normalized.findIndex((n, i) => n === candidate && !exclude.includes(i));
+                if (idx !== -1) return idx;
+            }
+            // Fall back to prefix matches such as "time_btjd" or "flux_norm"
+            for (const candidate of candidates.filter(c => c.length > 2)) {
+                const idx = normalized.findIndex((n, i) => n.startsWith(candidate) && !exclude.includes(i));
+                if (idx !== -1) return idx;
+            }
+            return -1;
+        };
+
+        const pick = (explicit) => {
+            if (explicit === undefined || explicit === null) return -1;
+            if (typeof explicit === 'number') return explicit;
+            const idx = names.indexOf(explicit);
+            if (idx === -1) throw new Error(`Column not found: ${explicit}`);
+            return idx;
+        };
+
+        let timeIdx = pick(options.timeColumn);
+        if (timeIdx === -1) timeIdx = find(this.columnNames.time);
+        if (timeIdx === -1) timeIdx = 0;
+
+        let isMagnitude = false;
+        let fluxIdx = pick(options.fluxColumn);
+        if (fluxIdx === -1) fluxIdx = find(this.columnNames.flux, [timeIdx]);
+        if (fluxIdx === -1) {
+            fluxIdx = find(this.columnNames.magnitude, [timeIdx]);
+            isMagnitude = fluxIdx !== -1;
+        }
+        if (fluxIdx === -1) fluxIdx = timeIdx === 0 ? 1 : 0;
+
+        let errorIdx = pick(options.errorColumn);
+        if (errorIdx === -1) {
+            // An error column named after the chosen flux column wins
+            const fluxName = normalized[fluxIdx];
+            errorIdx = normalized.findIndex(n => n === `${fluxName}err` || n === `${fluxName}error` || n === `e${fluxName}`);
+        }
+        if (errorIdx === -1) {
+            errorIdx = find(isMagnitude ? this.columnNames.magnitudeError : this.columnNames.error, [timeIdx, fluxIdx]);
+        }
+        // Headerless files are conventionally time, flux, error
+        if (errorIdx === -1 && names[0] === 'col1' && names.length >= 3) {
+            errorIdx = 2;
+        }
+
+        return {
+            time: names[timeIdx],
+            flux: names[fluxIdx],
+            error: errorIdx >= 0 ? names[errorIdx] : null,
+            isMagnitude
+        };
+    },
+
+    /**
+     * Guess the time system from the column name, comments and value range. BTJD and BKJD
+     * values overlap between 1300 and 1600 days; there a TESS hint picks BTJD, otherwise BKJD.
+     * @param {string} mission - 'TESS' or 'Kepler' when known from the file name
+     */
+    detectTimeSystem(timeColumn, time, comments = [], mission = null) {
+        // Units often live in brackets ("TIME [BTJD]"), so keep them here
+        const name = String(timeColumn || '').toLowerCase();
+        const notes = comments.join(' ').toUpperCase();
+
+        if (name.includes('btjd') || name.includes('2457000') || /BTJD|BJD\s*-\s*2457000/.test(notes)) return 'BTJD';
+        if (name.includes('bkjd') || name.includes('2454833') || /BKJD|BJD\s*-\s*2454833/.test(notes)) return 'BKJD';
+        if (name.includes('mjd') || /\bMJD\b/.test(notes)) return 'MJD';
+
+        const median = this.median(time);
+        const full = median > 2400000;
+        const tess = (mission || this.missionFromNotes(notes)) === 'TESS';
+
+        if (name.includes('bjd') || /\bBJD\b/.test(notes)) {
+            if (full) return 'BJD';
+            return tess || median >= 1600 ? 'BTJD' : 'BKJD';
+        }
+        if (name.includes('hjd')) return full ? 'HJD' : 'RELATIVE';
+        if (/\bjd\b/.test(name)) return full ? 'JD' : 'RELATIVE';
+
+        // Fall back on the magnitude of the values
+        if (full) return 'BJD';
+        if (median > 40000 && median < 80000) return 'MJD';
+        if (median > 1300 && median < 1600) return tess ? 'BTJD' : 'BKJD';
+        if (median >= 1600 && median < 5000) return 'BTJD';
+        if (median > 100 && median <= 1300) return 'BKJD';
+        return 'RELATIVE';
+    },
+
+    /**
+     * Mission named in the comment lines (TESS/TIC or Kepler/K2/KIC/EPIC), or null
+     */
+    missionFromNotes(notes) {
+        if (/\bTESS\b|\bTIC\b/.test(notes)) return 'TESS';
+        if (/\bKEPLER\b|\bK2\b|\bKIC\b|\bEPIC\b/.test(notes)) return 'Kepler';
+        return null;
+    },
+
+    /**
+     * Mission from archive file names ("tess2019..._lc", "kplr...", "ktwo..."), or null
+     */
+    missionFromFileName(fileName) {
+        const name = String(fileName || '').toLowerCase();
+        if (/^(tess|hlsp_(qlp|tess|tglc))/.test(name)) return 'TESS';
+        if (/^(kplr|ktwo|hlsp_(k2|everest|kepler))/.test(name)) return 'Kepler';
+        return null;
+    },
+
+    /**
+     * Lowercase and strip punctuation so "PDCSAP_FLUX" and "pdcsap flux" compare equal
+     */
+    normalizeName(name) {
+        return String(name).toLowerCase().replace(/\[.*?\]|\(.*?\)/g, '').replace(/[^a-z0-9]/g, '');
+    },
+
+    /**
+     * Check whether a cell holds a number, counting missing-value tokens (nan, inf, null, ...)
+     */
+    isNumeric(value) {
+        if (value === '') return false;
+        const token = String(value).trim().toLowerCase().replace(/^[+-](?=[a-z])/, '');
+        return Number.isFinite(Number(value)) || this.missingValues.includes(token);
+    },
+
+    /**
+     * Median of an array
+     */
+    median(values) {
+        const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+        if (sorted.length === 0) return NaN;
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVReader;
+}
@@ -0,0 +1,223 @@
+/**
+ * Disposition Service
+ * Reviewer dispositions of vetted candidates (PC/FP/EB/V-shape/systematic) with reason codes
+ * and notes, stored append-only in the Supabase candidate_dispositions table.
+ * Uses the StatsService Supabase client; signed-out sessions keep dispositions in localStorage.
+ */
+
+const DispositionService = {
+    // Allowed dispositions (match the table CHECK constraint)
+    dispositions: {
+        'PC': 'Planet candidate',
+        'FP': 'False positive',
+        'EB': 'Eclipsing binary',
+        'V-shape': 'V-shaped / grazing',
+        'systematic': 'Instrumental or stellar systematic'
+    },
+
+    // Reason codes: the VettingService codes plus ones only a reviewer can judge
+    reasonCodes: {
+        ODD_EVEN: 'Odd/even depth mismatch',
+        SECONDARY_ECLIPSE: 'Secondary eclipse',
+        V_SHAPE: 'V-shaped transit',
+        DURATION: 'Implausible duration',
+        HARMONIC: 'Harmonic / stellar variability',
+        PERIOD_ALIAS: 'Period alias',
+        CENTROID_OFFSET: 'Centroid offset',
+        CONTAMINATION: 'Nearby contaminating star',
+        KNOWN_EB: 'Known eclipsing binary',
+        LOW_SNR: 'Signal too weak',
+        DATA_ARTIFACT: 'Data artifact (gap, momentum dump)',
+        OTHER: 'Other (see notes)'
+    },
+
+    table: 'candidate_dispositions',
+    storageKey: 'larun-dispositions',
+
+    /**
+     * Supabase client shared with StatsService, when signed in
+     */
+    getClient() {
+        if (typeof StatsService === 'undefined' || !StatsService.supabase) return null;
+        return typeof Auth !== 'undefined' && Auth.user?.id ? StatsService.supabase : null;
+    },
+
+    /**
+     * Display name for local (signed-out) rows; Supabase fills it from the reviewer's profile
+     */
+    getReviewerName() {
+        const user = typeof Auth !== 'undefined' ? Auth.user : null;
+        if (!user) return 'Local reviewer';
+        return user.user_metadata?.user_name || user.user_metadata?.name || user.email?.split('@')[0] || 'Reviewer';
+    },
+
+    /**
+     * Record a disposition
+     * @param {object} entry - {candidateId, ticId, toi, disposition, reasonCodes, notes, verdict}
+     *                         verdict is the VettingService.run output the decision was made on
+     * @returns {Promise<object>} The stored row
+     */
+    async record(entry) {
+        if (!entry.candidateId) throw new Error('Disposition needs a candidate id');
+        if (!this.dispositions[entry.disposition]) {
+            throw new Error(`Unknown disposition: ${entry.disposition}`);
+        }
+
+        const unknown = (entry.reasonCodes || []).filter(code => !this.reasonCodes[code]);
+        if (unknown.length > 0) throw new Error(`Unknown reason codes: ${unknown.join(', ')}`);
+
+        const verdict = entry.verdict || null;
+        const row = {
+            candidate_id: entry.candidateId,
+            tic_id: entry.ticId ? this.normalizeTic(entry.ticId) : null,
+            toi: entry.toi ? this.normalizeToi(entry.toi) : null,
+            disposition: entry.disposition,
+            reason_codes: [...new Set(entry.reasonCodes || [])],
+            notes: entry.notes ? entry.notes.trim() : null,
+            period: verdict?.period ?? null,
+            t0: verdict?.t0 ?? null,
+            duration: verdict?.duration ?? null,
+            depth: verdict?.depth ?? null,
+            vetting: verdict && typeof StatsService !== 'undefined' ? StatsService.summarizeVetting(verdict) : {}
+        };
+
+        let stored;
+        const client = this.getClient();
+        if (client) {
+            const { data, error } = await client
+                .from(this.table)
+                .insert({ ...row, reviewer_id: Auth.user.id })
+                .select()
+                .single();
+            if (error) throw error;
+            stored = data;
+        } else {
+            stored = { ...row, id: `local-${Date.now()}`, reviewer_id: null, reviewer_name: this.getReviewerName(), created_at: new Date().toISOString(), local: true };
+            const rows = this.loadLocal();
+            rows.unshift(stored);
+            this.saveLocal(rows);
+        }
+
+        // Activity feed entry alongside the disposition
+        if (verdict && typeof StatsService !== 'undefined') {
+            await StatsService.recordVetting(entry.candidateId, verdict, entry.disposition);
+        }
+
+        return stored;
+    },
+
+    /**
+     * Full history of one candidate, newest first
+     */
+    async getHistory(candidateId) {
+        return this.list({ candidateId });
+    },
+
+    /**
+     * List dispositions, newest first
+     * @param {object} filters - {candidateId, ticId, toi, disposition, reasonCode, reviewer: 'me' | reviewer id, limit}
+     */
+    async list(filters = {}) {
+        const limit = filters.limit || 200;
+        const client = this.getClient();
+
+        if (client) {
+            let query = client.from(this.table).select('*');
+            if (filters.candidateId) query = query.eq('candidate_id', filters.candidateId);
+            if (filters.ticId) query = query.eq('tic_id', this.normalizeTic(filters.ticId));
+            if (filters.toi) query = query.eq('toi', this.normalizeToi(filters.toi));
+            if (filters.disposition) query = query.eq('disposition', filters.disposition);
+            if (filters.reasonCode) query = query.contains('reason_codes', [filters.reasonCode]);
+            if (filters.reviewer) query = query.eq('reviewer_id', filters.reviewer === 'me' ? Auth.user.id : filters.reviewer);
+
+            const { data, error } = await query.order('created_at', { ascending: false }).limit(limit);
+            if (error) throw error;
+            return data || [];
+        }
+
+        return this.loadLocal()
+            .filter(row => !filters.candidateId || row.candidate_id === filters.candidateId)
+            .filter(row => !filters.ticId || row.tic_id === this.normalizeTic(filters.ticId))
+            .filter(row => !filters.toi || row.toi === this.normalizeToi(filters.toi))
+            .filter(row => !filters.disposition || row.disposition === filters.disposition)
+            .filter(row => !filters.reasonCode || (row.reason_codes || []).includes(filters.reasonCode))
+            // Signed out, every local row is the current reviewer's
+            .filter(() => !filters.reviewer || filters.reviewer === 'me')
+            .slice(0, limit);
+    },
+
+    /**
+     * Current disposition of each reviewer (their latest row) per candidate
+     * @param {object[]} rows - list() output, newest first
+     */
+    latestByReviewer(rows) {
+        const seen = new Set();
+        return rows.filter(row => {
+            const key = `${row.candidate_id}|${row.reviewer_id || row.reviewer_name}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    },
+
+    /**
+     * Count of current dispositions per class, e.g. {PC: 2, EB: 1}
+     */
+    summarize(rows) {
+        return this.latestByReviewer(rows).reduce((counts, row) => {
+            counts[row.disposition] = (counts[row.disposition] || 0) + 1;
+            return counts;
+        }, {});
+    },
+
+    /**
+     * Whether a row was written by the signed-in reviewer
+     */
+    isMine(row) {
+        if (row.local) return true;
+        return typeof Auth !== 'undefined' && !!Auth.user?.id && row.reviewer_id === Auth.user.id;
+    },
+
+    /**
+     * "TIC 307210830", "tic307210830" and "307210830" all become "TIC 307210830"
+     */
+    normalizeTic(ticId) {
+        const digits = String(ticId).replace(/^\s*TIC\s*/i, '').trim();
+        return /^\d+$/.test(digits) ? `TIC ${digits}` : String(ticId).trim();
+    },
+
+    /**
+     * "TOI-1234.01", "toi 1234.01" and "1234.01" all become "TOI-1234.01"
+     */
+    normalizeToi(toi) {
+        const number = String(toi).replace(/^\s*TOI[\s-]*/i, '').trim();
+        return /^\d+(\.\d+)?$/.test(number) ? `TOI-${number}` : String(toi).trim();
+    },
+
+    /**
+     * Dispositions recorded while signed out
+     */
+    loadLocal() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Persist signed-out dispositions (newest 500)
+     */
+    saveLocal(rows) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(rows.slice(0, 500)));
+        } catch (e) {
+            console.warn('Failed to save dispositions:', e);
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DispositionService;
+}
@@ -0,0 +1,410 @@
+/**
+ * Export Service
+ * Serializes analyses (AnalysisStore records) for download: light curves as CSV, the full
+ * analysis bundle as JSON, the candidate table as a VOTable, candidate parameters as an
+ * ExoFOP TOI-style CSV, and transit mid-times with O-C as CSV. Files are generated and
+ * downloaded in the browser.
+ */
+
+const ExportService = {
+    config: {
+        formats: {
+            csv: { extension: 'csv', mimeType: 'text/csv', label: 'Light curves (CSV)' },
+            json: { extension: 'json', mimeType: 'application/json', label: 'Analysis bundle (JSON)' },
+            votable: { extension: 'vot', mimeType: 'application/x-votable+xml', label: 'Candidate table (VOTable)' },
+            exofop: { extension: 'csv', mimeType: 'text/csv', label: 'Candidate parameters (ExoFOP TOI-style CSV)' },
+            ttv: { extension: 'csv', mimeType: 'text/csv', label: 'Transit times and O-C (CSV)', feature: 'ttv' }
+        },
+        generator: 'Larun. Export',
+        bundleFormat: 'larun-export',
+        bundleVersion: 1,
+        // R_Sun in Earth radii
+        solarRadiusInEarth: 109.076
+    },
+
+    /**
+     * Build an export file
+     * @param {object|object[]} analyses - AnalysisStore record(s); a record's lightCurve may be
+     *                                     the full-resolution light curve (with error) instead
+     * @param {object} options - {format, title, dispositions, activity}
+     *                           dispositions: DispositionService.list() rows (newest first)
+     *                           activity: activity feed entries for the JSON bundle
+     * @returns {object} {format, content, mimeType, filename, count}
+     */
+    build(analyses, options = {}) {
+        const list = (Array.isArray(analyses) ? analyses : [analyses]).filter(Boolean);
+        if (list.length === 0) throw new Error('Export needs at least one analysis');
+
+        const format = options.format || 'json';
+        const spec = this.config.formats[format];
+        if (!spec) throw new Error(`Unknown export format: ${format}`);
+        // Formats tied to a plan feature (Auth.tiers) need that feature
+        if (spec.feature && typeof Auth !== 'undefined' && !Auth.canUseFeature(spec.feature)) {
+            throw new Error(`${spec.label} export is not included in your plan`);
+        }
+
+        const opts = { ...options, format, exportedAt: new Date().toISOString() };
+        const renderers = {
+            csv: () => this.lightCurveCSV(list, opts),
+            json: () => this.bundleJSON(list, opts),
+            votable: () => this.candidateVOTable(list, opts),
+            exofop: () => this.exofopCSV(list, opts),
+            ttv: () => this.ttvCSV(list, opts)
+        };
+
+        const name = options.title || (list.length === 1 ? list[0].target : `${list.length}-targets`);
+        const suffix = { csv: 'lightcurves', json: 'analyses', votable: 'candidates', exofop: 'exofop-toi', ttv: 'ttv' }[format];
+        return {
+            format,
+            content: renderers[format](),
+            mimeType: spec.mimeType,
+            filename: `larun-${this.slug(name)}-${suffix}.${spec.extension}`,
+            count: list.length
+        };
+    },
+
+    download(file) {
+        const blob = new Blob([file.content], { type: file.mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    // ============================================
+    // Light curves
+    // ============================================
+
+    /**
+     * Long-format CSV (target, time, flux[, flux_err]) with a # header per target
+     * giving the source, provenance, time system and binning
+     */
+    lightCurveCSV(list, opts) {
+        const withErrors = list.some(a => Array.isArray(a.lightCurve.error));
+        const lines = [
+            `# ${this.config.generator}: light curves`,
+            `# exported: ${opts.exportedAt}`
+        ];
+
+        list.forEach(a => {
+            const lc = a.lightCurve;
+            const meta = lc.metadata || {};
+            const provenance = a.provenance || {};
+            lines.push(
+                `# target: ${a.target}`,
+                `#   source: ${a.source || 'Unknown'}`,
+                `#   provenance: ${provenance.provenance || 'unknown'}${provenance.endpoint ? ` (${provenance.endpoint})` : ''}${provenance.fetchedAt ? `, fetched ${provenance.fetchedAt}` : ''}`,
+                `#   time: ${this.timeSystem(a)}`,
+                `#   sectors: ${(meta.sectors || []).join(' ') || '-'}`,
+                `#   flux: ${meta.fluxColumn || 'normalized flux'}${lc.binning > 1 ? `, mean of ${lc.binning} samples per row` : ''}`
+            );
+        });
+
+        lines.push(['target', 'time', 'flux', ...(withErrors ? ['flux_err'] : [])].join(','));
+        list.forEach(a => {
+            const { time, flux, error } = a.lightCurve;
+            const target = this.csvCell(a.target);
+            for (let i = 0; i < time.length; i++) {
+                if (!Number.isFinite(time[i]) || !Number.isFinite(flux[i])) continue;
+                const row = [target, time[i], flux[i]];
+                if (withErrors) row.push(Number.isFinite(error?.[i]) ? error[i] : '');
+                lines.push(row.join(','));
+            }
+        });
+        return lines.join('\n') + '\n';
+    },
+
+    // ============================================
+    // JSON bundle
+    // ============================================
+
+    bundleJSON(list, opts) {
+        const bundle = {
+            format: this.config.bundleFormat,
+            version: this.config.bundleVersion,
+            generator: this.config.generator,
+            exportedAt: opts.exportedAt,
+            analyses: list,
+            candidates: this.candidateRows(list, opts.dispositions)
+        };
+        if (opts.dispositions) bundle.dispositions = opts.dispositions;
+        if (opts.activity) bundle.activity = opts.activity;
+        return JSON.stringify(bundle, null, 2);
+    },
+
+    // ============================================
+    // Candidate table
+    // ============================================
+
+    /**
+     * One row of candidate parameters per analysis: the transit fit where there is one,
+     * otherwise the BLS ephemeris. Epochs are converted to full BJD.
+     * @param {object[]} dispositions - Reviewer dispositions; the newest one per TIC is used
+     */
+    candidateRows(list, dispositions = null) {
+        return list.map(a => {
+            const fit = a.fit || null;
+            const bls = a.bls || {};
+            const stellar = a.stellar || {};
+            const meta = a.lightCurve?.metadata || {};
+            const ticId = this.ticNumber(meta.ticId || a.target);
+            const reference = Number(meta.timeReference);
+            const offset = Number.isFinite(reference) ? reference : 0;
+
+            const period = fit?.period ?? bls.period ?? a.vetting?.period ?? null;
+            const t0 = fit?.t0 ?? bls.t0 ?? a.vetting?.t0 ?? null;
+            const depth = fit?.depth ?? bls.depth ?? null;
+            const rpRs = fit?.rp_rs ?? null;
+            const radius = rpRs !== null && stellar.radius > 0 ? rpRs * stellar.radius * this.config.solarRadiusInEarth : null;
+            const reviewed = dispositions && ticId
+                ? dispositions.find(row => this.ticNumber(row.tic_id) === ticId) || null
+                : null;
+
+            return {
+                analysisId: a.id,
+                ticId,
+                toi: a.toi || reviewed?.toi || null,
+                ra: stellar.ra ?? null,
+                dec: stellar.dec ?? null,
+                epoch: t0 !== null ? t0 + offset : null,
+                epochErr: fit?.t0_err ?? null,
+                period,
+                periodErr: fit?.period_err ?? null,
+                durationHours: fit?.duration_hours ?? (bls.duration ? bls.duration * 24 : null),
+                depthPpm: depth !== null ? depth * 1e6 : null,
+                depthPpmErr: !fit && bls.depthError ? bls.depthError * 1e6 : null,
+                rpRs,
+                planetRadius: radius,
+                planetRadiusErr: radius !== null && fit?.rp_rs_err ? fit.rp_rs_err * stellar.radius * this.config.solarRadiusInEarth : null,
+                snr: bls.snr ?? a.classification?.snr ?? null,
+                sde: bls.sde ?? null,
+                classification: a.classification?.topClass || null,
+                probability: a.classification?.topProbability ?? null,
+                vettingDisposition: a.vetting?.disposition || null,
+                reasonCodes: a.vetting?.reasonCodes || [],
+                userDisposition: reviewed?.disposition || null,
+                teff: stellar.teff ?? null,
+                logg: stellar.logg ?? null,
+                stellarRadius: stellar.radius ?? null,
+                stellarMass: stellar.mass ?? null,
+                distance: stellar.distance ?? null,
+                tmag: stellar.tmag ?? null,
+                sectors: meta.sectors || [],
+                source: a.source || null,
+                synthetic: !!meta.synthetic,
+                method: fit ? 'transit fit' : 'BLS',
+                updatedAt: a.updatedAt || a.createdAt || null
+            };
+        });
+    },
+
+    /**
+     * Candidate table as a VOTable 1.4 document (loads in TOPCAT, Aladin, astropy)
+     */
+    candidateVOTable(list, opts) {
+        const fields = [
+            { key: 'ticId', name: 'tic_id', datatype: 'char', ucd: 'meta.id;meta.main' },
+            { key: 'toi', name: 'toi', datatype: 'char', ucd: 'meta.id' },
+            { key: 'ra', name: 'ra', datatype: 'double', unit: 'deg', ucd: 'pos.eq.ra;meta.main' },
+            { key: 'dec', name: 'dec', datatype: 'double', unit: 'deg', ucd: 'pos.eq.dec;meta.main' },
+            { key: 'epoch', name: 'epoch', datatype: 'double', unit: 'd', ucd: 'time.epoch', description: 'Mid-transit time (BJD_TDB)' },
+            { key: 'epochErr', name: 'epoch_err', datatype: 'double', unit: 'd', ucd: 'stat.error;time.epoch' },
+            { key: 'period', name: 'period', datatype: 'double', unit: 'd', ucd: 'time.period' },
+            { key: 'periodErr', name: 'period_err', datatype: 'double', unit: 'd', ucd: 'stat.error;time.period' },
+            { key: 'durationHours', name: 'duration', datatype: 'double', unit: 'h', ucd: 'time.duration' },
+            { key: 'depthPpm', name: 'depth', datatype: 'double', unit: 'ppm', ucd: 'phot.flux;arith.ratio', description: 'Transit depth (parts per million)' },
+            { key: 'depthPpmErr', name: 'depth_err', datatype: 'double', unit: 'ppm', ucd: 'stat.error;phot.flux;arith.ratio' },
+            { key: 'rpRs', name: 'rp_rs', datatype: 'double', ucd: 'phys.size.radius;arith.ratio' },
+            { key: 'planetRadius', name: 'planet_radius', datatype: 'double', unit: 'Rgeo', ucd: 'phys.size.radius' },
+            { key: 'planetRadiusErr', name: 'planet_radius_err', datatype: 'double', unit: 'Rgeo', ucd: 'stat.error;phys.size.radius' },
+            { key: 'snr', name: 'snr', datatype: 'double', ucd: 'stat.snr' },
+            { key: 'sde', name: 'sde', datatype: 'double', ucd: 'stat.value', description: 'BLS signal detection efficiency' },
+            { key: 'classification', name: 'class', datatype: 'char', ucd: 'meta.code.class' },
+            { key: 'probability', name: 'class_prob', datatype: 'double', ucd: 'stat.probability' },
+            { key: 'vettingDisposition', name: 'vetting_disposition', datatype: 'char', ucd: 'meta.code.status' },
+            { key: 'userDisposition', name: 'user_disposition', datatype: 'char', ucd: 'meta.code.status' },
+            { key: 'teff', name: 'teff', datatype: 'double', unit: 'K', ucd: 'phys.temperature.effective' },
+            { key: 'logg', name: 'logg', datatype: 'double', unit: 'log(cm.s**-2)', ucd: 'phys.gravity' },
+            { key: 'stellarRadius', name: 'st_rad', datatype: 'double', unit: 'Rsun', ucd: 'phys.size.radius' },
+            { key: 'stellarMass', name: 'st_mass', datatype: 'double', unit: 'Msun', ucd: 'phys.mass' },
+            { key: 'tmag', name: 'tmag', datatype: 'double', unit: 'mag', ucd: 'phot.mag' },
+            { key: 'method', name: 'method', datatype: 'char', ucd: 'meta.code' },
+            { key: 'synthetic', name: 'synthetic', datatype: 'boolean', ucd: 'meta.code.qual', description: 'True when the light curve was synthetic, not archive data' },
+            { key: 'analysisId', name: 'analysis_id', datatype: 'char', ucd: 'meta.id' }
+        ];
+
+        const rows = this.candidateRows(list, opts.dispositions);
+        const cell = (value, field) => {
+            if (value === null || value === undefined || value === '') return '';
+            if (field.datatype === 'boolean') return value ? 'T' : 'F';
+            return this.escapeXML(value);
+        };
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<VOTABLE version="1.4" xmlns="http://www.ivoa.net/xml/VOTable/v1.3" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+            `  <DESCRIPTION>${this.escapeXML(`${this.config.generator}: transit candidates`)}</DESCRIPTION>`,
+            `  <INFO name="generator" value="${this.escapeXML(this.config.generator)}"/>`,
+            `  <INFO name="exported" value="${opts.exportedAt}"/>`,
+            '  <RESOURCE type="results">',
+            '    <TABLE name="candidates">',
+            ...fields.map(f => {
+                const attrs = [
+                    `name="${f.name}"`,
+                    `datatype="${f.datatype}"`,
+                    f.datatype === 'char' ? 'arraysize="*"' : '',
+                    f.unit ? `unit="${this.escapeXML(f.unit)}"` : '',
+                    `ucd="${f.ucd}"`
+                ].filter(Boolean).join(' ');
+                return f.description
+                    ? `      <FIELD ${attrs}><DESCRIPTION>${this.escapeXML(f.description)}</DESCRIPTION></FIELD>`
+                    : `      <FIELD ${attrs}/>`;
+            }),
+            '      <DATA>',
+            '        <TABLEDATA>',
+            ...rows.map(row => `          <TR>${fields.map(f => `<TD>${cell(row[f.key], f)}</TD>`).join('')}</TR>`),
+            '        </TABLEDATA>',
+            '      </DATA>',
+            '    </TABLE>',
+            '  </RESOURCE>',
+            '</VOTABLE>'
+        ].join('\n') + '\n';
+    },
+
+    /**
+     * Candidate parameters with ExoFOP TOI table column names, so the file lines up
+     * with a TOI download for comparison
+     */
+    exofopCSV(list, opts) {
+        const columns = [
+            ['TIC ID', r => r.ticId],
+            ['TOI', r => r.toi ? r.toi.replace(/^TOI-/, '') : ''],
+            ['User Disposition', r => r.userDisposition],
+            ['TESS Mag', r => this.round(r.tmag, 3)],
+            ['RA', r => this.fixed(r.ra, 6)],
+            ['Dec', r => this.fixed(r.dec, 6)],
+            ['Epoch (BJD)', r => this.fixed(r.epoch, 6)],
+            ['Epoch (BJD) err', r => this.round(r.epochErr, 3)],
+            ['Period (days)', r => this.round(r.period, 7)],
+            ['Period (days) err', r => this.round(r.periodErr, 3)],
+            ['Duration (hours)', r => this.round(r.durationHours, 4)],
+            ['Duration (hours) err', () => null],
+            ['Depth (ppm)', r => this.round(r.depthPpm, 4)],
+            ['Depth (ppm) err', r => this.round(r.depthPpmErr, 3)],
+            ['Planet Radius (R_Earth)', r => this.round(r.planetRadius, 4)],
+            ['Planet Radius (R_Earth) err', r => this.round(r.planetRadiusErr, 3)],
+            ['Planet SNR', r => this.round(r.snr, 4)],
+            ['Stellar Distance (pc)', r => this.round(r.distance, 5)],
+            ['Stellar Eff Temp (K)', r => this.round(r.teff, 5)],
+            ['Stellar log(g) (cm/s^2)', r => this.round(r.logg, 4)],
+            ['Stellar Radius (R_Sun)', r => this.round(r.stellarRadius, 4)],
+            ['Stellar Mass (M_Sun)', r => this.round(r.stellarMass, 4)],
+            ['Sectors', r => r.sectors.join(',')],
+            ['Date Modified', r => r.updatedAt ? r.updatedAt.slice(0, 10) : ''],
+            ['Comments', r => this.exofopComment(r)]
+        ];
+
+        const rows = this.candidateRows(list, opts.dispositions);
+        return [
+            columns.map(([name]) => this.csvCell(name)).join(','),
+            ...rows.map(row => columns.map(([, value]) => this.csvCell(value(row))).join(','))
+        ].join('\n') + '\n';
+    },
+
+    exofopComment(row) {
+        const parts = [`Larun. ${row.method}`];
+        if (row.sde !== null) parts.push(`SDE ${row.sde.toFixed(1)}`);
+        if (row.classification) parts.push(`class ${row.classification} (${Math.round((row.probability || 0) * 100)}%)`);
+        if (row.vettingDisposition) {
+            parts.push(`vetting ${row.vettingDisposition}${row.reasonCodes.length ? ` [${row.reasonCodes.join(' ')}]` : ''}`);
+        }
+        if (row.synthetic) parts.push('SYNTHETIC DATA');
+        return parts.join('; ');
+    },
+
+    // ============================================
+    // Transit timing
+    // ============================================
+
+    /**
+     * Long-format CSV of TTVService mid-times and O-C (target, epoch, ...) with a # header
+     * per target giving the time system, linear ephemeris and significance
+     */
+    ttvCSV(list, opts) {
+        const timed = list.filter(a => a.ttv);
+        if (timed.length === 0) throw new Error('None of the selected analyses has a TTV analysis');
+        const lines = [
+            `# ${this.config.generator}: transit timing`,
+            `# exported: ${opts.exportedAt}`
+        ];
+
+        timed.forEach(a => {
+            lines.push(
+                `# target: ${a.target}`,
+                `#   time: ${this.timeSystem(a)}`,
+                ...TTVService.describeHeader(a.ttv).map(line => `#   ${line}`)
+            );
+        });
+
+        lines.push(['target', ...TTVService.config.csvColumns].join(','));
+        timed.forEach(a => {
+            const target = this.csvCell(a.target);
+            TTVService.csvRows(a.ttv).forEach(row => lines.push([target, ...row].join(',')));
+        });
+        return lines.join('\n') + '\n';
+    },
+
+    // ============================================
+    // Formatting
+    // ============================================
+
+    timeSystem(a) {
+        const reference = a.lightCurve?.metadata?.timeReference;
+        return reference ? `BJD - ${reference}` : 'BJD';
+    },
+
+    /**
+     * Bare TIC number ("TIC 307210830" -> "307210830"), or null
+     */
+    ticNumber(value) {
+        const match = String(value ?? '').match(/^\s*(?:TIC[\s-]*)?(\d+)\s*$/i);
+        return match ? match[1] : null;
+    },
+
+    // Significant figures
+    round(value, digits) {
+        return Number.isFinite(value) ? Number(value.toPrecision(digits)) : null;
+    },
+
+    // Decimal places (epochs and coordinates)
+    fixed(value, decimals) {
+        return Number.isFinite(value) ? value.toFixed(decimals) : null;
+    },
+
+    csvCell(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    slug(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'export';
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportService;
+}
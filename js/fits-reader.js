@@ -0,0 +1,381 @@
+/**
+ * FITS Light Curve Reader
+ * Parses primary headers and BINTABLE extensions of TESS SPOC, TESS-SPOC/QLP
+ * and Kepler LC files into the MASTService light curve shape
+ */
+
+const FITSReader = {
+    BLOCK_SIZE: 2880,
+    CARD_SIZE: 80,
+
+    // Flux columns in order of preference (PDC for SPOC, KSP for QLP, SAP otherwise)
+    fluxColumns: [
+        { flux: 'PDCSAP_FLUX', error: 'PDCSAP_FLUX_ERR' },
+        { flux: 'KSPSAP_FLUX', error: 'KSPSAP_FLUX_ERR' },
+        { flux: 'SAP_FLUX', error: 'SAP_FLUX_ERR' },
+        { flux: 'DET_FLUX', error: 'DET_FLUX_ERR' }
+    ],
+
+    // QUALITY bits that mark unusable cadences: attitude tweak, safe mode, coarse/earth
+    // point, argabrightening, desaturation, manual exclude, impulsive outlier, bad calibration
+    defaultQualityMask: 1 | 2 | 4 | 8 | 16 | 32 | 128 | 512 | 16384,
+
+    // Byte sizes of BINTABLE TFORM codes
+    typeSizes: { L: 1, X: 1, B: 1, I: 2, J: 4, K: 8, A: 1, E: 4, D: 8, C: 8, M: 16, P: 8, Q: 16 },
+
+    /**
+     * Read a File/Blob and return a light curve
+     * @param {File|Blob} file - FITS file selected by the user
+     * @param {object} options - See toLightCurve
+     */
+    async readFile(file, options = {}) {
+        const buffer = await file.arrayBuffer();
+        const lightCurve = this.toLightCurve(this.parse(buffer), options);
+        lightCurve.metadata.fileName = file.name || null;
+        return lightCurve;
+    },
+
+    /**
+     * Check whether a buffer looks like a FITS file
+     */
+    isFITS(buffer) {
+        if (buffer.byteLength < this.CARD_SIZE) return false;
+        const first = this.readAscii(new Uint8Array(buffer, 0, 30));
+        return /^SIMPLE\s*=\s*T/.test(first);
+    },
+
+    /**
+     * Parse every HDU in a FITS file
+     * @param {ArrayBuffer} buffer - Raw file contents
+     * @returns {object[]} [{header, type, columns, rows, data}]
+     */
+    parse(buffer) {
+        if (!this.isFITS(buffer)) {
+            throw new Error('Not a FITS file (missing SIMPLE = T)');
+        }
+
+        const view = new DataView(buffer);
+        const hdus = [];
+        let offset = 0;
+
+        while (offset + this.BLOCK_SIZE <= buffer.byteLength) {
+            const { header, end } = this.parseHeader(buffer, offset);
+            const dataSize = this.dataSize(header);
+            const hdu = {
+                header,
+                type: hdus.length === 0 ? 'PRIMARY' : (header.XTENSION || 'UNKNOWN').trim(),
+                dataOffset: end,
+                dataSize
+            };
+
+            if (hdu.type === 'BINTABLE') {
+                this.readBinTable(view, hdu);
+            }
+
+            hdus.push(hdu);
+            offset = end + Math.ceil(dataSize / this.BLOCK_SIZE) * this.BLOCK_SIZE;
+        }
+
+        return hdus;
+    },
+
+    /**
+     * Parse header cards starting at a block boundary until END
+     */
+    parseHeader(buffer, start) {
+        const bytes = new Uint8Array(buffer);
+        const header = {};
+        let offset = start;
+
+        while (offset + this.CARD_SIZE <= buffer.byteLength) {
+            const card = this.readAscii(bytes.subarray(offset, offset + this.CARD_SIZE));
+            offset += this.CARD_SIZE;
+
+            const keyword = card.slice(0, 8).trim();
+            if (keyword === 'END') break;
+            if (!keyword) continue;
+
+            if (keyword === 'COMMENT' || keyword === 'HISTORY') {
+                (header[keyword] = header[keyword] || []).push(card.slice(8).trim());
+                continue;
+            }
+
+            if (card.slice(8, 10) !== '= ') continue;
+            header[keyword] = this.parseValue(card.slice(10));
+        }
+
+        // Data starts at the next block boundary after END
+        const end = start + Math.ceil((offset - start) / this.BLOCK_SIZE) * this.BLOCK_SIZE;
+        return { header, end };
+    },
+
+    /**
+     * Parse the value field of a header card (strings, logicals, numbers)
+     */
+    parseValue(field) {
+        const trimmed = field.trim();
+
+        if (trimmed.startsWith("'")) {
+            // Quoted string; '' is an escaped quote
+            const match = trimmed.match(/^'((?:[^']|'')*)'/);
+            return match ? match[1].replace(/''/g, "'").replace(/\s+$/, '') : '';
+        }
+
+        const value = trimmed.split('/')[0].trim();
+        if (value === 'T') return true;
+        if (value === 'F') return false;
+        if (value === '') return null;
+
+        const number = Number(value.replace(/D/i, 'E'));
+        return Number.isNaN(number) ? value : number;
+    },
+
+    /**
+     * Size in bytes of an HDU's data (excluding block padding)
+     */
+    dataSize(header) {
+        const naxis = header.NAXIS || 0;
+        if (naxis === 0) return 0;
+
+        let size = Math.abs(header.BITPIX || 8) / 8;
+        for (let i = 1; i <= naxis; i++) {
+            size *= header[`NAXIS${i}`] || 0;
+        }
+        return (size + (header.PCOUNT || 0)) * (header.GCOUNT || 1);
+    },
+
+    /**
+     * Parse a TFORM value like '1D', '16A' or 'E'
+     */
+    parseFormat(tform) {
+        const match = String(tform).trim().match(/^(\d*)([LXBIJKAEDCMPQ])/);
+        if (!match) throw new Error(`Unsupported TFORM: ${tform}`);
+
+        const repeat = match[1] === '' ? 1 : parseInt(match[1], 10);
+        const type = match[2];
+        const width = type === 'X' ? Math.ceil(repeat / 8) : repeat * this.typeSizes[type];
+        return { repeat, type, width };
+    },
+
+    /**
+     * Decode every column of a BINTABLE HDU into arrays
+     */
+    readBinTable(view, hdu) {
+        const { header } = hdu;
+        const rowSize = header.NAXIS1;
+        const rowCount = header.NAXIS2;
+        const fieldCount = header.TFIELDS || 0;
+
+        const columns = [];
+        let byteOffset = 0;
+        for (let i = 1; i <= fieldCount; i++) {
+            const format = this.parseFormat(header[`TFORM${i}`]);
+            columns.push({
+                name: (header[`TTYPE${i}`] || `COL${i}`).trim(),
+                unit: header[`TUNIT${i}`] || null,
+                scale: header[`TSCAL${i}`] ?? 1,
+                zero: header[`TZERO${i}`] ?? 0,
+                nullValue: header[`TNULL${i}`] ?? null,
+                offset: byteOffset,
+                ...format
+            });
+            byteOffset += format.width;
+        }
+
+        const data = {};
+        for (const column of columns) {
+            data[column.name] = this.readColumn(view, hdu.dataOffset, rowSize, rowCount, column);
+        }
+
+        hdu.columns = columns;
+        hdu.rows = rowCount;
+        hdu.data = data;
+    },
+
+    /**
+     * Decode one column; scalar numeric columns become Float64Arrays
+     */
+    readColumn(view, dataOffset, rowSize, rowCount, column) {
+        const { type, repeat, scale, zero, nullValue } = column;
+
+        if (type === 'A') {
+            const bytes = new Uint8Array(view.buffer, view.byteOffset + dataOffset, rowSize * rowCount);
+            return Array.from({ length: rowCount }, (_, row) =>
+                this.readAscii(bytes.subarray(row * rowSize + column.offset, row * rowSize + column.offset + repeat)).trim());
+        }
+
+        // Heap-backed variable length arrays are not needed for light curves
+        if (type === 'P' || type === 'Q' || type === 'X' || type === 'C' || type === 'M') {
+            return null;
+        }
+
+        const size = this.typeSizes[type];
+        const values = new Float64Array(rowCount * repeat);
+
+        for (let row = 0; row < rowCount; row++) {
+            const base = dataOffset + row * rowSize + column.offset;
+            for (let k = 0; k < repeat; k++) {
+                const pos = base + k * size;
+                let raw;
+                switch (type) {
+                    case 'L': raw = view.getUint8(pos) === 84 ? 1 : 0; break;
+                    case 'B': raw = view.getUint8(pos); break;
+                    case 'I': raw = view.getInt16(pos, false); break;
+                    case 'J': raw = view.getInt32(pos, false); break;
+                    case 'K': raw = Number(view.getBigInt64(pos, false)); break;
+                    case 'E': raw = view.getFloat32(pos, false); break;
+                    case 'D': raw = view.getFloat64(pos, false); break;
+                }
+
+                values[row * repeat + k] = nullValue !== null && raw === nullValue
+                    ? NaN
+                    : raw * scale + zero;
+            }
+        }
+
+        return values;
+    },
+
+    /**
+     * Convert parsed HDUs into {time, flux, error, quality, metadata}
+     * @param {object[]} hdus - Output of parse()
+     * @param {object} options - {fluxColumn, qualityMask, normalize, keepFlagged}
+     */
+    toLightCurve(hdus, options = {}) {
+        const primary = hdus[0]?.header || {};
+        const table = hdus.find(h => h.type === 'BINTABLE' && h.header.EXTNAME === 'LIGHTCURVE') ||
+            hdus.find(h => h.type === 'BINTABLE' && h.data?.TIME);
+
+        if (!table) {
+            throw new Error('No LIGHTCURVE binary table with a TIME column found');
+        }
+
+        const data = table.data;
+        const header = table.header;
+        const choice = options.fluxColumn
+            ? { flux: options.fluxColumn, error: `${options.fluxColumn}_ERR` }
+            : this.fluxColumns.find(c => data[c.flux]);
+
+        if (!choice || !data[choice.flux]) {
+            throw new Error(`Flux column ${options.fluxColumn || 'PDCSAP_FLUX/SAP_FLUX'} not found`);
+        }
+
+        const qualityMask = options.qualityMask ?? this.defaultQualityMask;
+        const timeCol = data.TIME;
+        const fluxCol = data[choice.flux];
+        const errorCol = data[choice.error] || null;
+        const qualityCol = data.QUALITY || data.SAP_QUALITY || null;
+
+        const time = [];
+        const flux = [];
+        const error = [];
+        const quality = [];
+        const sapFlux = [];
+        const pdcsapFlux = [];
+        let flagged = 0;
+
+        for (let i = 0; i < table.rows; i++) {
+            const q = qualityCol ? qualityCol[i] : 0;
+            if (!Number.isFinite(timeCol[i]) || !Number.isFinite(fluxCol[i])) continue;
+            if (!options.keepFlagged && (q & qualityMask)) {
+                flagged++;
+                continue;
+            }
+
+            time.push(timeCol[i]);
+            flux.push(fluxCol[i]);
+            error.push(errorCol && Number.isFinite(errorCol[i]) ? errorCol[i] : NaN);
+            quality.push(q);
+            sapFlux.push(data.SAP_FLUX ? data.SAP_FLUX[i] : NaN);
+            pdcsapFlux.push(data.PDCSAP_FLUX ? data.PDCSAP_FLUX[i] : NaN);
+        }
+
+        if (time.length === 0) {
+            throw new Error('Light curve contains no valid cadences');
+        }
+
+        // Normalize to unit median so depths read as fractions, like MASTService output
+        const sorted = [...flux].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const normalize = options.normalize !== false && median > 0;
+        if (normalize) {
+            for (let i = 0; i < flux.length; i++) {
+                flux[i] /= median;
+                error[i] /= median;
+            }
+        }
+
+        return {
+            time,
+            flux,
+            error,
+            quality,
+            sapFlux,
+            pdcsapFlux,
+            metadata: {
+                ...this.extractMetadata(primary, header),
+                fluxColumn: choice.flux,
+                fluxUnit: table.columns.find(c => c.name === choice.flux)?.unit || null,
+                normalized: normalize,
+                medianFlux: median,
+                qualityMask,
+                flaggedCadences: flagged,
+                numPoints: time.length,
+                source: 'fits_upload'
+            }
+        };
+    },
+
+    /**
+     * Pull target and observation metadata from the primary and table headers
+     */
+    extractMetadata(primary, table) {
+        const get = (key) => primary[key] ?? table[key] ?? null;
+        const mission = (get('MISSION') || get('TELESCOP') || '').toString().toUpperCase();
+        const isKepler = mission.includes('KEPLER') || mission === 'K2' || get('KEPLERID') !== null;
+
+        const bjdRef = (table.BJDREFI ?? 0) + (table.BJDREFF ?? 0);
+
+        return {
+            mission: isKepler ? (mission === 'K2' ? 'K2' : 'Kepler') : 'TESS',
+            object: get('OBJECT'),
+            ticId: get('TICID'),
+            keplerId: get('KEPLERID'),
+            sector: get('SECTOR'),
+            quarter: get('QUARTER'),
+            campaign: get('CAMPAIGN'),
+            camera: get('CAMERA'),
+            ccd: get('CCD'),
+            tessmag: get('TESSMAG'),
+            kepmag: get('KEPMAG'),
+            teff: get('TEFF'),
+            logg: get('LOGG'),
+            radius: get('RADIUS'),
+            ra: get('RA_OBJ'),
+            dec: get('DEC_OBJ'),
+            origin: get('ORIGIN'),
+            creator: get('CREATOR') || get('PROCVER'),
+            timeSystem: table.TIMESYS || 'TDB',
+            timeUnit: table.TIMEUNIT || 'd',
+            timeReference: bjdRef || null,
+            timeFormat: isKepler ? 'BKJD' : 'BTJD',
+            cadence: table.TIMEDEL ?? null
+        };
+    },
+
+    /**
+     * Decode ASCII bytes
+     */
+    readAscii(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i++) {
+            text += String.fromCharCode(bytes[i]);
+        }
+        return text;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FITSReader;
+}
@@ -0,0 +1,309 @@
+/**
+ * Inference Worker Pool
+ * Small pool of inference workers with a promise-based task protocol and cancellation
+ */
+
+const InferencePool = {
+    // Pool configuration
+    config: {
+        size: typeof navigator !== 'undefined' && navigator.hardwareConcurrency
+            ? Math.min(Math.max(navigator.hardwareConcurrency - 1, 1), 4)
+            : 2,
+        // Resolved relative to this script so pages in subdirectories work too
+        workerUrl: (typeof document !== 'undefined' && document.currentScript
+            ? document.currentScript.src.replace(/[^/]*$/, '')
+            : '') + 'inference-worker.js',
+        // Crashes of running workers tolerated before the pool stops replacing them
+        maxCrashes: 3
+    },
+
+    // Pool state
+    workers: [],
+    queue: [],
+    nextTaskId: 1,
+    initPayload: null,
+    modelInfo: null,
+    crashCount: 0,
+    // Set when workers cannot run here (they fail to load or keep crashing): queued and new
+    // tasks reject with a workerCrash error, and offload() computes on the main thread
+    crashed: false,
+
+    /**
+     * Check whether Web Workers can be used in this environment
+     */
+    isSupported() {
+        return typeof Worker !== 'undefined' && typeof window !== 'undefined';
+    },
+
+    /**
+     * Initialize the pool and load the model in the first worker
+     * @param {object} payload - {registryUrl, modelId, tfjsUrl} forwarded to every worker
+     */
+    async init(payload = {}) {
+        // Re-initializing (e.g. for a different model) restarts every worker
+        this.terminate();
+        this.initPayload = payload;
+        this.crashCount = 0;
+        this.crashed = false;
+
+        const entry = this.spawnWorker();
+        this.modelInfo = await entry.initTask.promise;
+        return this.modelInfo;
+    },
+
+    /**
+     * Create a worker and queue its init task ahead of any other work
+     */
+    spawnWorker() {
+        const entry = {
+            worker: new Worker(this.config.workerUrl),
+            task: null,
+            initTask: null,
+            // Whether the worker has answered at all (a worker that never has failed to load)
+            loaded: false
+        };
+
+        entry.worker.onmessage = (event) => {
+            entry.loaded = true;
+            this.handleMessage(entry, event.data);
+        };
+        entry.worker.onerror = (event) => {
+            event.preventDefault?.();
+            this.handleCrash(entry, this.crashError(event.message));
+        };
+
+        this.workers.push(entry);
+
+        if (this.initPayload) {
+            entry.initTask = this.createTask('init', this.initPayload);
+            this.dispatch(entry, entry.initTask);
+        }
+
+        return entry;
+    },
+
+    /**
+     * Build a task record with its own promise
+     */
+    createTask(type, payload, options = {}) {
+        const task = {
+            id: this.nextTaskId++,
+            type,
+            payload,
+            transfer: options.transfer || [],
+            signal: options.signal || null
+        };
+
+        task.promise = new Promise((resolve, reject) => {
+            task.resolve = resolve;
+            task.reject = reject;
+        });
+
+        // Internal init tasks may have no caller awaiting them
+        task.promise.catch(() => {});
+
+        return task;
+    },
+
+    /**
+     * Run a task on the pool
+     * @param {string} type - Task type (init, preprocess, variability, predict, bls, blsIterative, fit, vet, benchmark)
+     * @param {object} payload - Task payload
+     * @param {object} options - {signal: AbortSignal, transfer: Transferable[]}
+     * @returns {Promise} Resolves with the task result, rejects with AbortError on cancel
+     */
+    run(type, payload, options = {}) {
+        const task = this.createTask(type, payload, options);
+        if (this.crashed) {
+            task.reject(this.crashError('Inference workers are unavailable'));
+            return task.promise;
+        }
+
+        if (task.signal) {
+            if (task.signal.aborted) {
+                task.reject(this.abortError());
+                return task.promise;
+            }
+            task.signal.addEventListener('abort', () => this.cancel(task.id), { once: true });
+        }
+
+        this.queue.push(task);
+        this.pump();
+
+        return task.promise;
+    },
+
+    /**
+     * Run a compute task on the pool, or on the main thread when Web Workers are unavailable
+     * or have crashed (after yielding once, so pending input and output are handled first)
+     * @param {string} type - Task type, see run()
+     * @param {object} payload - Task payload
+     * @param {function} local - The same computation, called here without workers
+     * @param {object} options - Passed to run()
+     */
+    async offload(type, payload, local, options = {}) {
+        if (this.isSupported() && !this.crashed) {
+            try {
+                return await this.run(type, payload, options);
+            } catch (error) {
+                if (!error.workerCrash) throw error;
+                console.warn('Inference worker crashed, computing on main thread:', error.message);
+            }
+        }
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return local();
+    },
+
+    /**
+     * Hand queued tasks to idle workers, growing the pool up to its size
+     */
+    pump() {
+        while (this.queue.length > 0 && !this.crashed) {
+            let entry = this.workers.find(w => !w.task);
+            if (!entry && this.workers.length < this.config.size) {
+                entry = this.spawnWorker();
+                if (entry.task) continue;
+            }
+            if (!entry) return;
+
+            this.dispatch(entry, this.queue.shift());
+        }
+    },
+
+    /**
+     * Send a task to a specific worker
+     */
+    dispatch(entry, task) {
+        entry.task = task;
+        task.startTime = performance.now();
+        entry.worker.postMessage({ id: task.id, type: task.type, payload: task.payload }, task.transfer);
+    },
+
+    /**
+     * Handle a reply from a worker
+     */
+    handleMessage(entry, message) {
+        const task = entry.task;
+        if (!task || task.id !== message.id) return;
+
+        entry.task = null;
+
+        if (message.ok) {
+            task.resolve(message.result);
+        } else {
+            task.reject(new Error(message.error));
+            // A worker whose init failed gets no tasks: replace it
+            if (task === entry.initTask) {
+                this.handleCrash(entry, this.crashError(`Inference worker init failed: ${message.error}`));
+                return;
+            }
+        }
+
+        this.pump();
+    },
+
+    /**
+     * Replace a crashed worker and fail its current task. A worker that never loaded, or
+     * maxCrashes crashes, mark the pool crashed and fail every queued task instead.
+     */
+    handleCrash(entry, error) {
+        const task = entry.task;
+        this.removeWorker(entry);
+        if (task) task.reject(error);
+
+        this.crashCount++;
+        if (!entry.loaded || this.crashCount >= this.config.maxCrashes) {
+            this.crashed = true;
+            this.queue.splice(0).forEach(queued => queued.reject(error));
+            return;
+        }
+        this.pump();
+    },
+
+    /**
+     * Terminate a worker and drop it from the pool
+     */
+    removeWorker(entry) {
+        entry.worker.terminate();
+        entry.task = null;
+        this.workers = this.workers.filter(w => w !== entry);
+    },
+
+    /**
+     * Cancel a task: queued tasks are dropped, running tasks terminate their worker
+     */
+    cancel(taskId) {
+        const queued = this.queue.findIndex(t => t.id === taskId);
+        if (queued !== -1) {
+            const [task] = this.queue.splice(queued, 1);
+            task.reject(this.abortError());
+            return true;
+        }
+
+        const entry = this.workers.find(w => w.task?.id === taskId);
+        if (entry) {
+            const task = entry.task;
+            this.removeWorker(entry);
+            task.reject(this.abortError());
+            this.pump();
+            return true;
+        }
+
+        return false;
+    },
+
+    /**
+     * Cancel every queued and running task
+     */
+    cancelAll() {
+        const ids = [...this.queue.map(t => t.id), ...this.workers.filter(w => w.task).map(w => w.task.id)];
+        ids.forEach(id => this.cancel(id));
+    },
+
+    /**
+     * Shut down all workers
+     */
+    terminate() {
+        this.cancelAll();
+        this.workers.forEach(w => w.worker.terminate());
+        this.workers = [];
+        // Workers spawned after a shutdown only compute; init() loads a model again
+        this.initPayload = null;
+    },
+
+    /**
+     * Error used for cancelled tasks
+     */
+    abortError() {
+        const error = new Error('Inference task cancelled');
+        error.name = 'AbortError';
+        return error;
+    },
+
+    /**
+     * Error for tasks failed by a worker crash (offload() falls back on it)
+     */
+    crashError(message) {
+        const error = new Error(message || 'Inference worker crashed');
+        error.workerCrash = true;
+        return error;
+    },
+
+    /**
+     * Get pool status
+     */
+    getStatus() {
+        return {
+            workers: this.workers.length,
+            busy: this.workers.filter(w => w.task).length,
+            queued: this.queue.length,
+            crashed: this.crashed,
+            size: this.config.size
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InferencePool;
+}
@@ -0,0 +1,69 @@
+/**
+ * Inference Worker
+ * Runs ModelService preprocessing, fallback and TF.js inference, light-curve cleaning,
+ * variability analysis, BLS searches, transit fits and vetting off the main thread.
+ * Spawned by InferencePool; every message is {id, type, payload} and every reply is
+ * {id, ok, result} or {id, ok: false, error}.
+ */
+
+importScripts('preprocess-service.js', 'bls-service.js', 'transit-fit-service.js', 'planet-characterization.js',
+    'variability-service.js', 'vetting-service.js', 'model-service.js');
+
+// Never recurse into another pool from inside a worker
+ModelService.config.useWorkers = false;
+
+const handlers = {
+    async init(payload) {
+        if (payload.registryUrl) ModelService.config.registryUrl = payload.registryUrl;
+        if (payload.modelId) ModelService.config.modelId = payload.modelId;
+        if (payload.tfjsUrl) ModelService.config.tfjsUrl = payload.tfjsUrl;
+        await ModelService.init();
+        return ModelService.modelInfo;
+    },
+
+    preprocess(payload) {
+        return PreprocessService.run(payload.lightCurve, payload.steps);
+    },
+
+    variability(payload) {
+        return VariabilityService.analyze(payload.lightCurve, payload.options || {});
+    },
+
+    predict(payload) {
+        return ModelService.predict(payload.input, payload.options || {});
+    },
+
+    bls(payload) {
+        return BLSService.search(payload.lightCurve, payload.options || {});
+    },
+
+    blsIterative(payload) {
+        return BLSService.searchIterative(payload.lightCurve, payload.options || {});
+    },
+
+    fit(payload) {
+        return TransitFitService.fit(payload.lightCurve, payload.seed, payload.options || {});
+    },
+
+    vet(payload) {
+        return VettingService.run(payload.lightCurve, payload.signal, payload.options || {});
+    },
+
+    benchmark(payload) {
+        return ModelService.runBenchmark(payload.iterations);
+    }
+};
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+
+    try {
+        const handler = handlers[type];
+        if (!handler) throw new Error(`Unknown worker task: ${type}`);
+
+        const result = await handler(payload || {});
+        self.postMessage({ id, ok: true, result });
+    } catch (error) {
+        self.postMessage({ id, ok: false, error: error.message });
+    }
+};
@@ -1,12 +1,16 @@
 /**
  * MAST API Service
  * Real data fetching from NASA's Mikulski Archive for Space Telescopes
+ *
+ * Every object returned carries provenance ('live', 'cached' or 'synthetic'),
+ * the endpoint it came from and when it was fetched or generated.
  */
 
 const MASTService = {
     // API endpoints
     endpoints: {
         base: 'https://mast.stsci.edu/api/v0',
+        download: 'https://mast.stsci.edu/api/v0.1/Download/file',
         portal: 'https://mast.stsci.edu/portal/Mashup/Clients/Mast/Portal.html',
         tessSearch: 'https://exo.mast.stsci.edu/api/v0.1/exoplanets/',
         exoplanetArchive: 'https://exoplanetarchive.ipac.caltech.edu/cgi-bin/nstedAPI/nph-nstedAPI'
@@ -16,6 +20,9 @@ const MASTService = {
     cache: new Map(),
     cacheTimeout: 5 * 60 * 1000, // 5 minutes
 
+    // Upper bound on sectors downloaded and stitched per light curve request
+    maxSectors: 10,
+
     // Connection status
     isConnected: false,
     lastPing: null,
@@ -103,7 +110,9 @@ const MASTService = {
                 filters: [{ paramName: 'ID', values: [ticId.toString().replace('TIC ', '')] }]
             });
 
-            const result = response?.data?.[0] || this.generateFallbackTICData(ticId);
+            const result = response?.data?.[0]
+                ? this.withProvenance(response.data[0], 'live', this.serviceEndpoint('Mast.Catalogs.Filtered.Tic'))
+                : this.generateFallbackTICData(ticId);
             this.setCache(cacheKey, result);
             return result;
         } catch (error) {
@@ -127,7 +136,7 @@ const MASTService = {
                 radius: parseFloat(radius)
             });
 
-            const results = response?.data || [];
+            const results = this.withProvenance(response?.data || [], 'live', this.serviceEndpoint('Mast.Catalogs.Tic.Cone'));
             this.setCache(cacheKey, results);
             return results;
         } catch (error) {
@@ -138,19 +147,31 @@ const MASTService = {
 
     /**
      * Get confirmed exoplanets from NASA Exoplanet Archive
+     * @param {number} limit
+     * @param {object} options - {transiting: only transiting planets with a TIC id, adding the
+     *                          tic_id, pl_trandep (%), pl_trandur (hours) and st_rad columns;
+     *                          periodMax: only planets with shorter periods (days)}
      */
-    async getConfirmedExoplanets(limit = 100) {
-        const cacheKey = `confirmed_${limit}`;
+    async getConfirmedExoplanets(limit = 100, options = {}) {
+        const { transiting = false, periodMax = null } = options;
+        const cacheKey = `confirmed_${limit}${transiting ? '_transiting' : ''}${periodMax ? `_${periodMax}` : ''}`;
         const cached = this.getFromCache(cacheKey);
         if (cached) return cached;
 
         try {
-            const url = `${this.endpoints.exoplanetArchive}?table=ps&select=pl_name,hostname,pl_orbper,pl_rade,pl_bmasse,disc_year,discoverymethod&where=default_flag=1&order=disc_year+desc&format=json&top=${limit}`;
+            const columns = ['pl_name', 'hostname', 'pl_orbper', 'pl_rade', 'pl_bmasse', 'disc_year', 'discoverymethod'];
+            let where = 'default_flag=1';
+            if (transiting) {
+                columns.push('tic_id', 'pl_trandep', 'pl_trandur', 'st_rad');
+                where += '+and+tran_flag=1+and+tic_id+is+not+null';
+            }
+            if (periodMax) where += `+and+pl_orbper<${periodMax}`;
+            const url = `${this.endpoints.exoplanetArchive}?table=ps&select=${columns.join(',')}&where=${where}&order=disc_year+desc&format=json&top=${limit}`;
 
             const response = await fetch(url);
             if (!response.ok) throw new Error('Exoplanet Archive request failed');
 
-            const data = await response.json();
+            const data = this.withProvenance(await response.json(), 'live', this.endpoints.exoplanetArchive);
             this.setCache(cacheKey, data);
             return data;
         } catch (error) {
@@ -175,7 +196,7 @@ const MASTService = {
             if (!response.ok) throw new Error('TOI fetch failed');
 
             const data = await response.json();
-            const targets = data.map(item => ({
+            const targets = this.withProvenance(data.map(item => ({
                 id: `TIC ${item.tid}`,
                 toi: `TOI-${item.toipfx}`,
                 name: `TOI-${item.toipfx}.${item.toi?.toString().split('.')[1] || '01'}`,
@@ -187,7 +208,7 @@ const MASTService = {
                 magnitude: item.tessmag?.toFixed(2),
                 status: 'Candidate',
                 priority: this.calculatePriority(item)
-            }));
+            })), 'live', this.endpoints.exoplanetArchive);
 
             this.setCache(cacheKey, targets);
             return targets;
@@ -197,6 +218,65 @@ const MASTService = {
         }
     },
 
+    /**
+     * Resolve a TOI ("TOI-1234.01", or "TOI-1234" for the first planet) to its TIC ID
+     * @returns {Promise<string>} "TIC <id>"
+     */
+    async resolveTOI(toi) {
+        const number = String(toi).replace(/^\s*TOI[\s-]*/i, '').trim();
+        if (!/^\d+(\.\d+)?$/.test(number)) throw new Error(`Invalid TOI: ${toi}`);
+
+        const cacheKey = `toi_${number}`;
+        const cached = this.getFromCache(cacheKey);
+        if (cached) return cached;
+
+        const where = number.includes('.') ? `toi=${number}` : `toipfx=${number}`;
+        const url = `${this.endpoints.exoplanetArchive}?table=toi&select=toi,tid&where=${where}&format=json`;
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`TOI lookup failed: ${response.status}`);
+
+        const data = await response.json();
+        if (!data?.[0]?.tid) throw new Error(`TOI-${number} not found in the Exoplanet Archive`);
+
+        const ticId = `TIC ${data[0].tid}`;
+        this.setCache(cacheKey, ticId);
+        return ticId;
+    },
+
+    /**
+     * TIC IDs with TESS light curves (SPOC 2-min and TESS-SPOC) in a sector
+     * @param {number} sector - TESS sector
+     * @param {number} limit - Maximum number of targets
+     * @returns {Promise<object[]>} [{id: 'TIC x', sector}] with provenance
+     */
+    async getSectorTargets(sector, limit = 20) {
+        const cacheKey = `sector_targets_${sector}_${limit}`;
+        const cached = this.getFromCache(cacheKey);
+        if (cached) return cached;
+
+        const response = await this.mastQuery('Mast.Caom.Filtered', {
+            columns: 'target_name,sequence_number',
+            filters: [
+                { paramName: 'obs_collection', values: ['TESS'] },
+                { paramName: 'dataproduct_type', values: ['timeseries'] },
+                { paramName: 'sequence_number', values: [Number(sector)] }
+            ]
+        });
+        if (response === null) throw new Error('MAST query failed');
+
+        const ids = [...new Set((response.data || [])
+            .map(obs => String(obs.target_name || '').trim())
+            .filter(name => /^\d+$/.test(name)))];
+        const targets = this.withProvenance(
+            ids.slice(0, limit).map(id => ({ id: `TIC ${id}`, sector: Number(sector) })),
+            'live',
+            this.serviceEndpoint('Mast.Caom.Filtered')
+        );
+
+        this.setCache(cacheKey, targets);
+        return targets;
+    },
+
     /**
      * Calculate priority score for a target (higher = more interesting)
      */
@@ -215,7 +295,7 @@ const MASTService = {
      * Get fallback discoverable targets
      */
     getFallbackDiscoverableTargets() {
-        return [
+        return this.withProvenance([
             { id: 'TIC 307210830', toi: 'TOI-175', name: 'TOI-175.01', disposition: 'PC', period: '3.69 days', depth: '0.150%', ra: '39.4821', dec: '-23.5678', magnitude: '11.95', status: 'Candidate', priority: 75 },
             { id: 'TIC 259962054', toi: 'TOI-216', name: 'TOI-216.01', disposition: 'PC', period: '17.1 days', depth: '0.230%', ra: '101.2234', dec: '12.3456', magnitude: '10.82', status: 'Candidate', priority: 85 },
             { id: 'TIC 55652896', toi: 'TOI-700', name: 'TOI-700.01', disposition: 'PC', period: '9.97 days', depth: '0.080%', ra: '98.7654', dec: '-65.4321', magnitude: '13.15', status: 'Candidate', priority: 65 },
@@ -224,24 +304,26 @@ const MASTService = {
             { id: 'TIC 158588995', toi: 'TOI-836', name: 'TOI-836.01', disposition: 'PC', period: '8.59 days', depth: '0.110%', ra: '189.3456', dec: '-56.7890', magnitude: '11.87', status: 'Candidate', priority: 70 },
             { id: 'TIC 441462736', toi: 'TOI-1233', name: 'TOI-1233.01', disposition: 'PC', period: '3.79 days', depth: '0.200%', ra: '245.6789', dec: '23.4567', magnitude: '10.15', status: 'Candidate', priority: 95 },
             { id: 'TIC 233095291', toi: 'TOI-1899', name: 'TOI-1899.01', disposition: 'PC', period: '29.03 days', depth: '1.150%', ra: '301.2345', dec: '-12.3456', magnitude: '12.45', status: 'Candidate', priority: 60 }
-        ];
+        ], 'synthetic', 'MASTService.getFallbackDiscoverableTargets');
     },
 
     /**
      * Get TESS sector information
+     * Target counts are placeholders (no MAST endpoint is queried), so the list is marked synthetic
      */
     async getTESSSectors() {
         try {
             // TESS has 69+ sectors as of 2026
             const sectors = [];
             for (let i = 1; i <= 69; i++) {
+                const random = this.seededRandom(`sector:${i}`);
                 sectors.push({
                     sector: i,
                     status: i <= 65 ? 'complete' : 'in_progress',
-                    targets: Math.floor(15000 + Math.random() * 5000)
+                    targets: Math.floor(15000 + random() * 5000)
                 });
             }
-            return sectors;
+            return this.withProvenance(sectors, 'synthetic', 'MASTService.getTESSSectors');
         } catch (error) {
             return [];
         }
@@ -249,44 +331,182 @@ const MASTService = {
 
     /**
      * Fetch light curve data for a target
+     * Downloads the SPOC/TESS-SPOC LC files for the target and stitches the sectors together
+     * @param {string} ticId - TIC identifier
+     * @param {number|number[]|null} sector - Sector(s) to fetch, or null for every available sector
      */
     async getLightCurve(ticId, sector = null) {
-        const cacheKey = `lc_${ticId}_${sector || 'all'}`;
+        const sectors = sector === null || sector === undefined ? null : [].concat(sector).map(Number);
+        const cacheKey = `lc_${ticId}_${sectors ? sectors.join('-') : 'all'}`;
         const cached = this.getFromCache(cacheKey);
         if (cached) return cached;
 
-        try {
-            // Try to get real TESS light curve
-            const obsParams = {
-                target_name: ticId.toString().replace('TIC ', ''),
-                project: 'TESS',
-                dataproduct_type: 'timeseries'
-            };
+        const targetName = ticId.toString().replace(/^TIC\s*/i, '').trim();
 
+        try {
             const response = await this.mastQuery('Mast.Caom.Filtered', {
+                columns: '*',
                 filters: [
-                    { paramName: 'target_name', values: [obsParams.target_name] },
-                    { paramName: 'project', values: ['TESS'] },
+                    { paramName: 'target_name', values: [targetName] },
+                    { paramName: 'obs_collection', values: ['TESS'] },
                     { paramName: 'dataproduct_type', values: ['timeseries'] }
                 ]
             });
 
-            if (response?.data?.length > 0) {
-                // Found real data - would need to download actual FITS file
-                // For now, generate realistic synthetic data based on metadata
-                const result = this.generateRealisticLightCurve(response.data[0]);
-                this.setCache(cacheKey, result);
-                return result;
+            const observations = this.selectSectorObservations(response?.data || [], sectors);
+            if (observations.length === 0) {
+                const reason = response === null
+                    ? 'MAST query failed'
+                    : sectors
+                        ? `No TESS light curve for sector ${sectors.join(', ')}`
+                        : 'No TESS light curves found for target';
+                return this.generateSyntheticLightCurve(ticId, reason);
             }
 
-            // No real data found - generate synthetic
-            const synthetic = this.generateSyntheticLightCurve(ticId);
-            this.setCache(cacheKey, synthetic);
-            return synthetic;
+            const lightCurves = [];
+            const failures = [];
+            for (const obs of observations.slice(0, this.maxSectors)) {
+                try {
+                    lightCurves.push(await this.downloadObservationLightCurve(obs));
+                } catch (error) {
+                    console.warn(`Sector ${obs.sequence_number} download failed:`, error.message);
+                    failures.push({ sector: obs.sequence_number, error: error.message });
+                }
+            }
+
+            // Observations exist but none could be downloaded: fall back to labelled stand-in data
+            if (lightCurves.length === 0) {
+                return this.generateRealisticLightCurve(observations[0], `Light curve download failed (${failures.map(f => f.error).join('; ')})`);
+            }
+
+            const result = this.withProvenance(this.stitchLightCurves(lightCurves), 'live', this.endpoints.download);
+            result.metadata.ticId = ticId;
+            result.metadata.sectorsAvailable = observations.map(o => o.sequence_number);
+            result.metadata.failedSectors = failures;
+
+            this.setCache(cacheKey, result);
+            return result;
         } catch (error) {
             console.warn('Light curve fetch failed:', error.message);
-            return this.generateSyntheticLightCurve(ticId);
+            return this.generateSyntheticLightCurve(ticId, error.message);
+        }
+    },
+
+    /**
+     * Human-readable label saying whether a light curve is real MAST data or synthetic
+     */
+    describeSource(lightCurve) {
+        const meta = lightCurve?.metadata || {};
+        if (meta.synthetic) {
+            return `Synthetic (not real data${meta.reason ? `: ${meta.reason}` : ''})`;
+        }
+        if (meta.source === 'mast') {
+            const cached = lightCurve.provenance === 'cached' ? ' (cached)' : '';
+            return `MAST ${meta.fluxColumn || 'TESS'}, sector${meta.sectors.length > 1 ? 's' : ''} ${meta.sectors.join(', ')}${cached}`;
+        }
+        return meta.source || 'Unknown';
+    },
+
+    /**
+     * Pick one timeseries observation per sector, preferring 120 s SPOC data
+     */
+    selectSectorObservations(observations, sectors = null) {
+        const bySector = new Map();
+
+        for (const obs of observations) {
+            const sector = Number(obs.sequence_number);
+            if (!Number.isFinite(sector)) continue;
+            if (sectors && !sectors.includes(sector)) continue;
+
+            const rank = (o) => (o.provenance_name === 'SPOC' ? 0 : 2) + (Number(o.t_exptime) === 120 ? 0 : 1);
+            const current = bySector.get(sector);
+            if (!current || rank(obs) < rank(current)) {
+                bySector.set(sector, obs);
+            }
+        }
+
+        return [...bySector.values()].sort((a, b) => a.sequence_number - b.sequence_number);
+    },
+
+    /**
+     * Resolve the LC data product of a CAOM observation, download and parse it
+     */
+    async downloadObservationLightCurve(obs) {
+        const products = await this.mastQuery('Mast.Caom.Products', { obsid: obs.obsid });
+        const lcProduct = (products?.data || []).find(p =>
+            p.productSubGroupDescription === 'LC' || /_lc\.fits$/i.test(p.productFilename || '')
+        );
+
+        if (!lcProduct) {
+            throw new Error(`No LC product for observation ${obs.obs_id || obs.obsid}`);
+        }
+
+        const url = `${this.endpoints.download}?uri=${encodeURIComponent(lcProduct.dataURI)}`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Download failed: ${response.status}`);
+        }
+
+        if (typeof FITSReader === 'undefined') {
+            throw new Error('FITSReader not loaded');
         }
+
+        const lightCurve = FITSReader.toLightCurve(FITSReader.parse(await response.arrayBuffer()));
+        lightCurve.metadata.sector = lightCurve.metadata.sector ?? obs.sequence_number;
+        lightCurve.metadata.productFilename = lcProduct.productFilename;
+        lightCurve.metadata.dataURI = lcProduct.dataURI;
+        lightCurve.metadata.provenanceName = obs.provenance_name || null;
+        lightCurve.metadata.exposureTime = obs.t_exptime ?? null;
+        return lightCurve;
+    },
+
+    /**
+     * Concatenate per-sector light curves (each already normalized to unit median)
+     */
+    stitchLightCurves(lightCurves) {
+        const sorted = [...lightCurves].sort((a, b) => a.time[0] - b.time[0]);
+        const time = [];
+        const flux = [];
+        const error = [];
+        const quality = [];
+        const sectorIndex = [];
+
+        for (const lc of sorted) {
+            for (let i = 0; i < lc.time.length; i++) {
+                time.push(lc.time[i]);
+                flux.push(lc.flux[i]);
+                error.push(lc.error[i]);
+                quality.push(lc.quality ? lc.quality[i] : 0);
+                sectorIndex.push(lc.metadata.sector);
+            }
+        }
+
+        const first = sorted[0].metadata;
+
+        return {
+            time,
+            flux,
+            error,
+            quality,
+            sector: sectorIndex,
+            metadata: {
+                mission: first.mission,
+                object: first.object,
+                tessmag: first.tessmag,
+                teff: first.teff,
+                radius: first.radius,
+                ra: first.ra,
+                dec: first.dec,
+                timeFormat: first.timeFormat,
+                timeReference: first.timeReference,
+                fluxColumn: first.fluxColumn,
+                sectors: sorted.map(lc => lc.metadata.sector),
+                files: sorted.map(lc => lc.metadata.productFilename),
+                numPoints: time.length,
+                synthetic: false,
+                source: 'mast'
+            }
+        };
     },
 
     /**
@@ -298,7 +518,7 @@ const MASTService = {
             service: service,
             params: params,
             format: 'json',
-            pagesize: 50
+            pagesize: 500
         };
 
         try {
@@ -327,18 +547,19 @@ const MASTService = {
      * Generate fallback TIC data
      */
     generateFallbackTICData(ticId) {
-        const id = parseInt(ticId.toString().replace('TIC ', '').replace(/\D/g, '')) || Math.floor(Math.random() * 999999999);
-        return {
+        const random = this.seededRandom(`tic:${ticId}`);
+        const id = parseInt(ticId.toString().replace('TIC ', '').replace(/\D/g, '')) || Math.floor(random() * 999999999);
+        return this.withProvenance({
             ID: id,
             ra: (id % 360),
             dec: ((id % 180) - 90),
-            Tmag: 8 + Math.random() * 6,
-            Teff: 4000 + Math.random() * 4000,
-            rad: 0.5 + Math.random() * 2,
-            mass: 0.5 + Math.random() * 1.5,
-            distance: 50 + Math.random() * 500,
+            Tmag: 8 + random() * 6,
+            Teff: 4000 + random() * 4000,
+            rad: 0.5 + random() * 2,
+            mass: 0.5 + random() * 1.5,
+            distance: 50 + random() * 500,
             source: 'synthetic'
-        };
+        }, 'synthetic', 'MASTService.generateFallbackTICData');
     },
 
     /**
@@ -347,34 +568,38 @@ const MASTService = {
     generateFallbackSearchResults(ra, dec) {
         const results = [];
         const baseId = Math.floor(ra * 1000000 + Math.abs(dec) * 10000);
+        const random = this.seededRandom(`coord:${ra}:${dec}`);
 
         for (let i = 0; i < 5; i++) {
             results.push({
                 ID: baseId + i,
-                ra: ra + (Math.random() - 0.5) * 0.5,
-                dec: dec + (Math.random() - 0.5) * 0.5,
-                Tmag: 9 + Math.random() * 4,
+                ra: ra + (random() - 0.5) * 0.5,
+                dec: dec + (random() - 0.5) * 0.5,
+                Tmag: 9 + random() * 4,
                 distance: (i + 1) * 0.5,
                 source: 'synthetic'
             });
         }
 
-        return results;
+        return this.withProvenance(results, 'synthetic', 'MASTService.generateFallbackSearchResults');
     },
 
     /**
      * Generate realistic light curve based on target properties
+     * @param {object} metadata - CAOM observation record the stand-in is generated for
+     * @param {string} reason - Why the real light curve could not be used
      */
-    generateRealisticLightCurve(metadata) {
+    generateRealisticLightCurve(metadata, reason = null) {
         const numPoints = 2000;
         const time = [];
         const flux = [];
         const error = [];
 
-        const hasPlanet = Math.random() > 0.7;
-        const period = hasPlanet ? 1 + Math.random() * 20 : null;
-        const depth = hasPlanet ? 0.001 + Math.random() * 0.02 : 0;
-        const duration = hasPlanet ? 0.05 + Math.random() * 0.1 : 0;
+        const random = this.seededRandom(`lc:${metadata?.target_name}:${metadata?.sequence_number}`);
+        const hasPlanet = random() > 0.7;
+        const period = hasPlanet ? 1 + random() * 20 : null;
+        const depth = hasPlanet ? 0.001 + random() * 0.02 : 0;
+        const duration = hasPlanet ? 0.05 + random() * 0.1 : 0;
 
         for (let i = 0; i < numPoints; i++) {
             const t = i * 0.02; // ~30 min cadence
@@ -383,7 +608,7 @@ const MASTService = {
             let f = 1.0;
 
             // Add stellar variability
-            f += 0.001 * Math.sin(2 * Math.PI * t / (5 + Math.random()));
+            f += 0.001 * Math.sin(2 * Math.PI * t / (5 + random()));
 
             // Add transit if present
             if (hasPlanet) {
@@ -395,12 +620,12 @@ const MASTService = {
             }
 
             // Add noise
-            f += (Math.random() - 0.5) * 0.002;
+            f += (random() - 0.5) * 0.002;
             flux.push(f);
-            error.push(0.0005 + Math.random() * 0.001);
+            error.push(0.0005 + random() * 0.001);
         }
 
-        return {
+        return this.withProvenance({
             time,
             flux,
             error,
@@ -410,15 +635,20 @@ const MASTService = {
                 depth,
                 duration,
                 numPoints,
+                sector: metadata?.sequence_number ?? null,
+                synthetic: true,
+                reason,
                 source: 'synthetic_realistic'
             }
-        };
+        }, 'synthetic', 'MASTService.generateRealisticLightCurve');
     },
 
     /**
      * Generate synthetic light curve
+     * @param {string} ticId - Target the stand-in data is generated for
+     * @param {string} reason - Why real data could not be used
      */
-    generateSyntheticLightCurve(ticId) {
+    generateSyntheticLightCurve(ticId, reason = null) {
         const numPoints = 2000;
         const time = [];
         const flux = [];
@@ -429,6 +659,7 @@ const MASTService = {
         const hasPlanet = (seed % 10) > 3;
         const period = 2 + (seed % 100) / 10;
         const depth = hasPlanet ? 0.005 + (seed % 50) / 5000 : 0;
+        const random = this.seededRandom(`lc:${ticId}`);
 
         for (let i = 0; i < numPoints; i++) {
             const t = i * 0.02;
@@ -443,12 +674,12 @@ const MASTService = {
                 }
             }
 
-            f += (Math.random() - 0.5) * 0.002;
+            f += (random() - 0.5) * 0.002;
             flux.push(f);
             error.push(0.0007);
         }
 
-        return {
+        return this.withProvenance({
             time,
             flux,
             error,
@@ -458,31 +689,76 @@ const MASTService = {
                 period: hasPlanet ? period : null,
                 depth: hasPlanet ? depth : null,
                 numPoints,
+                synthetic: true,
+                reason,
                 source: 'synthetic'
             }
-        };
+        }, 'synthetic', 'MASTService.generateSyntheticLightCurve');
     },
 
     /**
      * Get fallback exoplanet list
      */
     getFallbackExoplanets() {
-        return [
+        return this.withProvenance([
             { pl_name: 'TRAPPIST-1 e', hostname: 'TRAPPIST-1', pl_orbper: 6.1, pl_rade: 0.92, disc_year: 2017, discoverymethod: 'Transit' },
             { pl_name: 'Kepler-442 b', hostname: 'Kepler-442', pl_orbper: 112.3, pl_rade: 1.34, disc_year: 2015, discoverymethod: 'Transit' },
             { pl_name: 'LHS 1140 b', hostname: 'LHS 1140', pl_orbper: 24.7, pl_rade: 1.43, disc_year: 2017, discoverymethod: 'Transit' },
             { pl_name: 'TOI-700 d', hostname: 'TOI-700', pl_orbper: 37.4, pl_rade: 1.19, disc_year: 2020, discoverymethod: 'Transit' },
             { pl_name: 'K2-18 b', hostname: 'K2-18', pl_orbper: 33.0, pl_rade: 2.61, disc_year: 2015, discoverymethod: 'Transit' }
-        ];
+        ], 'synthetic', 'MASTService.getFallbackExoplanets');
+    },
+
+    /**
+     * Provenance management
+     * Stamps an object (or each element of an array) with provenance, endpoint and fetch time
+     */
+    withProvenance(data, provenance, endpoint, fetchedAt = new Date().toISOString()) {
+        const stamp = (item) => ({ ...item, provenance, endpoint, fetchedAt });
+        return Array.isArray(data) ? data.map(stamp) : stamp(data);
+    },
+
+    serviceEndpoint(service) {
+        return `${this.endpoints.base}/invoke?service=${service}`;
+    },
+
+    describeProvenance(data) {
+        const item = Array.isArray(data) ? data[0] : data;
+        if (!item?.provenance) return 'Unknown provenance';
+
+        const label = { live: 'Live', cached: 'Cached', synthetic: 'Synthetic' }[item.provenance] || item.provenance;
+        const when = item.fetchedAt ? new Date(item.fetchedAt).toLocaleString() : 'unknown time';
+        return `${label} · ${item.endpoint} · ${when}`;
+    },
+
+    /**
+     * Deterministic PRNG (mulberry32) seeded from a string key, so synthetic
+     * data generated for a target is identical on every call
+     */
+    seededRandom(key) {
+        // FNV-1a hash of the key
+        let state = 2166136261;
+        for (const char of String(key)) {
+            state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+        }
+
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), state | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     },
 
     /**
      * Cache management
+     * Live entries come back marked 'cached'; synthetic entries stay 'synthetic'
      */
     getFromCache(key) {
         const item = this.cache.get(key);
         if (item && Date.now() - item.timestamp < this.cacheTimeout) {
-            return item.data;
+            const restamp = (entry) => entry.provenance === 'live' ? { ...entry, provenance: 'cached' } : entry;
+            return Array.isArray(item.data) ? item.data.map(restamp) : restamp(item.data);
         }
         return null;
     },
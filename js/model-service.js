@@ -9,16 +9,33 @@ const ModelService = {
     isLoaded: false,
     isLoading: false,
     modelInfo: null,
+    registry: null,
+    activeModel: null,
 
     // Model configuration
     config: {
-        modelUrl: 'models/exoplanet-detector/model.json',
+        // Registry listing every model; model URLs are relative to it
+        registryUrl: 'models/registry.json',
+        // Registry id to load (null: the registry default)
+        modelId: null,
+        // Settings of the active model, filled in from its registry entry
+        modelUrl: null,
+        // 'raw': flat flux vector of inputShape; 'folded': AstroNet-style global/local views
+        inputMode: 'raw',
         inputShape: [1, 2048],
+        foldedViews: { globalBins: 2001, localBins: 201, localDurations: 4 },
+        normalization: { method: 'per-sample' },
         outputClasses: ['Hot Jupiter', 'Warm Neptune', 'Super-Earth', 'Mini-Neptune', 'Terrestrial', 'Gas Giant'],
-        version: '1.0.3',
-        quantized: true
+        // Classes scored by algorithmicInference, in its output order
+        fallbackClasses: ['Hot Jupiter', 'Warm Neptune', 'Super-Earth', 'Mini-Neptune', 'Terrestrial', 'Gas Giant'],
+        tfjsUrl: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.10.0/dist/tf.min.js',
+        // Run inference in InferencePool workers when the pool is loaded
+        useWorkers: true
     },
 
+    // Bytes per weight for each registry quantization value
+    weightBytes: { float32: 4, float16: 2, int8: 1, uint8: 1 },
+
     // Performance metrics (accumulated from real runs)
     metrics: {
         totalInferences: 0,
@@ -29,7 +46,7 @@ const ModelService = {
     },
 
     /**
-     * Initialize and load the TensorFlow.js model
+     * Initialize and load the selected registry model
      */
     async init() {
         if (this.isLoaded || this.isLoading) return this.isLoaded;
@@ -37,42 +54,27 @@ const ModelService = {
         this.isLoading = true;
 
         try {
-            // Check if TensorFlow.js is loaded
-            if (typeof tf === 'undefined') {
-                console.warn('TensorFlow.js not loaded. Loading from CDN...');
-                await this.loadTensorFlowJS();
-            }
-
-            // Try to load the actual model
-            try {
-                this.model = await tf.loadLayersModel(this.config.modelUrl);
-                this.isLoaded = true;
-                console.log('TinyML model loaded successfully');
-
-                // Get model info
-                this.modelInfo = {
-                    name: 'Larun Spectral CNN',
-                    version: this.config.version,
-                    inputShape: this.model.inputs[0].shape,
-                    outputShape: this.model.outputs[0].shape,
-                    parameters: this.model.countParams(),
-                    layers: this.model.layers.length
-                };
-            } catch (modelError) {
-                console.warn('Model file not found, using fallback inference:', modelError.message);
-                // Model file doesn't exist yet - use algorithmic fallback
-                this.isLoaded = true;
-                this.modelInfo = {
-                    name: 'Larun Spectral CNN (Algorithmic)',
-                    version: this.config.version,
-                    inputShape: this.config.inputShape,
-                    outputShape: [1, 6],
-                    parameters: 24576,
-                    layers: 6,
-                    mode: 'algorithmic'
-                };
+            const entry = await this.selectModel(this.config.modelId);
+
+            // Worker mode: the model lives in the pool, the main thread only keeps its metadata
+            if (this.shouldUseWorkers()) {
+                try {
+                    this.modelInfo = await InferencePool.init({
+                        registryUrl: this.resolveUrl(this.config.registryUrl),
+                        modelId: entry ? entry.id : null,
+                        tfjsUrl: this.config.tfjsUrl
+                    });
+                    this.isLoaded = true;
+                    return true;
+                } catch (poolError) {
+                    console.warn('Inference workers unavailable, running on main thread:', poolError.message);
+                    InferencePool.terminate();
+                    this.config.useWorkers = false;
+                }
             }
 
+            this.modelInfo = await this.loadModel(entry);
+            this.isLoaded = true;
             return true;
         } catch (error) {
             console.error('Failed to initialize model service:', error);
@@ -83,13 +85,240 @@ const ModelService = {
         }
     },
 
+    /**
+     * Fetch and validate the model registry (once)
+     * A missing registry leaves no entries, so init falls back to algorithmic inference
+     */
+    async loadRegistry() {
+        if (this.registry) return this.registry;
+
+        try {
+            const response = await fetch(this.resolveUrl(this.config.registryUrl));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const registry = await response.json();
+
+            const models = Array.isArray(registry.models) ? registry.models : [];
+            models.forEach(model => {
+                if (!model.id) throw new Error('Registry entry without an id');
+                if (model.inputMode && !['raw', 'folded'].includes(model.inputMode)) {
+                    throw new Error(`${model.id}: unknown input mode ${model.inputMode}`);
+                }
+                if (!Array.isArray(model.classes) || model.classes.length === 0) {
+                    throw new Error(`${model.id}: no class labels`);
+                }
+            });
+
+            this.registry = { ...registry, models };
+        } catch (error) {
+            console.warn('Model registry not loaded:', error.message);
+            this.registry = { default: null, models: [] };
+        }
+
+        return this.registry;
+    },
+
+    /**
+     * List registry models with the active one flagged
+     */
+    async listModels() {
+        const registry = await this.loadRegistry();
+        return registry.models.map(model => ({
+            id: model.id,
+            name: model.name,
+            version: model.version,
+            format: model.format,
+            inputMode: model.inputMode || 'raw',
+            classes: model.classes.length,
+            description: model.description || '',
+            default: model.id === registry.default,
+            // Active means running: a model that fell back to algorithmic inference is not
+            active: (this.modelInfo ? this.modelInfo.id : this.activeModel?.id) === model.id
+        }));
+    },
+
+    /**
+     * Pick a registry entry (the default when no id is given) and apply its settings
+     */
+    async selectModel(id = null) {
+        const registry = await this.loadRegistry();
+        if (registry.models.length === 0) return null;
+
+        const entry = id
+            ? registry.models.find(m => m.id === id)
+            : registry.models.find(m => m.id === registry.default) || registry.models[0];
+        if (!entry) throw new Error(`Unknown model: ${id}`);
+
+        this.activeModel = entry;
+        this.config.modelUrl = entry.url ? this.resolveUrl(entry.url, this.resolveUrl(this.config.registryUrl)) : null;
+        this.config.inputMode = entry.inputMode || 'raw';
+        if (entry.inputShape) this.config.inputShape = entry.inputShape;
+        if (entry.views) this.config.foldedViews = { ...this.config.foldedViews, ...entry.views };
+        this.config.outputClasses = [...entry.classes];
+        this.config.normalization = entry.normalization || { method: 'per-sample' };
+        return entry;
+    },
+
+    /**
+     * Switch to another registry model, disposing the current one
+     * @param {string} id - Registry model id
+     * @returns {Promise<object>} getInfo() of the newly loaded model
+     */
+    async switchModel(id) {
+        if (this.isLoading) throw new Error('Model is still loading');
+
+        const registry = await this.loadRegistry();
+        if (!registry.models.some(m => m.id === id)) throw new Error(`Unknown model: ${id}`);
+
+        if (this.model) this.model.dispose();
+        if (typeof InferencePool !== 'undefined') InferencePool.terminate();
+
+        this.model = null;
+        this.modelInfo = null;
+        this.isLoaded = false;
+        this.config.modelId = id;
+
+        await this.init();
+        return this.getInfo();
+    },
+
+    /**
+     * Load the weights of a registry entry, or fall back to algorithmic inference
+     */
+    async loadModel(entry) {
+        if (!entry) return this.fallbackInfo(null, 'Model registry unavailable');
+        if (entry.format === 'algorithmic' || !this.config.modelUrl) return this.fallbackInfo(entry, null);
+
+        try {
+            if (typeof tf === 'undefined') {
+                console.warn('TensorFlow.js not loaded. Loading from CDN...');
+                await this.loadTensorFlowJS();
+            }
+
+            const checksums = await this.verifyChecksums(entry);
+            this.model = await tf.loadLayersModel(this.config.modelUrl);
+
+            const outputShape = this.model.outputs[0].shape;
+            if (outputShape[outputShape.length - 1] !== entry.classes.length) {
+                throw new Error(`Model outputs ${outputShape[outputShape.length - 1]} classes, registry lists ${entry.classes.length}`);
+            }
+            console.log(`Model ${entry.id} loaded successfully`);
+
+            return {
+                id: entry.id,
+                name: entry.name,
+                version: entry.version,
+                format: entry.format,
+                mode: 'model',
+                inputMode: this.config.inputMode,
+                inputShape: this.model.inputs.length > 1 ? this.model.inputs.map(i => i.shape) : this.model.inputs[0].shape,
+                outputShape,
+                classes: [...entry.classes],
+                parameters: this.model.countParams(),
+                layers: this.model.layers.length,
+                quantization: entry.quantization || 'float32',
+                normalization: this.config.normalization,
+                checksums
+            };
+        } catch (modelError) {
+            console.warn(`Model ${entry.id} not loaded, using algorithmic fallback:`, modelError.message);
+            if (this.model) this.model.dispose();
+            this.model = null;
+            return this.fallbackInfo(entry, modelError.message);
+        }
+    },
+
+    /**
+     * Metadata for algorithmic inference: no weights, so no parameters or quantization to report
+     * @param {object|null} entry - Registry entry that was requested
+     * @param {string|null} reason - Why the requested weights are not in use (null when algorithmic was chosen)
+     */
+    fallbackInfo(entry, reason) {
+        const baseline = this.registry?.models.find(m => m.format === 'algorithmic');
+
+        this.config.outputClasses = [...this.config.fallbackClasses];
+        this.config.normalization = { method: 'per-sample' };
+
+        return {
+            id: baseline ? baseline.id : null,
+            name: baseline ? baseline.name : 'Algorithmic fallback',
+            version: baseline ? baseline.version : null,
+            format: 'algorithmic',
+            mode: 'algorithmic',
+            requestedModel: entry && entry.format !== 'algorithmic' ? entry.id : null,
+            fallbackReason: reason,
+            inputMode: this.config.inputMode,
+            inputShape: this.config.inputMode === 'folded'
+                ? [[1, this.config.foldedViews.globalBins], [1, this.config.foldedViews.localBins]]
+                : this.config.inputShape,
+            outputShape: [1, this.config.fallbackClasses.length],
+            classes: [...this.config.fallbackClasses],
+            parameters: null,
+            layers: null,
+            quantization: null,
+            normalization: this.config.normalization,
+            checksums: null
+        };
+    },
+
+    /**
+     * Check the SHA-256 of every file listed in the entry's checksums before loading it
+     * Paths are relative to the model URL; weights without checksums or a mismatch reject the model
+     */
+    async verifyChecksums(entry) {
+        const files = Object.keys(entry.checksums || {});
+        if (files.length === 0) throw new Error(`${entry.id}: registry lists no checksums for its weights`);
+
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new Error('SubtleCrypto unavailable, cannot verify model checksums');
+        }
+
+        for (const file of files) {
+            const response = await fetch(this.resolveUrl(file, this.config.modelUrl));
+            if (!response.ok) throw new Error(`${file}: HTTP ${response.status}`);
+
+            const digest = await crypto.subtle.digest('SHA-256', await response.arrayBuffer());
+            const actual = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+            const expected = String(entry.checksums[file]).replace(/^sha256[-:]/i, '').toLowerCase();
+            if (actual !== expected) throw new Error(`Checksum mismatch for ${file}`);
+        }
+
+        return { verified: true, files: files.length };
+    },
+
+    /**
+     * Resolve a URL against a base (default: the page or worker location)
+     */
+    resolveUrl(url, base = null) {
+        const origin = base || (typeof location !== 'undefined' ? location.href : undefined);
+        try {
+            return new URL(url, origin).href;
+        } catch (e) {
+            return url;
+        }
+    },
+
+    /**
+     * Check whether inference should be delegated to the worker pool
+     */
+    shouldUseWorkers() {
+        return this.config.useWorkers &&
+            typeof InferencePool !== 'undefined' &&
+            InferencePool.isSupported();
+    },
+
     /**
      * Load TensorFlow.js from CDN
      */
     async loadTensorFlowJS() {
+        // Inside a worker there is no document to append a script tag to
+        if (typeof importScripts === 'function' && typeof document === 'undefined') {
+            importScripts(this.config.tfjsUrl);
+            return;
+        }
+
         return new Promise((resolve, reject) => {
             const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.10.0/dist/tf.min.js';
+            script.src = this.config.tfjsUrl;
             script.onload = () => {
                 console.log('TensorFlow.js loaded');
                 resolve();
@@ -101,41 +330,52 @@ const ModelService = {
 
     /**
      * Get model information
+     * Only reports what the registry and the loaded weights say; unknown values are null
      */
     getInfo() {
-        if (!this.modelInfo) {
-            return {
-                name: 'Larun Spectral CNN',
-                version: this.config.version,
-                inputShape: this.config.inputShape,
-                outputClasses: this.config.outputClasses.length,
-                parameters: 24576,
-                size: '96 KB',
-                quantization: 'INT8',
-                framework: 'TensorFlow Lite Micro',
-                target: 'Edge/On-device',
-                status: this.isLoaded ? 'loaded' : 'not loaded'
-            };
-        }
+        const info = this.modelInfo || {
+            id: this.activeModel ? this.activeModel.id : this.config.modelId,
+            name: this.activeModel ? this.activeModel.name : null,
+            version: this.activeModel ? this.activeModel.version : null,
+            format: this.activeModel ? this.activeModel.format : null,
+            mode: null,
+            inputMode: this.config.inputMode,
+            inputShape: this.config.inputShape,
+            classes: this.config.outputClasses,
+            parameters: null,
+            layers: null,
+            quantization: null
+        };
+        const algorithmic = info.mode === 'algorithmic';
+        const bytes = this.weightBytes[info.quantization] || 4;
 
         return {
-            ...this.modelInfo,
-            outputClasses: this.config.outputClasses.length,
-            size: Math.round(this.modelInfo.parameters * 4 / 1024) + ' KB',
-            quantization: this.config.quantized ? 'INT8' : 'FLOAT32',
-            framework: 'TensorFlow.js',
-            target: 'Browser/Edge',
-            status: 'loaded'
+            ...info,
+            outputClasses: (info.classes || this.config.outputClasses).length,
+            size: info.parameters ? Math.round(info.parameters * bytes / 1024) + ' KB' : null,
+            quantization: info.quantization ? info.quantization.toUpperCase() : null,
+            framework: algorithmic ? 'Algorithmic (BLS features, no trained weights)' : 'TensorFlow.js',
+            target: 'Browser (on-device)',
+            status: this.isLoaded ? 'loaded' : 'not loaded'
         };
     },
 
     /**
      * Preprocess light curve data for model input
+     * Uses the registry normalization: 'global' applies the training mean/std, 'per-sample' standardizes each series
      */
     preprocessLightCurve(fluxData) {
-        // Normalize flux data
-        const mean = fluxData.reduce((a, b) => a + b, 0) / fluxData.length;
-        const std = Math.sqrt(fluxData.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / fluxData.length);
+        const norm = this.config.normalization || {};
+        let mean;
+        let std;
+
+        if (norm.method === 'global' && Number.isFinite(norm.mean) && norm.std > 0) {
+            mean = norm.mean;
+            std = norm.std;
+        } else {
+            mean = fluxData.reduce((a, b) => a + b, 0) / fluxData.length;
+            std = Math.sqrt(fluxData.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / fluxData.length);
+        }
 
         const normalized = fluxData.map(f => (f - mean) / (std || 1));
 
@@ -166,32 +406,94 @@ const ModelService = {
         return result;
     },
 
+    /**
+     * Run a BLS period search on a light curve
+     * @param {object} lightCurve - {time, flux, error} as returned by MASTService.getLightCurve
+     * @param {object} options - BLSService options (periodMin, periodMax, durations, ...)
+     */
+    runBLS(lightCurve, options = {}) {
+        if (typeof BLSService === 'undefined') {
+            throw new Error('BLSService not loaded');
+        }
+        return BLSService.search(lightCurve, options);
+    },
+
     /**
      * Run inference on light curve data
+     * @param {number[]|object} input - Raw flux series, or a folded candidate: prebuilt views
+     *                                  {global, local} or {time, flux, error, period, t0, duration}
+     * @param {object} options - Optional {time, error, quality, bls} to enable cleaning and the BLS period search;
+     *                           preprocess: PreprocessService steps, or false to skip cleaning;
+     *                           blsResult: a BLSService.search result to use instead of searching again;
+     *                           stellar: host parameters (StellarService) for the algorithmic class radii
      */
-    async predict(fluxData) {
+    async predict(input, options = {}) {
         await this.init();
 
+        if (this.shouldUseWorkers()) {
+            const { signal, ...taskOptions } = options;
+            const payload = { input: this.isFoldedCandidate(input) ? input : Array.from(input), options: taskOptions };
+            const result = await InferencePool.run('predict', payload, { signal });
+            this.updateMetrics(result.inferenceTime);
+            return result;
+        }
+
         const startTime = performance.now();
 
         try {
+            const candidate = this.isFoldedCandidate(input) ? input : null;
+            const prebuiltViews = candidate && candidate.global && candidate.local;
+
+            // Clean and detrend before searching, so variability and outliers stay out of the classifier
+            let lightCurve = null;
+            if (candidate && !prebuiltViews) {
+                lightCurve = { time: candidate.time, flux: candidate.flux, error: candidate.error, quality: candidate.quality };
+            } else if (!candidate && options.time) {
+                lightCurve = { time: options.time, flux: input, error: options.error, quality: options.quality };
+            }
+
+            let preprocessing = null;
+            if (lightCurve && options.preprocess !== false && typeof PreprocessService !== 'undefined') {
+                lightCurve = PreprocessService.run(lightCurve, options.preprocess || undefined);
+                preprocessing = lightCurve.metadata.preprocessing;
+            }
+
+            // Period search needs timestamps, so it only runs when a raw series comes with them
+            let bls = options.blsResult || null;
+            if (!bls && !candidate && lightCurve && typeof BLSService !== 'undefined') {
+                try {
+                    bls = this.runBLS(lightCurve, options.bls);
+                } catch (blsError) {
+                    console.warn('BLS search failed:', blsError.message);
+                }
+            }
+
+            // Folded models need a period: from the candidate, or from the BLS search
+            let folded = null;
+            if (candidate || this.config.inputMode === 'folded') {
+                folded = this.buildFoldedInput(candidate || bls, lightCurve);
+            }
+
+            if (this.config.inputMode !== 'folded' && !lightCurve && candidate) {
+                throw new Error('Raw-input model needs the candidate light curve, not only folded views');
+            }
+
             // Preprocess input
-            const processed = this.preprocessLightCurve(fluxData);
+            const processed = this.config.inputMode === 'folded'
+                ? folded.views.global
+                : this.preprocessLightCurve(lightCurve ? lightCurve.flux : input);
+            const signal = bls || folded?.signal || null;
 
             let probabilities;
 
             if (this.model && this.modelInfo?.mode !== 'algorithmic') {
                 // Real TensorFlow.js inference
-                const inputTensor = tf.tensor2d([processed], [1, processed.length]);
-                const output = this.model.predict(inputTensor);
-                probabilities = await output.data();
-
-                // Clean up tensors
-                inputTensor.dispose();
-                output.dispose();
+                probabilities = this.config.inputMode === 'folded'
+                    ? await this.runFoldedModel(folded.views)
+                    : await this.runRawModel(processed);
             } else {
                 // Algorithmic fallback using BLS-like analysis
-                probabilities = this.algorithmicInference(processed);
+                probabilities = this.algorithmicInference(processed, signal, options.stellar);
             }
 
             const endTime = performance.now();
@@ -215,8 +517,14 @@ const ModelService = {
                 topClass: results[0].class,
                 topProbability: results[0].probability,
                 inferenceTime: inferenceTime,
-                transitDetected: this.detectTransit(processed),
-                snr: this.calculateSNR(processed)
+                inputMode: this.config.inputMode,
+                model: this.modelInfo ? { id: this.modelInfo.id, version: this.modelInfo.version, mode: this.modelInfo.mode } : null,
+                transitDetected: this.detectTransit(processed, signal),
+                snr: signal ? Math.round(signal.snr * 10) / 10 : this.calculateSNR(processed),
+                bls,
+                candidate: candidate ? folded.signal : null,
+                views: folded ? folded.views.metadata : null,
+                preprocessing
             };
         } catch (error) {
             console.error('Inference error:', error);
@@ -225,49 +533,218 @@ const ModelService = {
     },
 
     /**
-     * Algorithmic inference fallback (when model file not available)
-     * Uses Box Least Squares (BLS) inspired analysis
+     * Whether predict was given a folded candidate object instead of a flux series
      */
-    algorithmicInference(data) {
-        // Detect transit-like features
-        const transitScore = this.detectTransitFeatures(data);
-        const depthScore = this.estimateDepth(data);
-        const durationScore = this.estimateDuration(data);
+    isFoldedCandidate(input) {
+        return input !== null && typeof input === 'object' && !Array.isArray(input) && !ArrayBuffer.isView(input);
+    },
 
-        // Generate class probabilities based on features
-        const probabilities = new Float32Array(6);
+    /**
+     * Build normalized global/local views and a BLS-shaped signal summary
+     * @param {object} candidate - Prebuilt {global, local} views, or an ephemeris {period, t0, duration}
+     * @param {object} lightCurve - Cleaned light curve to fold (not needed for prebuilt views)
+     */
+    buildFoldedInput(candidate, lightCurve) {
+        if (!candidate) {
+            throw new Error('Folded input needs a period: pass a folded candidate or time stamps for the BLS search');
+        }
 
-        // Hot Jupiter: deep transits, short period
-        probabilities[0] = depthScore > 0.01 ? 0.3 + depthScore * 10 : 0.1;
+        const { globalBins, localBins, localDurations } = this.config.foldedViews;
 
-        // Warm Neptune: moderate depth
-        probabilities[1] = depthScore > 0.005 && depthScore < 0.02 ? 0.25 : 0.15;
+        if (candidate.global && candidate.local) {
+            if (candidate.global.length !== globalBins || candidate.local.length !== localBins) {
+                throw new Error(`Folded views must have ${globalBins} global and ${localBins} local bins`);
+            }
+            return {
+                views: {
+                    global: Array.from(candidate.global),
+                    local: Array.from(candidate.local),
+                    metadata: { globalBins, localBins, localDurations, prebuilt: true }
+                },
+                signal: this.candidateSignal(candidate, null, null)
+            };
+        }
 
-        // Super-Earth: shallow transits
-        probabilities[2] = depthScore > 0.001 && depthScore < 0.01 ? 0.25 : 0.12;
+        if (!lightCurve) {
+            throw new Error('Folded candidate needs time and flux arrays');
+        }
 
-        // Mini-Neptune
-        probabilities[3] = depthScore > 0.003 && depthScore < 0.015 ? 0.2 : 0.1;
+        const raw = PreprocessService.views(lightCurve, candidate, { globalBins, localBins, localDurations, normalize: false });
+        return {
+            views: {
+                global: PreprocessService.normalizeView(raw.global),
+                local: PreprocessService.normalizeView(raw.local),
+                metadata: { ...raw.metadata, normalized: true }
+            },
+            signal: this.candidateSignal(candidate, raw, lightCurve)
+        };
+    },
 
-        // Terrestrial: very shallow
-        probabilities[4] = depthScore < 0.005 ? 0.2 : 0.08;
+    /**
+     * Depth and significance of a candidate measured on its unnormalized views,
+     * shaped like a BLS result so the fallback and transit features can use it
+     */
+    candidateSignal(candidate, raw, lightCurve) {
+        const signal = {
+            period: candidate.period ?? null,
+            t0: candidate.t0 ?? null,
+            duration: candidate.duration ?? null,
+            depth: candidate.depth ?? 0,
+            snr: candidate.snr ?? 0,
+            sde: candidate.sde ?? candidate.snr ?? 0,
+            transitCount: null,
+            detected: false,
+            stats: { timeStart: 0, baseline: 0 },
+            source: 'candidate'
+        };
 
-        // Gas Giant: very deep
-        probabilities[5] = depthScore > 0.02 ? 0.3 : 0.05;
+        if (raw) {
+            const { global, local, metadata } = raw;
+            const baseline = PreprocessService.median(global);
+
+            // Central bins cover the inner half of the transit
+            const center = (local.length - 1) / 2;
+            const halfInner = Math.max(1, Math.round(local.length / (4 * metadata.localDurations)));
+            const inner = local.slice(Math.round(center - halfInner), Math.round(center + halfInner) + 1);
+            signal.depth = baseline - PreprocessService.median(inner);
+
+            // Per-bin scatter away from the transit
+            const binWidth = metadata.period / global.length;
+            const outside = global.filter((_, i) => Math.abs(-metadata.period / 2 + (i + 0.5) * binWidth) > metadata.duration);
+            const noise = 1.4826 * PreprocessService.mad(outside, baseline);
+            signal.snr = noise > 0 ? signal.depth / noise : 0;
+            signal.sde = signal.snr;
+        }
 
-        // Normalize to sum to 1
-        const sum = probabilities.reduce((a, b) => a + b, 0);
-        for (let i = 0; i < probabilities.length; i++) {
-            probabilities[i] /= sum;
+        if (lightCurve && lightCurve.time.length > 1) {
+            const time = lightCurve.time;
+            signal.stats = { timeStart: time[0], baseline: time[time.length - 1] - time[0] };
+            if (typeof BLSService !== 'undefined' && signal.period && signal.duration) {
+                signal.transitCount = BLSService.countTransits(time, signal.period, signal.t0, signal.duration);
+            }
         }
 
+        const threshold = typeof BLSService !== 'undefined' ? BLSService.config.sdeThreshold : 7;
+        signal.detected = signal.snr >= threshold;
+        return signal;
+    },
+
+    /**
+     * TF.js inference on a raw flux vector
+     */
+    async runRawModel(processed) {
+        const inputTensor = tf.tensor2d([processed], [1, processed.length]);
+        const output = this.model.predict(inputTensor);
+        const probabilities = await output.data();
+
+        // Clean up tensors
+        inputTensor.dispose();
+        output.dispose();
+        return probabilities;
+    },
+
+    /**
+     * TF.js inference on global/local views
+     * Two-input models get [global, local]; single-input models get them concatenated
+     */
+    async runFoldedModel(views) {
+        const shapes = this.model.inputs.map(input => input.shape);
+        const toTensor = (values, shape) => (shape.length === 3
+            ? tf.tensor3d([values.map(v => [v])], [1, values.length, 1])
+            : tf.tensor2d([values], [1, values.length]));
+
+        const inputs = shapes.length >= 2
+            ? [toTensor(views.global, shapes[0]), toTensor(views.local, shapes[1])]
+            : [toTensor([...views.global, ...views.local], shapes[0])];
+
+        const output = this.model.predict(inputs.length === 1 ? inputs[0] : inputs);
+        const probabilities = await output.data();
+
+        inputs.forEach(t => t.dispose());
+        output.dispose();
+        return probabilities;
+    },
+
+    /**
+     * Run inference on many light curves without blocking the UI
+     * @param {object[]} items - [{id, flux, time, error}]
+     * @param {object} options - {signal, onProgress(done, total, item, result), bls, preprocess}
+     * @returns {Promise<object[]>} [{id, result}] or [{id, error}] per item, in input order
+     */
+    async predictBatch(items, options = {}) {
+        await this.init();
+
+        let done = 0;
+        const tasks = items.map(async (item) => {
+            let entry;
+            try {
+                const result = await this.predict(item.flux, {
+                    time: item.time,
+                    error: item.error,
+                    quality: item.quality,
+                    preprocess: options.preprocess,
+                    bls: options.bls,
+                    signal: options.signal
+                });
+                entry = { id: item.id, result };
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                entry = { id: item.id, error: error.message };
+            }
+
+            done++;
+            if (options.onProgress) options.onProgress(done, items.length, item, entry);
+            return entry;
+        });
+
+        return Promise.all(tasks);
+    },
+
+    /**
+     * Cancel all pending worker inference
+     */
+    cancelInference() {
+        if (typeof InferencePool !== 'undefined') {
+            InferencePool.cancelAll();
+        }
+    },
+
+    /**
+     * Algorithmic inference fallback (when model file not available)
+     * Converts the BLS depth (otherwise the deepest dip) to a planet radius with the host star's
+     * radius, or a Sun-like host with a wide uncertainty, and scores each class by the share of
+     * the radius distribution inside its PlanetCharacterization boundaries
+     */
+    algorithmicInference(data, bls = null, stellar = null) {
+        const depth = Number.isFinite(bls?.depth) ? bls.depth : this.estimateDepth(data);
+        const depthError = Number.isFinite(bls?.depthError) ? bls.depthError : null;
+        const byClass = PlanetCharacterization.classProbabilities(depth, depthError, bls ? bls.period : null, stellar);
+
+        const probabilities = new Float32Array(this.config.fallbackClasses.length);
+        this.config.fallbackClasses.forEach((name, i) => {
+            probabilities[i] = byClass[PlanetCharacterization.classes.indexOf(name)];
+        });
         return probabilities;
     },
 
     /**
      * Detect transit-like features in data
+     * With a BLS result the detection comes from the periodogram instead of the deepest point
      */
-    detectTransitFeatures(data) {
+    detectTransitFeatures(data, bls = null) {
+        if (bls) {
+            // Position of the first transit as a fraction of the series
+            const { baseline, timeStart } = bls.stats;
+            return {
+                hasTransit: bls.detected,
+                depth: bls.depth,
+                position: baseline > 0 ? Math.min((bls.t0 - timeStart) / baseline, 1) : 0,
+                totalDip: bls.depth * bls.transitCount,
+                period: bls.period,
+                sde: bls.sde
+            };
+        }
+
         let minFlux = Infinity;
         let minIndex = 0;
         let totalDip = 0;
@@ -325,8 +802,8 @@ const ModelService = {
     /**
      * Detect transit in light curve
      */
-    detectTransit(data) {
-        const features = this.detectTransitFeatures(data);
+    detectTransit(data, bls = null) {
+        const features = this.detectTransitFeatures(data, bls);
         return {
             detected: features.hasTransit,
             depth: features.depth,
@@ -374,6 +851,11 @@ const ModelService = {
     async runBenchmark(iterations = 100) {
         await this.init();
 
+        // Benchmark inside a worker so the timings match worker inference
+        if (this.shouldUseWorkers()) {
+            return InferencePool.run('benchmark', { iterations });
+        }
+
         // Generate test data
         const testData = new Array(this.config.inputShape[1]).fill(0).map(() =>
             1 + (Math.random() - 0.5) * 0.02
@@ -413,17 +895,25 @@ const ModelService = {
     },
 
     /**
-     * Get output class descriptions
+     * Get output class descriptions for the active model's labels
      */
     getClassDescriptions() {
-        return [
-            { id: 0, name: 'Hot Jupiter', description: 'Gas giant, P < 10d, close orbit', typical: 'Rp > 0.8 Rj' },
-            { id: 1, name: 'Warm Neptune', description: 'Ice giant, 10d < P < 100d', typical: '2-6 Re' },
-            { id: 2, name: 'Super-Earth', description: 'Rocky, 1.25-2 Re', typical: '1-10 Me' },
-            { id: 3, name: 'Mini-Neptune', description: 'Small gas, 2-4 Re', typical: 'H/He envelope' },
-            { id: 4, name: 'Terrestrial', description: 'Earth-like, < 1.25 Re', typical: 'Rocky composition' },
-            { id: 5, name: 'Gas Giant', description: 'Jupiter-like, P > 100d', typical: 'Rp > Rj' }
-        ];
+        const known = {
+            'Hot Jupiter': { description: 'Gas giant, P < 10d, close orbit', typical: 'Rp > 0.8 Rj' },
+            'Warm Neptune': { description: 'Ice giant, 10d < P < 100d', typical: '2-6 Re' },
+            'Super-Earth': { description: 'Rocky, 1.25-2 Re', typical: '1-10 Me' },
+            'Mini-Neptune': { description: 'Small gas, 2-4 Re', typical: 'H/He envelope' },
+            'Terrestrial': { description: 'Earth-like, < 1.25 Re', typical: 'Rocky composition' },
+            'Gas Giant': { description: 'Jupiter-like, P > 100d', typical: 'Rp > Rj' }
+        };
+        const classes = this.modelInfo?.classes || this.config.outputClasses;
+
+        return classes.map((name, id) => ({
+            id,
+            name,
+            description: known[name]?.description || '',
+            typical: known[name]?.typical || ''
+        }));
     }
 };
 
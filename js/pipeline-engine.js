@@ -0,0 +1,437 @@
+/**
+ * Pipeline Engine
+ * Runs a target through a declarative DAG of stages (fetch → clean → variability → detrend →
+ * search → classify → vet → report) built on MASTService, PreprocessService, VariabilityService,
+ * BLSService, ModelService, TransitFitService, VettingService and AnalysisStore. Every stage reports
+ * status events with timing, intermediate products are cached by target, options and
+ * upstream inputs, and a failed or stopped run can be resumed from the stage that failed.
+ */
+
+const PipelineEngine = {
+    config: {
+        // Defaults for run options (same meaning as the detect command's flags)
+        options: {
+            sectors: null,
+            periodMin: 0.5,
+            periodMax: 15,
+            detrend: 'biweight',
+            // 'auto': the window the variability stage recommends
+            window: 'auto',
+            reportFormat: 'html'
+        },
+        // Extra attempts for stages marked retry (network), with a fixed delay in ms
+        retries: 1,
+        retryDelay: 2000,
+        // Intermediate products kept in the cache (oldest evicted first)
+        maxCached: 40
+    },
+
+    /**
+     * Stage graph, in an order that respects the dependencies
+     * needs: stages whose products the stage reads
+     * key(options): the run options its product depends on (part of the cache key)
+     * cache: false for stages with side effects, which always run
+     * run(context, inputs): product; context has target, options, warn(message), skip(reason)
+     * describe(product): one-line summary for the status event
+     */
+    stages: [
+        {
+            id: 'fetch',
+            label: 'Fetch',
+            needs: [],
+            retry: true,
+            key: options => ({ sectors: options.sectors }),
+            async run(context) {
+                const lightCurve = await MASTService.getLightCurve(context.target, context.options.sectors);
+                if (lightCurve.metadata?.synthetic) {
+                    context.warn(`Synthetic light curve: ${lightCurve.metadata.reason || 'no MAST data'}`);
+                }
+                return lightCurve;
+            },
+            // Stand-in data is not kept, so a later run tries MAST again
+            cacheable: lightCurve => !lightCurve.metadata?.synthetic,
+            describe: lightCurve => `${lightCurve.flux.length} points, ${MASTService.describeSource(lightCurve)}`
+        },
+        {
+            id: 'clean',
+            label: 'Clean',
+            needs: ['fetch'],
+            key: () => ({}),
+            run(context, inputs) {
+                const steps = [
+                    { type: 'quality' },
+                    { type: 'clip', sigma: 5, direction: 'upper' }
+                ];
+                return PipelineEngine.compute('preprocess', { lightCurve: inputs.fetch, steps }, () => PreprocessService.run(inputs.fetch, steps));
+            },
+            describe: cleaned => {
+                const [quality, clip] = cleaned.metadata.preprocessing.slice(-2);
+                return `${cleaned.time.length} points (${quality.removed} flagged, ${clip.removed} clipped)`;
+            }
+        },
+        {
+            id: 'variability',
+            label: 'Variability',
+            needs: ['fetch'],
+            key: () => ({}),
+            run(context, inputs) {
+                if (typeof VariabilityService === 'undefined') {
+                    context.skip('VariabilityService is not loaded');
+                    return null;
+                }
+                return PipelineEngine.compute('variability', { lightCurve: inputs.fetch }, () => VariabilityService.analyze(inputs.fetch));
+            },
+            describe: variability => variability.summary
+        },
+        {
+            id: 'detrend',
+            label: 'Detrend',
+            needs: ['clean', 'variability'],
+            key: options => ({ detrend: options.detrend, window: options.detrend === 'none' ? null : options.window }),
+            run(context, inputs) {
+                const { detrend, window } = context.options;
+                const steps = [
+                    detrend === 'none' ? { type: 'normalize' } : { type: 'detrend', method: detrend, window, variability: inputs.variability }
+                ];
+                return PipelineEngine.compute('preprocess', { lightCurve: inputs.clean, steps }, () => PreprocessService.run(inputs.clean, steps));
+            },
+            describe: detrended => {
+                const step = detrended.metadata.preprocessing[detrended.metadata.preprocessing.length - 1];
+                return step.type === 'detrend'
+                    ? `${step.method}, ${step.window} d window${step.windowSource ? ` (${step.windowSource})` : ''}, ${step.segments} segments`
+                    : 'normalized only';
+            }
+        },
+        {
+            id: 'search',
+            label: 'Search',
+            needs: ['detrend'],
+            key: options => ({ periodMin: options.periodMin, periodMax: options.periodMax }),
+            run(context, inputs) {
+                const options = { periodMin: context.options.periodMin, periodMax: context.options.periodMax };
+                return PipelineEngine.compute('bls', { lightCurve: inputs.detrend, options }, () => BLSService.search(inputs.detrend, options));
+            },
+            describe: bls => `P = ${bls.period.toFixed(5)} d, depth ${Math.round(bls.depth * 1e6)} ppm, SDE ${bls.sde.toFixed(1)}${bls.detected ? '' : ' (below threshold)'}`
+        },
+        {
+            id: 'classify',
+            label: 'Classify',
+            needs: ['detrend', 'search'],
+            key: () => ({ model: ModelService.getInfo().id }),
+            async run(context, inputs) {
+                const prediction = await ModelService.predict(inputs.detrend.flux, {
+                    time: inputs.detrend.time,
+                    error: inputs.detrend.error,
+                    preprocess: false,
+                    blsResult: inputs.search
+                });
+                prediction.preprocessing = inputs.detrend.metadata.preprocessing;
+                return prediction;
+            },
+            describe: prediction => `${prediction.topClass} (${(prediction.topProbability * 100).toFixed(1)}%), model ${prediction.model?.id || 'unknown'}`
+        },
+        {
+            id: 'vet',
+            label: 'Vet',
+            needs: ['fetch', 'detrend', 'search'],
+            retry: true,
+            key: () => ({}),
+            async run(context, inputs) {
+                const bls = inputs.search;
+                const stellar = typeof StellarService !== 'undefined'
+                    ? await StellarService.getParams(context.target).catch(() => null)
+                    : null;
+                if (!bls.detected) {
+                    context.skip(`SDE ${bls.sde.toFixed(1)} is below the ${BLSService.config.sdeThreshold} detection threshold`);
+                    return { fit: null, vetting: null, stellar };
+                }
+
+                let fit = null;
+                if (typeof TransitFitService !== 'undefined') {
+                    try {
+                        const options = { ticId: context.target };
+                        fit = await PipelineEngine.compute('fit', { lightCurve: inputs.detrend, seed: bls, options }, () => TransitFitService.fit(inputs.detrend, bls, options));
+                    } catch (error) {
+                        context.warn(`Transit fit skipped: ${error.message}`);
+                    }
+                }
+                const options = { candidateId: context.target, stellar };
+                const vetting = await PipelineEngine.compute('vet', { lightCurve: inputs.fetch, signal: bls, options }, () => VettingService.run(inputs.fetch, bls, options));
+                return { fit, vetting, stellar };
+            },
+            describe: ({ fit, vetting }) => vetting
+                ? `${vetting.disposition}${fit ? `, Rp/R★ = ${fit.rp_rs.toFixed(4)}` : ''}`
+                : 'not vetted'
+        },
+        {
+            id: 'report',
+            label: 'Report',
+            needs: ['fetch', 'variability', 'detrend', 'search', 'classify', 'vet'],
+            cache: false,
+            key: options => ({ format: options.reportFormat }),
+            async run(context, inputs) {
+                const { fit, vetting, stellar } = inputs.vet;
+                const analysis = AnalysisStore.record({
+                    target: context.target,
+                    toi: context.options.toi,
+                    lightCurve: inputs.fetch,
+                    cleaned: inputs.detrend,
+                    prediction: inputs.classify,
+                    bls: inputs.search,
+                    fit,
+                    vetting,
+                    stellar,
+                    variability: inputs.variability
+                });
+
+                if (typeof StatsService !== 'undefined') {
+                    await StatsService.recordAnalysis(context.target, inputs.classify, inputs.fetch);
+                    if (vetting) await StatsService.recordVetting(context.target, vetting);
+                }
+
+                let report = null;
+                if (typeof ReportService !== 'undefined' && context.options.reportFormat) {
+                    report = ReportService.build(analysis, { format: context.options.reportFormat });
+                }
+                return { analysisId: analysis.id, analysis, report };
+            },
+            describe: ({ analysisId, report }) => `analysis ${analysisId}${report ? `, ${report.filename}` : ''}`
+        }
+    ],
+
+    // Intermediate products by cache key
+    cache: new Map(),
+
+    nextRunId: 1,
+
+    /**
+     * Create a run (nothing executes until execute)
+     * @param {string} target - TIC identifier
+     * @param {object} options - {sectors, periodMin, periodMax, detrend, window, reportFormat, toi}
+     * @returns {object} Run with per-stage state and products
+     */
+    create(target, options = {}) {
+        return {
+            id: this.nextRunId++,
+            target,
+            options: { ...this.config.options, ...options },
+            state: 'pending',
+            stages: Object.fromEntries(this.stages.map(stage => [stage.id, {
+                id: stage.id,
+                label: stage.label,
+                status: 'pending',
+                attempts: 0,
+                elapsed: null,
+                detail: null,
+                warnings: [],
+                error: null
+            }])),
+            products: {},
+            keys: {},
+            failedStage: null,
+            createdAt: new Date().toISOString(),
+            elapsed: 0
+        };
+    },
+
+    /**
+     * Create and execute a run
+     */
+    async run(target, options = {}, handlers = {}) {
+        return this.execute(this.create(target, options), handlers);
+    },
+
+    /**
+     * Execute the stages of a run that have not completed yet
+     * @param {object} run - create() output, or a failed or stopped run to resume
+     * @param {object} handlers - {onEvent({type: 'stage' | 'run', run, stage}), shouldStop() => true to
+     *                          stop before the next stage}
+     * @returns {Promise<object>} The run; state is 'complete', 'failed' or 'stopped'
+     */
+    async execute(run, handlers = {}) {
+        const emit = (event) => {
+            if (handlers.onEvent) handlers.onEvent({ ...event, run });
+        };
+        const startTime = performance.now();
+        run.state = 'running';
+        run.failedStage = null;
+        emit({ type: 'run' });
+
+        for (const stage of this.stages) {
+            const state = run.stages[stage.id];
+            if (this.isSettled(state)) continue;
+
+            if (handlers.shouldStop && handlers.shouldStop()) {
+                run.state = 'stopped';
+                break;
+            }
+
+            const inputs = Object.fromEntries(stage.needs.map(id => [id, run.products[id]]));
+            const key = this.cacheKey(run, stage);
+            run.keys[stage.id] = key;
+
+            state.status = 'running';
+            state.warnings = [];
+            state.error = null;
+            emit({ type: 'stage', stage: state });
+
+            const stageStart = performance.now();
+            try {
+                let product;
+                if (stage.cache !== false && this.cache.has(key)) {
+                    product = this.cache.get(key);
+                    state.status = 'cached';
+                } else {
+                    let skipped = null;
+                    const context = {
+                        target: run.target,
+                        options: run.options,
+                        warn: message => state.warnings.push(message),
+                        skip: reason => { skipped = reason; }
+                    };
+                    product = await this.attempt(stage, context, inputs, state);
+                    state.status = skipped ? 'skipped' : 'done';
+                    if (skipped) state.detail = skipped;
+                    if (stage.cache !== false && (!stage.cacheable || stage.cacheable(product))) {
+                        this.remember(key, product);
+                    }
+                }
+                run.products[stage.id] = product;
+                if (state.status !== 'skipped') state.detail = stage.describe(product);
+            } catch (error) {
+                state.status = 'failed';
+                state.error = error.message;
+                run.failedStage = stage.id;
+                run.state = 'failed';
+            }
+            state.elapsed = performance.now() - stageStart;
+            emit({ type: 'stage', stage: state });
+
+            if (run.state === 'failed') break;
+            // Let the page repaint between stages
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        if (run.state === 'running') run.state = 'complete';
+        run.elapsed += performance.now() - startTime;
+        run.finishedAt = new Date().toISOString();
+        emit({ type: 'run' });
+        return run;
+    },
+
+    /**
+     * Run a stage's heavy computation in the inference worker pool when the page loads it,
+     * so the page (and batch controls) stay responsive; otherwise run it here
+     */
+    compute(type, payload, local) {
+        return typeof InferencePool !== 'undefined' ? InferencePool.offload(type, payload, local) : local();
+    },
+
+    /**
+     * Resume a failed or stopped run: completed stages keep their products, the failed stage
+     * and everything after it run again
+     */
+    async resume(run, handlers = {}) {
+        if (!this.canResume(run)) throw new Error(`Run ${run.id} is ${run.state}; only failed or stopped runs resume`);
+        Object.values(run.stages).forEach(state => {
+            if (state.status === 'failed') state.status = 'pending';
+        });
+        return this.execute(run, handlers);
+    },
+
+    canResume(run) {
+        return !!run && (run.state === 'failed' || run.state === 'stopped');
+    },
+
+    /**
+     * Run one stage, retrying stages marked retry after a delay
+     */
+    async attempt(stage, context, inputs, state) {
+        const attempts = 1 + (stage.retry ? this.config.retries : 0);
+        for (let i = 1; ; i++) {
+            state.attempts++;
+            try {
+                return await stage.run(context, inputs);
+            } catch (error) {
+                if (i >= attempts) throw error;
+                context.warn(`Attempt ${i} failed (${error.message}), retrying`);
+                await new Promise(resolve => setTimeout(resolve, this.config.retryDelay));
+            }
+        }
+    },
+
+    isSettled(state) {
+        return ['done', 'cached', 'skipped'].includes(state.status);
+    },
+
+    // ============================================
+    // Cache
+    // ============================================
+
+    /**
+     * Stage id, target, the options the stage depends on and the keys of its inputs, so a
+     * changed upstream option invalidates everything downstream of it
+     */
+    cacheKey(run, stage) {
+        return [
+            stage.id,
+            run.target,
+            JSON.stringify(stage.key(run.options)),
+            ...stage.needs.map(id => run.keys[id])
+        ].join('|');
+    },
+
+    remember(key, product) {
+        this.cache.delete(key);
+        this.cache.set(key, product);
+        while (this.cache.size > this.config.maxCached) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    },
+
+    clearCache() {
+        this.cache.clear();
+    },
+
+    // ============================================
+    // Results
+    // ============================================
+
+    /**
+     * A completed run in the shape of a detect result (what $last, save and export take)
+     */
+    toResult(run) {
+        const { fetch, variability, detrend, search, classify, vet, report } = run.products;
+        const { sectors, periodMin, periodMax, detrend: method } = run.options;
+        const detrendStep = detrend?.metadata.preprocessing.find(step => step.type === 'detrend');
+        return {
+            target: run.target,
+            toi: run.options.toi || null,
+            sectors,
+            options: { periodMin, periodMax, detrend: method, window: detrendStep ? detrendStep.window : null, model: classify?.model?.id || null },
+            lightCurve: fetch,
+            cleaned: detrend,
+            preprocessing: detrend?.metadata.preprocessing || null,
+            bls: search || null,
+            prediction: classify || null,
+            fit: vet?.fit || null,
+            vetting: vet?.vetting || null,
+            stellar: vet?.stellar || null,
+            variability: variability || null,
+            analysisId: report?.analysisId || null,
+            createdAt: run.finishedAt || run.createdAt
+        };
+    },
+
+    /**
+     * Per-stage status rows: [{id, label, status, elapsed, detail, warnings, error}]
+     */
+    summarize(run) {
+        return this.stages.map(stage => run.stages[stage.id]);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PipelineEngine;
+}
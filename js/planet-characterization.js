@@ -0,0 +1,431 @@
+/**
+ * Planet Characterization
+ * Physical parameters of a transiting planet from a transit fit (or BLS result) and its host
+ * star: radius, semi-major axis, insolation, equilibrium temperature for several Bond albedos,
+ * Kopparapu et al. (2014) habitable zone boundaries, a mass from the Chen & Kipping (2017)
+ * mass-radius relation and a class label, each with first-order propagated uncertainties.
+ */
+
+const PlanetCharacterization = {
+    config: {
+        earthRadiiPerSolar: 109.076,
+        earthRadiiPerJupiter: 11.209,
+        earthMassesPerJupiter: 317.83,
+        solarRadiiPerAU: 215.032,
+        daysPerYear: 365.25,
+        // Zero-albedo equilibrium temperature at 1 S⊕ with full heat redistribution (K)
+        earthTeq: 278.3,
+        albedos: [0, 0.3, 0.5],
+        // Kopparapu et al. (2014) fits are valid over this Teff range (K)
+        hzTeffRange: [2600, 7200],
+        // Host assumed when only a transit depth is known (classification without stellar data)
+        assumedStar: { radius: 1.0, radiusError: 0.3 },
+        // Upper radius (Earth radii) of terrestrial, super-Earth and mini-Neptune sizes, and the
+        // giant boundary (0.8 Jupiter radii); shared by calibration and validation truth labels
+        classRadii: { terrestrial: 1.25, superEarth: 2, miniNeptune: 4, giant: 8.96 }
+    },
+
+    /**
+     * Kopparapu et al. (2014) effective flux coefficients for a 1 M⊕ planet:
+     * Seff = Seff☉ + aT + bT² + cT³ + dT⁴ with T = Teff - 5780 K
+     */
+    hzLimits: {
+        recentVenus: [1.776, 2.136e-4, 2.533e-8, -1.332e-11, -3.097e-15],
+        runawayGreenhouse: [1.107, 1.332e-4, 1.580e-8, -8.308e-12, -1.931e-15],
+        maximumGreenhouse: [0.356, 6.171e-5, 1.698e-9, -3.198e-12, -5.575e-16],
+        earlyMars: [0.320, 5.547e-5, 1.526e-9, -2.874e-12, -5.011e-16]
+    },
+
+    /**
+     * Chen & Kipping (2017) piecewise power law R = C·M^S (Earth units), with the intrinsic
+     * scatter in log radius; the Jovian branch is nearly flat, so giant masses are only bounded
+     */
+    massRadius: [
+        { name: 'Terran', maxMass: 2.04, C: 1.008, S: 0.279, scatter: 0.0403 },
+        { name: 'Neptunian', maxMass: 131.6, C: 0.808, S: 0.589, scatter: 0.146 },
+        { name: 'Jovian', maxMass: 26600, C: 17.74, S: -0.044, scatter: 0.0737 }
+    ],
+
+    // Output order of ModelService.config.fallbackClasses
+    classes: ['Hot Jupiter', 'Warm Neptune', 'Super-Earth', 'Mini-Neptune', 'Terrestrial', 'Gas Giant'],
+
+    /**
+     * Characterize a planet
+     * @param {object} transit - TransitFitService.fit result (rp_rs, a_rs, period with _err fields)
+     *                           or BLSService.search result (depth, depthError, period)
+     * @param {object} stellar - StellarService.getParams result (radius, mass, teff, luminosity with
+     *                           *Error fields); radius is required
+     * @returns {object} Parameters with uncertainties, habitable zone and class
+     */
+    characterize(transit, stellar) {
+        const star = this.starParams(stellar);
+        if (star.radius === null) throw new Error('Planet characterization needs the stellar radius');
+
+        const signal = this.transitParams(transit);
+        if (signal.rpRs === null) throw new Error('Planet characterization needs a transit depth or Rp/R★');
+
+        const radius = this.planetRadius(signal, star);
+        const orbit = this.semiMajorAxis(signal, star);
+        const insolation = this.insolation(star, orbit);
+        const mass = this.estimateMass(radius.value, radius.error);
+        const habitableZone = star.teff !== null && star.luminosity !== null
+            ? this.habitableZone(star.teff, star.teffError, star.luminosity, star.luminosityError, insolation.value)
+            : null;
+        const label = this.classify(radius.value, radius.error, signal.period);
+
+        return {
+            period: signal.period,
+            periodError: signal.periodError,
+            rpRs: signal.rpRs,
+            rpRsError: signal.rpRsError,
+            radius: radius.value,
+            radiusError: radius.error,
+            radiusJupiter: radius.value / this.config.earthRadiiPerJupiter,
+            radiusJupiterError: this.scale(1 / this.config.earthRadiiPerJupiter, radius.error),
+            semiMajorAxis: orbit.value,
+            semiMajorAxisError: orbit.error,
+            semiMajorAxisMethod: orbit.method,
+            aRs: orbit.value !== null ? orbit.value * this.config.solarRadiiPerAU / star.radius : null,
+            insolation: insolation.value,
+            insolationError: insolation.error,
+            equilibriumTemperature: this.config.albedos.map(albedo => ({
+                albedo,
+                ...this.equilibriumTemperature(insolation.value, insolation.error, albedo)
+            })),
+            mass: mass.value,
+            massError: mass.error,
+            massRegime: mass.regime,
+            massRelation: 'Chen & Kipping (2017)',
+            habitableZone,
+            class: label.class,
+            classProbability: label.probability,
+            classProbabilities: label.probabilities,
+            stellar: { ticId: stellar.ticId || null, provenance: stellar.provenance || null }
+        };
+    },
+
+    /**
+     * Characterize from LarunAPI-style parameters, looking up the host star when only a TIC is given
+     * @param {object} params - {fit | transit fields, stellar | ticId/tic_id}
+     */
+    async fromParams(params = {}) {
+        const transit = params.fit || params.transit || params;
+        let stellar = params.stellar || null;
+        const ticId = params.ticId || params.tic_id || transit.tic_id;
+        if (!stellar && ticId && typeof StellarService !== 'undefined') {
+            stellar = await StellarService.getParams(ticId);
+        }
+        if (!stellar) throw new Error('Stellar parameters or a TIC identifier are required');
+        return this.characterize(transit, stellar);
+    },
+
+    /**
+     * Planet radius and class (LarunAPI.estimatePlanetRadius fallback)
+     */
+    async estimateRadius(params) {
+        const result = await this.fromParams(params);
+        return {
+            radius: result.radius,
+            radiusError: result.radiusError,
+            radiusJupiter: result.radiusJupiter,
+            radiusJupiterError: result.radiusJupiterError,
+            rpRs: result.rpRs,
+            rpRsError: result.rpRsError,
+            mass: result.mass,
+            massError: result.massError,
+            class: result.class,
+            classProbability: result.classProbability,
+            stellar: result.stellar
+        };
+    },
+
+    /**
+     * Orbit, irradiation and habitable zone (LarunAPI.checkHabitableZone fallback)
+     */
+    async checkHabitableZone(params) {
+        const result = await this.fromParams(params);
+        return {
+            semiMajorAxis: result.semiMajorAxis,
+            semiMajorAxisError: result.semiMajorAxisError,
+            insolation: result.insolation,
+            insolationError: result.insolationError,
+            equilibriumTemperature: result.equilibriumTemperature,
+            habitableZone: result.habitableZone,
+            stellar: result.stellar
+        };
+    },
+
+    // ============================================
+    // Inputs
+    // ============================================
+
+    /**
+     * Rp/R★, a/R★ and period from a transit fit or a BLS result
+     */
+    transitParams(transit) {
+        const number = v => (Number.isFinite(v) ? v : null);
+        let rpRs = number(transit.rp_rs ?? transit.rpRs);
+        let rpRsError = number(transit.rp_rs_err ?? transit.rpRsError);
+
+        // BLS depth ≈ (Rp/R★)², ignoring limb darkening
+        const depth = number(transit.depth);
+        if (rpRs === null && depth !== null && depth > 0) {
+            rpRs = Math.sqrt(depth);
+            const depthError = number(transit.depthError ?? transit.depth_err);
+            rpRsError = depthError !== null ? depthError / (2 * rpRs) : null;
+        }
+
+        return {
+            rpRs,
+            rpRsError,
+            aRs: number(transit.a_rs ?? transit.aRs),
+            aRsError: number(transit.a_rs_err ?? transit.aRsError),
+            period: number(transit.period),
+            periodError: number(transit.period_err ?? transit.periodError)
+        };
+    },
+
+    /**
+     * Host parameters; luminosity follows from radius and Teff when it is not given
+     */
+    starParams(stellar = {}) {
+        const number = v => (Number.isFinite(v) && v > 0 ? v : null);
+        const star = {
+            radius: number(stellar.radius ?? stellar.rad),
+            radiusError: number(stellar.radiusError ?? stellar.e_rad),
+            mass: number(stellar.mass),
+            massError: number(stellar.massError ?? stellar.e_mass),
+            teff: number(stellar.teff ?? stellar.Teff),
+            teffError: number(stellar.teffError ?? stellar.e_Teff),
+            luminosity: number(stellar.luminosity ?? stellar.lum),
+            luminosityError: number(stellar.luminosityError ?? stellar.e_lum)
+        };
+
+        if (star.luminosity === null && star.radius !== null && star.teff !== null) {
+            star.luminosity = star.radius * star.radius * Math.pow(star.teff / 5772, 4);
+            star.luminosityError = this.scale(star.luminosity,
+                this.quadrature([2, star.radiusError, star.radius], [4, star.teffError, star.teff]));
+        }
+        return star;
+    },
+
+    // ============================================
+    // Parameters
+    // ============================================
+
+    /**
+     * Rp = (Rp/R★) · R★, in Earth radii
+     */
+    planetRadius(signal, star) {
+        const value = signal.rpRs * star.radius * this.config.earthRadiiPerSolar;
+        return {
+            value,
+            error: this.scale(value, this.quadrature([1, signal.rpRsError, signal.rpRs], [1, star.radiusError, star.radius]))
+        };
+    },
+
+    /**
+     * Semi-major axis in AU from Kepler's third law (a³ = M★P², solar units and years),
+     * or from the fitted a/R★ when the stellar mass is unknown
+     */
+    semiMajorAxis(signal, star) {
+        if (signal.period === null) return { value: null, error: null, method: null };
+
+        if (star.mass !== null) {
+            const years = signal.period / this.config.daysPerYear;
+            const value = Math.cbrt(star.mass * years * years);
+            return {
+                value,
+                error: this.scale(value, this.quadrature([1 / 3, star.massError, star.mass], [2 / 3, signal.periodError, signal.period])),
+                method: 'kepler'
+            };
+        }
+
+        if (signal.aRs !== null) {
+            const value = signal.aRs * star.radius / this.config.solarRadiiPerAU;
+            return {
+                value,
+                error: this.scale(value, this.quadrature([1, signal.aRsError, signal.aRs], [1, star.radiusError, star.radius])),
+                method: 'transit'
+            };
+        }
+
+        return { value: null, error: null, method: null };
+    },
+
+    /**
+     * S / S⊕ = (L / L☉) / (a / AU)²
+     */
+    insolation(star, orbit) {
+        if (star.luminosity === null || orbit.value === null) return { value: null, error: null };
+        const value = star.luminosity / (orbit.value * orbit.value);
+        return {
+            value,
+            error: this.scale(value, this.quadrature([1, star.luminosityError, star.luminosity], [2, orbit.error, orbit.value]))
+        };
+    },
+
+    /**
+     * Teq = 278.3 K · (S (1 - A))^¼ for full heat redistribution
+     */
+    equilibriumTemperature(insolation, insolationError, albedo) {
+        if (insolation === null) return { value: null, error: null };
+        const value = this.config.earthTeq * Math.pow(insolation * (1 - albedo), 0.25);
+        return { value, error: this.scale(value, this.quadrature([0.25, insolationError, insolation])) };
+    },
+
+    /**
+     * Conservative (runaway - maximum greenhouse) and optimistic (recent Venus - early Mars)
+     * habitable zones in flux and distance, and where the planet's insolation falls
+     */
+    habitableZone(teff, teffError, luminosity, luminosityError, insolation = null) {
+        const [low, high] = this.config.hzTeffRange;
+        const clamped = Math.min(Math.max(teff, low), high);
+
+        const limit = name => {
+            const flux = this.effectiveFlux(name, clamped);
+            // Flux error from Teff by central difference
+            const step = 10;
+            const slope = (this.effectiveFlux(name, clamped + step) - this.effectiveFlux(name, clamped - step)) / (2 * step);
+            const fluxError = teffError !== null ? Math.abs(slope) * teffError : null;
+            const distance = Math.sqrt(luminosity / flux);
+            return {
+                flux,
+                fluxError,
+                distance,
+                distanceError: this.scale(distance, this.quadrature([0.5, luminosityError, luminosity], [0.5, fluxError, flux]))
+            };
+        };
+
+        const conservative = { inner: limit('runawayGreenhouse'), outer: limit('maximumGreenhouse') };
+        const optimistic = { inner: limit('recentVenus'), outer: limit('earlyMars') };
+
+        let zone = null;
+        if (insolation !== null) {
+            if (insolation > optimistic.inner.flux) zone = 'too hot';
+            else if (insolation < optimistic.outer.flux) zone = 'too cold';
+            else if (insolation <= conservative.inner.flux && insolation >= conservative.outer.flux) zone = 'conservative';
+            else zone = 'optimistic';
+        }
+
+        return {
+            conservative,
+            optimistic,
+            zone,
+            inConservative: zone === 'conservative',
+            inOptimistic: zone === 'conservative' || zone === 'optimistic',
+            extrapolated: clamped !== teff,
+            reference: 'Kopparapu et al. (2014), 1 M⊕'
+        };
+    },
+
+    effectiveFlux(name, teff) {
+        const [seff, a, b, c, d] = this.hzLimits[name];
+        const t = teff - 5780;
+        return seff + a * t + b * t * t + c * t * t * t + d * t * t * t * t;
+    },
+
+    /**
+     * Mass in Earth masses by inverting the mass-radius relation; the error combines the
+     * radius error and the relation's intrinsic scatter
+     */
+    estimateMass(radius, radiusError) {
+        const [terran, neptunian, jovian] = this.massRadius;
+        const terranMax = terran.C * Math.pow(terran.maxMass, terran.S);
+
+        if (radius > 0.8 * this.config.earthRadiiPerJupiter) {
+            // Giant radii barely depend on mass: report 1 MJ within the Jovian branch (~0.4 to 13 MJ)
+            return {
+                value: this.config.earthMassesPerJupiter,
+                error: null,
+                range: [neptunian.maxMass, 13 * this.config.earthMassesPerJupiter],
+                regime: jovian.name
+            };
+        }
+
+        const branch = radius > terranMax ? neptunian : terran;
+        const value = Math.pow(radius / branch.C, 1 / branch.S);
+        const logRadiusError = radiusError !== null ? radiusError / (radius * Math.LN10) : 0;
+        const logMassError = Math.sqrt(logRadiusError * logRadiusError + branch.scatter * branch.scatter) / branch.S;
+        return { value, error: value * logMassError * Math.LN10, range: null, regime: branch.name };
+    },
+
+    // ============================================
+    // Classification
+    // ============================================
+
+    /**
+     * Class label from radius (Earth radii) and period (days); CalibrationService and
+     * ValidationService label their truth with it too
+     */
+    classLabel(radius, period) {
+        const edges = this.config.classRadii;
+        if (radius > edges.giant) return period < 10 ? 'Hot Jupiter' : 'Gas Giant';
+        if (radius > edges.miniNeptune) return period >= 10 ? 'Warm Neptune' : 'Gas Giant';
+        if (radius > edges.superEarth) return 'Mini-Neptune';
+        if (radius > edges.terrestrial) return 'Super-Earth';
+        return 'Terrestrial';
+    },
+
+    /**
+     * Class probabilities from a log-normal radius distribution over the class boundaries
+     * @returns {object} {class, probability, probabilities: {className: p}}
+     */
+    classify(radius, radiusError, period) {
+        const { terrestrial, superEarth, miniNeptune, giant } = this.config.classRadii;
+        const edges = [0, terrestrial, superEarth, miniNeptune, giant, Infinity];
+        const sigma = radiusError ? Math.max(radiusError / radius, 0.01) : 0.01;
+        const cdf = edge => (edge === 0 ? 0 : edge === Infinity ? 1 : this.normalCdf(Math.log(edge / radius) / sigma));
+
+        const probabilities = Object.fromEntries(this.classes.map(name => [name, 0]));
+        for (let i = 0; i < edges.length - 1; i++) {
+            // Representative radius of the bin, for the period-dependent labels
+            const inside = Math.min(Math.max(radius, edges[i] * 1.0001), edges[i + 1] * 0.9999);
+            probabilities[this.classLabel(inside, period ?? 0)] += cdf(edges[i + 1]) - cdf(edges[i]);
+        }
+
+        const label = this.classLabel(radius, period ?? 0);
+        return { class: label, probability: probabilities[label], probabilities };
+    },
+
+    /**
+     * Class probabilities in this.classes order for a bare transit depth, assuming a host
+     * when no stellar radius is known (ModelService algorithmic inference)
+     */
+    classProbabilities(depth, depthError, period, stellar = null) {
+        const star = stellar && Number.isFinite(stellar.radius) ? this.starParams(stellar) : this.config.assumedStar;
+        const signal = this.transitParams({ depth: Math.max(depth, 1e-6), depthError, period });
+        const radius = this.planetRadius(signal, star);
+        const { probabilities } = this.classify(radius.value, radius.error, period);
+        return this.classes.map(name => probabilities[name]);
+    },
+
+    /**
+     * Standard normal CDF (Abramowitz & Stegun 7.1.26)
+     */
+    normalCdf(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+        return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+    },
+
+    /**
+     * Fractional error of Π value^exponent from [exponent, σ, value] terms, added in quadrature
+     * (null when no term has an error)
+     */
+    quadrature(...terms) {
+        const known = terms.filter(([, error]) => error !== null && error !== undefined);
+        if (known.length === 0) return null;
+        return Math.sqrt(known.reduce((sum, [exponent, error, value]) => sum + Math.pow(exponent * error / value, 2), 0));
+    },
+
+    scale(value, relative) {
+        return relative === null ? null : value * relative;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlanetCharacterization;
+}
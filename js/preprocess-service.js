@@ -0,0 +1,552 @@
+/**
+ * Light Curve Preprocessing Service
+ * Composable cleaning pipeline for the {time, flux, error, quality} light curve shape:
+ * quality masking, sigma clipping, gap-aware detrending (median, biweight,
+ * Savitzky-Golay) and binning, plus phase folding into global/local views.
+ * Every step run is recorded in metadata.preprocessing with its resolved options.
+ */
+
+const PreprocessService = {
+    // Default pipeline and step options
+    config: {
+        steps: [
+            { type: 'quality' },
+            { type: 'clip', sigma: 5, direction: 'upper' },
+            { type: 'detrend', method: 'biweight', window: 0.75 }
+        ],
+        defaults: {
+            // Same bits FITSReader drops (attitude tweak, safe mode, desat, manual exclude, ...)
+            quality: { bitmask: 1 | 2 | 4 | 8 | 16 | 32 | 128 | 512 | 16384 },
+            clip: { sigma: 5, direction: 'upper', iterations: 3 },
+            // window in days (or 'auto' for the VariabilityService choice); gaps longer than
+            // gapThreshold days split the light curve into segments
+            detrend: { method: 'biweight', window: 0.75, gapThreshold: 0.5, biweightC: 5, polyorder: 2, minPoints: 5 },
+            bin: { width: 0.02083 },
+            normalize: {}
+        },
+        // AstroNet-style view sizes (Shallue & Vanderburg 2018)
+        globalBins: 2001,
+        localBins: 201,
+        localDurations: 4
+    },
+
+    /**
+     * Run a sequence of steps on a light curve
+     * @param {object} lightCurve - {time, flux, error, quality, metadata}
+     * @param {object[]} steps - [{type, ...options}], defaults to config.steps
+     * @returns {object} Cleaned light curve with trend and metadata.preprocessing
+     */
+    run(lightCurve, steps = this.config.steps) {
+        let current = {
+            time: Array.from(lightCurve.time),
+            flux: Array.from(lightCurve.flux),
+            error: lightCurve.error ? Array.from(lightCurve.error) : null,
+            quality: lightCurve.quality ? Array.from(lightCurve.quality) : null,
+            trend: null
+        };
+        const record = [];
+
+        for (const step of steps) {
+            const handler = this.steps[step.type];
+            if (!handler) throw new Error(`Unknown preprocessing step: ${step.type}`);
+
+            const options = { ...this.config.defaults[step.type], ...step };
+            const pointsIn = current.time.length;
+            const startTime = typeof performance !== 'undefined' ? performance.now() : Date.now();
+            const { result, info } = handler.call(this, current, options);
+            const endTime = typeof performance !== 'undefined' ? performance.now() : Date.now();
+
+            // Only plain options go into the record (masks and callbacks are dropped)
+            const recorded = Object.fromEntries(Object.entries(options).filter(([, v]) => v === null || typeof v !== 'object'));
+            record.push({ ...recorded, pointsIn, pointsOut: result.time.length, ...info, elapsed: endTime - startTime });
+            current = result;
+        }
+
+        return {
+            ...current,
+            metadata: {
+                ...(lightCurve.metadata || {}),
+                numPoints: current.time.length,
+                preprocessing: [...(lightCurve.metadata?.preprocessing || []), ...record]
+            }
+        };
+    },
+
+    // Step implementations: (lightCurve, options) => {result, info}
+    steps: {
+        /**
+         * Drop non-finite samples and cadences with quality bits in the mask
+         */
+        quality(lc, opts) {
+            const keep = lc.time.map((t, i) => Number.isFinite(t) && Number.isFinite(lc.flux[i]) &&
+                !(lc.quality && (lc.quality[i] & opts.bitmask)));
+            return { result: this.select(lc, keep), info: { removed: keep.filter(k => !k).length } };
+        },
+
+        /**
+         * Iterative sigma clipping about the median using a MAD-based scatter
+         * direction 'upper' keeps transits; 'both' also removes dips
+         */
+        clip(lc, opts) {
+            let keep = lc.flux.map(() => true);
+
+            for (let iter = 0; iter < opts.iterations; iter++) {
+                const values = lc.flux.filter((_, i) => keep[i]);
+                const median = this.median(values);
+                const sigma = this.mad(values, median) * 1.4826;
+                if (!(sigma > 0)) break;
+
+                let changed = false;
+                keep = keep.map((k, i) => {
+                    if (!k) return false;
+                    const deviation = (lc.flux[i] - median) / sigma;
+                    const clipped = opts.direction === 'lower' ? deviation < -opts.sigma
+                        : opts.direction === 'both' ? Math.abs(deviation) > opts.sigma
+                            : deviation > opts.sigma;
+                    if (clipped) changed = true;
+                    return !clipped;
+                });
+                if (!changed) break;
+            }
+
+            return { result: this.select(lc, keep), info: { removed: keep.filter(k => !k).length } };
+        },
+
+        /**
+         * Divide out a gap-aware trend (median, biweight or savgol)
+         * opts.mask may flag points (e.g. in-transit) to exclude from the trend estimate;
+         * window 'auto' takes the window from opts.variability (a VariabilityService result),
+         * analyzing the light curve when none is given. The record keeps the resolved window.
+         */
+        detrend(lc, opts) {
+            const { window, windowSource } = this.resolveWindow(lc, opts);
+            const segments = this.segments(lc.time, opts.gapThreshold);
+            const trend = new Array(lc.time.length).fill(NaN);
+
+            for (const [start, end] of segments) {
+                const segmentTrend = opts.method === 'savgol'
+                    ? this.savgolTrend(lc.time, lc.flux, start, end, { ...opts, window })
+                    : this.windowTrend(lc.time, lc.flux, start, end, { ...opts, window });
+                for (let i = start; i < end; i++) trend[i] = segmentTrend[i - start];
+            }
+
+            const keep = trend.map(v => Number.isFinite(v) && v !== 0);
+            const result = this.select({
+                ...lc,
+                flux: lc.flux.map((f, i) => f / trend[i]),
+                error: lc.error ? lc.error.map((e, i) => e / trend[i]) : null,
+                trend
+            }, keep);
+
+            const info = { segments: segments.length, removed: keep.filter(k => !k).length };
+            return { result, info: windowSource ? { window, windowSource, ...info } : info };
+        },
+
+        /**
+         * Average into fixed-width time bins (empty bins and gaps are skipped)
+         */
+        bin(lc, opts) {
+            const time = [];
+            const flux = [];
+            const error = [];
+            let i = 0;
+
+            while (i < lc.time.length) {
+                const binStart = lc.time[i];
+                let sumT = 0;
+                let sumF = 0;
+                let sumE2 = 0;
+                let n = 0;
+                const values = [];
+                while (i < lc.time.length && lc.time[i] < binStart + opts.width) {
+                    sumT += lc.time[i];
+                    sumF += lc.flux[i];
+                    if (lc.error) sumE2 += lc.error[i] * lc.error[i];
+                    values.push(lc.flux[i]);
+                    n++;
+                    i++;
+                }
+
+                const mean = sumF / n;
+                time.push(sumT / n);
+                flux.push(mean);
+                // Propagated errors when available, otherwise the standard error of the bin
+                error.push(lc.error
+                    ? Math.sqrt(sumE2) / n
+                    : (n > 1 ? Math.sqrt(values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / (n - 1) / n) : NaN));
+            }
+
+            return { result: { time, flux, error, quality: null, trend: null }, info: { bins: time.length } };
+        },
+
+        /**
+         * Divide by the median so the out-of-transit level is 1
+         */
+        normalize(lc) {
+            const median = this.median(lc.flux);
+            const scale = median !== 0 ? Math.abs(median) : 1;
+            return {
+                result: {
+                    ...lc,
+                    flux: lc.flux.map(f => f / scale),
+                    error: lc.error ? lc.error.map(e => e / scale) : null
+                },
+                info: { median }
+            };
+        }
+    },
+
+    /**
+     * Detrending window in days; 'auto' uses the variability class of the star
+     * @returns {object} {window, windowSource} (windowSource only for 'auto')
+     */
+    resolveWindow(lc, opts) {
+        if (opts.window !== 'auto') return { window: opts.window, windowSource: null };
+
+        let variability = opts.variability || null;
+        if (!variability && typeof VariabilityService !== 'undefined') {
+            try {
+                variability = VariabilityService.analyze(lc);
+            } catch (e) {
+                console.warn('Variability analysis failed, using the default window:', e.message);
+            }
+        }
+        if (!variability) return { window: this.config.defaults.detrend.window, windowSource: 'default' };
+        return { window: variability.detrendWindow.window, windowSource: `variability: ${variability.detrendWindow.reason}` };
+    },
+
+    /**
+     * Keep the samples of every per-point array where keep[i] is true
+     */
+    select(lc, keep) {
+        const pick = (arr) => (arr ? arr.filter((_, i) => keep[i]) : null);
+        return {
+            time: pick(lc.time),
+            flux: pick(lc.flux),
+            error: pick(lc.error),
+            quality: pick(lc.quality),
+            trend: pick(lc.trend)
+        };
+    },
+
+    /**
+     * Split time-sorted samples at gaps; returns [start, end) index pairs
+     */
+    segments(time, gapThreshold) {
+        const segments = [];
+        let start = 0;
+        for (let i = 1; i <= time.length; i++) {
+            if (i === time.length || time[i] - time[i - 1] > gapThreshold) {
+                if (i > start) segments.push([start, i]);
+                start = i;
+            }
+        }
+        return segments;
+    },
+
+    /**
+     * Sliding time-window location estimate (median or Tukey biweight) within one segment
+     */
+    windowTrend(time, flux, start, end, opts) {
+        const half = opts.window / 2;
+        const mask = opts.mask || null;
+        const trend = new Array(end - start);
+        const sorted = [];
+        let lo = start;
+        let hi = start;
+
+        for (let i = start; i < end; i++) {
+            // Grow the window on the right, shrink it on the left
+            while (hi < end && time[hi] <= time[i] + half) {
+                if (!mask || !mask[hi]) this.insertSorted(sorted, flux[hi]);
+                hi++;
+            }
+            while (time[lo] < time[i] - half) {
+                if (!mask || !mask[lo]) this.removeSorted(sorted, flux[lo]);
+                lo++;
+            }
+
+            if (sorted.length < opts.minPoints) {
+                trend[i - start] = NaN;
+            } else {
+                const median = sorted[Math.floor(sorted.length / 2)];
+                trend[i - start] = opts.method === 'median' ? median : this.biweight(sorted, median, opts.biweightC);
+            }
+        }
+
+        // Points whose windows were too sparse (or fully masked) take the nearest valid trend
+        return this.fillGaps(trend);
+    },
+
+    /**
+     * Tukey biweight location (as in wotan), iterated from the median
+     */
+    biweight(values, median, c) {
+        let location = median;
+        for (let iter = 0; iter < 5; iter++) {
+            const scale = this.mad(values, location);
+            if (!(scale > 0)) return location;
+
+            let num = 0;
+            let den = 0;
+            for (const v of values) {
+                const u = (v - location) / (c * scale);
+                if (Math.abs(u) >= 1) continue;
+                const w = (1 - u * u) * (1 - u * u);
+                num += (v - location) * w;
+                den += w;
+            }
+            if (den === 0) break;
+
+            const shift = num / den;
+            location += shift;
+            if (Math.abs(shift) < 1e-10) break;
+        }
+        return location;
+    },
+
+    /**
+     * Savitzky-Golay style local polynomial fit in time within one segment
+     * opts.window is converted to a point count from the median cadence
+     */
+    savgolTrend(time, flux, start, end, opts) {
+        const n = end - start;
+        const cadence = n > 1 ? this.median(time.slice(start + 1, end).map((t, i) => t - time[start + i])) : 1;
+        const halfPoints = Math.max(Math.floor(opts.window / cadence / 2), opts.polyorder + 1);
+        const mask = opts.mask || null;
+        const trend = new Array(n);
+
+        for (let i = start; i < end; i++) {
+            // Window shifts inward at segment edges so it keeps its length
+            let lo = Math.max(start, i - halfPoints);
+            let hi = Math.min(end, lo + 2 * halfPoints + 1);
+            lo = Math.max(start, hi - 2 * halfPoints - 1);
+
+            const xs = [];
+            const ys = [];
+            for (let j = lo; j < hi; j++) {
+                if (mask && mask[j]) continue;
+                xs.push(time[j] - time[i]);
+                ys.push(flux[j]);
+            }
+
+            trend[i - start] = xs.length > opts.polyorder ? this.polyfitAtZero(xs, ys, opts.polyorder) : NaN;
+        }
+
+        return this.fillGaps(trend);
+    },
+
+    /**
+     * Least-squares polynomial through (xs, ys), evaluated at x = 0
+     */
+    polyfitAtZero(xs, ys, order) {
+        const m = order + 1;
+        // Scale x to keep the normal equations well conditioned
+        const scale = Math.max(...xs.map(Math.abs)) || 1;
+        const ata = Array.from({ length: m }, () => new Array(m).fill(0));
+        const aty = new Array(m).fill(0);
+
+        for (let k = 0; k < xs.length; k++) {
+            const x = xs[k] / scale;
+            const powers = [1];
+            for (let p = 1; p < m; p++) powers.push(powers[p - 1] * x);
+            for (let r = 0; r < m; r++) {
+                aty[r] += powers[r] * ys[k];
+                for (let c = 0; c < m; c++) ata[r][c] += powers[r] * powers[c];
+            }
+        }
+
+        // Gaussian elimination; the constant term is the value at zero
+        for (let col = 0; col < m; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < m; row++) {
+                if (Math.abs(ata[row][col]) > Math.abs(ata[pivot][col])) pivot = row;
+            }
+            if (Math.abs(ata[pivot][col]) < 1e-300) return NaN;
+            [ata[col], ata[pivot]] = [ata[pivot], ata[col]];
+            [aty[col], aty[pivot]] = [aty[pivot], aty[col]];
+            for (let row = col + 1; row < m; row++) {
+                const factor = ata[row][col] / ata[col][col];
+                for (let c = col; c < m; c++) ata[row][c] -= factor * ata[col][c];
+                aty[row] -= factor * aty[col];
+            }
+        }
+
+        const coeffs = new Array(m).fill(0);
+        for (let row = m - 1; row >= 0; row--) {
+            let sum = aty[row];
+            for (let c = row + 1; c < m; c++) sum -= ata[row][c] * coeffs[c];
+            coeffs[row] = sum / ata[row][row];
+        }
+        return coeffs[0];
+    },
+
+    /**
+     * Replace NaN entries with the nearest finite neighbour
+     */
+    fillGaps(values) {
+        const filled = [...values];
+        let last = NaN;
+        for (let i = 0; i < filled.length; i++) {
+            if (Number.isFinite(filled[i])) last = filled[i];
+            else filled[i] = last;
+        }
+        last = NaN;
+        for (let i = filled.length - 1; i >= 0; i--) {
+            if (Number.isFinite(values[i])) last = values[i];
+            else if (!Number.isFinite(filled[i])) filled[i] = last;
+        }
+        return filled;
+    },
+
+    insertSorted(sorted, value) {
+        let lo = 0;
+        let hi = sorted.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (sorted[mid] < value) lo = mid + 1;
+            else hi = mid;
+        }
+        sorted.splice(lo, 0, value);
+    },
+
+    removeSorted(sorted, value) {
+        let lo = 0;
+        let hi = sorted.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (sorted[mid] < value) lo = mid + 1;
+            else hi = mid;
+        }
+        if (sorted[lo] === value) sorted.splice(lo, 1);
+    },
+
+    median(values) {
+        if (values.length === 0) return NaN;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    },
+
+    /**
+     * Median absolute deviation about a given center
+     */
+    mad(values, center) {
+        return this.median(values.map(v => Math.abs(v - center)));
+    },
+
+    /**
+     * Phase-fold a light curve on a period
+     * @returns {object} {phase, flux, error} sorted by phase, phase in days from mid-transit in [-P/2, P/2)
+     */
+    fold(lightCurve, period, t0) {
+        const points = [];
+        for (let i = 0; i < lightCurve.time.length; i++) {
+            const t = lightCurve.time[i];
+            const f = lightCurve.flux[i];
+            if (!Number.isFinite(t) || !Number.isFinite(f)) continue;
+            const phase = ((t - t0) % period + period * 1.5) % period - period / 2;
+            points.push({ phase, flux: f, error: lightCurve.error ? lightCurve.error[i] : NaN });
+        }
+        points.sort((a, b) => a.phase - b.phase);
+
+        return {
+            phase: points.map(p => p.phase),
+            flux: points.map(p => p.flux),
+            error: points.map(p => p.error),
+            period,
+            t0
+        };
+    },
+
+    /**
+     * Median-bin a folded light curve over [start, end) in phase
+     * Empty bins are interpolated from their neighbours
+     */
+    binFolded(folded, bins, start, end) {
+        const width = (end - start) / bins;
+        const buckets = Array.from({ length: bins }, () => []);
+
+        for (let i = 0; i < folded.phase.length; i++) {
+            const index = Math.floor((folded.phase[i] - start) / width);
+            if (index >= 0 && index < bins) buckets[index].push(folded.flux[i]);
+        }
+
+        const values = buckets.map(b => (b.length > 0 ? this.median(b) : NaN));
+        return {
+            phase: values.map((_, i) => start + (i + 0.5) * width),
+            flux: this.interpolateGaps(values),
+            empty: buckets.filter(b => b.length === 0).length
+        };
+    },
+
+    /**
+     * Linear interpolation over NaN runs (edges take the nearest value)
+     */
+    interpolateGaps(values) {
+        const result = [...values];
+        const valid = result.map((v, i) => (Number.isFinite(v) ? i : -1)).filter(i => i >= 0);
+        if (valid.length === 0) return result.map(() => 1);
+
+        for (let i = 0; i < result.length; i++) {
+            if (Number.isFinite(result[i])) continue;
+            const next = valid.find(j => j > i);
+            const prev = [...valid].reverse().find(j => j < i);
+            if (prev === undefined) result[i] = result[next];
+            else if (next === undefined) result[i] = result[prev];
+            else result[i] = result[prev] + (result[next] - result[prev]) * (i - prev) / (next - prev);
+        }
+        return result;
+    },
+
+    /**
+     * Global and local views of a folded transit candidate
+     * Global spans the whole orbit, local spans localDurations transit durations around mid-transit
+     * @param {object} lightCurve - Preprocessed {time, flux}
+     * @param {object} candidate - {period, t0, duration} in days
+     * @param {object} options - {globalBins, localBins, localDurations, normalize}
+     */
+    views(lightCurve, candidate, options = {}) {
+        const opts = { globalBins: this.config.globalBins, localBins: this.config.localBins, localDurations: this.config.localDurations, normalize: true, ...options };
+        const { period, t0, duration } = candidate;
+        if (!(period > 0) || !Number.isFinite(t0) || !(duration > 0)) {
+            throw new Error('Folded views need period, t0 and duration');
+        }
+
+        const folded = this.fold(lightCurve, period, t0);
+        const halfLocal = Math.min(opts.localDurations * duration / 2, period / 2);
+        const global = this.binFolded(folded, opts.globalBins, -period / 2, period / 2);
+        const local = this.binFolded(folded, opts.localBins, -halfLocal, halfLocal);
+
+        return {
+            global: opts.normalize ? this.normalizeView(global.flux) : global.flux,
+            local: opts.normalize ? this.normalizeView(local.flux) : local.flux,
+            metadata: {
+                period,
+                t0,
+                duration,
+                globalBins: opts.globalBins,
+                localBins: opts.localBins,
+                localDurations: opts.localDurations,
+                localSpan: 2 * halfLocal,
+                emptyGlobalBins: global.empty,
+                emptyLocalBins: local.empty,
+                normalized: opts.normalize
+            }
+        };
+    },
+
+    /**
+     * AstroNet normalization: median to 0 and the deepest point to -1
+     */
+    normalizeView(values) {
+        const median = this.median(values);
+        const depth = median - Math.min(...values);
+        return values.map(v => (depth > 0 ? (v - median) / depth : 0));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PreprocessService;
+}
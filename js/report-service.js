@@ -0,0 +1,802 @@
+/**
+ * Report Service
+ * Builds reports from stored analyses (AnalysisStore records): a self-contained HTML
+ * document with inline SVG plots, the same document sent to the browser's print dialog
+ * for PDF, an AASTeX deluxetable snippet, or the analysis JSON.
+ * Every report carries the provenance of its data, preprocessing, search, model and fit.
+ */
+
+const ReportService = {
+    config: {
+        plotWidth: 720,
+        plotHeight: 240,
+        colors: {
+            binned: '#1a73e8',
+            model: '#d93025',
+            marker: '#f29900',
+            axis: '#5f6368',
+            grid: '#e8eaed'
+        },
+        // Report sections and whether they are on by default
+        sections: {
+            summary: true,
+            detection: true,
+            lightcurves: true,
+            vetting: true,
+            model: true,
+            stellar: true,
+            rawdata: false
+        },
+        formats: {
+            html: { extension: 'html', mimeType: 'text/html' },
+            pdf: { extension: 'html', mimeType: 'text/html' },
+            latex: { extension: 'tex', mimeType: 'application/x-tex' },
+            json: { extension: 'json', mimeType: 'application/json' }
+        },
+        generator: 'Larun. Report Builder',
+        historyKey: 'larun-reports',
+        maxHistory: 20
+    },
+
+    testLabels: {
+        oddEven: 'Odd/even depth',
+        secondary: 'Secondary eclipse',
+        shape: 'Transit shape',
+        duration: 'Duration vs. stellar density',
+        harmonic: 'Harmonic / alias'
+    },
+
+    /**
+     * Build a report
+     * @param {object|object[]} analyses - AnalysisStore record(s)
+     * @param {object} options - {format: 'html'|'pdf'|'latex'|'json', title, notes, sections}
+     * @returns {object} {format, content, mimeType, filename, title}
+     */
+    build(analyses, options = {}) {
+        const list = (Array.isArray(analyses) ? analyses : [analyses]).filter(Boolean);
+        if (list.length === 0) throw new Error('Report needs at least one analysis');
+
+        const format = options.format || 'html';
+        const spec = this.config.formats[format];
+        if (!spec) throw new Error(`Unknown report format: ${format}`);
+
+        const opts = {
+            ...options,
+            format,
+            title: options.title || `Transit Analysis: ${list.map(a => a.target).join(', ')}`,
+            sections: { ...this.config.sections, ...(options.sections || {}) },
+            generatedAt: new Date().toISOString()
+        };
+
+        const renderers = {
+            html: () => this.renderHTML(list, opts),
+            pdf: () => this.renderHTML(list, { ...opts, printable: true }),
+            latex: () => this.renderLaTeX(list, opts),
+            json: () => this.renderJSON(list, opts)
+        };
+
+        return {
+            format,
+            title: opts.title,
+            content: renderers[format](),
+            mimeType: spec.mimeType,
+            filename: `${this.slug(opts.title)}.${spec.extension}`
+        };
+    },
+
+    /**
+     * Deliver a report: PDF opens the print dialog, everything else downloads
+     */
+    deliver(report) {
+        if (report.format === 'pdf') this.print(report);
+        else this.download(report);
+    },
+
+    download(report) {
+        const blob = new Blob([report.content], { type: report.mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = report.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /**
+     * Print the report HTML from a hidden frame (choose "Save as PDF" in the dialog)
+     * A frame is used instead of window.open so popup blockers do not interfere
+     * after an asynchronous analysis.
+     */
+    print(report) {
+        const frame = document.createElement('iframe');
+        frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+        frame.onload = () => {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+            setTimeout(() => frame.remove(), 60000);
+        };
+        frame.srcdoc = report.content;
+        document.body.appendChild(frame);
+    },
+
+    /**
+     * Remember a generated report so it can be rebuilt later from its analyses
+     * @param {object} report - build() output
+     * @param {object} request - {analysisIds, notes, sections}
+     */
+    remember(report, request) {
+        const entry = {
+            id: `rep-${Date.now().toString(36)}`,
+            title: report.title,
+            format: report.format,
+            filename: report.filename,
+            size: report.content.length,
+            analysisIds: request.analysisIds,
+            notes: request.notes || '',
+            sections: request.sections || null,
+            createdAt: new Date().toISOString()
+        };
+        const history = [entry, ...this.getHistory()].slice(0, this.config.maxHistory);
+        try {
+            localStorage.setItem(this.config.historyKey, JSON.stringify(history));
+        } catch (e) {
+            console.warn('Failed to save report history:', e);
+        }
+        return entry;
+    },
+
+    getHistory() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.historyKey)) || [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Rebuild a remembered report from its stored analyses
+     */
+    rebuild(entry) {
+        const analyses = entry.analysisIds.map(id => AnalysisStore.get(id));
+        if (analyses.some(a => !a)) {
+            throw new Error('Some analyses in this report are no longer stored; generate it again');
+        }
+        return this.build(analyses, { format: entry.format, title: entry.title, notes: entry.notes, sections: entry.sections || undefined });
+    },
+
+    // ============================================
+    // HTML
+    // ============================================
+
+    renderHTML(analyses, opts) {
+        const s = opts.sections;
+        const body = analyses.map(a => `
+    <section class="analysis">
+        <h2>${this.escapeHTML(a.target)}</h2>
+        ${s.summary ? this.summarySection(a) : ''}
+        ${s.detection ? this.detectionSection(a) : ''}
+        ${s.lightcurves ? this.lightCurveSection(a) : ''}
+        ${s.vetting ? this.vettingSection(a) : ''}
+        ${s.model ? this.modelSection(a) : ''}
+        ${s.stellar ? this.stellarSection(a) : ''}
+        ${s.rawdata ? this.dataSection(a) : ''}
+        ${this.provenanceSection(a)}
+    </section>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="generator" content="${this.escapeHTML(this.config.generator)}">
+    <title>${this.escapeHTML(opts.title)}</title>
+    <style>${this.styles(opts.printable)}</style>
+</head>
+<body>
+    <header>
+        <h1>${this.escapeHTML(opts.title)}</h1>
+        <div class="meta">Generated ${this.escapeHTML(new Date(opts.generatedAt).toUTCString())} by ${this.escapeHTML(this.config.generator)} · ${analyses.length} target${analyses.length === 1 ? '' : 's'}</div>
+        ${opts.notes ? `<div class="notes">${this.escapeHTML(opts.notes).replace(/\n/g, '<br>')}</div>` : ''}
+    </header>
+${body}
+</body>
+</html>
+`;
+    },
+
+    styles(printable) {
+        return `
+        body { font-family: "Google Sans", "Helvetica Neue", Arial, sans-serif; color: #202124; max-width: 800px; margin: 32px auto; padding: 0 24px; line-height: 1.5; }
+        h1 { font-size: 24px; margin: 0 0 4px; }
+        h2 { font-size: 20px; border-bottom: 2px solid #202124; padding-bottom: 4px; margin-top: 40px; }
+        h3 { font-size: 15px; margin: 24px 0 8px; color: #3c4043; }
+        .meta { color: #5f6368; font-size: 13px; }
+        .notes { margin-top: 12px; padding: 12px; background: #f8f9fa; border-left: 3px solid #1a73e8; font-size: 14px; }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; margin: 8px 0; }
+        th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e8eaed; }
+        th { color: #5f6368; font-weight: 500; }
+        figure { margin: 12px 0; }
+        figcaption { font-size: 12px; color: #5f6368; }
+        svg { width: 100%; height: auto; }
+        .status-pass { color: #137333; } .status-warn { color: #b06000; } .status-fail { color: #c5221f; } .status-inconclusive { color: #5f6368; }
+        .badge { display: inline-block; padding: 2px 8px; border-radius: 4px; background: #f1f3f4; font-weight: 500; }
+        .warning { color: #b06000; font-size: 13px; }
+        .provenance { font-size: 12px; color: #5f6368; }
+        .provenance td { padding: 2px 8px; }
+        ${printable ? '@page { margin: 16mm; } body { margin: 0 auto; }' : ''}
+        @media print { section.analysis { break-before: page; } section.analysis:first-of-type { break-before: auto; } figure, table { break-inside: avoid; } }`;
+    },
+
+    summarySection(a) {
+        const bls = a.bls;
+        const rows = [
+            ['Data', a.source],
+            ['Transit search', bls ? (bls.detected ? 'Signal detected' : 'No significant signal') : 'Not run'],
+            ['Period', this.withError(a.fit?.period ?? bls?.period, a.fit?.period_err, 'd')],
+            ['Depth', bls || a.fit ? `${this.format((a.fit?.depth ?? bls.depth) * 1e6, 0)} ppm` : '—'],
+            ['Duration', a.fit ? `${this.format(a.fit.duration_hours, 2)} h` : bls ? `${this.format(bls.duration * 24, 2)} h` : '—'],
+            ['Classification', a.classification ? `${a.classification.topClass} (${this.format(a.classification.topProbability * 100, 1)}%)` : '—'],
+            ['Vetting', a.vetting ? `${a.vetting.disposition || 'Inconclusive'} — ${a.vetting.recommendation || ''}` : 'Not vetted']
+        ];
+        const synthetic = a.provenance?.provenance === 'synthetic' || a.lightCurve?.metadata?.synthetic;
+
+        return `
+        <h3>Summary</h3>
+        ${synthetic ? '<p class="warning">This analysis ran on synthetic data, not real MAST photometry.</p>' : ''}
+        ${this.table(null, rows)}
+        ${a.notes ? `<p>${this.escapeHTML(a.notes)}</p>` : ''}`;
+    },
+
+    detectionSection(a) {
+        const bls = a.bls;
+        if (!bls) return '<h3>Detection Results</h3><p>No transit search was run.</p>';
+
+        const rows = [
+            ['Period', `${this.format(bls.period, 5)} d`],
+            ['T0', `${this.format(bls.t0, 5)} ${this.timeLabel(a)}`],
+            ['Depth', `${this.format(bls.depth * 1e6, 0)} ± ${this.format(bls.depthError * 1e6, 0)} ppm`],
+            ['Duration', `${this.format(bls.duration * 24, 2)} h`],
+            ['SDE', this.format(bls.sde, 1)],
+            ['SNR', this.format(bls.snr, 1)],
+            ['Transits', bls.transitCount]
+        ];
+        const plot = bls.spectrum ? `
+        <figure>
+            ${this.plotPeriodogram(a)}
+            <figcaption>BLS periodogram. The peak period is marked; dashed lines show P/2 and 2P.</figcaption>
+        </figure>` : '';
+
+        return `
+        <h3>Detection Results</h3>
+        ${this.table(null, rows)}
+        ${plot}`;
+    },
+
+    lightCurveSection(a) {
+        const parts = [`
+        <figure>
+            ${this.plotLightCurve(a)}
+            <figcaption>Light curve (${a.lightCurve.numPoints} points${a.lightCurve.binning > 1 ? `, shown in ${a.lightCurve.binning}-point bins` : ''}).${a.bls ? ' Ticks mark predicted transits.' : ''}</figcaption>
+        </figure>`];
+
+        if (a.fold) {
+            parts.push(`
+        <figure>
+            ${this.plotFold(a)}
+            <figcaption>Phase-folded at P = ${this.format(a.fold.period, 5)} d around mid-transit, median-binned${a.fit && typeof TransitFitService !== 'undefined' ? ', with the fitted transit model' : ''}.</figcaption>
+        </figure>
+        <figure>
+            ${this.plotGlobalFold(a)}
+            <figcaption>Full orbital phase; a secondary eclipse would appear at ±${this.format(a.fold.period / 2, 3)} d.</figcaption>
+        </figure>`);
+        }
+
+        return `<h3>Light Curves</h3>${parts.join('')}`;
+    },
+
+    vettingSection(a) {
+        const v = a.vetting;
+        if (!v) return '<h3>Vetting Analysis</h3><p>Not vetted.</p>';
+
+        const rows = Object.entries(v.tests || {}).map(([key, test]) => [
+            this.testLabels[key] || key,
+            `<span class="status-${test.status}">${(test.status || '').toUpperCase()}</span>`,
+            this.escapeHTML(test.message || '')
+        ]);
+
+        return `
+        <h3>Vetting Analysis</h3>
+        <p><span class="badge">${this.escapeHTML(v.disposition || 'Inconclusive')}</span>
+            ${v.passed}/${v.conclusive} conclusive tests passed${v.reasonCodes?.length ? ` · ${this.escapeHTML(v.reasonCodes.join(', '))}` : ''}</p>
+        <table>
+            <tr><th>Test</th><th>Result</th><th>Detail</th></tr>
+            ${rows.map(r => `<tr><td>${this.escapeHTML(r[0])}</td><td>${r[1]}</td><td>${r[2]}</td></tr>`).join('')}
+        </table>
+        ${v.recommendation ? `<p>${this.escapeHTML(v.recommendation)}</p>` : ''}`;
+    },
+
+    modelSection(a) {
+        const parts = ['<h3>Model Parameters</h3>'];
+        const fit = a.fit;
+
+        if (fit) {
+            parts.push(this.table(['Parameter', 'Value'], [
+                ['Period (d)', this.withError(fit.period, fit.period_err)],
+                [`T0 (${this.timeLabel(a)})`, this.withError(fit.t0, fit.t0_err)],
+                ['Rp/R★', this.withError(fit.rp_rs, fit.rp_rs_err)],
+                ['a/R★', this.withError(fit.a_rs, fit.a_rs_err)],
+                ['Impact parameter b', this.withError(fit.impact_parameter, fit.impact_parameter_err)],
+                ['Inclination (deg)', this.withError(fit.inclination, fit.inclination_err)],
+                ['Depth (ppm)', this.format(fit.depth * 1e6, 0)],
+                ['Duration T14 (h)', this.format(fit.duration_hours, 2)],
+                ['Limb darkening (u1, u2)', `${fit.limb_darkening?.u1}, ${fit.limb_darkening?.u2}`],
+                ['Reduced χ²', this.format(fit.reduced_chi2, 3)]
+            ]));
+        } else {
+            parts.push('<p>No transit model was fitted.</p>');
+        }
+
+        if (a.classification) {
+            const c = a.classification;
+            parts.push(this.table(['Class', 'Probability'],
+                (c.predictions || []).map(p => [p.class, `${this.format(p.probability * 100, 1)}%`])));
+        }
+
+        return parts.join('');
+    },
+
+    stellarSection(a) {
+        const star = a.stellar;
+        if (!star) return '<h3>Stellar Parameters</h3><p>No stellar parameters available.</p>';
+
+        return `
+        <h3>Stellar Parameters</h3>
+        ${this.table(null, [
+            ['TIC', star.ticId ?? '—'],
+            ['Teff (K)', this.format(star.teff, 0)],
+            ['Radius (R☉)', this.format(star.radius, 3)],
+            ['Mass (M☉)', this.format(star.mass, 3)],
+            ['log g', this.format(star.logg, 2)],
+            ['Density (ρ☉)', this.format(star.density, 3)],
+            ['Tmag', this.format(star.tmag, 2)],
+            ['Distance (pc)', this.format(star.distance, 1)]
+        ])}`;
+    },
+
+    dataSection(a) {
+        const parts = ['<h3>Raw Data Tables</h3>'];
+        const peaks = this.topPeaks(a.bls, 5);
+        if (peaks.length > 0) {
+            parts.push(this.table(['BLS peak', 'Period (d)', 'Power'],
+                peaks.map((p, i) => [i + 1, this.format(p.period, 5), this.format(p.power, 4)])));
+        }
+        if (a.fold) {
+            const { phase, flux } = a.fold.local;
+            parts.push(this.table(['Phase (h)', 'Relative flux'],
+                phase.map((p, i) => [this.format(p * 24, 3), this.format(flux[i], 6)])));
+        }
+        return parts.join('');
+    },
+
+    provenanceSection(a) {
+        const prov = a.provenance || {};
+        const bls = a.bls;
+        const model = a.classification?.model;
+        const rows = [
+            ['Data', `${a.source}${prov.provenance ? ` · ${prov.provenance}` : ''}`],
+            ['Endpoint', prov.endpoint || '—'],
+            ['Fetched', prov.fetchedAt || '—'],
+            ['Preprocessing', this.describeSteps(a.preprocessing)],
+            ['BLS grid', bls?.stats ? `${bls.stats.periodsTested} periods × ${bls.stats.durationsTested} durations over ${this.format(bls.stats.baseline, 2)} d` : '—'],
+            ['Classifier', model ? `${model.id} v${model.version} (${model.mode})` : a.classification ? 'Unknown model' : '—'],
+            ['Fit', a.fit ? `${a.fit.method}, ${a.fit.uncertainty_method} uncertainties, ${a.fit.n_points} points` : '—'],
+            ['Stellar', a.stellar?.provenance ? `${a.stellar.provenance} · ${a.stellar.endpoint || ''}` : '—'],
+            ['Analysis', `${a.id} · ${a.createdAt}`]
+        ];
+
+        return `
+        <h3>Provenance</h3>
+        <table class="provenance">${rows.map(r => `<tr><td>${r[0]}</td><td>${this.escapeHTML(String(r[1]))}</td></tr>`).join('')}</table>`;
+    },
+
+    /**
+     * Two- or three-column table; cells are escaped unless they already contain markup
+     */
+    table(headers, rows) {
+        const cell = value => {
+            const text = value === null || value === undefined || value === '' ? '—' : String(value);
+            return /^<span/.test(text) ? text : this.escapeHTML(text);
+        };
+        const head = headers ? `<tr>${headers.map(h => `<th>${this.escapeHTML(h)}</th>`).join('')}</tr>` : '';
+        return `<table>${head}${rows.map(r => `<tr>${r.map((v, i) => `<${!headers && i === 0 ? 'th' : 'td'}>${cell(v)}</${!headers && i === 0 ? 'th' : 'td'}>`).join('')}</tr>`).join('')}</table>`;
+    },
+
+    describeSteps(steps) {
+        if (!steps || steps.length === 0) return 'None';
+        return steps.map(step => {
+            const label = step.type === 'detrend' ? `detrend (${step.method}, ${step.window} d)`
+                : step.type === 'clip' ? `clip (${step.sigma}σ ${step.direction})`
+                : step.type === 'bin' ? `bin (${step.width} d)`
+                : step.type;
+            return `${label}: ${step.pointsIn}→${step.pointsOut}`;
+        }).join(' → ');
+    },
+
+    // ============================================
+    // LaTeX
+    // ============================================
+
+    /**
+     * AASTeX deluxetable of the candidates (plus a stellar table when that section is on)
+     */
+    renderLaTeX(analyses, opts) {
+        const s = opts.sections;
+        const columns = [
+            { head: 'Target', unit: '', value: a => this.escapeLaTeX(a.target) },
+            { head: '$P$', unit: '(d)', value: a => this.latexError(a.fit?.period ?? a.bls?.period, a.fit?.period_err) },
+            { head: '$T_0$', unit: `(${this.escapeLaTeX(this.timeLabel(analyses[0]))})`, value: a => this.latexError(a.fit?.t0 ?? a.bls?.t0, a.fit?.t0_err) },
+            { head: 'Depth', unit: '(ppm)', value: a => this.format((a.fit?.depth ?? a.bls?.depth) * 1e6, 0) },
+            { head: '$T_{14}$', unit: '(h)', value: a => this.format(a.fit ? a.fit.duration_hours : a.bls?.duration * 24, 2) }
+        ];
+        if (s.detection) {
+            columns.push({ head: 'SDE', unit: '', value: a => this.format(a.bls?.sde, 1) });
+            columns.push({ head: 'SNR', unit: '', value: a => this.format(a.bls?.snr, 1) });
+        }
+        if (s.model) {
+            columns.push({ head: '$R_p/R_\\star$', unit: '', value: a => this.latexError(a.fit?.rp_rs, a.fit?.rp_rs_err) });
+            columns.push({ head: '$a/R_\\star$', unit: '', value: a => this.latexError(a.fit?.a_rs, a.fit?.a_rs_err) });
+            columns.push({ head: '$b$', unit: '', value: a => this.latexError(a.fit?.impact_parameter, a.fit?.impact_parameter_err) });
+        }
+        if (s.vetting) {
+            columns.push({ head: 'Disp.', unit: '', value: a => (a.vetting?.disposition ? this.escapeLaTeX(a.vetting.disposition) : '\\nodata') });
+        }
+
+        const sources = [...new Set(analyses.map(a => a.source))].map(src => this.escapeLaTeX(src)).join('; ');
+        const steps = [...new Set(analyses.map(a => this.describeSteps(a.preprocessing).replace(/: \d+→\d+/g, '')))].map(x => this.escapeLaTeX(x)).join('; ');
+        const fitted = analyses.some(a => a.fit);
+
+        const lines = [
+            `% ${this.config.generator}, ${opts.generatedAt}`,
+            '% Requires AASTeX (\\documentclass{aastex631})',
+            `\\begin{deluxetable*}{l${'c'.repeat(columns.length - 1)}}`,
+            `\\tablecaption{${this.escapeLaTeX(opts.title)}\\label{tab:${this.slug(opts.title)}}}`,
+            `\\tablehead{${columns.map(c => `\\colhead{${c.head}}`).join(' & ')} \\\\`,
+            `  ${columns.map(c => `\\colhead{${c.unit}}`).join(' & ')}}`,
+            '\\startdata',
+            ...analyses.map(a => `${columns.map(c => this.latexCell(c.value(a))).join(' & ')} \\\\`),
+            '\\enddata',
+            `\\tablecomments{Photometry: ${sources}. Preprocessing: ${steps}. Periods from a box least squares search${fitted ? '; fitted parameters from a Mandel \\& Agol (2002) quadratic limb-darkened model' : ''}.${opts.notes ? ` ${this.escapeLaTeX(opts.notes)}` : ''}}`,
+            '\\end{deluxetable*}'
+        ];
+
+        if (s.stellar && analyses.some(a => a.stellar)) {
+            lines.push('',
+                '\\begin{deluxetable}{lcccc}',
+                `\\tablecaption{Host star parameters\\label{tab:${this.slug(opts.title)}-stars}}`,
+                '\\tablehead{\\colhead{Target} & \\colhead{$T_\\mathrm{eff}$} & \\colhead{$R_\\star$} & \\colhead{$M_\\star$} & \\colhead{$\\log g$} \\\\',
+                '  \\colhead{} & \\colhead{(K)} & \\colhead{($R_\\odot$)} & \\colhead{($M_\\odot$)} & \\colhead{(cgs)}}',
+                '\\startdata',
+                ...analyses.map(a => [
+                    this.escapeLaTeX(a.target),
+                    this.format(a.stellar?.teff, 0),
+                    this.format(a.stellar?.radius, 3),
+                    this.format(a.stellar?.mass, 3),
+                    this.format(a.stellar?.logg, 2)
+                ].map(v => this.latexCell(v)).join(' & ') + ' \\\\'),
+                '\\enddata',
+                '\\tablecomments{Stellar parameters from the TESS Input Catalog.}',
+                '\\end{deluxetable}');
+        }
+
+        return lines.join('\n') + '\n';
+    },
+
+    latexError(value, error) {
+        if (!Number.isFinite(value)) return '\\nodata';
+        if (!(error > 0)) return this.format(value, 5);
+        const digits = this.errorDigits(error);
+        return `$${value.toFixed(digits)} \\pm ${error.toFixed(digits)}$`;
+    },
+
+    latexCell(value) {
+        return value === '—' || value === null || value === undefined ? '\\nodata' : value;
+    },
+
+    escapeLaTeX(text) {
+        return String(text ?? '')
+            .replace(/\\/g, '\\textbackslash{}')
+            .replace(/([&%$#_{}])/g, '\\$1')
+            .replace(/~/g, '\\textasciitilde{}')
+            .replace(/\^/g, '\\textasciicircum{}')
+            .replace(/\\textbackslash\\\{\\\}/g, '\\textbackslash{}')
+            .replace(/−/g, '$-$')
+            .replace(/→/g, '$\\rightarrow$')
+            .replace(/σ/g, '$\\sigma$');
+    },
+
+    // ============================================
+    // JSON
+    // ============================================
+
+    renderJSON(analyses, opts) {
+        const keep = {
+            detection: ['bls'],
+            lightcurves: ['lightCurve', 'fold'],
+            vetting: ['vetting'],
+            model: ['fit', 'classification'],
+            stellar: ['stellar']
+        };
+        const dropped = Object.entries(keep).filter(([section]) => !opts.sections[section]).flatMap(([, keys]) => keys);
+
+        return JSON.stringify({
+            generator: this.config.generator,
+            generatedAt: opts.generatedAt,
+            title: opts.title,
+            notes: opts.notes || '',
+            analyses: analyses.map(a => Object.fromEntries(Object.entries(a).filter(([key]) => !dropped.includes(key))))
+        }, null, 2);
+    },
+
+    // ============================================
+    // Plots (inline SVG)
+    // ============================================
+
+    plotLightCurve(a) {
+        const lc = a.lightCurve;
+        const markers = [];
+        const ephemeris = a.fit || a.bls;
+        if (ephemeris && ephemeris.period > 0 && lc.time.length > 0) {
+            const start = lc.time[0];
+            const end = lc.time[lc.time.length - 1];
+            let t = ephemeris.t0 + Math.ceil((start - ephemeris.t0) / ephemeris.period) * ephemeris.period;
+            for (; t <= end && markers.length < 500; t += ephemeris.period) markers.push(t);
+        }
+
+        return this.svgPlot({
+            series: [{ x: lc.time, y: lc.flux, style: 'points', color: this.config.colors.binned }],
+            xLabel: `Time (${this.timeLabel(a)})`,
+            yLabel: 'Relative flux',
+            ticks: markers
+        });
+    },
+
+    plotPeriodogram(a) {
+        const { periods, power } = a.bls.spectrum;
+        const period = a.bls.period;
+        const min = Math.min(...periods);
+        const max = Math.max(...periods);
+        // Plot in SDE units, (power - mean) / std, so panels are comparable across targets
+        const mean = power.reduce((sum, p) => sum + p, 0) / power.length;
+        const std = Math.sqrt(power.reduce((sum, p) => sum + (p - mean) * (p - mean), 0) / power.length) || 1;
+
+        return this.svgPlot({
+            series: [{ x: periods, y: power.map(p => (p - mean) / std), style: 'line', color: this.config.colors.binned }],
+            xLabel: 'Period (d)',
+            yLabel: 'SDE',
+            xLog: true,
+            vlines: [
+                { x: period, color: this.config.colors.model },
+                ...[period / 2, period * 2].filter(p => p >= min && p <= max).map(x => ({ x, color: this.config.colors.marker, dashed: true }))
+            ]
+        });
+    },
+
+    plotFold(a) {
+        const { phase, flux } = a.fold.local;
+        const hours = phase.map(p => p * 24);
+        const series = [{ x: hours, y: flux, style: 'points', color: this.config.colors.binned, size: 3 }];
+
+        if (a.fit && typeof TransitFitService !== 'undefined') {
+            const grid = Array.from({ length: 400 }, (_, i) => phase[0] + (phase[phase.length - 1] - phase[0]) * i / 399);
+            const model = TransitFitService.modelLightCurve(grid.map(p => a.fold.t0 + p), a.fit);
+            series.push({ x: grid.map(p => p * 24), y: model, style: 'line', color: this.config.colors.model, width: 2 });
+        }
+
+        return this.svgPlot({ series, xLabel: 'Hours from mid-transit', yLabel: 'Relative flux' });
+    },
+
+    plotGlobalFold(a) {
+        const { phase, flux } = a.fold.global;
+        return this.svgPlot({
+            series: [{ x: phase, y: flux, style: 'points', color: this.config.colors.binned, size: 2.5 }],
+            xLabel: 'Days from mid-transit',
+            yLabel: 'Relative flux',
+            height: 180
+        });
+    },
+
+    /**
+     * Minimal scatter/line plot as an SVG string
+     * @param {object} plot - {series: [{x, y, error, style: 'points'|'line'|'errorbars', color, size, width}], xLabel, yLabel,
+     *                         xLog, vlines: [{x, color, dashed}], ticks: [x], width, height}
+     */
+    svgPlot(plot) {
+        const width = plot.width || this.config.plotWidth;
+        const height = plot.height || this.config.plotHeight;
+        const margin = { left: 64, right: 16, top: 12, bottom: 40 };
+        const innerW = width - margin.left - margin.right;
+        const innerH = height - margin.top - margin.bottom;
+        const c = this.config.colors;
+        const fx = plot.xLog ? v => Math.log10(v) : v => v;
+
+        const xs = plot.series.flatMap(s => s.x.filter((v, i) => Number.isFinite(v) && Number.isFinite(s.y[i]) && (!plot.xLog || v > 0)).map(fx));
+        const ys = plot.series.flatMap(s => (s.style === 'errorbars'
+            ? s.y.flatMap((v, i) => [v - (s.error[i] || 0), v + (s.error[i] || 0)])
+            : s.y).filter(Number.isFinite));
+        if (xs.length === 0) {
+            return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}"><text x="${width / 2}" y="${height / 2}" text-anchor="middle" fill="${c.axis}" font-size="13">No data</text></svg>`;
+        }
+
+        const [x0, x1] = this.extent(xs, 0);
+        const [y0, y1] = this.extent(ys, 0.05);
+        const px = v => margin.left + (fx(v) - x0) / (x1 - x0) * innerW;
+        const py = v => margin.top + (1 - (v - y0) / (y1 - y0)) * innerH;
+        const r = v => Math.round(v * 10) / 10;
+
+        const parts = [];
+        const xTicks = plot.xLog ? this.logTicks(x0, x1) : this.niceTicks(x0, x1, 6);
+        const yTicks = this.niceTicks(y0, y1, 5);
+
+        xTicks.forEach(t => {
+            const x = r(px(plot.xLog ? Math.pow(10, t) : t));
+            parts.push(`<line x1="${x}" y1="${margin.top}" x2="${x}" y2="${margin.top + innerH}" stroke="${c.grid}"/>`);
+            parts.push(`<text x="${x}" y="${margin.top + innerH + 16}" text-anchor="middle">${this.tickLabel(plot.xLog ? Math.pow(10, t) : t)}</text>`);
+        });
+        yTicks.forEach(t => {
+            const y = r(py(t));
+            parts.push(`<line x1="${margin.left}" y1="${y}" x2="${margin.left + innerW}" y2="${y}" stroke="${c.grid}"/>`);
+            parts.push(`<text x="${margin.left - 6}" y="${y + 4}" text-anchor="end">${this.tickLabel(t)}</text>`);
+        });
+
+        (plot.vlines || []).forEach(line => {
+            const x = r(px(line.x));
+            parts.push(`<line x1="${x}" y1="${margin.top}" x2="${x}" y2="${margin.top + innerH}" stroke="${line.color}" stroke-width="1.5"${line.dashed ? ' stroke-dasharray="4 3"' : ''}/>`);
+        });
+
+        plot.series.forEach(s => {
+            const points = [];
+            for (let i = 0; i < s.x.length; i++) {
+                if (!Number.isFinite(s.x[i]) || !Number.isFinite(s.y[i]) || (plot.xLog && s.x[i] <= 0)) continue;
+                points.push(`${r(px(s.x[i]))} ${r(py(s.y[i]))}`);
+            }
+            if (s.style === 'line') {
+                parts.push(`<path d="M${points.join('L')}" fill="none" stroke="${s.color}" stroke-width="${s.width || 1}"/>`);
+            } else if (s.style === 'errorbars') {
+                const bars = [];
+                for (let i = 0; i < s.x.length; i++) {
+                    if (!Number.isFinite(s.x[i]) || !Number.isFinite(s.y[i]) || !(s.error[i] > 0)) continue;
+                    bars.push(`M${r(px(s.x[i]))} ${r(py(s.y[i] - s.error[i]))}V${r(py(s.y[i] + s.error[i]))}`);
+                }
+                parts.push(`<path d="${bars.join('')}" stroke="${s.color}" stroke-width="1"/>`);
+                parts.push(`<path d="M${points.join('h0M')}h0" stroke="${s.color}" stroke-width="${s.size || 2}" stroke-linecap="round"/>`);
+            } else {
+                // Zero-length segments with round caps draw as dots
+                parts.push(`<path d="M${points.join('h0M')}h0" stroke="${s.color}" stroke-width="${s.size || 2}" stroke-linecap="round"/>`);
+            }
+        });
+
+        (plot.ticks || []).forEach(t => {
+            const x = r(px(t));
+            parts.push(`<line x1="${x}" y1="${margin.top + innerH}" x2="${x}" y2="${margin.top + innerH - 8}" stroke="${c.marker}" stroke-width="1.5"/>`);
+        });
+
+        parts.push(`<rect x="${margin.left}" y="${margin.top}" width="${innerW}" height="${innerH}" fill="none" stroke="${c.axis}"/>`);
+        parts.push(`<text x="${margin.left + innerW / 2}" y="${height - 6}" text-anchor="middle">${this.escapeHTML(plot.xLabel || '')}</text>`);
+        parts.push(`<text transform="translate(14 ${margin.top + innerH / 2}) rotate(-90)" text-anchor="middle">${this.escapeHTML(plot.yLabel || '')}</text>`);
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" font-family="Arial, sans-serif" font-size="11" fill="${c.axis}">${parts.join('')}</svg>`;
+    },
+
+    extent(values, pad) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const v of values) {
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+        if (min === max) {
+            min -= 0.5;
+            max += 0.5;
+        }
+        const span = max - min;
+        return [min - span * pad, max + span * pad];
+    },
+
+    niceTicks(min, max, count) {
+        const raw = (max - min) / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw);
+        const ticks = [];
+        for (let t = Math.ceil(min / step) * step; t <= max; t += step) {
+            ticks.push(Math.round(t / step) * step);
+        }
+        return ticks;
+    },
+
+    /**
+     * Log-axis ticks (log10 values) at 1, 2 and 5 times powers of ten
+     */
+    logTicks(min, max) {
+        const ticks = [];
+        for (let e = Math.floor(min); e <= Math.ceil(max); e++) {
+            [1, 2, 5].forEach(m => {
+                const t = Math.log10(m) + e;
+                if (t >= min && t <= max) ticks.push(t);
+            });
+        }
+        return ticks;
+    },
+
+    tickLabel(value) {
+        if (value === 0) return '0';
+        const abs = Math.abs(value);
+        if (abs >= 1e4 || abs < 1e-3) return value.toExponential(1);
+        return String(Number(value.toPrecision(6)));
+    },
+
+    /**
+     * Strongest distinct periodogram peaks (more than 1% apart in period)
+     */
+    topPeaks(bls, count) {
+        if (!bls?.spectrum) return [];
+        const { periods, power } = bls.spectrum;
+        const maxima = [];
+        for (let i = 1; i < power.length - 1; i++) {
+            if (power[i] >= power[i - 1] && power[i] >= power[i + 1]) maxima.push({ period: periods[i], power: power[i] });
+        }
+        maxima.sort((a, b) => b.power - a.power);
+
+        const peaks = [];
+        for (const peak of maxima) {
+            if (peaks.every(p => Math.abs(p.period - peak.period) / p.period > 0.01)) peaks.push(peak);
+            if (peaks.length === count) break;
+        }
+        return peaks;
+    },
+
+    // ============================================
+    // Formatting
+    // ============================================
+
+    timeLabel(a) {
+        const reference = a?.lightCurve?.metadata?.timeReference;
+        return reference ? `BJD − ${reference}` : 'BJD';
+    },
+
+    format(value, digits) {
+        return Number.isFinite(value) ? value.toFixed(digits) : '—';
+    },
+
+    /**
+     * "3.12345 ± 0.00012" with the value rounded to two significant figures of the error
+     */
+    withError(value, error, unit = '') {
+        if (!Number.isFinite(value)) return '—';
+        const suffix = unit ? ` ${unit}` : '';
+        if (!(error > 0)) return `${this.format(value, 5)}${suffix}`;
+        const digits = this.errorDigits(error);
+        return `${value.toFixed(digits)} ± ${error.toFixed(digits)}${suffix}`;
+    },
+
+    errorDigits(error) {
+        return Math.min(Math.max(1 - Math.floor(Math.log10(error)), 0), 10);
+    },
+
+    slug(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'report';
+    },
+
+    escapeHTML(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportService;
+}
@@ -12,7 +12,7 @@ const StatsService = {
         objectsProcessed: 0,
         detections: 0,
         vettedCandidates: 0,
-        modelAccuracy: 81.8, // Real model accuracy from training
+        modelAccuracy: null, // Set by the last calibration
         recentActivity: [],
         lastUpdated: null
     },
@@ -111,7 +111,7 @@ const StatsService = {
             objectsProcessed: this.localStats.objectsProcessed + this.sessionStats.analyses,
             detections: this.localStats.detections + this.sessionStats.detections,
             vettedCandidates: this.localStats.vettedCandidates,
-            modelAccuracy: this.localStats.modelAccuracy,
+            modelAccuracy: this.getCalibration()?.accuracy ?? this.localStats.modelAccuracy,
             sessionDuration: Math.floor((Date.now() - this.sessionStats.startTime) / 1000 / 60),
             lastCalibration: this.getLastCalibrationTime()
         };
@@ -139,7 +139,8 @@ const StatsService = {
                         title: item.title,
                         description: item.description,
                         timestamp: new Date(item.created_at),
-                        source: item.source || 'Larun'
+                        source: item.source || 'Larun',
+                        provenance: item.metadata?.provenance || null
                     }));
                 }
             } catch (e) {
@@ -168,8 +169,13 @@ const StatsService = {
 
     /**
      * Record an analysis event
+     * @param {string} targetId - Analyzed target
+     * @param {object} results - ModelService.predict output
+     * @param {object} data - The analyzed MASTService data, used for its provenance
      */
-    async recordAnalysis(targetId, results) {
+    async recordAnalysis(targetId, results, data = null) {
+        const provenance = this.extractProvenance(data);
+
         // Update session stats
         this.sessionStats.analyses++;
 
@@ -185,7 +191,8 @@ const StatsService = {
                 ? `Classification: ${results.topClass} (${Math.round(results.topProbability * 100)}%)`
                 : 'Analysis complete',
             timestamp: new Date(),
-            source: 'Larun. Detect'
+            source: 'Larun. Detect',
+            provenance
         };
 
         this.localStats.recentActivity.unshift(activity);
@@ -201,7 +208,7 @@ const StatsService = {
                     title: activity.title,
                     description: activity.description,
                     source: activity.source,
-                    metadata: results
+                    metadata: { ...this.summarizeResults(results), provenance }
                 });
 
                 // Update user stats
@@ -226,46 +233,298 @@ const StatsService = {
         return activity;
     },
 
+    /**
+     * Strip bulky arrays (e.g. the BLS power spectrum) before logging results
+     */
+    summarizeResults(results) {
+        if (!results?.bls) return results;
+        const { spectrum, ...bls } = results.bls;
+        return { ...results, bls };
+    },
+
+    /**
+     * Keep only the provenance stamp (live/cached/synthetic, endpoint, fetch time) of MASTService data
+     */
+    extractProvenance(data) {
+        if (!data?.provenance) return null;
+        return { provenance: data.provenance, endpoint: data.endpoint, fetchedAt: data.fetchedAt };
+    },
+
+    /**
+     * Human-readable provenance label for an activity entry
+     */
+    formatProvenance(provenance) {
+        if (!provenance) return '';
+        const label = { live: 'Live data', cached: 'Cached data', synthetic: 'Synthetic data' }[provenance.provenance] || provenance.provenance;
+        return provenance.endpoint ? `${label} (${provenance.endpoint})` : label;
+    },
+
     /**
      * Record a vetting event
+     * @param {string} candidateId - Vetted candidate
+     * @param {object} verdict - VettingService.run output
+     * @param {string} decision - Reviewer decision ('PC' or 'FP') when a person confirmed or rejected it
      */
-    async recordVetting(candidateId, result) {
+    async recordVetting(candidateId, verdict, decision = null) {
+        const summary = { ...this.summarizeVetting(verdict), decision };
+
         const activity = {
             type: 'vetting',
             title: `Vetted ${candidateId}`,
-            description: `Result: ${result.probability}% planet probability`,
+            description: this.describeVetting(summary),
+            timestamp: new Date(),
+            source: 'Larun. Vetting',
+            vetting: summary
+        };
+
+        this.localStats.recentActivity.unshift(activity);
+        this.localStats.recentActivity = this.localStats.recentActivity.slice(0, 20);
+        // A reviewer decision on an already vetted candidate is not another vetting
+        if (!decision) this.localStats.vettedCandidates++;
+        this.saveLocalStats();
+
+        if (this.supabase && Auth?.user?.id) {
+            try {
+                await this.supabase.from('activity_log').insert({
+                    user_id: Auth.user.id,
+                    activity_type: 'vetting',
+                    title: activity.title,
+                    description: activity.description,
+                    source: activity.source,
+                    metadata: summary
+                });
+
+                if (!decision) {
+                    await this.supabase.rpc('increment_user_stat', {
+                        p_user_id: Auth.user.id,
+                        p_stat_name: 'vetted_candidates',
+                        p_increment: 1
+                    });
+                }
+            } catch (e) {
+                console.warn('Failed to log to Supabase:', e);
+            }
+        }
+
+        return activity;
+    },
+
+    /**
+     * One-line description of a vetting summary
+     */
+    describeVetting(summary) {
+        if (summary.decision) {
+            return `Marked ${summary.decision} (automated verdict: ${summary.disposition || 'inconclusive'})`;
+        }
+        if (!summary.disposition) return 'Verdict: inconclusive';
+        return `Verdict: ${summary.disposition} (${summary.passed}/${summary.conclusive} tests passed)`;
+    },
+
+    /**
+     * Keep the verdict, reason codes and per-test status/metrics of a vetting result
+     */
+    summarizeVetting(verdict) {
+        const tests = {};
+        Object.entries(verdict?.tests || {}).forEach(([key, test]) => {
+            const { aliases, ...metrics } = test;
+            tests[key] = metrics;
+        });
+
+        return {
+            disposition: verdict?.disposition ?? null,
+            recommendation: verdict?.recommendation ?? null,
+            score: verdict?.score ?? null,
+            passed: verdict?.passed ?? 0,
+            conclusive: verdict?.conclusive ?? 0,
+            reasonCodes: verdict?.reasonCodes || [],
+            period: verdict?.period ?? null,
+            t0: verdict?.t0 ?? null,
+            duration: verdict?.duration ?? null,
+            depth: verdict?.depth ?? null,
+            signalSource: verdict?.signalSource ?? null,
+            tests,
+            vettedAt: verdict?.vettedAt ?? new Date().toISOString()
+        };
+    },
+
+    /**
+     * Record a generated report
+     * @param {object} report - ReportService.build output
+     * @param {string[]} analysisIds - Stored analyses the report was built from
+     */
+    async recordReport(report, analysisIds = []) {
+        const activity = {
+            type: 'report',
+            title: `Generated ${report.title}`,
+            description: `${report.format.toUpperCase()} report, ${analysisIds.length} target${analysisIds.length === 1 ? '' : 's'}`,
+            timestamp: new Date(),
+            source: 'Larun. Reports'
+        };
+
+        this.localStats.recentActivity.unshift(activity);
+        this.localStats.recentActivity = this.localStats.recentActivity.slice(0, 20);
+        this.saveLocalStats();
+
+        if (this.supabase && Auth?.user?.id) {
+            try {
+                await this.supabase.from('activity_log').insert({
+                    user_id: Auth.user.id,
+                    activity_type: 'report',
+                    title: activity.title,
+                    description: activity.description,
+                    source: activity.source,
+                    metadata: { format: report.format, filename: report.filename, size: report.content.length, analysisIds }
+                });
+            } catch (e) {
+                console.warn('Failed to log to Supabase:', e);
+            }
+        }
+
+        return activity;
+    },
+
+    /**
+     * Record a data export
+     * @param {object} file - ExportService.build output
+     * @param {string[]} analysisIds - Exported analyses
+     */
+    async recordExport(file, analysisIds = []) {
+        const activity = {
+            type: 'export',
+            title: `Exported ${file.filename}`,
+            description: `${file.format.toUpperCase()} export, ${file.count} target${file.count === 1 ? '' : 's'}`,
             timestamp: new Date(),
-            source: 'Larun. Vetting'
+            source: 'Larun. Export'
         };
 
         this.localStats.recentActivity.unshift(activity);
-        this.localStats.vettedCandidates++;
+        this.localStats.recentActivity = this.localStats.recentActivity.slice(0, 20);
         this.saveLocalStats();
 
+        if (this.supabase && Auth?.user?.id) {
+            try {
+                await this.supabase.from('activity_log').insert({
+                    user_id: Auth.user.id,
+                    activity_type: 'export',
+                    title: activity.title,
+                    description: activity.description,
+                    source: activity.source,
+                    metadata: { format: file.format, filename: file.filename, size: file.content.length, analysisIds }
+                });
+            } catch (e) {
+                console.warn('Failed to log to Supabase:', e);
+            }
+        }
+
         return activity;
     },
 
     /**
-     * Record a calibration event
+     * Record a calibration run
+     * @param {object} metrics - CalibrationService.run result (accuracy, precision and recall in
+     *                           percent, f1Score as a fraction, recoveryRate, falseAlarmRate, ...)
      */
     async recordCalibration(metrics) {
+        const calibration = {
+            accuracy: metrics.accuracy,
+            precision: metrics.precision,
+            recall: metrics.recall,
+            f1Score: metrics.f1Score,
+            recoveryRate: metrics.recoveryRate,
+            falseAlarmRate: metrics.falseAlarmRate,
+            classAccuracy: metrics.classAccuracy ?? null,
+            trials: metrics.trials,
+            base: metrics.base || null,
+            model: metrics.model || null,
+            timestamp: metrics.timestamp || new Date().toISOString()
+        };
         localStorage.setItem('last-calibration', Date.now().toString());
+        // Kept apart from larun-stats, whose cache expires after a day
+        localStorage.setItem('larun-calibration', JSON.stringify(calibration));
 
         const activity = {
             type: 'calibration',
             title: 'Calibration completed',
-            description: `New accuracy: ${metrics.accuracy}%`,
+            description: `Recovery ${metrics.recoveryRate.toFixed(1)}%, false alarms ${metrics.falseAlarmRate.toFixed(1)}%, accuracy ${metrics.accuracy.toFixed(1)}% (${metrics.trials} trials)`,
             timestamp: new Date(),
             source: 'Larun. Calibrate'
         };
 
         this.localStats.recentActivity.unshift(activity);
+        this.localStats.recentActivity = this.localStats.recentActivity.slice(0, 20);
         this.localStats.modelAccuracy = metrics.accuracy;
         this.saveLocalStats();
 
+        if (this.supabase && Auth?.user?.id) {
+            try {
+                await this.supabase.from('activity_log').insert({
+                    user_id: Auth.user.id,
+                    activity_type: 'calibration',
+                    title: activity.title,
+                    description: activity.description,
+                    source: activity.source,
+                    metadata: calibration
+                });
+            } catch (e) {
+                console.warn('Failed to log to Supabase:', e);
+            }
+        }
+
+        return activity;
+    },
+
+    /**
+     * Record a ground-truth validation run (the report itself is stored by ValidationService)
+     */
+    async recordValidation(report) {
+        const activity = {
+            type: 'validation',
+            title: 'Validation completed',
+            description: `Recovered ${report.recoveryRate.toFixed(1)}% of ${report.scored} catalog planets, accuracy ${report.accuracy.toFixed(1)}% (${report.source})`,
+            timestamp: new Date(),
+            source: 'Larun. Validate'
+        };
+
+        this.localStats.recentActivity.unshift(activity);
+        this.localStats.recentActivity = this.localStats.recentActivity.slice(0, 20);
+        this.saveLocalStats();
+
+        if (this.supabase && Auth?.user?.id) {
+            try {
+                await this.supabase.from('activity_log').insert({
+                    user_id: Auth.user.id,
+                    activity_type: 'validation',
+                    title: activity.title,
+                    description: activity.description,
+                    source: activity.source,
+                    metadata: {
+                        recoveryRate: report.recoveryRate,
+                        accuracy: report.accuracy,
+                        precision: report.precision,
+                        recall: report.recall,
+                        scored: report.scored,
+                        model: report.model
+                    }
+                });
+            } catch (e) {
+                console.warn('Failed to log to Supabase:', e);
+            }
+        }
+
         return activity;
     },
 
+    /**
+     * Metrics of the last calibration run, or null when none has run
+     */
+    getCalibration() {
+        try {
+            return JSON.parse(localStorage.getItem('larun-calibration'));
+        } catch (e) {
+            return null;
+        }
+    },
+
     /**
      * Get last calibration time
      */
@@ -342,13 +601,34 @@ const StatsService = {
      * Get model performance metrics
      */
     getModelMetrics() {
+        // Measured by the last injection-recovery calibration; nothing is reported before one runs
+        const calibration = this.getCalibration();
+        if (calibration) {
+            return {
+                accuracy: calibration.accuracy,
+                precision: calibration.precision,
+                recall: calibration.recall,
+                f1Score: calibration.f1Score,
+                recoveryRate: calibration.recoveryRate,
+                falseAlarmRate: calibration.falseAlarmRate,
+                classAccuracy: calibration.classAccuracy,
+                source: 'calibration',
+                model: calibration.model,
+                lastValidation: this.getLastCalibrationTime()
+            };
+        }
+
         return {
-            accuracy: this.localStats.modelAccuracy,
-            precision: 83.2, // From actual model evaluation
-            recall: 79.5,
-            f1Score: 0.813,
-            aucRoc: 0.891,
-            lastValidation: this.getLastCalibrationTime()
+            accuracy: null,
+            precision: null,
+            recall: null,
+            f1Score: null,
+            recoveryRate: null,
+            falseAlarmRate: null,
+            classAccuracy: null,
+            source: 'none',
+            model: null,
+            lastValidation: 'Never'
         };
     }
 };
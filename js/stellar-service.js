@@ -0,0 +1,386 @@
+/**
+ * Stellar Service
+ * Host star parameters for a TIC target: Teff, log g, radius, mass, distance and Tmag from
+ * the TESS Input Catalog (via MASTService.mastQuery), gaps filled from log g or from
+ * main-sequence Teff relations, plus spectral type, luminosity and mean density with
+ * propagated uncertainties. Every value records where it came from. Results are cached
+ * in localStorage, and a bundled subset of well-studied hosts works offline.
+ */
+
+const StellarService = {
+    config: {
+        service: 'Mast.Catalogs.Filtered.Tic',
+        storageKey: 'larun-stellar-cache',
+        maxCached: 200,
+        cacheTimeout: 30 * 24 * 60 * 60 * 1000, // 30 days
+        // Offline-subset values are kept briefly, so a live TIC query soon replaces them
+        snapshotCacheTimeout: 60 * 60 * 1000, // 1 hour
+        solarTeff: 5772,
+        solarLogg: 4.438,
+        // Fractional scatter of the main-sequence relations (used as their uncertainty)
+        relationScatter: { radius: 0.1, mass: 0.1 },
+        // Teff uncertainty assumed when the catalog gives none (K)
+        defaultTeffError: 150
+    },
+
+    /**
+     * Main-sequence dwarf sequence after Pecaut & Mamajek (2013): spectral type number
+     * (A0 = 20, F0 = 30, G0 = 40, K0 = 50, M0 = 60), Teff (K), radius (R☉), mass (M☉)
+     */
+    mainSequence: [
+        { type: 20, teff: 9700, radius: 1.79, mass: 2.18 },
+        { type: 25, teff: 8080, radius: 1.66, mass: 1.86 },
+        { type: 30, teff: 7220, radius: 1.73, mass: 1.61 },
+        { type: 35, teff: 6510, radius: 1.47, mass: 1.33 },
+        { type: 40, teff: 5920, radius: 1.10, mass: 1.06 },
+        { type: 42, teff: 5770, radius: 1.00, mass: 1.00 },
+        { type: 45, teff: 5660, radius: 0.95, mass: 0.97 },
+        { type: 50, teff: 5270, radius: 0.81, mass: 0.88 },
+        { type: 55, teff: 4440, radius: 0.68, mass: 0.69 },
+        { type: 60, teff: 3850, radius: 0.59, mass: 0.57 },
+        { type: 62, teff: 3560, radius: 0.45, mass: 0.44 },
+        { type: 64, teff: 3210, radius: 0.27, mass: 0.23 },
+        { type: 66, teff: 2850, radius: 0.15, mass: 0.10 },
+        { type: 68, teff: 2570, radius: 0.11, mass: 0.088 }
+    ],
+
+    /**
+     * Offline subset: TIC rows (catalog column names, rounded) of well-studied planet hosts
+     */
+    snapshot: [
+        { ID: 307210830, Teff: 3412, e_Teff: 49, logg: 4.94, rad: 0.31, e_rad: 0.01, mass: 0.29, e_mass: 0.02, d: 10.6, Tmag: 9.39 },
+        { ID: 261136679, Teff: 6037, e_Teff: 45, logg: 4.33, rad: 1.10, e_rad: 0.02, mass: 1.09, e_mass: 0.05, d: 18.3, Tmag: 5.11 },
+        { ID: 100100827, Teff: 6431, e_Teff: 48, logg: 4.37, rad: 1.23, e_rad: 0.03, mass: 1.22, e_mass: 0.08, d: 123.5, Tmag: 8.83 },
+        { ID: 22529346, Teff: 6460, e_Teff: 140, logg: 4.24, rad: 1.46, e_rad: 0.03, mass: 1.36, e_mass: 0.07, d: 272.0, Tmag: 9.84 },
+        { ID: 441420236, Teff: 3700, e_Teff: 100, logg: 4.52, rad: 0.75, e_rad: 0.03, mass: 0.50, e_mass: 0.03, d: 9.7, Tmag: 6.76 },
+        { ID: 259377017, Teff: 3506, e_Teff: 70, logg: 4.87, rad: 0.38, e_rad: 0.01, mass: 0.39, e_mass: 0.02, d: 22.5, Tmag: 10.42 },
+        { ID: 413248763, Teff: 3505, e_Teff: 51, logg: 4.94, rad: 0.34, e_rad: 0.02, mass: 0.34, e_mass: 0.01, d: 9.4, Tmag: 8.74 },
+        { ID: 183985250, Teff: 5443, e_Teff: 14, logg: 4.47, rad: 0.95, e_rad: 0.01, mass: 1.02, e_mass: 0.02, d: 80.4, Tmag: 9.12 },
+        { ID: 136916387, Teff: 5527, e_Teff: 65, logg: 4.40, rad: 1.03, e_rad: 0.03, mass: 0.92, e_mass: 0.03, d: 94.2, Tmag: 9.20 },
+        { ID: 403224672, Teff: 5978, e_Teff: 50, logg: 4.40, rad: 1.10, e_rad: 0.03, mass: 1.07, e_mass: 0.08, d: 48.0, Tmag: 7.40 },
+        { ID: 370133522, Teff: 3458, e_Teff: 157, logg: 4.83, rad: 0.38, e_rad: 0.01, mass: 0.38, e_mass: 0.02, d: 20.4, Tmag: 10.00 },
+        { ID: 181804752, Teff: 2960, e_Teff: 55, logg: 5.11, rad: 0.17, e_rad: 0.01, mass: 0.14, e_mass: 0.01, d: 26.5, Tmag: 12.10 }
+    ],
+
+    // In-memory copy of the localStorage cache
+    cache: null,
+
+    /**
+     * Stellar parameters of a TIC target
+     * @param {string|number} ticId - "TIC 307210830" or 307210830
+     * @param {object} options - {refresh: skip the cache}
+     * @returns {Promise<object>} See derive()
+     */
+    async getParams(ticId, options = {}) {
+        const id = this.normalizeTic(ticId);
+        if (!id) throw new Error(`Invalid TIC identifier: ${ticId}`);
+
+        if (!options.refresh) {
+            const cached = this.getFromCache(id);
+            if (cached) return { ...cached, provenance: 'cached' };
+        }
+
+        let row = null;
+        if (typeof MASTService !== 'undefined') {
+            const response = await MASTService.mastQuery(this.config.service, {
+                columns: '*',
+                filters: [{ paramName: 'ID', values: [id] }]
+            });
+            row = response?.data?.[0] || null;
+        }
+
+        let params;
+        if (row) {
+            params = this.derive(row, { provenance: 'live', endpoint: MASTService.serviceEndpoint(this.config.service) });
+        } else {
+            const stored = this.snapshot.find(r => String(r.ID) === id);
+            if (!stored) throw new Error(`No stellar parameters for TIC ${id}: the TIC query failed and the star is not in the offline subset`);
+            params = this.derive(stored, { provenance: 'cached', endpoint: 'StellarService.snapshot' });
+        }
+
+        this.setCache(id, params, row ? this.config.cacheTimeout : this.config.snapshotCacheTimeout);
+        return params;
+    },
+
+    /**
+     * Spectral and luminosity class of a TIC target
+     * @returns {Promise<object>} {ticId, spectralType, spectralClass, luminosityClass, description,
+     *                            teff, radius, luminosity, sources, provenance}
+     */
+    async classifyStar(ticId) {
+        return this.classify(await this.getParams(ticId));
+    },
+
+    classify(params) {
+        const names = { V: 'main-sequence dwarf', IV: 'subgiant', III: 'giant' };
+        return {
+            ticId: params.ticId,
+            spectralType: params.spectralType,
+            spectralClass: params.spectralClass,
+            luminosityClass: params.luminosityClass,
+            description: params.spectralType
+                ? `${params.spectralType} ${names[params.luminosityClass] || 'star'}`
+                : 'Unclassified (no effective temperature)',
+            teff: params.teff,
+            radius: params.radius,
+            luminosity: params.luminosity,
+            sources: params.sources,
+            provenance: params.provenance
+        };
+    },
+
+    /**
+     * Fill in and derive parameters from a TIC row
+     *
+     * Catalog values are used as given. Missing radius or mass come from log g and the
+     * other one when possible, otherwise (for dwarfs) from the main-sequence relations;
+     * luminosity, density and log g follow from Teff, radius and mass with first-order
+     * error propagation.
+     * @param {object} row - TIC row (ID, Teff, e_Teff, logg, e_logg, rad, e_rad, mass, e_mass,
+     *                       rho, e_rho, d, e_d, Tmag, ra, dec, lumclass)
+     * @param {object} stamp - {provenance, endpoint}
+     */
+    derive(row, stamp = {}) {
+        const value = key => (Number.isFinite(Number(row[key])) && row[key] !== null && row[key] !== '' ? Number(row[key]) : null);
+        const sources = {};
+        const take = (name, key, errorKey) => {
+            const v = value(key);
+            if (v === null || v <= 0) return { value: null, error: null };
+            sources[name] = 'tic';
+            return { value: v, error: value(errorKey) };
+        };
+
+        const teff = take('teff', 'Teff', 'e_Teff');
+        let logg = take('logg', 'logg', 'e_logg');
+        let radius = take('radius', 'rad', 'e_rad');
+        let mass = take('mass', 'mass', 'e_mass');
+        const distance = take('distance', 'd', 'e_d');
+        const tmag = value('Tmag');
+        if (teff.value !== null && teff.error === null) teff.error = this.config.defaultTeffError;
+
+        const luminosityClass = this.luminosityClass(logg.value, row.lumclass);
+        const dwarf = luminosityClass === 'V';
+
+        // Radius and mass from each other and log g: g ∝ M / R²
+        if (logg.value !== null && radius.value !== null && mass.value === null) {
+            mass = this.massFromLogg(logg.value, logg.error, radius.value, radius.error);
+            sources.mass = 'derived';
+        } else if (logg.value !== null && mass.value !== null && radius.value === null) {
+            radius = this.radiusFromLogg(logg.value, logg.error, mass.value, mass.error);
+            sources.radius = 'derived';
+        }
+
+        // Main-sequence relations for whatever is still missing
+        const relation = dwarf && teff.value !== null ? this.fromTeff(teff.value) : null;
+        if (relation) {
+            if (radius.value === null) {
+                radius = { value: relation.radius, error: relation.radius * this.config.relationScatter.radius };
+                sources.radius = 'relation';
+            }
+            if (mass.value === null) {
+                mass = { value: relation.mass, error: relation.mass * this.config.relationScatter.mass };
+                sources.mass = 'relation';
+            }
+        }
+
+        if (logg.value === null && radius.value !== null && mass.value !== null) {
+            logg = this.loggFromMassRadius(mass.value, mass.error, radius.value, radius.error);
+            sources.logg = 'derived';
+        }
+
+        const luminosity = this.luminosity(teff.value, teff.error, radius.value, radius.error);
+        if (luminosity.value !== null) sources.luminosity = 'derived';
+
+        let density = take('density', 'rho', 'e_rho');
+        if (density.value === null) {
+            density = this.density(mass.value, mass.error, radius.value, radius.error);
+            if (density.value !== null) sources.density = 'derived';
+        }
+
+        const spectral = teff.value !== null ? this.spectralType(teff.value) : null;
+
+        return {
+            ticId: `TIC ${row.ID}`,
+            teff: teff.value,
+            teffError: teff.error,
+            logg: logg.value,
+            loggError: logg.error,
+            radius: radius.value,
+            radiusError: radius.error,
+            mass: mass.value,
+            massError: mass.error,
+            luminosity: luminosity.value,
+            luminosityError: luminosity.error,
+            density: density.value,
+            densityError: density.error,
+            distance: distance.value,
+            distanceError: distance.error,
+            tmag,
+            ra: value('ra'),
+            dec: value('dec'),
+            spectralType: spectral ? `${spectral}${luminosityClass || ''}` : null,
+            spectralClass: spectral ? spectral[0] : null,
+            luminosityClass,
+            sources,
+            source: stamp.provenance === 'live' ? 'TIC' : 'TIC (offline subset)',
+            provenance: stamp.provenance || null,
+            endpoint: stamp.endpoint || null,
+            fetchedAt: new Date().toISOString()
+        };
+    },
+
+    // ============================================
+    // Relations
+    // ============================================
+
+    /**
+     * Main-sequence radius and mass at a Teff, interpolated in log Teff (clamped to the table)
+     */
+    fromTeff(teff) {
+        const point = this.interpolate(teff);
+        return point ? { radius: point.radius, mass: point.mass } : null;
+    },
+
+    /**
+     * Spectral type (e.g. "G2", "K7", "M3.5") from Teff; hotter than A0 gives the class only
+     */
+    spectralType(teff) {
+        if (teff > this.mainSequence[0].teff) {
+            return teff >= 30000 ? 'O' : teff >= 10000 ? 'B' : 'A0';
+        }
+        const point = this.interpolate(teff);
+        const type = Math.round(point.type * 2) / 2;
+        const letter = 'AFGKM'[Math.min(Math.floor(type / 10) - 2, 4)];
+        const subtype = type - Math.floor(type / 10) * 10;
+        return `${letter}${subtype}`;
+    },
+
+    /**
+     * Luminosity class from log g (V ≥ 4.0 > IV ≥ 3.5 > III), or the TIC lumclass flag
+     */
+    luminosityClass(logg, lumclass = null) {
+        if (logg !== null) return logg >= 4.0 ? 'V' : logg >= 3.5 ? 'IV' : 'III';
+        if (lumclass === 'GIANT') return 'III';
+        // Most TESS targets without a log g are dwarfs
+        return 'V';
+    },
+
+    interpolate(teff) {
+        const table = this.mainSequence;
+        if (!(teff > 0)) return null;
+        if (teff >= table[0].teff) return table[0];
+        if (teff <= table[table.length - 1].teff) return table[table.length - 1];
+
+        const i = table.findIndex(row => row.teff <= teff);
+        const hot = table[i - 1];
+        const cool = table[i];
+        const f = (Math.log10(hot.teff) - Math.log10(teff)) / (Math.log10(hot.teff) - Math.log10(cool.teff));
+        const lerp = (a, b) => a + (b - a) * f;
+        return {
+            type: lerp(hot.type, cool.type),
+            teff,
+            // Radius and mass vary close to geometrically along the sequence
+            radius: Math.pow(10, lerp(Math.log10(hot.radius), Math.log10(cool.radius))),
+            mass: Math.pow(10, lerp(Math.log10(hot.mass), Math.log10(cool.mass)))
+        };
+    },
+
+    /**
+     * L / L☉ = (R / R☉)² (Teff / Teff☉)⁴
+     */
+    luminosity(teff, teffError, radius, radiusError) {
+        if (teff === null || radius === null) return { value: null, error: null };
+        const value = radius * radius * Math.pow(teff / this.config.solarTeff, 4);
+        return { value, error: this.scale(value, this.quadrature([2, radiusError, radius], [4, teffError, teff])) };
+    },
+
+    /**
+     * ρ / ρ☉ = (M / M☉) / (R / R☉)³
+     */
+    density(mass, massError, radius, radiusError) {
+        if (mass === null || radius === null) return { value: null, error: null };
+        const value = mass / Math.pow(radius, 3);
+        return { value, error: this.scale(value, this.quadrature([1, massError, mass], [3, radiusError, radius])) };
+    },
+
+    loggFromMassRadius(mass, massError, radius, radiusError) {
+        const value = this.config.solarLogg + Math.log10(mass / (radius * radius));
+        return { value, error: this.scale(1 / Math.LN10, this.quadrature([1, massError, mass], [2, radiusError, radius])) };
+    },
+
+    massFromLogg(logg, loggError, radius, radiusError) {
+        const value = radius * radius * Math.pow(10, logg - this.config.solarLogg);
+        const loggRelative = loggError !== null ? loggError * Math.LN10 : null;
+        return { value, error: this.scale(value, this.quadrature([2, radiusError, radius], [1, loggRelative, 1])) };
+    },
+
+    radiusFromLogg(logg, loggError, mass, massError) {
+        const value = Math.sqrt(mass / Math.pow(10, logg - this.config.solarLogg));
+        const loggRelative = loggError !== null ? loggError * Math.LN10 : null;
+        return { value, error: this.scale(value, this.quadrature([0.5, massError, mass], [0.5, loggRelative, 1])) };
+    },
+
+    /**
+     * Relative error of a power-law product: sqrt(Σ (exponent · σ / value)²) over the terms
+     * [exponent, σ, value]; terms without an error are left out, and with none the result is null
+     */
+    quadrature(...terms) {
+        const known = terms.filter(([, error]) => error !== null && error !== undefined);
+        if (known.length === 0) return null;
+        return Math.sqrt(known.reduce((sum, [exponent, error, value]) => sum + Math.pow(exponent * error / value, 2), 0));
+    },
+
+    scale(value, relative) {
+        return relative === null ? null : value * relative;
+    },
+
+    // ============================================
+    // Cache
+    // ============================================
+
+    normalizeTic(ticId) {
+        const digits = String(ticId ?? '').replace(/^\s*TIC\s*/i, '').trim();
+        return /^\d+$/.test(digits) ? digits : null;
+    },
+
+    getFromCache(id) {
+        const entry = this.loadCache()[id];
+        if (!entry || Date.now() - entry.timestamp > (entry.ttl || this.config.cacheTimeout)) return null;
+        return entry.params;
+    },
+
+    setCache(id, params, ttl = this.config.cacheTimeout) {
+        const cache = this.loadCache();
+        cache[id] = { params, timestamp: Date.now(), ttl };
+
+        // Keep the newest maxCached stars
+        const ids = Object.keys(cache).sort((a, b) => cache[b].timestamp - cache[a].timestamp);
+        ids.slice(this.config.maxCached).forEach(old => delete cache[old]);
+
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(cache));
+        } catch (e) {
+            console.warn('Failed to save stellar cache:', e);
+        }
+    },
+
+    loadCache() {
+        if (this.cache) return this.cache;
+        try {
+            this.cache = JSON.parse(localStorage.getItem(this.config.storageKey)) || {};
+        } catch (e) {
+            this.cache = {};
+        }
+        return this.cache;
+    },
+
+    clearCache() {
+        this.cache = {};
+        localStorage.removeItem(this.config.storageKey);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StellarService;
+}
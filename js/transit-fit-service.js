@@ -0,0 +1,622 @@
+/**
+ * Transit Fit Service
+ * Mandel & Agol (2002) transit model with quadratic limb darkening, fitted by
+ * Levenberg-Marquardt least squares with an optional short MCMC for uncertainties.
+ * Takes the {time, flux, error} light curve shape plus a BLS result as the seed and
+ * returns the same response shape as the /analyze/fit endpoint.
+ */
+
+const TransitFitService = {
+    // Fit configuration
+    config: {
+        // Quadratic limb darkening (roughly solar-type star in the TESS band)
+        u1: 0.40,
+        u2: 0.25,
+        // Only points within this many transit durations of mid-transit are fitted
+        windowDurations: 3,
+        // Impact parameter assumed when converting the BLS duration into a/R*
+        seedImpact: 0.3,
+        maxIterations: 100,
+        tolerance: 1e-8,
+        // Samples per cadence for long exposures (e.g. 30-min Kepler/TESS FFI data)
+        supersample: 1,
+        exposureTime: null,
+        // Optional MCMC (affine-invariant ensemble sampler)
+        mcmc: false,
+        mcmcWalkers: 16,
+        mcmcSteps: 300,
+        mcmcBurn: 100
+    },
+
+    // Fitted parameters, in vector order
+    parameterNames: ['period', 't0', 'rp_rs', 'a_rs', 'impact_parameter', 'baseline'],
+
+    /**
+     * Fit a transit model to a light curve
+     * @param {object} lightCurve - {time, flux, error} arrays (error optional)
+     * @param {object} seed - BLS result ({period, t0, depth, duration}) or equivalent
+     * @param {object} options - Overrides for config (u1, u2, mcmc, ...), plus ticId
+     */
+    fit(lightCurve, seed, options = {}) {
+        const opts = { ...this.config, ...options };
+        if (!seed || !(seed.period > 0) || !Number.isFinite(seed.t0)) {
+            throw new Error('Transit fit needs a seed with period and t0');
+        }
+
+        const startTime = typeof performance !== 'undefined' ? performance.now() : Date.now();
+        const duration = seed.duration > 0 ? seed.duration : seed.period * 0.04;
+        const data = this.prepare(lightCurve, seed.period, seed.t0, duration * opts.windowDurations, duration);
+        if (data.time.length < 10) {
+            throw new Error('Not enough in-window data points for transit fit');
+        }
+
+        const initial = this.initialParameters(seed, duration, opts);
+        const lsq = this.leastSquares(data, initial, opts);
+        let errors = lsq.errors;
+        let mcmc = null;
+
+        if (opts.mcmc) {
+            mcmc = this.runMCMC(data, lsq.params, lsq.errors, opts);
+            errors = mcmc.errors;
+        }
+
+        const params = this.toObject(lsq.params);
+        const paramErrors = this.toObject(errors);
+        const inclination = this.inclination(params.a_rs, params.impact_parameter);
+        const endTime = typeof performance !== 'undefined' ? performance.now() : Date.now();
+
+        return {
+            status: 'success',
+            tic_id: options.ticId || lightCurve.metadata?.ticId || null,
+            method: 'mandel-agol',
+            period: params.period,
+            period_err: paramErrors.period,
+            t0: params.t0,
+            t0_err: paramErrors.t0,
+            rp_rs: params.rp_rs,
+            rp_rs_err: paramErrors.rp_rs,
+            a_rs: params.a_rs,
+            a_rs_err: paramErrors.a_rs,
+            impact_parameter: params.impact_parameter,
+            impact_parameter_err: paramErrors.impact_parameter,
+            inclination: inclination.value,
+            inclination_err: mcmc ? mcmc.inclinationError : inclination.error(lsq.covariance),
+            depth: 1 - this.occultQuad(params.impact_parameter, params.rp_rs, opts.u1, opts.u2),
+            duration_hours: this.totalDuration(params) * 24,
+            limb_darkening: { u1: opts.u1, u2: opts.u2 },
+            chi2: lsq.chi2,
+            reduced_chi2: lsq.chi2 / Math.max(data.time.length - initial.length, 1),
+            n_points: data.time.length,
+            iterations: lsq.iterations,
+            converged: lsq.converged,
+            uncertainty_method: mcmc ? 'mcmc' : 'covariance',
+            mcmc: mcmc ? { walkers: mcmc.walkers, steps: mcmc.steps, burn: mcmc.burn, acceptance: mcmc.acceptance } : null,
+            fit_time: endTime - startTime
+        };
+    },
+
+    /**
+     * Keep finite samples near the seed transits, normalized to unit median
+     */
+    prepare(lightCurve, period, t0, window, duration) {
+        const { time = [], flux = [], error = null } = lightCurve;
+        const finite = [];
+        for (let i = 0; i < time.length; i++) {
+            if (Number.isFinite(time[i]) && Number.isFinite(flux[i])) finite.push(i);
+        }
+
+        const sorted = finite.map(i => flux[i]).sort((a, b) => a - b);
+        const median = sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 1;
+        const scale = median !== 0 ? Math.abs(median) : 1;
+
+        const t = [];
+        const f = [];
+        const e = [];
+        const outOfTransit = [];
+        for (const i of finite) {
+            const offset = ((time[i] - t0) % period + period * 1.5) % period - period / 2;
+            if (Math.abs(offset) > window) continue;
+            t.push(time[i]);
+            f.push(flux[i] / scale);
+            e.push(error && Number.isFinite(error[i]) && error[i] > 0 ? error[i] / scale : NaN);
+            if (Math.abs(offset) > duration / 2) outOfTransit.push(flux[i] / scale);
+        }
+
+        // Without per-point errors use the out-of-transit scatter (all points if too few)
+        if (e.some(v => !Number.isFinite(v))) {
+            const sigma = this.robustStd(outOfTransit.length >= 5 ? outOfTransit : f);
+            for (let i = 0; i < e.length; i++) {
+                if (!Number.isFinite(e[i])) e[i] = sigma;
+            }
+        }
+
+        return { time: t, flux: f, error: e };
+    },
+
+    /**
+     * Standard deviation estimated from the median absolute deviation
+     */
+    robustStd(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const deviations = values.map(v => Math.abs(v - median)).sort((a, b) => a - b);
+        return Math.max(1.4826 * deviations[Math.floor(deviations.length / 2)], 1e-6);
+    },
+
+    /**
+     * Convert a BLS seed into the starting parameter vector
+     */
+    initialParameters(seed, duration, opts) {
+        const rp = Math.min(Math.max(Math.sqrt(Math.max(seed.depth || 0.001, 1e-6)), 0.005), 0.9);
+        const b = opts.seedImpact;
+        // T14 ~ P / (pi a) * sqrt((1 + p)^2 - b^2) for a circular orbit
+        const aRs = Math.max(seed.period / (Math.PI * duration) * Math.sqrt((1 + rp) * (1 + rp) - b * b), 1.5);
+        return [seed.period, seed.t0, rp, aRs, b, 1.0];
+    },
+
+    /**
+     * Levenberg-Marquardt minimization of chi-squared
+     */
+    leastSquares(data, initial, opts) {
+        let params = this.constrain([...initial]);
+        let residuals = this.residuals(data, params, opts);
+        let chi2 = this.sumSquares(residuals);
+        let lambda = 1e-3;
+        let converged = false;
+        let iterations = 0;
+        let jacobian = null;
+
+        for (; iterations < opts.maxIterations; iterations++) {
+            jacobian = this.jacobian(data, params, residuals, opts);
+            const { alpha, beta } = this.normalEquations(jacobian, residuals);
+
+            let improved = false;
+            while (lambda < 1e10) {
+                const damped = alpha.map((row, i) => row.map((v, j) => (i === j ? v * (1 + lambda) : v)));
+                const step = this.solve(damped, beta);
+                if (!step) {
+                    lambda *= 10;
+                    continue;
+                }
+
+                const trial = this.constrain(params.map((p, i) => p + step[i]));
+                const trialResiduals = this.residuals(data, trial, opts);
+                const trialChi2 = this.sumSquares(trialResiduals);
+
+                if (trialChi2 < chi2) {
+                    const change = (chi2 - trialChi2) / Math.max(chi2, 1e-12);
+                    params = trial;
+                    residuals = trialResiduals;
+                    chi2 = trialChi2;
+                    lambda = Math.max(lambda / 10, 1e-12);
+                    improved = true;
+                    if (change < opts.tolerance) converged = true;
+                    break;
+                }
+                lambda *= 10;
+            }
+
+            if (!improved || converged) {
+                converged = true;
+                break;
+            }
+        }
+
+        // Covariance from the undamped curvature matrix, inflated when chi2/dof > 1
+        jacobian = this.jacobian(data, params, residuals, opts);
+        const { alpha } = this.normalEquations(jacobian, residuals);
+        const covariance = this.invert(alpha);
+        const dof = Math.max(data.time.length - params.length, 1);
+        const scale = Math.max(chi2 / dof, 1);
+        const errors = params.map((_, i) => (covariance ? Math.sqrt(Math.max(covariance[i][i] * scale, 0)) : NaN));
+
+        return {
+            params,
+            errors,
+            covariance: covariance ? covariance.map(row => row.map(v => v * scale)) : null,
+            chi2,
+            iterations,
+            converged
+        };
+    },
+
+    /**
+     * Keep parameters physical: 0 < Rp/R* < 1, a/R* > 1, 0 <= b < 1 + Rp/R*
+     */
+    constrain(params) {
+        params[2] = Math.min(Math.max(Math.abs(params[2]), 1e-4), 0.99);
+        params[3] = Math.max(params[3], 1.01);
+        params[4] = Math.min(Math.abs(params[4]), 1 + params[2] - 1e-4);
+        return params;
+    },
+
+    /**
+     * Whether a parameter vector lies inside the physical bounds (MCMC prior)
+     */
+    inBounds(params) {
+        return params[0] > 0 && params[2] > 0 && params[2] < 1 &&
+            params[3] > 1 && params[4] >= 0 && params[4] < 1 + params[2];
+    },
+
+    /**
+     * Normalized residuals (data - model) / error
+     */
+    residuals(data, params, opts) {
+        const model = this.model(data.time, params, opts);
+        return data.flux.map((f, i) => (f - model[i]) / data.error[i]);
+    },
+
+    sumSquares(values) {
+        let sum = 0;
+        for (const v of values) sum += v * v;
+        return sum;
+    },
+
+    /**
+     * Forward-difference Jacobian of the residuals
+     */
+    jacobian(data, params, residuals, opts) {
+        const steps = [
+            params[0] * 1e-7,
+            Math.max(params[0] * 1e-6, 1e-6),
+            Math.max(params[2] * 1e-4, 1e-6),
+            Math.max(params[3] * 1e-4, 1e-6),
+            1e-4,
+            1e-6
+        ];
+
+        return params.map((_, j) => {
+            const shifted = [...params];
+            shifted[j] += steps[j];
+            const r = this.residuals(data, shifted, opts);
+            return r.map((v, i) => -(v - residuals[i]) / steps[j]);
+        });
+    },
+
+    /**
+     * Build J^T J and J^T r (the Jacobian is stored one row per parameter)
+     */
+    normalEquations(jacobian, residuals) {
+        const n = jacobian.length;
+        const alpha = Array.from({ length: n }, () => new Array(n).fill(0));
+        const beta = new Array(n).fill(0);
+
+        for (let i = 0; i < n; i++) {
+            for (let k = 0; k < residuals.length; k++) {
+                beta[i] += jacobian[i][k] * residuals[k];
+            }
+            for (let j = 0; j <= i; j++) {
+                let sum = 0;
+                for (let k = 0; k < residuals.length; k++) {
+                    sum += jacobian[i][k] * jacobian[j][k];
+                }
+                alpha[i][j] = sum;
+                alpha[j][i] = sum;
+            }
+        }
+
+        return { alpha, beta };
+    },
+
+    /**
+     * Solve a small linear system by Gaussian elimination with partial pivoting
+     */
+    solve(matrix, vector) {
+        const n = vector.length;
+        const a = matrix.map((row, i) => [...row, vector[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            if (Math.abs(a[pivot][col]) < 1e-300) return null;
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+            }
+        }
+
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = a[row][n];
+            for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+            x[row] = sum / a[row][row];
+        }
+        return x;
+    },
+
+    /**
+     * Invert a small symmetric matrix column by column
+     */
+    invert(matrix) {
+        const n = matrix.length;
+        const inverse = Array.from({ length: n }, () => new Array(n).fill(0));
+        for (let j = 0; j < n; j++) {
+            const unit = new Array(n).fill(0);
+            unit[j] = 1;
+            const column = this.solve(matrix, unit);
+            if (!column) return null;
+            for (let i = 0; i < n; i++) inverse[i][j] = column[i];
+        }
+        return inverse;
+    },
+
+    /**
+     * Affine-invariant ensemble sampler (Goodman & Weare 2010 stretch move)
+     */
+    runMCMC(data, best, errors, opts) {
+        const random = opts.random || Math.random;
+        const ndim = best.length;
+        const nWalkers = Math.max(opts.mcmcWalkers, 2 * ndim + 2);
+        const logProb = (params) => (this.inBounds(params)
+            ? -0.5 * this.sumSquares(this.residuals(data, params, opts))
+            : -Infinity);
+
+        // Start in a small ball around the least-squares solution
+        const walkers = [];
+        const logProbs = [];
+        for (let k = 0; k < nWalkers; k++) {
+            let position;
+            let lp = -Infinity;
+            for (let attempt = 0; attempt < 100 && !Number.isFinite(lp); attempt++) {
+                position = best.map((p, i) => p + this.gaussian(random) * 0.1 * (Number.isFinite(errors[i]) && errors[i] > 0 ? errors[i] : Math.abs(p) * 1e-4 + 1e-6));
+                lp = logProb(position);
+            }
+            walkers.push(Number.isFinite(lp) ? position : [...best]);
+            logProbs.push(Number.isFinite(lp) ? lp : logProb(best));
+        }
+
+        const samples = [];
+        let accepted = 0;
+        let proposed = 0;
+
+        for (let step = 0; step < opts.mcmcSteps; step++) {
+            for (let k = 0; k < nWalkers; k++) {
+                let other = Math.floor(random() * (nWalkers - 1));
+                if (other >= k) other++;
+
+                // z drawn from g(z) ~ 1/sqrt(z) on [1/2, 2]
+                const z = Math.pow(1 + random(), 2) / 2;
+                const proposal = walkers[k].map((p, i) => walkers[other][i] + z * (p - walkers[other][i]));
+                const lp = logProb(proposal);
+                const logAccept = (ndim - 1) * Math.log(z) + lp - logProbs[k];
+
+                proposed++;
+                if (Number.isFinite(lp) && Math.log(random()) < logAccept) {
+                    walkers[k] = proposal;
+                    logProbs[k] = lp;
+                    accepted++;
+                }
+            }
+
+            if (step >= opts.mcmcBurn) {
+                walkers.forEach(w => samples.push(w));
+            }
+        }
+
+        const std = (values) => {
+            const mean = values.reduce((a, b) => a + b, 0) / values.length;
+            return Math.sqrt(values.reduce((a, b) => a + (b - mean) * (b - mean), 0) / Math.max(values.length - 1, 1));
+        };
+
+        return {
+            errors: best.map((_, i) => std(samples.map(s => s[i]))),
+            inclinationError: std(samples.map(s => this.inclination(s[3], s[4]).value)),
+            walkers: nWalkers,
+            steps: opts.mcmcSteps,
+            burn: opts.mcmcBurn,
+            acceptance: proposed > 0 ? accepted / proposed : 0
+        };
+    },
+
+    /**
+     * Standard normal deviate (Box-Muller)
+     */
+    gaussian(random) {
+        const u = Math.max(random(), 1e-12);
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    },
+
+    /**
+     * Inclination (degrees) from a/R* and b, with its linearized uncertainty
+     */
+    inclination(aRs, b) {
+        const value = Math.acos(Math.min(b / aRs, 1)) * 180 / Math.PI;
+        return {
+            value,
+            error: (covariance) => {
+                if (!covariance) return NaN;
+                // d(i)/d(a) and d(i)/d(b) for i = acos(b / a)
+                const s = Math.sqrt(Math.max(1 - (b / aRs) * (b / aRs), 1e-12));
+                const da = (b / (aRs * aRs)) / s;
+                const db = -(1 / aRs) / s;
+                const variance = da * da * covariance[3][3] + db * db * covariance[4][4] + 2 * da * db * covariance[3][4];
+                return Math.sqrt(Math.max(variance, 0)) * 180 / Math.PI;
+            }
+        };
+    },
+
+    /**
+     * Total transit duration T14 in days for a circular orbit
+     */
+    totalDuration(params) {
+        const { period, rp_rs: p, a_rs: a, impact_parameter: b } = params;
+        const sinI = Math.sqrt(Math.max(1 - (b / a) * (b / a), 0));
+        const arg = Math.sqrt(Math.max((1 + p) * (1 + p) - b * b, 0)) / (a * sinI);
+        return period / Math.PI * Math.asin(Math.min(arg, 1));
+    },
+
+    toObject(vector) {
+        return Object.fromEntries(this.parameterNames.map((name, i) => [name, vector[i]]));
+    },
+
+    /**
+     * Model light curve for a parameter vector [period, t0, rp_rs, a_rs, b, baseline]
+     */
+    model(time, params, opts = this.config) {
+        const [period, t0, p, aRs, b, baseline] = params;
+        const cosI = b / aRs;
+        const samples = Math.max(1, Math.round(opts.supersample || 1));
+        const exposure = opts.exposureTime || 0;
+
+        return Array.from(time, (t) => {
+            let sum = 0;
+            for (let s = 0; s < samples; s++) {
+                const ts = samples > 1 ? t + exposure * ((s + 0.5) / samples - 0.5) : t;
+                const phase = 2 * Math.PI * (ts - t0) / period;
+                const cosPhase = Math.cos(phase);
+                // Planet behind the star: no transit
+                if (cosPhase <= 0) {
+                    sum += 1;
+                    continue;
+                }
+                const sinPhase = Math.sin(phase);
+                const z = aRs * Math.sqrt(sinPhase * sinPhase + cosI * cosI * cosPhase * cosPhase);
+                sum += this.occultQuad(z, p, opts.u1, opts.u2);
+            }
+            return baseline * sum / samples;
+        });
+    },
+
+    /**
+     * Public helper: model flux for a fit result (as returned by fit)
+     */
+    modelLightCurve(time, result, options = {}) {
+        const opts = { ...this.config, ...options, u1: result.limb_darkening.u1, u2: result.limb_darkening.u2 };
+        return this.model(time, [result.period, result.t0, result.rp_rs, result.a_rs, result.impact_parameter, 1], opts);
+    },
+
+    /**
+     * Relative flux of a quadratically limb-darkened star occulted by a planet
+     * Mandel & Agol (2002), section 4, following the case layout of occultquad
+     * @param {number} z - Center-to-center separation in stellar radii
+     * @param {number} p - Planet-to-star radius ratio
+     */
+    occultQuad(z, p, u1, u2) {
+        if (p <= 0 || z >= 1 + p) return 1;
+
+        const omega = 1 - u1 / 3 - u2 / 6;
+        // Case 11: star completely occulted
+        if (p >= 1 && z <= p - 1) return 0;
+
+        const eps = 1e-9;
+        const x1 = (p - z) * (p - z);
+        const x2 = (p + z) * (p + z);
+        const x3 = p * p - z * z;
+        let lambdaE = 0;
+        let lambdaD = 0;
+        let etaD = 0;
+
+        if (z >= Math.abs(1 - p)) {
+            // Cases 2, 7, 8: planet crosses the limb (uniform source and eta_1)
+            const kap1 = Math.acos(Math.min(Math.max((1 - p * p + z * z) / (2 * z), -1), 1));
+            const kap0 = Math.acos(Math.min(Math.max((p * p + z * z - 1) / (2 * p * z), -1), 1));
+            const chord = Math.max(4 * z * z - Math.pow(1 + z * z - p * p, 2), 0);
+            lambdaE = (p * p * kap0 + kap1 - 0.5 * Math.sqrt(chord)) / Math.PI;
+            etaD = (kap1 + p * p * (p * p + 2 * z * z) * kap0 -
+                (1 + 5 * p * p + z * z) / 4 * Math.sqrt(Math.max((1 - x1) * (x2 - 1), 0))) / (2 * Math.PI);
+        } else {
+            // Planet fully inside the stellar disk (eta_2)
+            lambdaE = p * p;
+            etaD = p * p / 2 * (p * p + 2 * z * z);
+        }
+
+        if (Math.abs(z - p) < eps) {
+            // Cases 5, 6, 7: edge of the planet lies on the stellar center
+            if (Math.abs(p - 0.5) < eps) {
+                lambdaD = 1 / 3 - 4 / Math.PI / 9;
+                etaD = 3 / 32;
+            } else if (p < 0.5) {
+                const { E, K } = this.ellke(2 * p);
+                lambdaD = 1 / 3 + 2 / 9 / Math.PI * (4 * (2 * p * p - 1) * E + (1 - 4 * p * p) * K);
+            } else {
+                const { E, K } = this.ellke(0.5 / p);
+                lambdaD = 1 / 3 + 16 * p / 9 / Math.PI * (2 * p * p - 1) * E -
+                    (32 * p * p * p * p - 20 * p * p + 3) / 9 / Math.PI / p * K;
+            }
+        } else if ((z > 0.5 + Math.abs(p - 0.5) && z < 1 + p) || (p > 0.5 && z > Math.abs(1 - p) && z < p)) {
+            // Cases 2, 8: lambda_1
+            const q = Math.sqrt((1 - x1) / (x2 - x1));
+            const { E, K } = this.ellke(q);
+            const n = 1 / x1 - 1;
+            lambdaD = 2 / 9 / Math.PI / Math.sqrt(x2 - x1) *
+                (((1 - x2) * (2 * x2 + x1 - 3) - 3 * x3 * (x2 - 2)) * K +
+                (x2 - x1) * (z * z + 7 * p * p - 4) * E -
+                3 * x3 / x1 * this.ellpic(n, q));
+        } else if (p < 1 && z <= 1 - p + eps) {
+            if (Math.abs(z - (1 - p)) < eps) {
+                // Case 4: planet touches the limb from inside
+                lambdaD = 2 / 3 / Math.PI * Math.acos(1 - 2 * p) -
+                    4 / 9 / Math.PI * Math.sqrt(p * (1 - p)) * (3 + 2 * p - 8 * p * p) -
+                    (p > 0.5 ? 2 / 3 : 0);
+            } else if (z < eps) {
+                // Case 10: planet centered on the star
+                lambdaD = -2 / 3 * Math.pow(1 - p * p, 1.5);
+            } else {
+                // Cases 3, 9: lambda_2
+                const q = Math.sqrt((x2 - x1) / (1 - x1));
+                const { E, K } = this.ellke(q);
+                const n = x2 / x1 - 1;
+                lambdaD = 2 / 9 / Math.PI / Math.sqrt(1 - x1) *
+                    ((1 - 5 * z * z + p * p + x3 * x3) * K +
+                    (1 - x1) * (z * z + 7 * p * p - 4) * E -
+                    3 * x3 / x1 * this.ellpic(n, q));
+            }
+        }
+
+        const c2 = u1 + 2 * u2;
+        return 1 - ((1 - c2) * lambdaE + c2 * (lambdaD + (p > z ? 2 / 3 : 0)) + u2 * etaD) / omega;
+    },
+
+    /**
+     * Complete elliptic integrals of the first (K) and second (E) kind
+     * Hastings polynomial approximations, modulus k
+     */
+    ellke(k) {
+        const m1 = Math.max(1 - k * k, 1e-300);
+        const logm1 = Math.log(m1);
+
+        const ee1 = 1 + m1 * (0.44325141463 + m1 * (0.06260601220 + m1 * (0.04757383546 + m1 * 0.01736506451)));
+        const ee2 = m1 * (0.24998368310 + m1 * (0.09200180037 + m1 * (0.04069697526 + m1 * 0.00526449639))) * (-logm1);
+
+        const ek1 = 1.38629436112 + m1 * (0.09666344259 + m1 * (0.03590092383 + m1 * (0.03742563713 + m1 * 0.01451196212)));
+        const ek2 = (0.5 + m1 * (0.12498593597 + m1 * (0.06880248576 + m1 * (0.03328355346 + m1 * 0.00441787012)))) * logm1;
+
+        return { E: ee1 + ee2, K: ek1 - ek2 };
+    },
+
+    /**
+     * Complete elliptic integral of the third kind, Bulirsch (1965) cel algorithm
+     */
+    ellpic(n, k) {
+        let kc = Math.sqrt(Math.max(1 - k * k, 0));
+        let p = Math.sqrt(n + 1);
+        let m0 = 1;
+        let c = 1;
+        let d = 1 / p;
+        let e = kc;
+
+        for (let iter = 0; iter < 100; iter++) {
+            const f = c;
+            c = d / p + c;
+            let g = e / p;
+            d = 2 * (f * g + d);
+            p = g + p;
+            g = m0;
+            m0 = kc + m0;
+            if (Math.abs(1 - kc / g) <= 1e-13) break;
+            kc = 2 * Math.sqrt(e);
+            e = kc * m0;
+        }
+
+        return 0.5 * Math.PI * (c * m0 + d) / (m0 * (m0 + p));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransitFitService;
+}
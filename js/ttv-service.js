@@ -0,0 +1,435 @@
+/**
+ * TTV Service
+ * Transit timing variations: each transit's mid-time is fitted with the transit shape held
+ * fixed (the Mandel-Agol fit when there is one, otherwise a trapezoid from the BLS result),
+ * the mid-times are compared with a weighted linear ephemeris (O-C), and the residuals are
+ * tested for excess scatter (chi-squared) and for periodicity (generalized Lomb-Scargle).
+ */
+
+const TTVService = {
+    config: {
+        // Points fitted around each predicted mid-time, in transit durations
+        windowDurations: 1.5,
+        // Mid-time shifts searched, as a fraction of the duration either side
+        maxShift: 0.5,
+        shiftSteps: 200,
+        // Fewest in-transit points per transit, and on each side of mid-transit
+        minInTransit: 5,
+        minPerHalf: 2,
+        // Fewest timed transits for an ephemeris, and for the residual periodogram
+        minTransits: 3,
+        minPeriodogramTransits: 6,
+        oversampling: 10,
+        // Significance thresholds: chi-squared p-value, periodogram false-alarm probability
+        pValueThreshold: 0.001,
+        fapThreshold: 0.01,
+        minutesPerDay: 1440,
+        csvColumns: ['epoch', 'tc', 'tc_err', 'o_minus_c_min', 'o_minus_c_err_min', 'n_points']
+    },
+
+    /**
+     * Time every transit and analyze the O-C residuals
+     * @param {object} lightCurve - Cleaned {time, flux, error}
+     * @param {object} signal - BLSService.search result or TransitFitService.fit result
+     * @param {object} options - {fit: TransitFitService result to use as the template; fitted here when omitted}
+     * @returns {object} {ephemeris, transits, rms, chi2, dof, pValue, periodogram, significant, flags, summary}
+     */
+    analyze(lightCurve, signal, options = {}) {
+        let fit = options.fit || (signal.rp_rs !== undefined ? signal : null);
+        if (!fit && typeof TransitFitService !== 'undefined') {
+            // A box-shaped BLS template times poorly; the limb-darkened shape is worth the fit
+            try {
+                fit = TransitFitService.fit(lightCurve, signal);
+            } catch (error) {
+                console.warn('TTV template fit failed, using a trapezoid:', error.message);
+            }
+        }
+        const period = fit ? fit.period : signal.period;
+        const t0 = fit ? fit.t0 : signal.t0;
+        const duration = fit ? fit.duration_hours / 24 : signal.duration;
+        if (!(period > 0) || !(duration > 0)) throw new Error('TTV analysis needs a period and a transit duration');
+
+        const template = this.buildTemplate(fit, signal, duration);
+        const sigma = this.noiseLevel(lightCurve);
+        const { time } = lightCurve;
+        const first = Math.ceil((time[0] - t0) / period - 0.5);
+        const last = Math.floor((time[time.length - 1] - t0) / period + 0.5);
+
+        const transits = [];
+        const rejected = [];
+        for (let epoch = first; epoch <= last; epoch++) {
+            const timed = this.fitMidTime(lightCurve, t0 + epoch * period, duration, template, sigma);
+            if (timed.midTime === null) rejected.push({ epoch, reason: timed.reason });
+            else transits.push({ epoch, ...timed });
+        }
+
+        if (transits.length < this.config.minTransits) {
+            throw new Error(`Only ${transits.length} transit${transits.length === 1 ? '' : 's'} could be timed; at least ${this.config.minTransits} are needed`);
+        }
+
+        const ephemeris = this.linearEphemeris(transits);
+        transits.forEach(t => {
+            t.predicted = ephemeris.t0 + t.epoch * ephemeris.period;
+            t.oc = t.midTime - t.predicted;
+            t.ocError = t.midTimeError;
+        });
+
+        const dof = transits.length - 2;
+        const chi2 = transits.reduce((sum, t) => sum + Math.pow(t.oc / t.ocError, 2), 0);
+        const pValue = dof > 0 ? this.chiSquareSurvival(chi2, dof) : null;
+        const rms = Math.sqrt(transits.reduce((sum, t) => sum + t.oc * t.oc, 0) / transits.length);
+        const periodogram = transits.length >= this.config.minPeriodogramTransits ? this.periodogram(transits, ephemeris.period) : null;
+
+        const flags = [];
+        if (pValue !== null && pValue < this.config.pValueThreshold) flags.push('excess-scatter');
+        if (periodogram && periodogram.fap < this.config.fapThreshold) flags.push('periodic');
+        if (transits.length < this.config.minPeriodogramTransits) flags.push('few-transits');
+        if (rejected.length > 0) flags.push('gaps');
+
+        const result = {
+            template: fit ? 'mandel-agol' : 'trapezoid',
+            ephemeris,
+            duration,
+            transits,
+            rejected,
+            rms,
+            chi2,
+            dof,
+            reducedChi2: dof > 0 ? chi2 / dof : null,
+            pValue,
+            periodogram,
+            significant: flags.includes('excess-scatter') || flags.includes('periodic'),
+            flags,
+            createdAt: new Date().toISOString()
+        };
+        result.summary = this.describe(result);
+        return result;
+    },
+
+    // ============================================
+    // Transit timing
+    // ============================================
+
+    /**
+     * Transit shape as relative flux vs. time from mid-transit, sampled once for fast shifting
+     */
+    buildTemplate(fit, signal, duration) {
+        const half = duration * (this.config.windowDurations + this.config.maxShift);
+        const samples = 2001;
+        const step = 2 * half / (samples - 1);
+        const offsets = Array.from({ length: samples }, (_, i) => -half + i * step);
+
+        let flux;
+        if (fit && typeof TransitFitService !== 'undefined') {
+            flux = TransitFitService.modelLightCurve(offsets.map(dt => fit.t0 + dt), fit);
+        } else {
+            // Trapezoid with an ingress of roughly Rp/R★ of the duration
+            const depth = Math.max(signal.depth || 0, 0);
+            const ingress = Math.min(Math.max(Math.sqrt(depth), 0.05), 0.5) * duration / 2;
+            flux = offsets.map(dt => {
+                const edge = duration / 2 - Math.abs(dt);
+                if (edge <= 0) return 1;
+                return 1 - depth * Math.min(edge / ingress, 1);
+            });
+        }
+
+        return {
+            half,
+            at: dt => {
+                const x = (dt + half) / step;
+                if (x <= 0 || x >= samples - 1) return 1;
+                const i = Math.floor(x);
+                return flux[i] + (flux[i + 1] - flux[i]) * (x - i);
+            }
+        };
+    },
+
+    /**
+     * Mid-time of one transit: chi-squared over a grid of shifts, refined by a parabola
+     * through the minimum; the error comes from its curvature (Δχ² = 1), inflated by the
+     * reduced chi-squared when the template fits worse than the noise
+     */
+    fitMidTime(lightCurve, predicted, duration, template, sigma) {
+        const { time, flux, error } = lightCurve;
+        const window = duration * this.config.windowDurations;
+        const points = [];
+        for (let i = 0; i < time.length; i++) {
+            const dt = time[i] - predicted;
+            if (Math.abs(dt) <= window && Number.isFinite(flux[i])) {
+                points.push({ dt, flux: flux[i], weight: 1 / Math.pow(Number.isFinite(error?.[i]) && error[i] > 0 ? error[i] : sigma, 2) });
+            }
+        }
+
+        const inTransit = points.filter(p => Math.abs(p.dt) < duration / 2);
+        const before = inTransit.filter(p => p.dt < 0).length;
+        if (inTransit.length < this.config.minInTransit || before < this.config.minPerHalf || inTransit.length - before < this.config.minPerHalf) {
+            return { midTime: null, reason: inTransit.length === 0 ? 'no data' : 'partial coverage' };
+        }
+
+        // Local out-of-transit level
+        const outside = points.filter(p => Math.abs(p.dt) > duration * 0.75).map(p => p.flux).sort((a, b) => a - b);
+        const baseline = outside.length >= 3 ? outside[Math.floor(outside.length / 2)] : 1;
+
+        const chi2At = shift => points.reduce((sum, p) => {
+            const residual = p.flux - baseline * template.at(p.dt - shift);
+            return sum + residual * residual * p.weight;
+        }, 0);
+
+        const maxShift = duration * this.config.maxShift;
+        const h = 2 * maxShift / this.config.shiftSteps;
+        let best = 0;
+        let bestChi2 = Infinity;
+        const grid = [];
+        for (let k = 0; k <= this.config.shiftSteps; k++) {
+            const value = chi2At(-maxShift + k * h);
+            grid.push(value);
+            if (value < bestChi2) {
+                bestChi2 = value;
+                best = k;
+            }
+        }
+        if (best === 0 || best === this.config.shiftSteps) {
+            return { midTime: null, reason: 'no minimum within the search window' };
+        }
+
+        const [left, centre, right] = [grid[best - 1], grid[best], grid[best + 1]];
+        const curvature = (left - 2 * centre + right) / (h * h);
+        const offset = curvature > 0 ? 0.5 * h * (left - right) / (left - 2 * centre + right) : 0;
+        const shift = -maxShift + best * h + offset;
+        const minimum = chi2At(shift);
+        const dof = Math.max(points.length - 1, 1);
+        const timingError = curvature > 0 ? Math.sqrt(2 / curvature) * Math.sqrt(Math.max(minimum / dof, 1)) : h;
+
+        return {
+            midTime: predicted + shift,
+            midTimeError: Math.max(timingError, h / 2),
+            points: points.length,
+            inTransit: inTransit.length,
+            reducedChi2: minimum / dof
+        };
+    },
+
+    /**
+     * Weighted least-squares T(E) = T0 + E·P over the timed transits
+     */
+    linearEphemeris(transits) {
+        let sw = 0;
+        let sx = 0;
+        let sy = 0;
+        let sxx = 0;
+        let sxy = 0;
+        transits.forEach(t => {
+            const w = 1 / (t.midTimeError * t.midTimeError);
+            sw += w;
+            sx += w * t.epoch;
+            sy += w * t.midTime;
+            sxx += w * t.epoch * t.epoch;
+            sxy += w * t.epoch * t.midTime;
+        });
+        const det = sw * sxx - sx * sx;
+        return {
+            t0: (sxx * sy - sx * sxy) / det,
+            t0Error: Math.sqrt(sxx / det),
+            period: (sw * sxy - sx * sy) / det,
+            periodError: Math.sqrt(sw / det)
+        };
+    },
+
+    /**
+     * Robust per-point scatter of the light curve (MAD), used where errors are missing
+     */
+    noiseLevel(lightCurve) {
+        const values = lightCurve.flux.filter(Number.isFinite);
+        const sorted = [...values].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const deviations = values.map(v => Math.abs(v - median)).sort((a, b) => a - b);
+        return Math.max(1.4826 * deviations[Math.floor(deviations.length / 2)], 1e-6);
+    },
+
+    // ============================================
+    // Significance
+    // ============================================
+
+    /**
+     * Generalized Lomb-Scargle periodogram (Zechmeister & Kürster 2009) of the O-C residuals
+     * against epoch, with the false-alarm probability of the highest peak
+     * @returns {object} {periods (epochs), power, bestPeriod, bestPeriodDays, bestPower, amplitude, fap}
+     */
+    periodogram(transits, orbitalPeriod) {
+        const x = transits.map(t => t.epoch);
+        const y = transits.map(t => t.oc);
+        const w0 = transits.map(t => 1 / (t.ocError * t.ocError));
+        const W = w0.reduce((a, b) => a + b, 0);
+        const w = w0.map(v => v / W);
+
+        const span = x[x.length - 1] - x[0];
+        // Frequencies in cycles per epoch, up to the Nyquist limit of one sample per epoch
+        const fMin = 1 / span;
+        const fMax = 0.5;
+        const count = Math.max(Math.ceil(this.config.oversampling * span * (fMax - fMin)), 2);
+
+        const meanY = y.reduce((sum, v, i) => sum + w[i] * v, 0);
+        const YY = y.reduce((sum, v, i) => sum + w[i] * (v - meanY) * (v - meanY), 0);
+
+        const periods = [];
+        const power = [];
+        let best = { power: -1 };
+        for (let k = 0; k < count; k++) {
+            const f = fMin + (fMax - fMin) * k / (count - 1);
+            const omega = 2 * Math.PI * f;
+            let C = 0, S = 0, YC = 0, YS = 0, CC = 0, SS = 0, CS = 0;
+            for (let i = 0; i < x.length; i++) {
+                const c = Math.cos(omega * x[i]);
+                const s = Math.sin(omega * x[i]);
+                C += w[i] * c;
+                S += w[i] * s;
+                YC += w[i] * y[i] * c;
+                YS += w[i] * y[i] * s;
+                CC += w[i] * c * c;
+                SS += w[i] * s * s;
+                CS += w[i] * c * s;
+            }
+            YC -= meanY * C;
+            YS -= meanY * S;
+            CC -= C * C;
+            SS -= S * S;
+            CS -= C * S;
+            const D = CC * SS - CS * CS;
+            const p = YY > 0 && D > 0 ? (SS * YC * YC + CC * YS * YS - 2 * CS * YC * YS) / (YY * D) : 0;
+
+            periods.push(1 / f);
+            power.push(p);
+            if (p > best.power) {
+                const a = (YC * SS - YS * CS) / D;
+                const b = (YS * CC - YC * CS) / D;
+                best = { power: p, period: 1 / f, amplitude: Math.sqrt(a * a + b * b) };
+            }
+        }
+
+        // Single-frequency probability, over roughly span·(fMax - fMin) independent frequencies
+        const n = x.length;
+        const single = Math.pow(Math.max(1 - best.power, 0), (n - 3) / 2);
+        const independent = Math.max(Math.round(span * (fMax - fMin)), 1);
+        const fap = Math.min(1 - Math.pow(1 - single, independent), 1);
+
+        return {
+            periods,
+            power,
+            bestPeriod: best.period,
+            bestPeriodDays: best.period * orbitalPeriod,
+            bestPower: best.power,
+            amplitude: best.amplitude,
+            fap
+        };
+    },
+
+    /**
+     * P(χ² > x) for k degrees of freedom (Wilson-Hilferty cube-root approximation)
+     */
+    chiSquareSurvival(x, k) {
+        const z = (Math.pow(x / k, 1 / 3) - (1 - 2 / (9 * k))) / Math.sqrt(2 / (9 * k));
+        // Upper normal tail via the complementary error function (Numerical Recipes erfcc)
+        const t = 1 / (1 + 0.5 * Math.abs(z) / Math.SQRT2);
+        const u = Math.abs(z) / Math.SQRT2;
+        const erfc = t * Math.exp(-u * u - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+            t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+        return z >= 0 ? erfc / 2 : 1 - erfc / 2;
+    },
+
+    describe(result) {
+        const minutes = this.config.minutesPerDay;
+        const parts = [`${result.transits.length} transits timed, O-C rms ${(result.rms * minutes).toFixed(2)} min`];
+        if (result.reducedChi2 !== null) parts.push(`χ²/dof ${result.reducedChi2.toFixed(2)}`);
+        if (result.flags.includes('periodic')) {
+            const { fap } = result.periodogram;
+            parts.push(`periodic TTV of ${(result.periodogram.amplitude * minutes).toFixed(1)} min every ${result.periodogram.bestPeriodDays.toFixed(1)} d (FAP ${fap < 1e-6 ? '< 1e-6' : fap.toExponential(1)})`);
+        }
+        if (result.significant) return `Significant TTVs: ${parts.join(', ')}`;
+        return `No significant TTVs: ${parts.join(', ')}`;
+    },
+
+    // ============================================
+    // Output
+    // ============================================
+
+    /**
+     * Mid-times and O-C as CSV, with the ephemeris and significance in # header lines
+     * @param {object} result - analyze() output
+     * @param {string} target - Target name for the header
+     * @param {string} timeSystem - e.g. "BJD - 2457000"
+     */
+    toCSV(result, target = '', timeSystem = 'BJD') {
+        const lines = [
+            `# target: ${target}`,
+            `# time: ${timeSystem}`,
+            ...this.describeHeader(result).map(line => `# ${line}`),
+            this.config.csvColumns.join(',')
+        ];
+        this.csvRows(result).forEach(row => lines.push(row.join(',')));
+        return lines.join('\n') + '\n';
+    },
+
+    csvRows(result) {
+        const minutes = this.config.minutesPerDay;
+        return result.transits.map(t => [
+            t.epoch,
+            t.midTime.toFixed(6),
+            t.midTimeError.toFixed(6),
+            (t.oc * minutes).toFixed(3),
+            (t.ocError * minutes).toFixed(3),
+            t.points
+        ]);
+    },
+
+    describeHeader(result) {
+        const { ephemeris } = result;
+        return [
+            `ephemeris: T0 = ${ephemeris.t0.toFixed(6)} ± ${ephemeris.t0Error.toFixed(6)}, P = ${ephemeris.period.toFixed(7)} ± ${ephemeris.periodError.toFixed(7)} d`,
+            `template: ${result.template}`,
+            `chi2: ${result.chi2.toFixed(2)} for ${result.dof} dof${result.pValue !== null ? `, p = ${result.pValue.toExponential(2)}` : ''}`,
+            `summary: ${result.summary}`
+        ];
+    },
+
+    /**
+     * O-C diagram (minutes vs. epoch) as an SVG string
+     */
+    plotOC(result, options = {}) {
+        const minutes = this.config.minutesPerDay;
+        const epochs = result.transits.map(t => t.epoch);
+        const oc = result.transits.map(t => t.oc * minutes);
+        const errors = result.transits.map(t => t.ocError * minutes);
+        const colors = ReportService.config.colors;
+
+        return ReportService.svgPlot({
+            series: [
+                { x: [epochs[0], epochs[epochs.length - 1]], y: [0, 0], style: 'line', color: colors.axis },
+                { x: epochs, y: oc, error: errors, style: 'errorbars', color: colors.binned, size: 5 }
+            ],
+            xLabel: 'Epoch',
+            yLabel: 'O - C (min)',
+            ...options
+        });
+    },
+
+    /**
+     * Residual periodogram (power vs. period in epochs) as an SVG string
+     */
+    plotPeriodogram(result, options = {}) {
+        const { periodogram } = result;
+        const colors = ReportService.config.colors;
+        return ReportService.svgPlot({
+            series: [{ x: periodogram.periods, y: periodogram.power, style: 'line', color: colors.binned }],
+            xLabel: 'TTV period (epochs)',
+            yLabel: 'GLS power',
+            xLog: true,
+            vlines: [{ x: periodogram.bestPeriod, color: periodogram.fap < this.config.fapThreshold ? colors.model : colors.marker, dashed: true }],
+            ...options
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TTVService;
+}
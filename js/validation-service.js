@@ -0,0 +1,412 @@
+/**
+ * Validation Service
+ * Ground-truth validation of the detection pipeline against confirmed transiting planets:
+ * takes a labeled target set from the NASA Exoplanet Archive (or the bundled snapshot below
+ * when the archive cannot be reached), runs fetch → clean → BLS → classify on every target,
+ * compares the recovered period and depth with the catalog values and reports precision and
+ * recall per planet class. Reports are stored so accuracy can be followed over time.
+ */
+
+const ValidationService = {
+    config: {
+        search: { periodMin: 0.5, periodMax: 15 },
+        // Recovered: detected with the period within this fraction of the catalog period
+        periodTolerance: 0.01,
+        // Depth agrees when within this fraction of the catalog depth (detrending, dilution and
+        // grazing geometry all bias the BLS box depth, so this is looser than the period)
+        depthTolerance: 0.3,
+        // Period ratios counted as aliases (recovered at the wrong harmonic)
+        aliasRatios: [0.5, 2, 1 / 3, 3],
+        // Archive rows requested before filtering down to the run's limit
+        archiveLimit: 200,
+        defaultLimit: 10,
+        earthRadiiPerSolar: 109.076,
+        storageKey: 'larun-validation-reports',
+        maxReports: 50,
+        table: 'validation_reports'
+    },
+
+    /**
+     * Offline target set: TESS-observed transiting planets with periods inside the search
+     * range, in Exoplanet Archive column names (default parameter sets, rounded). One planet
+     * per host, since a single search recovers one signal.
+     */
+    snapshot: [
+        { pl_name: 'WASP-18 b', hostname: 'WASP-18', tic_id: 'TIC 100100827', pl_orbper: 0.94145, pl_rade: 13.3, st_rad: 1.23 },
+        { pl_name: 'WASP-121 b', hostname: 'WASP-121', tic_id: 'TIC 22529346', pl_orbper: 1.27492, pl_rade: 19.6, st_rad: 1.46 },
+        { pl_name: 'KELT-9 b', hostname: 'KELT-9', tic_id: 'TIC 16740101', pl_orbper: 1.48112, pl_rade: 21.2, st_rad: 2.36 },
+        { pl_name: 'WASP-100 b', hostname: 'WASP-100', tic_id: 'TIC 38846515', pl_orbper: 2.84938, pl_rade: 18.9, st_rad: 2.0 },
+        { pl_name: 'WASP-126 b', hostname: 'WASP-126', tic_id: 'TIC 25155310', pl_orbper: 3.28878, pl_rade: 10.8, st_rad: 1.27 },
+        { pl_name: 'WASP-62 b', hostname: 'WASP-62', tic_id: 'TIC 149603524', pl_orbper: 4.41195, pl_rade: 15.6, st_rad: 1.28 },
+        { pl_name: 'LTT 9779 b', hostname: 'LTT 9779', tic_id: 'TIC 183985250', pl_orbper: 0.79207, pl_rade: 4.72, st_rad: 0.95 },
+        { pl_name: 'HD 219666 b', hostname: 'HD 219666', tic_id: 'TIC 136916387', pl_orbper: 6.03607, pl_rade: 4.71, st_rad: 1.03 },
+        { pl_name: 'AU Mic b', hostname: 'AU Mic', tic_id: 'TIC 441420236', pl_orbper: 8.46300, pl_rade: 4.07, st_rad: 0.75 },
+        { pl_name: 'TOI-132 b', hostname: 'TOI-132', tic_id: 'TIC 89020549', pl_orbper: 2.10972, pl_rade: 3.42, st_rad: 0.90 },
+        { pl_name: 'TOI-824 b', hostname: 'TOI-824', tic_id: 'TIC 193641523', pl_orbper: 1.39298, pl_rade: 2.93, st_rad: 0.69 },
+        { pl_name: 'TOI-270 c', hostname: 'TOI-270', tic_id: 'TIC 259377017', pl_orbper: 5.66057, pl_rade: 2.36, st_rad: 0.38 },
+        { pl_name: 'pi Men c', hostname: 'pi Men', tic_id: 'TIC 261136679', pl_orbper: 6.26790, pl_rade: 2.04, st_rad: 1.10 },
+        { pl_name: 'HD 213885 b', hostname: 'HD 213885', tic_id: 'TIC 403224672', pl_orbper: 1.00803, pl_rade: 1.75, st_rad: 1.10 },
+        { pl_name: 'L 98-59 d', hostname: 'L 98-59', tic_id: 'TIC 307210830', pl_orbper: 7.45072, pl_rade: 1.52, st_rad: 0.31 },
+        { pl_name: 'GJ 357 b', hostname: 'GJ 357', tic_id: 'TIC 413248763', pl_orbper: 3.93072, pl_rade: 1.22, st_rad: 0.34 },
+        { pl_name: 'LP 791-18 b', hostname: 'LP 791-18', tic_id: 'TIC 181804752', pl_orbper: 0.94800, pl_rade: 1.11, st_rad: 0.17 },
+        { pl_name: 'GJ 1252 b', hostname: 'GJ 1252', tic_id: 'TIC 370133522', pl_orbper: 0.51824, pl_rade: 1.19, st_rad: 0.38 }
+    ],
+
+    /**
+     * Labeled target set
+     * @param {object} options - {source: 'archive' | 'snapshot', limit}
+     * @returns {Promise<object>} {source, fellBack, targets: [{name, host, ticId, period, radius,
+     *                            stellarRadius, depth, trueClass}]}; source is the set actually used
+     */
+    async loadTargets(options = {}) {
+        const limit = options.limit || this.config.defaultLimit;
+        let rows = null;
+        let fellBack = false;
+
+        if ((options.source || 'archive') === 'archive') {
+            if (typeof MASTService !== 'undefined') {
+                const data = await MASTService.getConfirmedExoplanets(this.config.archiveLimit, {
+                    transiting: true,
+                    periodMax: this.config.search.periodMax
+                });
+                // The archive fallback is a synthetic stand-in list without TIC ids, not ground truth
+                if (data.length > 0 && data[0].provenance !== 'synthetic') rows = data;
+            }
+            fellBack = rows === null;
+        }
+
+        const targets = this.onePerHost((rows || this.snapshot).map(row => this.toTarget(row)).filter(Boolean));
+        return { source: rows ? 'archive' : 'snapshot', fellBack, targets: this.balanceClasses(targets, limit) };
+    },
+
+    /**
+     * Catalog row to a labeled target, or null when it lacks what the comparison needs
+     */
+    toTarget(row) {
+        const period = Number(row.pl_orbper);
+        const radius = Number(row.pl_rade);
+        const ticDigits = String(row.tic_id || '').replace(/^\s*TIC\s*/i, '').trim();
+        if (!/^\d+$/.test(ticDigits) || !(period >= this.config.search.periodMin && period <= this.config.search.periodMax)) {
+            return null;
+        }
+
+        // Measured depth (archive percent) where listed, else (Rp / R★)²
+        const stellarRadius = Number(row.st_rad) || null;
+        const depth = Number(row.pl_trandep) > 0
+            ? row.pl_trandep / 100
+            : radius > 0 && stellarRadius ? Math.pow(radius / (stellarRadius * this.config.earthRadiiPerSolar), 2) : null;
+        if (!depth) return null;
+
+        return {
+            name: row.pl_name,
+            host: row.hostname,
+            ticId: `TIC ${ticDigits}`,
+            period,
+            radius: radius || null,
+            stellarRadius,
+            depth,
+            trueClass: radius > 0 ? this.classFromRadius(radius, period) : null
+        };
+    },
+
+    /**
+     * Keep the deepest planet of each host (a single search recovers one signal per star)
+     */
+    onePerHost(targets) {
+        const byHost = new Map();
+        targets.forEach(target => {
+            const current = byHost.get(target.ticId);
+            if (!current || target.depth > current.depth) byHost.set(target.ticId, target);
+        });
+        return [...byHost.values()];
+    },
+
+    /**
+     * Take targets from each class in turn, so a short run still covers every class
+     */
+    balanceClasses(targets, limit) {
+        const byClass = new Map();
+        targets.forEach(target => {
+            if (!byClass.has(target.trueClass)) byClass.set(target.trueClass, []);
+            byClass.get(target.trueClass).push(target);
+        });
+
+        const queues = [...byClass.values()];
+        const picked = [];
+        while (picked.length < Math.min(limit, targets.length)) {
+            queues.forEach(queue => {
+                if (queue.length > 0 && picked.length < limit) picked.push(queue.shift());
+            });
+        }
+        return picked;
+    },
+
+    classFromRadius(radius, period) {
+        return PlanetCharacterization.classLabel(radius, period);
+    },
+
+    /**
+     * Run a validation
+     * @param {object} options - {source, limit, onProgress(done, total, result), shouldStop() => true
+     *                         to stop early}; or a loadTargets() result ({source, fellBack, targets})
+     *                         to skip loading
+     * @returns {Promise<object>} Report (see summarize) with source, model, tolerances and timing
+     */
+    async run(options = {}) {
+        if (typeof PreprocessService === 'undefined' || typeof BLSService === 'undefined' || typeof MASTService === 'undefined') {
+            throw new Error('Validation needs MASTService, PreprocessService and BLSService');
+        }
+
+        const startTime = performance.now();
+        const set = options.targets
+            ? { source: options.source || 'custom', fellBack: !!options.fellBack, targets: options.targets }
+            : await this.loadTargets(options);
+        const results = [];
+        let stopped = false;
+
+        for (const target of set.targets) {
+            if (options.shouldStop && options.shouldStop()) {
+                stopped = true;
+                break;
+            }
+
+            let result;
+            try {
+                result = await this.runTarget(target);
+            } catch (error) {
+                result = { ...target, outcome: 'skipped', reason: error.message };
+            }
+            results.push(result);
+
+            if (options.onProgress) options.onProgress(results.length, set.targets.length, result);
+            // Let the page repaint between targets
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        const model = typeof ModelService !== 'undefined' ? ModelService.getInfo() : null;
+        return {
+            ...this.summarize(results),
+            source: set.source,
+            fellBack: set.fellBack,
+            model: model ? { id: model.id, version: model.version, mode: model.mode } : null,
+            tolerances: { period: this.config.periodTolerance, depth: this.config.depthTolerance },
+            stopped,
+            elapsed: performance.now() - startTime,
+            timestamp: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Run the detection pipeline on one target and score it against the catalog
+     */
+    async runTarget(target) {
+        const lightCurve = await MASTService.getLightCurve(target.ticId);
+        // Stand-in data says nothing about the pipeline: leave the target out of the scores
+        if (lightCurve.metadata?.synthetic) {
+            return { ...target, outcome: 'skipped', reason: lightCurve.metadata.reason || 'No real light curve' };
+        }
+
+        const cleaned = PreprocessService.run(lightCurve);
+        const bls = BLSService.search(cleaned, this.config.search);
+
+        let predictedClass = null;
+        if (bls.detected && typeof ModelService !== 'undefined') {
+            const prediction = await ModelService.predict(cleaned.flux, {
+                time: cleaned.time,
+                error: cleaned.error,
+                preprocess: false,
+                blsResult: bls,
+                stellar: target.stellarRadius ? { radius: target.stellarRadius } : null
+            });
+            predictedClass = prediction.topClass;
+        }
+
+        const periodError = (bls.period - target.period) / target.period;
+        let outcome;
+        if (!bls.detected) {
+            outcome = 'missed';
+        } else if (Math.abs(periodError) <= this.config.periodTolerance) {
+            outcome = 'recovered';
+        } else if (this.config.aliasRatios.some(r => Math.abs(bls.period / target.period - r) / r < this.config.periodTolerance)) {
+            outcome = 'alias';
+        } else {
+            outcome = 'wrong-period';
+        }
+        const depthRatio = bls.depth / target.depth;
+
+        return {
+            ...target,
+            outcome,
+            source: MASTService.describeSource(lightCurve),
+            recoveredPeriod: bls.period,
+            recoveredDepth: bls.depth,
+            periodError,
+            depthRatio,
+            depthMatch: outcome === 'recovered' && Math.abs(depthRatio - 1) <= this.config.depthTolerance,
+            sde: bls.sde,
+            snr: bls.snr,
+            predictedClass
+        };
+    },
+
+    /**
+     * Period recovery, depth agreement, overall and per-class precision/recall
+     *
+     * A target counts as correct when its period is recovered and, once a model classifies,
+     * the predicted class is the catalog class. Per class, precision is correct / predicted
+     * as the class and recall is correct / catalog planets of the class.
+     */
+    summarize(results) {
+        const scored = results.filter(r => r.outcome !== 'skipped');
+        const recovered = scored.filter(r => r.outcome === 'recovered');
+        const detected = scored.filter(r => r.outcome !== 'missed');
+        const depthMatched = recovered.filter(r => r.depthMatch);
+        // Without a model (no classes predicted) only the recovery is scored
+        const classified = recovered.some(r => r.predictedClass !== null);
+        const isCorrect = r => r.outcome === 'recovered' && (!classified || r.predictedClass === r.trueClass);
+
+        const classes = [...new Set([
+            ...scored.map(r => r.trueClass),
+            ...(classified ? recovered.map(r => r.predictedClass) : [])
+        ].filter(Boolean))];
+        const perClass = classes.map(name => {
+            const actual = scored.filter(r => r.trueClass === name);
+            // Nothing is predicted without a model, so precision is undefined
+            const predicted = classified ? recovered.filter(r => r.predictedClass === name).length : null;
+            const correct = actual.filter(isCorrect).length;
+            return {
+                class: name,
+                targets: actual.length,
+                recovered: actual.filter(r => r.outcome === 'recovered').length,
+                predicted,
+                correct,
+                precision: predicted ? correct / predicted * 100 : null,
+                recall: actual.length ? correct / actual.length * 100 : null
+            };
+        });
+
+        // Macro averages over the classes that have a defined value
+        const mean = values => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+        const precision = mean(perClass.map(c => c.precision).filter(v => v !== null));
+        const recall = mean(perClass.map(c => c.recall).filter(v => v !== null));
+        const correct = scored.filter(isCorrect).length;
+
+        return {
+            targets: results.length,
+            scored: scored.length,
+            skipped: results.length - scored.length,
+            recoveryRate: scored.length ? recovered.length / scored.length * 100 : 0,
+            detectionRate: scored.length ? detected.length / scored.length * 100 : 0,
+            depthAgreement: recovered.length ? depthMatched.length / recovered.length * 100 : null,
+            classified,
+            accuracy: scored.length ? correct / scored.length * 100 : 0,
+            precision,
+            recall,
+            f1Score: precision !== null && recall !== null && precision + recall > 0
+                ? 2 * precision * recall / (precision + recall) / 100
+                : null,
+            outcomes: results.reduce((counts, r) => ({ ...counts, [r.outcome]: (counts[r.outcome] || 0) + 1 }), {}),
+            perClass,
+            results
+        };
+    },
+
+    // ============================================
+    // Stored reports
+    // ============================================
+
+    /**
+     * Supabase client when signed in, else null (reports then stay in localStorage)
+     */
+    getClient() {
+        if (typeof StatsService === 'undefined' || !StatsService.supabase) return null;
+        return typeof Auth !== 'undefined' && Auth.user?.id ? StatsService.supabase : null;
+    },
+
+    /**
+     * Store a report for the trend charts
+     * @returns {Promise<object>} The stored report (with id)
+     */
+    async saveReport(report) {
+        const stored = { ...report, id: `local-${Date.now()}` };
+        const client = this.getClient();
+
+        if (client) {
+            const { data, error } = await client
+                .from(this.config.table)
+                .insert({
+                    user_id: Auth.user.id,
+                    source: report.source,
+                    model_id: report.model?.id || null,
+                    model_version: report.model?.version || null,
+                    targets: report.scored,
+                    recovery_rate: report.recoveryRate,
+                    accuracy: report.accuracy,
+                    precision: report.precision,
+                    recall: report.recall,
+                    report
+                })
+                .select('id')
+                .single();
+            if (error) throw error;
+            stored.id = data.id;
+        } else {
+            stored.local = true;
+        }
+
+        // Always kept locally too, so the analytics page works signed out and offline
+        const reports = this.loadLocal();
+        reports.unshift(stored);
+        this.saveLocal(reports);
+
+        if (typeof StatsService !== 'undefined') {
+            await StatsService.recordValidation(report);
+        }
+        return stored;
+    },
+
+    /**
+     * Stored reports, newest first
+     */
+    async listReports(limit = this.config.maxReports) {
+        const client = this.getClient();
+        if (client) {
+            try {
+                const { data, error } = await client
+                    .from(this.config.table)
+                    .select('id, report, created_at')
+                    .order('created_at', { ascending: false })
+                    .limit(limit);
+                if (error) throw error;
+                return data.map(row => ({ ...row.report, id: row.id }));
+            } catch (e) {
+                console.warn('Failed to load validation reports:', e);
+            }
+        }
+        return this.loadLocal().slice(0, limit);
+    },
+
+    loadLocal() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.storageKey)) || [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Persist reports locally (newest maxReports)
+     */
+    saveLocal(reports) {
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(reports.slice(0, this.config.maxReports)));
+        } catch (e) {
+            console.warn('Failed to save validation reports:', e);
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ValidationService;
+}
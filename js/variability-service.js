@@ -0,0 +1,463 @@
+/**
+ * Variability Service
+ * Stellar variability of a light curve: a generalized Lomb-Scargle periodogram with
+ * prewhitening, an autocorrelation-function rotation period (McQuillan, Aigrain & Mazeh 2013),
+ * flare detection (Chang et al. 2015 criteria) and amplitude metrics. The star is classed as
+ * a rotator, pulsator, EB-like or quiet, and the class picks the detrending window the
+ * transit search should use.
+ */
+
+const VariabilityService = {
+    config: {
+        // Periodogram and ACF run on the light curve averaged into bins of this width (days),
+        // widened when the baseline would need more than maxBins bins
+        binWidth: 1 / 144,
+        maxBins: 5000,
+        // Period range: periodMin days up to this fraction of the baseline
+        periodMin: 0.05,
+        maxBaselineFraction: 0.5,
+        oversampling: 5,
+        maxFrequencies: 10000,
+        fapThreshold: 0.001,
+        // Prewhitening: significant periods extracted, and the ratio tolerance for harmonics
+        // (periods closer than the frequency resolution are not independent either)
+        maxPeriods: 3,
+        harmonicTolerance: 0.02,
+        // ACF: Gaussian smoothing (sigma, days) and the smallest local peak height accepted
+        acfSmoothing: 0.02,
+        acfMinPeakHeight: 0.1,
+        // Flares: at least flareMinPoints consecutive points flareSigma above a running median
+        flareWindow: 0.25,
+        flareSigma: 3,
+        flareMinPoints: 3,
+        // Classification: quiet below quietSnr times the binned noise, pulsators below
+        // pulsatorMaxPeriod days (or with pulsatorMinPeriods independent periods), EB-like
+        // with flux skewed toward dips deeper than ebMinDepth (shallower ones are transits)
+        quietSnr: 2,
+        pulsatorMaxPeriod: 0.5,
+        pulsatorMinPeriods: 3,
+        ebSkewness: -1,
+        ebMinDepth: 0.03,
+        // Detrending windows (days): rotators get rotationFraction of the period, clamped
+        windows: { quiet: 1.0, min: 0.3, max: 1.0, rotationFraction: 0.125 },
+        secondsPerDay: 86400
+    },
+
+    classLabels: {
+        rotator: 'Rotator',
+        pulsator: 'Pulsator',
+        'eb-like': 'EB-like',
+        quiet: 'Quiet'
+    },
+
+    /**
+     * Analyze the variability of a light curve
+     * @param {object} lightCurve - Raw {time, flux, error, quality} (quality-masked and
+     *                              normalized here; flares are not clipped away)
+     * @param {object} options - Overrides for config
+     * @returns {object} {class, label, reasons, period, periodogram, rotation, flares, amplitude,
+     *                   detrendWindow, baseline, numPoints, binWidth, createdAt, summary}
+     */
+    analyze(lightCurve, options = {}) {
+        const opts = { ...this.config, ...options };
+        if (typeof PreprocessService === 'undefined') throw new Error('Variability analysis needs PreprocessService');
+
+        const base = PreprocessService.run(lightCurve, [{ type: 'quality' }, { type: 'normalize' }]);
+        if (base.time.length < 20) throw new Error('Not enough valid data points for variability analysis');
+
+        const baseline = base.time[base.time.length - 1] - base.time[0];
+        const binWidth = Math.max(opts.binWidth, baseline / opts.maxBins);
+        const binned = PreprocessService.run(base, [{ type: 'bin', width: binWidth }]);
+
+        const periodogram = this.prewhiten(binned.time, binned.flux, baseline, opts);
+        const rotation = this.acfPeriod(binned.time, binned.flux, binWidth, baseline, opts);
+        const flares = this.detectFlares(base, opts);
+        const amplitude = this.amplitudeMetrics(binned.flux, periodogram);
+
+        const result = {
+            ...this.classify(periodogram, rotation, amplitude, opts),
+            periodogram,
+            rotation,
+            flares,
+            amplitude,
+            baseline,
+            numPoints: base.time.length,
+            binWidth,
+            createdAt: new Date().toISOString()
+        };
+        result.detrendWindow = this.detrendWindow(result, opts);
+        result.summary = this.describe(result);
+        return result;
+    },
+
+    // ============================================
+    // Periodogram
+    // ============================================
+
+    /**
+     * Generalized Lomb-Scargle (Zechmeister & Kürster 2009) with equal weights
+     * @returns {object} {periods, power, bestPeriod, bestPower, amplitude, sinusoid, fap}
+     */
+    periodogram(time, flux, baseline, opts = this.config) {
+        const n = time.length;
+        const fMin = 1 / (baseline * opts.maxBaselineFraction);
+        const fMax = 1 / opts.periodMin;
+        const count = Math.min(Math.max(Math.ceil(opts.oversampling * baseline * (fMax - fMin)), 2), opts.maxFrequencies);
+
+        const w = 1 / n;
+        const meanY = flux.reduce((sum, v) => sum + v, 0) / n;
+        const YY = flux.reduce((sum, v) => sum + (v - meanY) * (v - meanY), 0) * w;
+
+        const periods = [];
+        const power = [];
+        let best = { power: -1 };
+        for (let k = 0; k < count; k++) {
+            const f = fMin + (fMax - fMin) * k / (count - 1);
+            const omega = 2 * Math.PI * f;
+            let C = 0, S = 0, YC = 0, YS = 0, CC = 0, SS = 0, CS = 0;
+            for (let i = 0; i < n; i++) {
+                const c = Math.cos(omega * time[i]);
+                const s = Math.sin(omega * time[i]);
+                const y = flux[i] - meanY;
+                C += c;
+                S += s;
+                YC += y * c;
+                YS += y * s;
+                CC += c * c;
+                SS += s * s;
+                CS += c * s;
+            }
+            C *= w; S *= w; YC *= w; YS *= w; CC *= w; SS *= w; CS *= w;
+            CC -= C * C;
+            SS -= S * S;
+            CS -= C * S;
+            const D = CC * SS - CS * CS;
+            const p = YY > 0 && D > 0 ? (SS * YC * YC + CC * YS * YS - 2 * CS * YC * YS) / (YY * D) : 0;
+
+            periods.push(1 / f);
+            power.push(p);
+            if (p > best.power) {
+                const a = (YC * SS - YS * CS) / D;
+                const b = (YS * CC - YC * CS) / D;
+                best = { power: p, period: 1 / f, a, b, offset: -(a * C + b * S) };
+            }
+        }
+
+        // Single-frequency probability, over roughly baseline·(fMax - fMin) independent frequencies
+        const single = Math.pow(Math.max(1 - best.power, 0), (n - 3) / 2);
+        const independent = Math.max(Math.round(baseline * (fMax - fMin)), 1);
+        const fap = Math.min(1 - Math.pow(1 - single, independent), 1);
+
+        return {
+            periods,
+            power,
+            bestPeriod: best.period,
+            bestPower: best.power,
+            amplitude: Math.sqrt(best.a * best.a + best.b * best.b),
+            // Best-fit sinusoid (about the mean): a·cos(ωt) + b·sin(ωt) + offset
+            sinusoid: { a: best.a, b: best.b, offset: best.offset },
+            fap
+        };
+    },
+
+    /**
+     * Extract up to maxPeriods significant periods by fitting and subtracting the best
+     * sinusoid in turn; the first periodogram is returned with the period list attached
+     * @returns {object} periodogram() result plus significant and peaks [{period, amplitude, power, fap, relatedTo}]
+     *                   (relatedTo: the earlier period this one is a harmonic or an unresolved neighbour of)
+     */
+    prewhiten(time, flux, baseline, opts = this.config) {
+        let residual = Array.from(flux);
+        let first = null;
+        const peaks = [];
+
+        for (let k = 0; k < opts.maxPeriods; k++) {
+            const gls = this.periodogram(time, residual, baseline, opts);
+            if (!first) first = gls;
+            if (gls.fap > opts.fapThreshold) break;
+
+            // Harmonics of an earlier period, and residual power within the frequency
+            // resolution of one, are not independent
+            const related = peaks.find(p => {
+                const ratio = Math.max(p.period, gls.bestPeriod) / Math.min(p.period, gls.bestPeriod);
+                return Math.abs(ratio - Math.round(ratio)) / ratio <= opts.harmonicTolerance
+                    || Math.abs(1 / p.period - 1 / gls.bestPeriod) < 1 / baseline;
+            });
+            peaks.push({
+                period: gls.bestPeriod,
+                amplitude: gls.amplitude,
+                power: gls.bestPower,
+                fap: gls.fap,
+                relatedTo: related ? related.period : null
+            });
+
+            const omega = 2 * Math.PI / gls.bestPeriod;
+            const { a, b, offset } = gls.sinusoid;
+            residual = residual.map((y, i) => y - (a * Math.cos(omega * time[i]) + b * Math.sin(omega * time[i]) + offset));
+        }
+
+        return { ...first, significant: peaks.length > 0, peaks };
+    },
+
+    // ============================================
+    // Rotation (ACF)
+    // ============================================
+
+    /**
+     * Rotation period from the first clear peak of the smoothed autocorrelation function,
+     * preferring the second peak when it is higher (spots on opposite hemispheres)
+     * @returns {object|null} {period, peakHeight, acf: {lags, values}} or null without a clear peak
+     */
+    acfPeriod(time, flux, binWidth, baseline, opts = this.config) {
+        // Regular grid; empty bins are skipped in the sums
+        const size = Math.floor(baseline / binWidth) + 1;
+        const grid = new Float64Array(size);
+        const filled = new Uint8Array(size);
+        const mean = flux.reduce((sum, v) => sum + v, 0) / flux.length;
+        for (let i = 0; i < time.length; i++) {
+            const j = Math.min(Math.round((time[i] - time[0]) / binWidth), size - 1);
+            grid[j] = flux[i] - mean;
+            filled[j] = 1;
+        }
+
+        const maxLag = Math.floor(size * opts.maxBaselineFraction);
+        if (maxLag < 4) return null;
+        const values = new Array(maxLag);
+        let variance = 0;
+        let count = 0;
+        for (let i = 0; i < size; i++) {
+            if (filled[i]) {
+                variance += grid[i] * grid[i];
+                count++;
+            }
+        }
+        variance /= count;
+        if (!(variance > 0)) return null;
+
+        for (let lag = 0; lag < maxLag; lag++) {
+            let sum = 0;
+            let pairs = 0;
+            for (let i = 0; i + lag < size; i++) {
+                if (filled[i] && filled[i + lag]) {
+                    sum += grid[i] * grid[i + lag];
+                    pairs++;
+                }
+            }
+            // Normalized by all samples, so longer lags (fewer pairs) are damped
+            values[lag] = pairs > 0 ? sum / count / variance : 0;
+        }
+        // The zero-lag spike is white noise, not signal
+        values[0] = values[1];
+
+        const smoothed = this.gaussianSmooth(values, opts.acfSmoothing / binWidth);
+        const lags = values.map((_, i) => i * binWidth);
+
+        // Local maxima with their height above the mean of the neighbouring minima
+        const peaks = [];
+        let lastMin = smoothed[0];
+        for (let i = 1; i < smoothed.length - 1; i++) {
+            if (smoothed[i] <= smoothed[i - 1] && smoothed[i] <= smoothed[i + 1]) lastMin = smoothed[i];
+            if (smoothed[i] > smoothed[i - 1] && smoothed[i] >= smoothed[i + 1]) {
+                let next = i + 1;
+                while (next < smoothed.length - 1 && smoothed[next + 1] <= smoothed[next]) next++;
+                const height = smoothed[i] - (lastMin + smoothed[next]) / 2;
+                peaks.push({ lag: lags[i], value: smoothed[i], height });
+            }
+        }
+
+        const clear = peaks.filter(p => p.height >= opts.acfMinPeakHeight && p.value > 0 && p.lag >= opts.periodMin);
+        if (clear.length === 0) return null;
+
+        let peak = clear[0];
+        const second = clear.find(p => Math.abs(p.lag / peak.lag - 2) < 0.2);
+        if (second && second.value > peak.value) peak = second;
+
+        return { period: peak.lag, peakHeight: peak.height, acf: { lags, values: smoothed } };
+    },
+
+    /**
+     * Gaussian smoothing with sigma in samples (kernel truncated at 3 sigma)
+     */
+    gaussianSmooth(values, sigma) {
+        if (!(sigma >= 0.5)) return Array.from(values);
+        const half = Math.ceil(3 * sigma);
+        const kernel = Array.from({ length: 2 * half + 1 }, (_, k) => Math.exp(-0.5 * Math.pow((k - half) / sigma, 2)));
+        return values.map((_, i) => {
+            let sum = 0;
+            let norm = 0;
+            for (let k = -half; k <= half; k++) {
+                const j = i + k;
+                if (j < 0 || j >= values.length) continue;
+                sum += kernel[k + half] * values[j];
+                norm += kernel[k + half];
+            }
+            return sum / norm;
+        });
+    },
+
+    // ============================================
+    // Flares
+    // ============================================
+
+    /**
+     * Runs of at least flareMinPoints consecutive points flareSigma above a running median
+     * @param {object} lightCurve - Quality-masked, normalized {time, flux}
+     * @returns {object} {count, rate (per day), events: [{start, end, peakTime, amplitude, points, duration, equivalentDuration (s)}]}
+     */
+    detectFlares(lightCurve, opts = this.config) {
+        const smoothed = PreprocessService.run(lightCurve, [{ type: 'detrend', method: 'median', window: opts.flareWindow }]);
+        const { time } = smoothed;
+        const residual = smoothed.flux.map(f => f - 1);
+        const sigma = PreprocessService.mad(residual, PreprocessService.median(residual)) * 1.4826;
+        const baseline = time.length > 1 ? time[time.length - 1] - time[0] : 0;
+
+        const events = [];
+        if (sigma > 0) {
+            let i = 0;
+            while (i < residual.length) {
+                if (residual[i] <= opts.flareSigma * sigma) {
+                    i++;
+                    continue;
+                }
+                const start = i;
+                while (i < residual.length && residual[i] > opts.flareSigma * sigma) i++;
+                if (i - start < opts.flareMinPoints) continue;
+
+                let peak = start;
+                let equivalent = 0;
+                for (let j = start; j < i; j++) {
+                    if (residual[j] > residual[peak]) peak = j;
+                    if (j > start) equivalent += (residual[j] + residual[j - 1]) / 2 * (time[j] - time[j - 1]);
+                }
+                events.push({
+                    start: time[start],
+                    end: time[i - 1],
+                    peakTime: time[peak],
+                    amplitude: residual[peak],
+                    points: i - start,
+                    duration: time[i - 1] - time[start],
+                    equivalentDuration: equivalent * opts.secondsPerDay
+                });
+            }
+        }
+
+        return { count: events.length, rate: baseline > 0 ? events.length / baseline : 0, events };
+    },
+
+    // ============================================
+    // Amplitude and classification
+    // ============================================
+
+    /**
+     * Amplitude metrics of the binned, normalized flux (fractions of the median):
+     * rms, MAD, range between the 5th and 95th percentiles (Basri et al. 2013),
+     * semi-amplitude of the main period, point-to-point noise, skewness and dip depth
+     */
+    amplitudeMetrics(flux, periodogram) {
+        const n = flux.length;
+        const mean = flux.reduce((sum, v) => sum + v, 0) / n;
+        const sorted = Array.from(flux).sort((a, b) => a - b);
+        const percentile = q => sorted[Math.min(Math.floor(q * n), n - 1)];
+        const median = percentile(0.5);
+
+        let m2 = 0;
+        let m3 = 0;
+        for (const v of flux) {
+            m2 += (v - mean) * (v - mean);
+            m3 += Math.pow(v - mean, 3);
+        }
+        m2 /= n;
+        m3 /= n;
+
+        const differences = [];
+        for (let i = 1; i < n; i++) differences.push(Math.abs(flux[i] - flux[i - 1]));
+
+        return {
+            rms: Math.sqrt(m2),
+            mad: PreprocessService.mad(flux, median) * 1.4826,
+            rvar: percentile(0.95) - percentile(0.05),
+            semiAmplitude: periodogram.significant ? periodogram.amplitude : 0,
+            noise: PreprocessService.median(differences) * 1.4826 / Math.SQRT2,
+            skewness: m2 > 0 ? m3 / Math.pow(m2, 1.5) : 0,
+            dipDepth: median - percentile(0.005)
+        };
+    },
+
+    /**
+     * Variability class with the reasons behind it
+     * @returns {object} {class, label, reasons, period}
+     */
+    classify(periodogram, rotation, amplitude, opts = this.config) {
+        const reasons = [];
+        const independent = periodogram.peaks.filter(p => p.relatedTo === null);
+        let cls;
+        let period = null;
+
+        if (!periodogram.significant || amplitude.semiAmplitude < opts.quietSnr * amplitude.noise) {
+            cls = 'quiet';
+            reasons.push(periodogram.significant
+                ? `main period's semi-amplitude (${Math.round(amplitude.semiAmplitude * 1e6)} ppm) is below ${opts.quietSnr}× the binned noise`
+                : `no periodogram peak with FAP below ${opts.fapThreshold}`);
+        } else if (amplitude.skewness <= opts.ebSkewness && amplitude.dipDepth < opts.ebMinDepth) {
+            // Shallow periodic dips (transits) are what the search is for, not stellar variability
+            cls = 'quiet';
+            reasons.push(`periodicity comes from shallow dips (${(amplitude.dipDepth * 100).toFixed(2)}%, skewness ${amplitude.skewness.toFixed(2)}), not stellar variability`);
+        } else if (amplitude.skewness <= opts.ebSkewness) {
+            cls = 'eb-like';
+            // The periodogram often peaks at half the orbital period; the ACF does not
+            const doubled = rotation && Math.abs(rotation.period / periodogram.bestPeriod - 2) < 0.1;
+            period = doubled ? rotation.period : periodogram.bestPeriod;
+            reasons.push(`flux skewed toward dips (skewness ${amplitude.skewness.toFixed(2)}) that reach ${(amplitude.dipDepth * 100).toFixed(1)}%`);
+        } else if (periodogram.bestPeriod < opts.pulsatorMaxPeriod || independent.length >= opts.pulsatorMinPeriods) {
+            cls = 'pulsator';
+            period = periodogram.bestPeriod;
+            reasons.push(periodogram.bestPeriod < opts.pulsatorMaxPeriod
+                ? `main period ${periodogram.bestPeriod.toFixed(3)} d is shorter than ${opts.pulsatorMaxPeriod} d`
+                : `${independent.length} independent periods`);
+        } else {
+            cls = 'rotator';
+            period = rotation ? rotation.period : periodogram.bestPeriod;
+            reasons.push(rotation
+                ? `ACF peak at ${rotation.period.toFixed(2)} d (height ${rotation.peakHeight.toFixed(2)})`
+                : `periodogram peak at ${periodogram.bestPeriod.toFixed(2)} d, no clear ACF peak`);
+        }
+
+        return { class: cls, label: this.classLabels[cls], reasons, period };
+    },
+
+    /**
+     * Detrending window for the transit search: long for quiet stars (keeps long transits),
+     * a fraction of the rotation period for rotators, the shortest for pulsators
+     * @returns {object} {window (days), reason}
+     */
+    detrendWindow(variability, opts = this.config) {
+        const { windows } = opts;
+        const fallback = typeof PreprocessService !== 'undefined' ? PreprocessService.config.defaults.detrend.window : 0.75;
+
+        switch (variability.class) {
+            case 'quiet':
+                return { window: windows.quiet, reason: 'quiet star' };
+            case 'rotator': {
+                const window = Math.min(Math.max(variability.period * windows.rotationFraction, windows.min), windows.max);
+                return { window: Math.round(window * 100) / 100, reason: `rotator, P = ${variability.period.toFixed(2)} d` };
+            }
+            case 'pulsator':
+                return { window: windows.min, reason: `pulsator, P = ${variability.period.toFixed(3)} d (pulsations faster than the window remain)` };
+            default:
+                return { window: fallback, reason: 'EB-like: eclipses are not removed by detrending' };
+        }
+    },
+
+    describe(result) {
+        const parts = [result.label];
+        if (result.period !== null) parts.push(`P = ${result.period.toFixed(result.period < 1 ? 3 : 2)} d`);
+        parts.push(`R_var ${Math.round(result.amplitude.rvar * 1e6).toLocaleString()} ppm`);
+        if (result.flares.count > 0) parts.push(`${result.flares.count} flare${result.flares.count === 1 ? '' : 's'}`);
+        return `${parts.join(', ')}; detrend window ${result.detrendWindow.window} d`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VariabilityService;
+}
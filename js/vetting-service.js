@@ -0,0 +1,693 @@
+/**
+ * Transit Vetting Service
+ * Diagnostics that separate planetary transits from common false positives,
+ * run on a light curve plus a BLS or TransitFitService result:
+ * odd/even depths, secondary eclipse at phase 0.5, V- vs U-shape,
+ * duration against stellar density, and harmonic/alias checks.
+ * Every test returns pass/warn/fail/inconclusive with its measured values;
+ * run() combines them into a verdict StatsService.recordVetting can store.
+ */
+
+const VettingService = {
+    // Thresholds (Robovetter-style, Thompson et al. 2018)
+    config: {
+        // Odd vs even depth difference, in combined sigma
+        oddEvenSigma: 3,
+        // Secondary eclipse significance, and the geometric albedo above which
+        // it is too deep to be reflected planet light
+        secondarySigma: 3,
+        maxAlbedo: 1,
+        // Shape: 1 - T23/T14 of the best trapezoid (0 = box, 1 = V)
+        vShapeWarn: 0.5,
+        vShapeFail: 0.75,
+        minShapeSnr: 10,
+        // Duration: observed over the longest central transit for the star
+        durationWarn: 1.0,
+        durationFail: 1.2,
+        durationShort: 0.1,
+        // Lowest density (solar units) assumed when the star is unknown
+        unknownDensityMin: 0.2,
+        // Harmonic: sinusoid fit improvement over the box fit improvement
+        harmonicWarn: 0.5,
+        harmonicFail: 1.0,
+        // Alias: relative BLS power at period ratios that flags an alias
+        aliasPower: 0.9,
+        aliasRatios: [0.5, 2, 1 / 3, 3],
+        // Minimum points per group (odd, even, secondary window, ...)
+        minPoints: 5,
+        // Detrending applied before the tests; in-transit points are masked out to maskFactor x duration
+        detrend: { method: 'biweight', window: 0.75 },
+        maskFactor: 1.5
+    },
+
+    // Physical constants (cgs)
+    G: 6.674e-8,
+    SOLAR_DENSITY: 1.408,
+
+    // Reason codes a failing or marginal test contributes
+    reasonCodes: {
+        oddEven: 'ODD_EVEN',
+        secondary: 'SECONDARY_ECLIPSE',
+        shape: 'V_SHAPE',
+        duration: 'DURATION',
+        harmonic: 'HARMONIC',
+        alias: 'PERIOD_ALIAS'
+    },
+
+    /**
+     * Vet a transit signal
+     * @param {object} lightCurve - {time, flux, error, quality}
+     * @param {object} signal - BLSService.search or TransitFitService.fit result
+     * @param {object} options - {candidateId, stellar: {density} | {radius, mass} | TIC row, preprocess: false, ...config overrides}
+     * @returns {object} Verdict with per-test results, reason codes, disposition and score
+     */
+    run(lightCurve, signal, options = {}) {
+        const opts = { ...this.config, ...options };
+        const startTime = typeof performance !== 'undefined' ? performance.now() : Date.now();
+
+        const ephemeris = this.ephemeris(signal);
+        const lc = this.prepare(lightCurve, ephemeris, opts);
+        if (lc.time.length < 20) {
+            throw new Error('Not enough valid data points to vet');
+        }
+
+        const folded = this.fold(lc, ephemeris);
+
+        // A bare ephemeris (no BLS or fit depth) gets its depth from the inner half of the transit
+        if (!(ephemeris.depth > 0)) {
+            const measured = this.depthOf(folded, i => Math.abs(folded.phase[i]) < ephemeris.duration / 4);
+            ephemeris.depth = Math.max(measured.depth || 0, 0);
+            ephemeris.rpRs = ephemeris.rpRs ?? (ephemeris.depth > 0 ? Math.sqrt(ephemeris.depth) : null);
+        }
+        const stellar = this.stellarDensity(opts.stellar, opts);
+
+        const tests = {
+            oddEven: this.oddEvenTest(folded, ephemeris, opts),
+            secondary: this.secondaryTest(folded, ephemeris, stellar, opts),
+            shape: this.shapeTest(folded, ephemeris, opts),
+            duration: this.durationTest(ephemeris, stellar, opts),
+            harmonic: this.harmonicTest(folded, ephemeris, signal, opts)
+        };
+
+        const verdict = this.combine(tests);
+        const endTime = typeof performance !== 'undefined' ? performance.now() : Date.now();
+
+        return {
+            candidateId: opts.candidateId || null,
+            period: ephemeris.period,
+            t0: ephemeris.t0,
+            duration: ephemeris.duration,
+            depth: ephemeris.depth,
+            signalSource: ephemeris.source,
+            stellar,
+            tests,
+            ...verdict,
+            numPoints: lc.time.length,
+            vetTime: endTime - startTime,
+            vettedAt: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Read period, t0, duration (days) and depth from a BLS or fit result
+     */
+    ephemeris(signal) {
+        if (!signal || !(signal.period > 0) || !Number.isFinite(signal.t0)) {
+            throw new Error('Vetting needs a signal with period and t0');
+        }
+
+        const duration = signal.duration ?? (signal.duration_hours != null ? signal.duration_hours / 24 : null);
+        if (!(duration > 0)) {
+            throw new Error('Vetting needs a transit duration');
+        }
+
+        return {
+            period: signal.period,
+            t0: signal.t0,
+            duration,
+            depth: signal.depth || 0,
+            rpRs: signal.rp_rs ?? (signal.depth > 0 ? Math.sqrt(signal.depth) : null),
+            aRs: signal.a_rs ?? null,
+            impact: signal.impact_parameter ?? null,
+            source: signal.method === 'mandel-agol' ? 'fit' : 'bls'
+        };
+    },
+
+    /**
+     * Clean and detrend with the transits masked, then normalize to unit median
+     * preprocess: false takes the light curve as already detrended
+     */
+    prepare(lightCurve, ephemeris, opts) {
+        let lc = lightCurve;
+
+        if (opts.preprocess !== false && typeof PreprocessService !== 'undefined') {
+            lc = PreprocessService.run(lc, [{ type: 'quality' }, { type: 'clip', sigma: 5, direction: 'upper' }]);
+            const mask = this.transitMask(lc.time, ephemeris, ephemeris.duration * opts.maskFactor);
+            lc = PreprocessService.run(lc, [{ type: 'detrend', ...opts.detrend, mask }]);
+        }
+
+        const time = [];
+        const flux = [];
+        for (let i = 0; i < lc.time.length; i++) {
+            if (Number.isFinite(lc.time[i]) && Number.isFinite(lc.flux[i])) {
+                time.push(lc.time[i]);
+                flux.push(lc.flux[i]);
+            }
+        }
+
+        const median = this.median(flux) || 1;
+        return { time, flux: flux.map(f => f / median) };
+    },
+
+    /**
+     * Phase offsets (days from mid-transit, in [-P/2, P/2)) and epoch numbers
+     */
+    fold(lc, ephemeris) {
+        const { period, t0 } = ephemeris;
+        const phase = new Array(lc.time.length);
+        const epoch = new Array(lc.time.length);
+
+        for (let i = 0; i < lc.time.length; i++) {
+            const n = Math.round((lc.time[i] - t0) / period);
+            epoch[i] = n;
+            phase[i] = lc.time[i] - t0 - n * period;
+        }
+
+        // Out-of-transit scatter sets the per-point noise for every test
+        const outside = lc.flux.filter((_, i) => Math.abs(phase[i]) > ephemeris.duration);
+        const baseline = this.median(outside.length > 0 ? outside : lc.flux);
+        const sigma = 1.4826 * this.mad(outside.length > 0 ? outside : lc.flux, baseline);
+
+        return { phase, epoch, flux: lc.flux, baseline, sigma, period };
+    },
+
+    /**
+     * In-transit mask out to the given full width
+     */
+    transitMask(time, ephemeris, width) {
+        const { period, t0 } = ephemeris;
+        return Array.from(time, t => {
+            const offset = ((t - t0) % period + period * 1.5) % period - period / 2;
+            return Math.abs(offset) <= width / 2;
+        });
+    },
+
+    /**
+     * Depth (baseline minus mean flux) of the points passing a filter, with its standard error
+     */
+    depthOf(folded, filter) {
+        let sum = 0;
+        let count = 0;
+        for (let i = 0; i < folded.flux.length; i++) {
+            if (filter(i)) {
+                sum += folded.flux[i];
+                count++;
+            }
+        }
+        if (count === 0) return { depth: null, error: null, points: 0 };
+        return {
+            depth: folded.baseline - sum / count,
+            error: folded.sigma / Math.sqrt(count),
+            points: count
+        };
+    },
+
+    /**
+     * Odd/even test: eclipsing binaries at twice the detected period show alternating depths
+     * Uses the inner half of each transit so the comparison is not diluted by ingress/egress
+     */
+    oddEvenTest(folded, ephemeris, opts) {
+        const inner = ephemeris.duration / 4;
+        const odd = this.depthOf(folded, i => Math.abs(folded.phase[i]) < inner && Math.abs(folded.epoch[i]) % 2 === 1);
+        const even = this.depthOf(folded, i => Math.abs(folded.phase[i]) < inner && folded.epoch[i] % 2 === 0);
+
+        const result = {
+            name: 'Odd/Even Depth',
+            oddDepth: odd.depth,
+            evenDepth: even.depth,
+            oddPoints: odd.points,
+            evenPoints: even.points,
+            difference: null,
+            sigma: null,
+            threshold: opts.oddEvenSigma
+        };
+
+        if (odd.points < opts.minPoints || even.points < opts.minPoints) {
+            return { ...result, status: 'inconclusive', message: 'Too few odd or even in-transit points' };
+        }
+
+        const combined = Math.hypot(odd.error, even.error);
+        result.difference = Math.abs(odd.depth - even.depth);
+        result.relativeDifference = Math.max(odd.depth, even.depth) > 0
+            ? result.difference / Math.max(odd.depth, even.depth)
+            : null;
+        result.sigma = combined > 0 ? result.difference / combined : 0;
+
+        if (result.sigma >= opts.oddEvenSigma) {
+            return { ...result, status: 'fail', message: `Odd and even depths differ at ${result.sigma.toFixed(1)}σ (eclipsing binary at 2P)` };
+        }
+        return { ...result, status: 'pass', message: `Odd and even depths agree (${result.sigma.toFixed(1)}σ)` };
+    },
+
+    /**
+     * Secondary eclipse search around phase 0.5
+     * A significant secondary deeper than any planet could reflect points to an eclipsing binary
+     */
+    secondaryTest(folded, ephemeris, stellar, opts) {
+        const { period, duration } = ephemeris;
+        const half = duration / 2;
+
+        // Phase 0.5 plus small shifts, for ephemeris error and mild eccentricity
+        let best = null;
+        for (let shift = -duration; shift <= duration + 1e-12; shift += duration / 4) {
+            const center = period / 2 + shift;
+            const measured = this.depthOf(folded, i => {
+                const offset = ((folded.phase[i] - center) % period + period * 1.5) % period - period / 2;
+                return Math.abs(offset) < half;
+            });
+            if (measured.points >= opts.minPoints && (!best || measured.depth > best.depth)) {
+                best = { ...measured, phase: 0.5 + shift / period };
+            }
+        }
+
+        const result = {
+            name: 'Secondary Eclipse',
+            depth: best ? best.depth : null,
+            error: best ? best.error : null,
+            phase: best ? best.phase : null,
+            sigma: null,
+            upperLimit: null,
+            albedo: null,
+            threshold: opts.secondarySigma
+        };
+
+        if (!best) {
+            return { ...result, status: 'inconclusive', message: 'No coverage at phase 0.5' };
+        }
+
+        result.sigma = best.error > 0 ? best.depth / best.error : 0;
+        result.upperLimit = Math.max(best.depth, 0) + 3 * best.error;
+
+        // Reflected light: depth = Ag (Rp/a)^2 = Ag k^2 / (a/R*)^2
+        const aRs = ephemeris.aRs || this.scaledSemiMajorAxis(period, stellar.density);
+        if (ephemeris.rpRs > 0 && aRs > 0) {
+            result.albedo = best.depth * aRs * aRs / (ephemeris.rpRs * ephemeris.rpRs);
+        }
+
+        if (result.sigma < opts.secondarySigma) {
+            return { ...result, status: 'pass', message: `No secondary eclipse (3σ upper limit ${(result.upperLimit * 1e6).toFixed(0)} ppm)` };
+        }
+        if (result.albedo !== null && result.albedo <= opts.maxAlbedo) {
+            return { ...result, status: 'warn', message: `Secondary at ${result.sigma.toFixed(1)}σ, consistent with a planetary occultation (Ag ${result.albedo.toFixed(2)})` };
+        }
+        return { ...result, status: 'fail', message: `Secondary eclipse at phase ${result.phase.toFixed(3)}, ${result.sigma.toFixed(1)}σ (eclipsing binary)` };
+    },
+
+    /**
+     * V- vs U-shape from a trapezoid fit to the folded transit
+     * vShape = 1 - T23/T14: 0 for a flat bottom, 1 for a V (grazing eclipse)
+     */
+    shapeTest(folded, ephemeris, opts) {
+        const result = {
+            name: 'V-Shape',
+            vShape: null,
+            t14: null,
+            t23: null,
+            snr: null,
+            grazing: ephemeris.impact !== null && ephemeris.rpRs ? ephemeris.impact + ephemeris.rpRs > 1 : null,
+            threshold: opts.vShapeFail
+        };
+
+        // Bin the fold over +-1 duration so the grid search stays cheap on long light curves
+        const span = ephemeris.duration;
+        const bins = 80;
+        const width = (2 * span) / bins;
+        const sums = new Array(bins).fill(0);
+        const counts = new Array(bins).fill(0);
+        for (let i = 0; i < folded.phase.length; i++) {
+            const index = Math.floor((folded.phase[i] + span) / width);
+            if (index >= 0 && index < bins) {
+                sums[index] += folded.baseline - folded.flux[i];
+                counts[index]++;
+            }
+        }
+        const x = [];
+        const y = [];
+        const w = [];
+        for (let b = 0; b < bins; b++) {
+            if (counts[b] === 0) continue;
+            x.push(Math.abs(-span + (b + 0.5) * width));
+            y.push(sums[b] / counts[b]);
+            w.push(counts[b]);
+        }
+
+        const inTransit = this.depthOf(folded, i => Math.abs(folded.phase[i]) < ephemeris.duration / 4);
+        result.snr = inTransit.error > 0 ? inTransit.depth / inTransit.error : 0;
+        if (x.length < opts.minPoints || result.snr < opts.minShapeSnr) {
+            return { ...result, status: 'inconclusive', message: `Transit SNR ${result.snr.toFixed(1)} too low to resolve its shape` };
+        }
+
+        // Grid over total duration and flat-bottom fraction; depth is linear so it is solved exactly
+        let best = null;
+        for (let a = 0; a <= 30; a++) {
+            const t14 = ephemeris.duration * (0.5 + a * 0.05);
+            for (let f = 0; f <= 20; f++) {
+                const t23 = t14 * f / 20;
+                const shape = x.map(xi => this.trapezoid(xi, t14, t23));
+
+                let sy = 0;
+                let ss = 0;
+                for (let k = 0; k < x.length; k++) {
+                    sy += w[k] * shape[k] * y[k];
+                    ss += w[k] * shape[k] * shape[k];
+                }
+                if (ss === 0) continue;
+                const depth = sy / ss;
+
+                let rss = 0;
+                for (let k = 0; k < x.length; k++) {
+                    rss += w[k] * (y[k] - depth * shape[k]) ** 2;
+                }
+                if (!best || rss < best.rss) best = { t14, t23, depth, rss };
+            }
+        }
+
+        result.t14 = best.t14;
+        result.t23 = best.t23;
+        result.vShape = 1 - best.t23 / best.t14;
+
+        if (result.vShape >= opts.vShapeFail) {
+            return { ...result, status: 'fail', message: `V-shaped transit (${result.vShape.toFixed(2)}), typical of a grazing eclipsing binary` };
+        }
+        if (result.vShape >= opts.vShapeWarn || result.grazing) {
+            return { ...result, status: 'warn', message: `Mostly V-shaped (${result.vShape.toFixed(2)})${result.grazing ? ', grazing geometry in fit' : ''}` };
+        }
+        return { ...result, status: 'pass', message: `U-shaped transit (${result.vShape.toFixed(2)})` };
+    },
+
+    /**
+     * Unit-depth trapezoid at distance x from mid-transit
+     */
+    trapezoid(x, t14, t23) {
+        const outer = t14 / 2;
+        const inner = t23 / 2;
+        if (x <= inner) return 1;
+        if (x >= outer) return 0;
+        return (outer - x) / (outer - inner);
+    },
+
+    /**
+     * Duration plausibility: a transit cannot last longer than a central crossing of its star
+     * T_max = P/pi * asin((1 + k) / (a/R*)), with a/R* from Kepler's law and the stellar density
+     */
+    durationTest(ephemeris, stellar, opts) {
+        const { period, duration } = ephemeris;
+        const k = ephemeris.rpRs || 0;
+
+        // Longest transit for the least dense star allowed by the density uncertainty
+        const lowDensity = stellar.known
+            ? Math.max(stellar.density - 2 * (stellar.error || 0), stellar.density * 0.25)
+            : opts.unknownDensityMin;
+        const maxDuration = this.centralDuration(period, lowDensity, k);
+        const expected = this.centralDuration(period, stellar.density, k);
+
+        // Density implied by the observed duration for a central transit
+        const aRs = (1 + k) / Math.sin(Math.min(Math.PI * duration / period, Math.PI / 2));
+        const impliedDensity = this.densityFromScaledAxis(period, aRs);
+
+        const result = {
+            name: 'Duration',
+            durationHours: duration * 24,
+            expectedHours: expected * 24,
+            maxHours: maxDuration * 24,
+            ratio: duration / maxDuration,
+            impliedDensity,
+            stellarDensity: stellar.density,
+            densitySource: stellar.source,
+            threshold: opts.durationFail
+        };
+
+        // A fitted a/R* gives the density directly, for any impact parameter
+        if (ephemeris.aRs) {
+            result.fitDensity = this.densityFromScaledAxis(period, ephemeris.aRs);
+        }
+
+        if (result.ratio > opts.durationFail) {
+            return { ...result, status: 'fail', message: `Duration ${result.durationHours.toFixed(1)} h exceeds the ${result.maxHours.toFixed(1)} h maximum for this star` };
+        }
+        if (result.ratio > opts.durationWarn) {
+            return { ...result, status: 'warn', message: `Duration ${result.durationHours.toFixed(1)} h is at the limit for this star` };
+        }
+        if (duration / expected < opts.durationShort) {
+            return { ...result, status: 'warn', message: `Duration ${result.durationHours.toFixed(1)} h is very short for P = ${period.toFixed(2)} d (grazing or wrong host)` };
+        }
+        return { ...result, status: 'pass', message: `Duration ${result.durationHours.toFixed(1)} h fits the star (central ${result.expectedHours.toFixed(1)} h)` };
+    },
+
+    /**
+     * Harmonic and alias checks
+     * Harmonic: a two-term sinusoid at P and P/2 explains the dip as well as a box (stellar variability)
+     * Alias: the BLS spectrum has nearly as much power at P/2, 2P, P/3 or 3P
+     */
+    harmonicTest(folded, ephemeris, signal, opts) {
+        const { period, duration } = ephemeris;
+        const n = folded.flux.length;
+        const mean = folded.flux.reduce((a, b) => a + b, 0) / n;
+
+        let rss0 = 0;
+        for (let i = 0; i < n; i++) rss0 += (folded.flux[i] - mean) ** 2;
+
+        // Box model: in/out of transit means
+        const inMask = folded.phase.map(p => Math.abs(p) <= duration / 2);
+        let inSum = 0;
+        let inCount = 0;
+        let outSum = 0;
+        for (let i = 0; i < n; i++) {
+            if (inMask[i]) { inSum += folded.flux[i]; inCount++; } else { outSum += folded.flux[i]; }
+        }
+        let rssBox = 0;
+        const inMean = inCount > 0 ? inSum / inCount : mean;
+        const outMean = n - inCount > 0 ? outSum / (n - inCount) : mean;
+        for (let i = 0; i < n; i++) rssBox += (folded.flux[i] - (inMask[i] ? inMean : outMean)) ** 2;
+
+        // Sinusoid model: linear least squares on [1, cos, sin] at P and P/2
+        const basis = folded.phase.map(p => {
+            const angle = 2 * Math.PI * p / period;
+            return [1, Math.cos(angle), Math.sin(angle), Math.cos(2 * angle), Math.sin(2 * angle)];
+        });
+        const coeffs = this.leastSquares(basis, folded.flux);
+        let rssSine = 0;
+        for (let i = 0; i < n; i++) {
+            const model = basis[i].reduce((s, v, j) => s + v * coeffs[j], 0);
+            rssSine += (folded.flux[i] - model) ** 2;
+        }
+
+        const boxGain = rss0 - rssBox;
+        const sineGain = rss0 - rssSine;
+        const amplitude = Math.hypot(coeffs[1], coeffs[2]);
+
+        const aliases = this.aliasPowers(signal, opts);
+        const strongAliases = aliases.filter(a => a.relativePower >= opts.aliasPower);
+
+        const result = {
+            name: 'Harmonic / Alias',
+            sineRatio: boxGain > 0 ? sineGain / boxGain : null,
+            amplitude,
+            aliases,
+            alias: strongAliases.length > 0,
+            threshold: opts.harmonicFail
+        };
+
+        if (inCount < opts.minPoints || result.sineRatio === null) {
+            return { ...result, status: 'inconclusive', message: 'Too few in-transit points to compare models' };
+        }
+        if (result.sineRatio >= opts.harmonicFail) {
+            return { ...result, status: 'fail', message: `A sinusoid at P fits as well as a transit (ratio ${result.sineRatio.toFixed(2)}): stellar variability` };
+        }
+        if (result.sineRatio >= opts.harmonicWarn || result.alias) {
+            const aliasText = strongAliases.map(a => `${a.label} (${(a.relativePower * 100).toFixed(0)}%)`).join(', ');
+            return {
+                ...result,
+                status: 'warn',
+                message: result.alias
+                    ? `Comparable BLS power at ${aliasText}: period may be an alias`
+                    : `Partly sinusoidal signal (ratio ${result.sineRatio.toFixed(2)})`
+            };
+        }
+        return { ...result, status: 'pass', message: `Transit-shaped, not harmonic (ratio ${result.sineRatio.toFixed(2)})` };
+    },
+
+    /**
+     * Peak BLS power near each alias period, relative to the detected peak
+     */
+    aliasPowers(signal, opts) {
+        const spectrum = signal && signal.spectrum;
+        if (!spectrum || !spectrum.periods || spectrum.periods.length === 0) return [];
+
+        const peak = signal.power || Math.max(...spectrum.power);
+        if (!(peak > 0)) return [];
+
+        const labels = { 0.5: 'P/2', 2: '2P', 3: '3P' };
+        return opts.aliasRatios
+            .map(ratio => {
+                const target = signal.period * ratio;
+                let power = null;
+                for (let i = 0; i < spectrum.periods.length; i++) {
+                    if (Math.abs(spectrum.periods[i] - target) <= target * 0.01) {
+                        power = Math.max(power ?? 0, spectrum.power[i]);
+                    }
+                }
+                return power === null ? null : {
+                    ratio,
+                    label: labels[ratio] || (ratio < 1 ? `P/${Math.round(1 / ratio)}` : `${ratio}P`),
+                    period: target,
+                    relativePower: power / peak
+                };
+            })
+            .filter(Boolean);
+    },
+
+    /**
+     * Combine test results into reason codes, a disposition and a score
+     * The score is the fraction of conclusive tests passed (warnings count half), not a calibrated probability
+     */
+    combine(tests) {
+        const results = Object.entries(tests);
+        const conclusive = results.filter(([, t]) => t.status !== 'inconclusive');
+        const passed = conclusive.filter(([, t]) => t.status === 'pass').length;
+        const warnings = conclusive.filter(([, t]) => t.status === 'warn').length;
+        const failed = conclusive.filter(([, t]) => t.status === 'fail').length;
+
+        const reasons = results
+            .filter(([, t]) => t.status === 'fail' || t.status === 'warn')
+            .map(([key, t]) => ({
+                code: key === 'harmonic' && t.alias && t.status !== 'fail' ? this.reasonCodes.alias : this.reasonCodes[key],
+                test: key,
+                severity: t.status,
+                message: t.message
+            }));
+
+        let disposition = 'PC';
+        if (tests.oddEven.status === 'fail' || tests.secondary.status === 'fail') disposition = 'EB';
+        else if (tests.shape.status === 'fail') disposition = 'V-shape';
+        else if (tests.harmonic.status === 'fail') disposition = 'systematic';
+        else if (tests.duration.status === 'fail') disposition = 'FP';
+
+        let recommendation = 'LIKELY PLANET';
+        if (conclusive.length === 0) recommendation = 'INCONCLUSIVE';
+        else if (failed > 0) recommendation = 'LIKELY FALSE POSITIVE';
+        else if (warnings > 0) recommendation = 'NEEDS REVIEW';
+
+        return {
+            passed,
+            warnings,
+            failed,
+            total: results.length,
+            conclusive: conclusive.length,
+            score: conclusive.length > 0 ? (passed + 0.5 * warnings) / conclusive.length : null,
+            reasonCodes: reasons.filter(r => r.severity === 'fail').map(r => r.code),
+            reasons,
+            disposition: conclusive.length === 0 ? null : disposition,
+            recommendation
+        };
+    },
+
+    /**
+     * Stellar density in solar units, from an explicit density, radius and mass, or a TIC row (rho / rad, mass)
+     * Unknown stars are taken as solar, with the duration check widened to unknownDensityMin
+     */
+    stellarDensity(stellar, opts = this.config) {
+        if (stellar && stellar.provenance !== 'synthetic') {
+            const density = stellar.density ?? stellar.rho;
+            if (density > 0) {
+                return { density, error: stellar.densityError ?? stellar.e_rho ?? null, source: stellar.source || 'catalog', known: true };
+            }
+
+            const radius = stellar.radius ?? stellar.rad;
+            if (radius > 0 && stellar.mass > 0) {
+                return { density: stellar.mass / radius ** 3, error: null, source: stellar.source || 'catalog', known: true };
+            }
+        }
+
+        return { density: 1, error: null, source: 'assumed solar', known: false, min: opts.unknownDensityMin };
+    },
+
+    /**
+     * a/R* from Kepler's third law: (G rho P^2 / 3 pi)^(1/3), density in solar units
+     */
+    scaledSemiMajorAxis(period, density) {
+        const seconds = period * 86400;
+        return Math.cbrt(this.G * density * this.SOLAR_DENSITY * seconds * seconds / (3 * Math.PI));
+    },
+
+    /**
+     * Stellar density (solar units) implied by a/R* and the period
+     */
+    densityFromScaledAxis(period, aRs) {
+        const seconds = period * 86400;
+        return 3 * Math.PI * aRs ** 3 / (this.G * seconds * seconds) / this.SOLAR_DENSITY;
+    },
+
+    /**
+     * Total duration (days) of a central transit
+     */
+    centralDuration(period, density, k = 0) {
+        const aRs = this.scaledSemiMajorAxis(period, density);
+        return period / Math.PI * Math.asin(Math.min(1, (1 + k) / aRs));
+    },
+
+    /**
+     * Solve the normal equations of a small linear least-squares problem
+     */
+    leastSquares(rows, values) {
+        const m = rows[0].length;
+        const a = Array.from({ length: m }, () => new Array(m + 1).fill(0));
+
+        for (let i = 0; i < rows.length; i++) {
+            for (let j = 0; j < m; j++) {
+                for (let k = 0; k < m; k++) a[j][k] += rows[i][j] * rows[i][k];
+                a[j][m] += rows[i][j] * values[i];
+            }
+        }
+
+        // Gaussian elimination with partial pivoting
+        for (let col = 0; col < m; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < m; r++) {
+                if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+            }
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+            if (Math.abs(a[col][col]) < 1e-15) continue;
+
+            for (let r = 0; r < m; r++) {
+                if (r === col) continue;
+                const factor = a[r][col] / a[col][col];
+                for (let c = col; c <= m; c++) a[r][c] -= factor * a[col][c];
+            }
+        }
+
+        return a.map((row, j) => (Math.abs(row[j]) < 1e-15 ? 0 : row[m] / row[j]));
+    },
+
+    /**
+     * Median of an array
+     */
+    median(values) {
+        if (values.length === 0) return NaN;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    },
+
+    /**
+     * Median absolute deviation about a center
+     */
+    mad(values, center) {
+        return this.median(values.map(v => Math.abs(v - center)));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VettingService;
+}
@@ -0,0 +1,91 @@
+-- Migration: Candidate Dispositions
+-- Description: Append-only vetting dispositions with reason codes and reviewer history
+-- Run this in your Supabase SQL Editor
+
+-- ============================================
+-- CANDIDATE DISPOSITIONS TABLE
+-- ============================================
+-- Every decision is a new row, so the full history of a candidate is kept;
+-- the current disposition of a reviewer is their latest row.
+CREATE TABLE IF NOT EXISTS public.candidate_dispositions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    candidate_id TEXT NOT NULL,
+    tic_id TEXT,
+    toi TEXT,
+    disposition TEXT NOT NULL CHECK (disposition IN ('PC', 'FP', 'EB', 'V-shape', 'systematic')),
+    reason_codes TEXT[] DEFAULT '{}',
+    notes TEXT,
+    reviewer_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+    -- Filled from the reviewer's profile by a trigger; any client value is overwritten
+    reviewer_name TEXT,
+    -- Ephemeris and automated vetting summary the decision was made on
+    period NUMERIC,
+    t0 NUMERIC,
+    duration NUMERIC,
+    depth NUMERIC,
+    vetting JSONB DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for per-candidate history and team filtering
+CREATE INDEX IF NOT EXISTS idx_dispositions_candidate ON public.candidate_dispositions(candidate_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_dispositions_tic ON public.candidate_dispositions(tic_id);
+CREATE INDEX IF NOT EXISTS idx_dispositions_toi ON public.candidate_dispositions(toi);
+CREATE INDEX IF NOT EXISTS idx_dispositions_reviewer ON public.candidate_dispositions(reviewer_id);
+CREATE INDEX IF NOT EXISTS idx_dispositions_disposition ON public.candidate_dispositions(disposition);
+
+-- Enable Row Level Security
+ALTER TABLE public.candidate_dispositions ENABLE ROW LEVEL SECURITY;
+
+-- Signed-in reviewers see everyone's dispositions, so teammates can compare calls on the same TOI
+CREATE POLICY "Authenticated users can view dispositions" ON public.candidate_dispositions
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+-- Reviewers can only add dispositions under their own id; there are no update or delete
+-- policies, so history cannot be rewritten
+CREATE POLICY "Users can insert own dispositions" ON public.candidate_dispositions
+    FOR INSERT WITH CHECK (auth.uid() = reviewer_id);
+
+
+-- ============================================
+-- TRIGGER: Reviewer name from the profile
+-- ============================================
+CREATE OR REPLACE FUNCTION public.set_disposition_reviewer_name()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    SELECT COALESCE(p.name, SPLIT_PART(p.email, '@', 1))
+    INTO NEW.reviewer_name
+    FROM public.profiles p
+    WHERE p.id = NEW.reviewer_id;
+
+    NEW.reviewer_name = COALESCE(NEW.reviewer_name, 'Reviewer');
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS candidate_dispositions_reviewer_name ON public.candidate_dispositions;
+CREATE TRIGGER candidate_dispositions_reviewer_name
+    BEFORE INSERT ON public.candidate_dispositions
+    FOR EACH ROW
+    EXECUTE FUNCTION public.set_disposition_reviewer_name();
+
+
+-- ============================================
+-- LATEST DISPOSITION PER REVIEWER
+-- ============================================
+CREATE OR REPLACE VIEW public.candidate_dispositions_latest
+WITH (security_invoker = true) AS
+SELECT DISTINCT ON (candidate_id, reviewer_id) *
+FROM public.candidate_dispositions
+ORDER BY candidate_id, reviewer_id, created_at DESC;
+
+
+-- ============================================
+-- GRANT PERMISSIONS
+-- ============================================
+GRANT SELECT, INSERT ON public.candidate_dispositions TO authenticated;
+GRANT SELECT ON public.candidate_dispositions_latest TO authenticated;
@@ -0,0 +1,48 @@
+-- Migration: Validation Reports
+-- Description: Ground-truth validation runs against confirmed planets, for accuracy trends
+-- Run this in your Supabase SQL Editor
+
+-- ============================================
+-- VALIDATION REPORTS TABLE
+-- ============================================
+-- One row per validation run; the headline metrics are columns for charting and the full
+-- report (per-class precision/recall and per-target results) is kept as JSON.
+CREATE TABLE IF NOT EXISTS public.validation_reports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+    source TEXT NOT NULL CHECK (source IN ('archive', 'snapshot', 'custom')),
+    model_id TEXT,
+    model_version TEXT,
+    targets INTEGER DEFAULT 0,
+    recovery_rate NUMERIC,
+    accuracy NUMERIC,
+    precision NUMERIC,
+    recall NUMERIC,
+    report JSONB DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_validation_reports_user ON public.validation_reports(user_id, created_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE public.validation_reports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own validation reports" ON public.validation_reports
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own validation reports" ON public.validation_reports
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+
+-- ============================================
+-- ACTIVITY LOG: VALIDATION ENTRIES
+-- ============================================
+ALTER TABLE public.activity_log DROP CONSTRAINT IF EXISTS activity_log_activity_type_check;
+ALTER TABLE public.activity_log ADD CONSTRAINT activity_log_activity_type_check
+    CHECK (activity_type IN ('detection', 'vetting', 'calibration', 'validation', 'report', 'pipeline', 'export'));
+
+
+-- ============================================
+-- GRANT PERMISSIONS
+-- ============================================
+GRANT SELECT, INSERT ON public.validation_reports TO authenticated;